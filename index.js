@@ -107,7 +107,15 @@ if (process.env.NODE_ENV === 'development' || !process.env.NODE_ENV) {
 } else {
   app.use(cors(corsOptions));
 }
-app.use(express.json({ limit: '500mb' })); // Increased to handle multiple large PDFs
+app.use(express.json({
+  limit: '500mb', // Increased to handle multiple large PDFs
+  verify: (req, res, buf) => {
+    // Keep the exact bytes for payment webhook signature verification
+    if (req.originalUrl.startsWith('/api/payment/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '500mb' })); // Increased to handle multiple large PDFs
 
 // Add response caching headers for static and API responses
@@ -231,6 +239,8 @@ mongoose.connect(MONGODB_URI, {
   const quotationRoutes = require('./routes/quotation');
   const orderRoutes = require('./routes/order');
   const paymentRoutes = require('./routes/payment');
+  const refundRoutes = require('./routes/refund');
+  const orderRequestRoutes = require('./routes/orderRequest');
   const dispatchRoutes = require('./routes/dispatch');
   const notificationRoutes = require('./routes/notifications');
   const contactRoutes = require('./routes/contact');
@@ -247,6 +257,8 @@ mongoose.connect(MONGODB_URI, {
   app.use('/api/quotation', quotationRoutes);
   app.use('/api/orders', orderRoutes);
   app.use('/api/payment', paymentRoutes);
+  app.use('/api/refunds', refundRoutes);
+  app.use('/api/order-requests', orderRequestRoutes);
   app.use('/api/dispatch', dispatchRoutes);
   app.use('/api/notifications', notificationRoutes);
   app.use('/api/contact', contactRoutes);
@@ -267,6 +279,19 @@ mongoose.connect(MONGODB_URI, {
   // Initialize WebSocket service
   websocketService.initialize(server);
   
+  // Start quotation expiry/reminder job
+  const quotationExpiryService = require('./services/quotationExpiryService');
+  quotationExpiryService.start();
+
+  // Start carrier tracking poller
+  const trackingService = require('./services/trackingService');
+  trackingService.start();
+
+  // Start background job worker (emails, SMS, PDF generation)
+  require('./services/backgroundJobs');
+  const jobQueue = require('./services/jobQueue');
+  jobQueue.start();
+  
   // Test Cloudinary Connection
   const { testConnection } = require('./config/cloudinary');
   testConnection();
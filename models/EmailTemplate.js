@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Admin-edited email template; overrides the built-in default with the same key
+const emailTemplateSchema = new mongoose.Schema({
+  // Key of the default in services/emailTemplates, e.g. 'order_confirmation'
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  // Inactive templates are kept but the default is sent instead
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('EmailTemplate', emailTemplateSchema);
@@ -52,6 +52,33 @@ const inquirySchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Geometry extracted from the part's DXF drawing (all lengths in mm, area in mm²)
+    geometry: {
+      sourceFile: String,
+      cutLength: Number,
+      pierceCount: Number,
+      boundingBox: {
+        minX: Number,
+        minY: Number,
+        maxX: Number,
+        maxY: Number,
+        width: Number,
+        height: Number
+      },
+      netArea: Number,
+      bendLines: [{
+        _id: false,
+        startX: Number,
+        startY: Number,
+        endX: Number,
+        endY: Number,
+        length: Number,
+        layer: String
+      }],
+      bendCount: Number,
+      warnings: [String],
+      analyzedAt: Date
+    },
     created: {
       type: Date,
       default: Date.now
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Background job processed by services/jobQueue (emails, SMS, PDF generation)
+const jobSchema = new mongoose.Schema({
+  // Handler name, e.g. 'email', 'sms', 'quotation_pdf'
+  type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // queued jobs with attempts > 0 are waiting for a retry; dead jobs ran out of attempts
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'dead'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lockedBy: String,
+  lastError: String,
+  failures: [{
+    _id: false,
+    attempt: Number,
+    error: String,
+    failedAt: Date
+  }],
+  result: mongoose.Schema.Types.Mixed,
+  completedAt: Date,
+  deadAt: Date
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ type: 1, status: 1, createdAt: -1 });
+// Completed jobs are kept for a week; dead jobs stay until retried
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -31,6 +31,26 @@ const nomenclatureConfigSchema = new mongoose.Schema({
     default: 800,
     min: 0
   },
+  invoicePrefix: {
+    type: String,
+    default: 'INV',
+    maxlength: 6
+  },
+  invoiceStartNumber: {
+    type: Number,
+    default: 1000,
+    min: 0
+  },
+  creditNotePrefix: {
+    type: String,
+    default: 'CN',
+    maxlength: 6
+  },
+  creditNoteStartNumber: {
+    type: Number,
+    default: 100,
+    min: 0
+  },
   separator: {
     type: String,
     default: '-',
@@ -53,6 +73,14 @@ const nomenclatureConfigSchema = new mongoose.Schema({
     type: Number,
     default: 800
   },
+  currentInvoiceNumber: {
+    type: Number,
+    default: 1000
+  },
+  currentCreditNoteNumber: {
+    type: Number,
+    default: 100
+  },
   updatedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -78,30 +106,43 @@ nomenclatureConfigSchema.statics.getConfig = async function() {
 nomenclatureConfigSchema.statics.generateId = async function(type) {
   const config = await this.getConfig();
   
-  let prefix, currentNumber, startNumber;
+  let prefix, startNumber;
   
   switch(type) {
     case 'inquiry':
       prefix = config.inquiryPrefix || 'INQ';
-      currentNumber = config.currentInquiryNumber || config.inquiryStartNumber || 1200;
       startNumber = config.inquiryStartNumber || 1200;
       break;
     case 'quotation':
       prefix = config.quotationPrefix || 'QTN';
-      currentNumber = config.currentQuotationNumber || config.quotationStartNumber || 500;
       startNumber = config.quotationStartNumber || 500;
       break;
     case 'order':
       prefix = config.orderPrefix || 'ORD';
-      currentNumber = config.currentOrderNumber || config.orderStartNumber || 800;
       startNumber = config.orderStartNumber || 800;
       break;
+    case 'invoice':
+      prefix = config.invoicePrefix || 'INV';
+      startNumber = config.invoiceStartNumber || 1000;
+      break;
+    case 'creditNote':
+      prefix = config.creditNotePrefix || 'CN';
+      startNumber = config.creditNoteStartNumber || 100;
+      break;
     default:
       throw new Error(`Unknown type: ${type}`);
   }
   
-  // Increment current number
-  const nextNumber = currentNumber + 1;
+  // Atomic increment so concurrent callers never share or skip a number.
+  // Configs saved before a counter existed start it from the configured start number.
+  const counterField = `current${type.charAt(0).toUpperCase() + type.slice(1)}Number`;
+  await this.updateOne({ _id: config._id, [counterField]: { $exists: false } }, { $set: { [counterField]: startNumber } });
+  const counter = await this.findOneAndUpdate(
+    { _id: config._id },
+    { $inc: { [counterField]: 1 }, $set: { updatedAt: new Date() } },
+    { new: true }
+  ).lean();
+  const nextNumber = counter[counterField];
   
   // Build ID
   let id = prefix;
@@ -125,16 +166,6 @@ nomenclatureConfigSchema.statics.generateId = async function(type) {
     }
   }
   
-  // Update current number in config
-  const updateField = `current${type.charAt(0).toUpperCase() + type.slice(1)}Number`;
-  await this.updateOne(
-    { _id: config._id },
-    { 
-      [updateField]: nextNumber,
-      updatedAt: new Date()
-    }
-  );
-  
   return id;
 };
 
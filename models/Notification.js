@@ -40,6 +40,18 @@ const notificationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  // Lifecycle event that raised it, e.g. 'order_dispatched' (see notificationDispatcher)
+  event: {
+    type: String
+  },
+  // Archived notifications are hidden from the default list but kept
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -53,6 +65,7 @@ const notificationSchema = new mongoose.Schema({
 
 // Index for efficient queries
 notificationSchema.index({ userId: 1, read: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, archived: 1, createdAt: -1 });
 
 // Method to mark as read
 notificationSchema.methods.markAsRead = function() {
@@ -68,16 +81,34 @@ notificationSchema.statics.createNotification = async function(data) {
   return notification;
 };
 
-// Static method to get user notifications
-notificationSchema.statics.getUserNotifications = async function(userId, limit = 50) {
-  return this.find({ userId })
-    .sort({ createdAt: -1 })
-    .limit(limit);
+// Static method to get a page of user notifications.
+// Filters: type and event (single value or array), read, archived (default false)
+notificationSchema.statics.getUserNotifications = async function(userId, { page = 1, limit = 20, type, event, read, archived = false } = {}) {
+  // Notifications saved before archiving existed have no archived field
+  const filter = { userId, archived: archived ? true : { $ne: true } };
+  if (type) {
+    filter.type = Array.isArray(type) ? { $in: type } : type;
+  }
+  if (event) {
+    filter.event = Array.isArray(event) ? { $in: event } : event;
+  }
+  if (read !== undefined) {
+    filter.read = read;
+  }
+
+  const [notifications, total] = await Promise.all([
+    this.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    this.countDocuments(filter)
+  ]);
+  return { notifications, total };
 };
 
 // Static method to get unread count
 notificationSchema.statics.getUnreadCount = async function(userId) {
-  return this.countDocuments({ userId, read: false });
+  return this.countDocuments({ userId, read: false, archived: { $ne: true } });
 };
 
 module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const channelToggleSchema = new mongoose.Schema({
+  email: Boolean,
+  sms: Boolean,
+  inApp: Boolean,
+  websocket: Boolean
+}, { _id: false });
+
+// Which events reach a user on which channels; see notificationDispatcher for the event list
+const notificationPreferenceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Master switch per channel
+  channels: {
+    email: { type: Boolean, default: true },
+    sms: { type: Boolean, default: true },
+    inApp: { type: Boolean, default: true },
+    websocket: { type: Boolean, default: true }
+  },
+  // Per-event overrides keyed by event, e.g. { order_dispatched: { sms: false } };
+  // channels left unset use the event default
+  events: {
+    type: Map,
+    of: channelToggleSchema,
+    default: {}
+  },
+  // Email and SMS raised during quiet hours are held until they end
+  quietHours: {
+    enabled: { type: Boolean, default: false },
+    start: { type: String, default: '22:00' },
+    end: { type: String, default: '07:00' },
+    timezone: { type: String, default: 'Asia/Kolkata' }
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
 
+// Shop-floor stages every part goes through, in order
+const PRODUCTION_STAGES = ['laser_cutting', 'bending', 'welding', 'finishing', 'qc', 'packing'];
+// Stages that can't be marked as not needed for a part
+const MANDATORY_STAGES = ['laser_cutting', 'qc', 'packing'];
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -23,7 +28,7 @@ const orderSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'in_production', 'ready_for_dispatch', 'dispatched', 'delivered', 'cancelled'],
+    enum: ['pending', 'confirmed', 'in_production', 'ready_for_dispatch', 'partially_dispatched', 'dispatched', 'delivered', 'cancelled'],
     default: 'pending'
   },
   parts: [{
@@ -35,6 +40,43 @@ const orderSchema = new mongoose.Schema({
     remarks: String,
     unitPrice: Number,
     totalPrice: Number,
+    // Quantity sent out in shipments so far
+    dispatchedQuantity: {
+      type: Number,
+      default: 0
+    },
+    // Shop-floor progress, created when production starts
+    stages: [{
+      _id: false,
+      stage: {
+        type: String,
+        enum: PRODUCTION_STAGES,
+        required: true
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'in_progress', 'completed', 'skipped'],
+        default: 'pending'
+      },
+      completedQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      operator: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      operatorName: String,
+      notes: String,
+      startedAt: Date,
+      completedAt: Date,
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      updatedAt: Date
+    }],
     created: {
       type: Date,
       default: Date.now
@@ -60,27 +102,144 @@ const orderSchema = new mongoose.Schema({
     zipCode: String
   },
   specialInstructions: String,
+  // GST breakup calculated by services/taxService (totalAmount equals tax.grandTotal)
+  tax: {
+    pricesIncludeTax: Boolean,
+    isInterState: Boolean,
+    supplierStateCode: String,
+    placeOfSupply: String,
+    placeOfSupplyCode: String,
+    customerGstin: String,
+    lines: [{
+      _id: false,
+      partRef: String,
+      material: String,
+      hsnCode: String,
+      quantity: Number,
+      gstRate: Number,
+      taxableValue: Number,
+      cgstAmount: Number,
+      sgstAmount: Number,
+      igstAmount: Number,
+      totalAmount: Number
+    }],
+    taxableAmount: Number,
+    cgstAmount: Number,
+    sgstAmount: Number,
+    igstAmount: Number,
+    totalTax: Number,
+    grandTotal: Number,
+    calculatedAt: Date
+  },
+  invoice: {
+    invoiceNumber: String,
+    invoiceDate: Date,
+    fileName: String
+  },
   payment: {
     method: {
       type: String,
-      enum: ['pending', 'credit_card', 'debit_card', 'bank_transfer', 'paypal', 'razorpay'],
+      enum: ['pending', 'credit_card', 'debit_card', 'bank_transfer', 'paypal', 'razorpay', 'cash_on_delivery'],
       default: 'pending'
     },
     status: {
       type: String,
-      enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
+      enum: ['pending', 'processing', 'partially_paid', 'completed', 'failed', 'refunded'],
       default: 'pending'
     },
     transactionId: String,
     amount: Number,
     paidAt: Date,
-    gateway: String
+    gateway: String,
+    gatewayOrderId: String,
+    failureReason: String,
+    failedAt: Date,
+    refundedAmount: Number,
+    refundedAt: Date,
+    refundId: String
   },
+  // Milestones copied from Settings.paymentSchedule when the order is created
+  paymentSchedule: [{
+    name: {
+      type: String,
+      required: true
+    },
+    percent: Number,
+    amount: Number,
+    paidAmount: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'partially_paid', 'paid'],
+      default: 'pending'
+    },
+    dueOnStatus: String, // order status at which the milestone falls due
+    requiredBefore: String, // order status that cannot be reached until it is paid
+    paidAt: Date
+  }],
+  // NEFT/RTGS proofs uploaded by the customer, verified by back office
+  bankTransferProofs: [{
+    utrNumber: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    transferDate: Date,
+    bankName: String,
+    milestone: mongoose.Schema.Types.ObjectId,
+    receipt: {
+      originalName: String,
+      url: String,
+      publicId: String,
+      fileType: String,
+      fileSize: Number
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'verified', 'rejected'],
+      default: 'pending'
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    rejectionReason: String,
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    }
+  }],
+  // Running totals - individual payments live in the Payment ledger
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  balanceDue: Number,
   production: {
     startDate: Date,
     estimatedCompletion: Date,
     actualCompletion: Date,
-    notes: String
+    notes: String,
+    progress: {
+      type: Number, // percent of stage quantities completed
+      default: 0
+    }
   },
   dispatch: {
     courier: String,
@@ -88,7 +247,78 @@ const orderSchema = new mongoose.Schema({
     dispatchedAt: Date,
     estimatedDelivery: Date,
     actualDelivery: Date,
-    notes: String
+    notes: String,
+    // Carrier tracking for orders dispatched without shipment records
+    tracking: {
+      carrier: String,
+      status: String,
+      lastTrackedAt: Date,
+      lastError: String,
+      events: [{
+        _id: false,
+        status: String,
+        rawStatus: String,
+        description: String,
+        location: String,
+        occurredAt: Date
+      }]
+    }
+  },
+  // Proof of delivery captured at each handover (one per shipment for split orders)
+  deliveryProofs: [{
+    shipment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shipment'
+    },
+    receiverName: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    receiverPhone: String,
+    signature: {
+      originalName: String,
+      url: String,
+      publicId: String,
+      fileType: String,
+      fileSize: Number
+    },
+    photos: [{
+      _id: false,
+      originalName: String,
+      url: String,
+      publicId: String,
+      fileType: String,
+      fileSize: Number
+    }],
+    location: {
+      latitude: Number,
+      longitude: Number,
+      accuracy: Number // metres, as reported by the device
+    },
+    capturedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    capturedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Set when a customer cancellation request is approved
+  cancellation: {
+    reason: String,
+    feePercent: Number,
+    feeAmount: Number,
+    changeRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OrderChangeRequest'
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date
   },
   timeline: [{
     status: String,
@@ -116,6 +346,19 @@ const orderSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Invoice numbers are sequential and must never repeat
+orderSchema.index({ 'invoice.invoiceNumber': 1 }, { unique: true, sparse: true });
+// Webhook reconciliation looks orders up by gateway ids
+orderSchema.index({ 'payment.gatewayOrderId': 1 });
+orderSchema.index({ 'payment.transactionId': 1 });
+// A UTR can only be claimed by one order (uniqueness is across orders, not within one)
+orderSchema.index(
+  { 'bankTransferProofs.utrNumber': 1 },
+  { unique: true, partialFilterExpression: { 'bankTransferProofs.utrNumber': { $exists: true } } }
+);
+// Bank transfer verification queue
+orderSchema.index({ 'bankTransferProofs.status': 1 });
+
 // Generate order number using nomenclature config
 orderSchema.pre('save', async function() {
   if (this.isNew && !this.orderNumber) {
@@ -135,6 +378,14 @@ orderSchema.pre('save', async function() {
   }
 });
 
+// Set up stage tracking when production starts
+orderSchema.pre('save', function(next) {
+  if (this.isModified('status') && this.status === 'in_production') {
+    this.initializeProductionStages();
+  }
+  next();
+});
+
 // Add timeline entry when status changes
 orderSchema.pre('save', function(next) {
   if (this.isModified('status')) {
@@ -143,6 +394,7 @@ orderSchema.pre('save', function(next) {
       'confirmed': 'Order confirmed, payment verified',
       'in_production': 'Production started',
       'ready_for_dispatch': 'Production completed, ready for dispatch',
+      'partially_dispatched': 'Part of the order dispatched',
       'dispatched': 'Order dispatched',
       'delivered': 'Order delivered successfully',
       'cancelled': 'Order cancelled'
@@ -157,4 +409,268 @@ orderSchema.pre('save', function(next) {
   next();
 });
 
+// Issue the invoice number once the order is confirmed (see assignInvoiceNumber)
+orderSchema.pre('save', function() {
+  this.$locals.confirming = (this.isNew || this.isModified('status')) && this.status === 'confirmed';
+});
+
+orderSchema.post('save', async function() {
+  if (!this.$locals.confirming) {
+    return;
+  }
+  this.$locals.confirming = false;
+  try {
+    await this.constructor.assignInvoiceNumber(this);
+  } catch (error) {
+    // Assigned on the first invoice download instead
+    console.error(`Failed to assign invoice number for order ${this.orderNumber}:`, error);
+  }
+});
+
+// Give an order its invoice number if it has none. The conditional update means an
+// order never gets two numbers, however many callers race to assign one.
+orderSchema.statics.assignInvoiceNumber = async function(order) {
+  if (order.invoice && order.invoice.invoiceNumber) {
+    return order.invoice;
+  }
+
+  const NomenclatureConfig = require('./NomenclatureConfig');
+  const invoiceNumber = await NomenclatureConfig.generateId('invoice');
+  const assigned = await this.findOneAndUpdate(
+    { _id: order._id, 'invoice.invoiceNumber': { $in: [null, ''] } },
+    { $set: { 'invoice.invoiceNumber': invoiceNumber, 'invoice.invoiceDate': new Date() } },
+    { new: true }
+  ).select('invoice').lean() || await this.findById(order._id).select('invoice').lean();
+
+  // Already stored - keep the in-memory order in step without marking it modified
+  order.invoice = assigned.invoice;
+  order.unmarkModified('invoice');
+  return order.invoice;
+};
+
+const roundCurrency = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Forward order status flow used to decide which milestones block a status change
+orderSchema.statics.STATUS_FLOW = ['pending', 'confirmed', 'in_production', 'ready_for_dispatch', 'partially_dispatched', 'dispatched', 'delivered'];
+
+// Split totalAmount into milestones ({ name, percent, dueOnStatus, requiredBefore })
+orderSchema.methods.applyPaymentSchedule = function(milestones) {
+  const total = this.totalAmount || 0;
+  let allocated = 0;
+
+  this.paymentSchedule = (milestones || []).map((milestone, index, list) => {
+    // The last milestone absorbs rounding differences
+    const amount = index === list.length - 1
+      ? roundCurrency(total - allocated)
+      : roundCurrency(total * (milestone.percent || 0) / 100);
+    allocated += amount;
+
+    return {
+      name: milestone.name,
+      percent: milestone.percent,
+      amount,
+      paidAmount: 0,
+      status: 'pending',
+      dueOnStatus: milestone.dueOnStatus,
+      requiredBefore: milestone.requiredBefore
+    };
+  });
+
+  this.refreshBalance();
+  return this.paymentSchedule;
+};
+
+// Recalculate the outstanding balance
+orderSchema.methods.refreshBalance = function() {
+  this.balanceDue = Math.max(roundCurrency((this.totalAmount || 0) - (this.amountPaid || 0)), 0);
+};
+
+// Resize milestones after totalAmount changes, keeping what has already been paid against them
+orderSchema.methods.rescalePaymentSchedule = function() {
+  const schedule = this.paymentSchedule || [];
+  const total = this.totalAmount || 0;
+  let allocated = 0;
+
+  schedule.forEach((milestone, index) => {
+    milestone.amount = index === schedule.length - 1
+      ? roundCurrency(total - allocated)
+      : roundCurrency(total * (milestone.percent || 0) / 100);
+    allocated += milestone.amount;
+    milestone.status = milestone.paidAmount >= milestone.amount
+      ? 'paid'
+      : milestone.paidAmount > 0 ? 'partially_paid' : 'pending';
+  });
+
+  this.refreshBalance();
+  if (this.amountPaid > 0 && this.payment.status !== 'refunded') {
+    this.payment.status = this.balanceDue > 0 ? 'partially_paid' : 'completed';
+  }
+};
+
+/**
+ * Apply a captured payment to the order: allocate it to milestones in schedule
+ * order (starting with milestoneId when given) and update the payment summary.
+ * The payment itself is recorded in the Payment ledger; returns the allocations.
+ */
+orderSchema.methods.applyPayment = function({ amount, method, gateway, transactionId, milestoneId, paidAt } = {}) {
+  const schedule = this.paymentSchedule || [];
+  const target = milestoneId ? schedule.find(milestone => milestone._id.toString() === milestoneId.toString()) : null;
+  const ordered = target ? [target, ...schedule.filter(milestone => milestone !== target)] : schedule;
+  const allocations = [];
+  const receivedAt = paidAt || new Date();
+  // Form and JSON clients may send the amount as a string
+  amount = Number(amount) || 0;
+  let remaining = roundCurrency(amount);
+
+  for (const milestone of ordered) {
+    const due = roundCurrency(milestone.amount - milestone.paidAmount);
+    if (remaining <= 0 || due <= 0) continue;
+
+    const applied = Math.min(due, remaining);
+    milestone.paidAmount = roundCurrency(milestone.paidAmount + applied);
+    milestone.status = milestone.paidAmount >= milestone.amount ? 'paid' : 'partially_paid';
+    if (milestone.status === 'paid') {
+      milestone.paidAt = receivedAt;
+    }
+    remaining = roundCurrency(remaining - applied);
+    allocations.push({ milestone: milestone._id, name: milestone.name, amount: applied });
+  }
+
+  this.amountPaid = roundCurrency((this.amountPaid || 0) + amount);
+  this.refreshBalance();
+
+  if (this.payment.status !== 'refunded') {
+    this.payment.status = this.balanceDue > 0 ? 'partially_paid' : 'completed';
+    this.payment.amount = this.amountPaid;
+    this.payment.method = method || this.payment.method;
+    this.payment.gateway = gateway || this.payment.gateway;
+    this.payment.transactionId = transactionId || this.payment.transactionId;
+    this.payment.paidAt = receivedAt;
+  }
+
+  return allocations;
+};
+
+// Unpaid milestones that must be settled before the order can move to targetStatus
+orderSchema.methods.getBlockingMilestones = function(targetStatus) {
+  const flow = this.constructor.STATUS_FLOW;
+  // The first shipment is held to the same payment terms as a full dispatch
+  const targetIndex = flow.indexOf(targetStatus === 'partially_dispatched' ? 'dispatched' : targetStatus);
+  if (targetIndex === -1) {
+    return [];
+  }
+
+  return (this.paymentSchedule || []).filter(milestone => {
+    const requiredIndex = flow.indexOf(milestone.requiredBefore);
+    return milestone.status !== 'paid' && requiredIndex !== -1 && requiredIndex <= targetIndex;
+  });
+};
+
+orderSchema.statics.PRODUCTION_STAGES = PRODUCTION_STAGES;
+
+// Give every part the full stage list (parts that already have stages are left alone)
+orderSchema.methods.initializeProductionStages = function() {
+  (this.parts || []).forEach(part => {
+    if (!part.stages || part.stages.length === 0) {
+      part.stages = PRODUCTION_STAGES.map(stage => ({ stage }));
+    }
+  });
+  this.refreshProductionProgress();
+};
+
+// Recalculate production.progress from the completed quantities of every stage in use
+orderSchema.methods.refreshProductionProgress = function() {
+  let required = 0;
+  let completed = 0;
+
+  (this.parts || []).forEach(part => {
+    (part.stages || []).filter(stage => stage.status !== 'skipped').forEach(stage => {
+      required += part.quantity || 0;
+      completed += Math.min(stage.completedQuantity || 0, part.quantity || 0);
+    });
+  });
+
+  if (!this.production) {
+    this.production = {};
+  }
+  this.production.progress = required > 0 ? Math.round((completed / required) * 100) : 0;
+  return this.production.progress;
+};
+
+/**
+ * Record shop-floor progress for one stage of a part. completedQuantity is the
+ * running total for the stage and can't exceed what the previous stage has
+ * finished. Returns an error message, or null when the stage was updated.
+ */
+orderSchema.methods.updateProductionStage = function(partId, stageName, { completedQuantity, skipped, operator, operatorName, notes, updatedBy } = {}) {
+  const part = this.parts.id(partId);
+  if (!part) {
+    return 'Part not found';
+  }
+
+  const stages = part.stages || [];
+  const index = stages.findIndex(stage => stage.stage === stageName);
+  if (index === -1) {
+    return `Stage ${stageName} is not tracked for this part`;
+  }
+  const stage = stages[index];
+  const now = new Date();
+
+  if (skipped) {
+    if (MANDATORY_STAGES.includes(stageName)) {
+      return `Stage ${stageName} can't be skipped`;
+    }
+    if (stage.completedQuantity > 0) {
+      return `Stage ${stageName} has already started`;
+    }
+    stage.status = 'skipped';
+  } else if (completedQuantity !== undefined) {
+    const activeStages = stages.filter(other => other.status !== 'skipped' || other === stage);
+    const position = activeStages.indexOf(stage);
+    const previous = activeStages[position - 1];
+    const next = activeStages[position + 1];
+    const limit = previous ? previous.completedQuantity : part.quantity;
+
+    if (completedQuantity > part.quantity) {
+      return `Only ${part.quantity} pieces are ordered for ${part.partRef || part.partName}`;
+    }
+    if (completedQuantity > limit) {
+      return `Only ${limit} pieces have finished ${previous.stage}`;
+    }
+    if (next && completedQuantity < next.completedQuantity) {
+      return `${next.completedQuantity} pieces have already finished ${next.stage}`;
+    }
+
+    stage.completedQuantity = completedQuantity;
+    stage.status = completedQuantity >= part.quantity ? 'completed' : completedQuantity > 0 ? 'in_progress' : 'pending';
+    if (completedQuantity > 0 && !stage.startedAt) {
+      stage.startedAt = now;
+    }
+    stage.completedAt = stage.status === 'completed' ? now : undefined;
+  }
+
+  if (operator !== undefined) stage.operator = operator;
+  if (operatorName !== undefined) stage.operatorName = operatorName;
+  if (notes !== undefined) stage.notes = notes;
+  stage.updatedBy = updatedBy;
+  stage.updatedAt = now;
+
+  this.refreshProductionProgress();
+  return null;
+};
+
+// Parts with stages still open - these block the move to ready_for_dispatch
+orderSchema.methods.getIncompleteProductionParts = function() {
+  return (this.parts || []).filter(part =>
+    (part.stages || []).some(stage => !['completed', 'skipped'].includes(stage.status))
+  );
+};
+
+// Parts with quantity still to ship, as [{ part, remaining }]
+orderSchema.methods.getUndispatchedParts = function() {
+  return (this.parts || [])
+    .map(part => ({ part, remaining: (part.quantity || 0) - (part.dispatchedQuantity || 0) }))
+    .filter(entry => entry.remaining > 0);
+};
+
 module.exports = mongoose.model('Order', orderSchema);
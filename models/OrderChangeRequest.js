@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Customer requests to cancel or modify a placed order, decided by back office
+// Lifecycle: requested -> approved | rejected, or withdrawn by the customer
+const orderChangeRequestSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['cancellation', 'change'],
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Requested changes - only the fields being changed are set
+  changes: {
+    parts: [{
+      _id: false,
+      part: mongoose.Schema.Types.ObjectId,
+      partRef: String,
+      previousQuantity: Number,
+      quantity: Number
+    }],
+    deliveryAddress: {
+      street: String,
+      city: String,
+      state: String,
+      country: String,
+      zipCode: String
+    },
+    expectedDeliveryDate: Date
+  },
+  // Order status when the request was raised - cancellation fees depend on it
+  orderStatus: String,
+  cancellationFee: {
+    percent: Number,
+    amount: Number
+  },
+  // Order total before and after an approved request
+  previousTotal: Number,
+  newTotal: Number,
+  amountDelta: Number,
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'withdrawn'],
+    default: 'requested'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNotes: String,
+  // Refund raised for an approved request that leaves the customer in credit
+  refundRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefundRequest'
+  },
+  statusHistory: [{
+    _id: false,
+    status: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+orderChangeRequestSchema.index({ order: 1, createdAt: -1 });
+orderChangeRequestSchema.index({ customer: 1, createdAt: -1 });
+orderChangeRequestSchema.index({ status: 1, createdAt: -1 });
+
+// Move to a new status and keep the audit trail
+orderChangeRequestSchema.methods.setStatus = function(status, changedBy, note) {
+  this.status = status;
+  this.statusHistory.push({ status, changedBy, note, changedAt: new Date() });
+};
+
+module.exports = mongoose.model('OrderChangeRequest', orderChangeRequestSchema);
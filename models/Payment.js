@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Payment ledger - one entry per attempt, capture, failure or refund. Capture allocations
+// are filled in once the order saves, and entries are removed if the order write fails
+const paymentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: ['attempt', 'capture', 'failure', 'refund'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['initiated', 'succeeded', 'failed'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  method: String,
+  gateway: String, // razorpay, bank_transfer, cod, manual
+  source: {
+    type: String,
+    enum: ['checkout', 'verify', 'webhook', 'manual', 'simulated', 'bank_transfer', 'cod', 'backfill'],
+    required: true
+  },
+  transactionId: String, // gateway payment id
+  gatewayOrderId: String,
+  refundId: String,
+  // Milestones settled by a capture
+  allocations: [{
+    _id: false,
+    milestone: mongoose.Schema.Types.ObjectId,
+    name: String,
+    amount: Number
+  }],
+  reason: String,
+  notes: String,
+  refundRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefundRequest'
+  },
+  gatewayPayload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ order: 1, occurredAt: 1 });
+paymentSchema.index({ type: 1, status: 1, occurredAt: -1 });
+// A gateway payment can only be captured once (verify and webhook race for it)
+paymentSchema.index(
+  { type: 1, transactionId: 1 },
+  { unique: true, partialFilterExpression: { type: 'capture', transactionId: { $type: 'string' } } }
+);
+paymentSchema.index(
+  { refundId: 1 },
+  { unique: true, partialFilterExpression: { refundId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Payment', paymentSchema);
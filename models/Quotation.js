@@ -1,5 +1,24 @@
 const mongoose = require('mongoose');
 
+// Line item shared by the quotation and its revision snapshots
+const quotationItemSchema = new mongoose.Schema({
+  partRef: String,
+  material: String,
+  thickness: String,
+  grade: String,
+  quantity: Number,
+  unitPrice: Number,
+  totalPrice: Number,
+  remark: String,
+  // Per-line customer decision (partial acceptance)
+  lineStatus: {
+    type: String,
+    enum: ['quoted', 'accepted', 'rejected'],
+    default: 'quoted'
+  },
+  lineRejectionReason: String
+});
+
 const quotationSchema = new mongoose.Schema({
   quotationNumber: {
     type: String,
@@ -33,16 +52,15 @@ const quotationSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
-  items: [{
-    partRef: String,
-    material: String,
-    thickness: String,
-    grade: String,
-    quantity: Number,
-    unitPrice: Number,
-    totalPrice: Number,
-    remark: String
-  }],
+  items: [quotationItemSchema],
+  // Set when the customer accepts only some lines - totalAmount then covers the accepted lines only
+  partiallyAccepted: {
+    type: Boolean,
+    default: false
+  },
+  originalTotalAmount: {
+    type: Number
+  },
   quotationPdf: {
     type: String,
     required: false
@@ -71,7 +89,7 @@ const quotationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'created', 'uploaded', 'sent', 'accepted', 'rejected', 'order_created'],
+    enum: ['draft', 'created', 'uploaded', 'sent', 'accepted', 'rejected', 'order_created', 'expired'],
     default: 'draft'
   },
   sentAt: {
@@ -86,6 +104,18 @@ const quotationSchema = new mongoose.Schema({
   rejectionReason: {
     type: String
   },
+  expiredAt: {
+    type: Date
+  },
+  expiryReminderSentAt: {
+    type: Date
+  },
+  requoteRequestedAt: {
+    type: Date
+  },
+  requoteReason: {
+    type: String
+  },
   order: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Order'
@@ -110,6 +140,79 @@ const quotationSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Counter-offers and replies exchanged between the customer and back office
+  negotiationStatus: {
+    type: String,
+    enum: ['none', 'awaiting_backoffice', 'awaiting_customer'],
+    default: 'none'
+  },
+  negotiation: [{
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    authorRole: {
+      type: String,
+      enum: ['customer', 'backoffice'],
+      required: true
+    },
+    message: {
+      type: String,
+      default: ''
+    },
+    revisionNumber: Number,
+    counterOffer: [{
+      _id: false,
+      partRef: String,
+      itemIndex: Number,
+      quotedUnitPrice: Number,
+      targetUnitPrice: Number,
+      quotedQuantity: Number,
+      quantity: Number
+    }],
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Top-level items/totals/PDF/timestamps always describe the current (latest) revision.
+  // Every revision, including the current one, is snapshotted here.
+  currentRevision: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  revisions: [{
+    revisionNumber: {
+      type: Number,
+      required: true
+    },
+    items: [quotationItemSchema],
+    totalAmount: Number,
+    originalTotalAmount: Number,
+    partiallyAccepted: Boolean,
+    quotationPdf: String,
+    quotationPdfFilename: String,
+    status: String,
+    validUntil: Date,
+    terms: String,
+    notes: String,
+    changeSummary: String,
+    sentAt: Date,
+    acceptedAt: Date,
+    rejectedAt: Date,
+    rejectionReason: String,
+    expiredAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -141,6 +244,118 @@ quotationSchema.pre('save', async function() {
   }
 });
 
+// Fields copied between the top-level quotation and its revision snapshots
+const REVISION_FIELDS = [
+  'items', 'totalAmount', 'originalTotalAmount', 'partiallyAccepted', 'quotationPdf', 'quotationPdfFilename', 'status', 'validUntil',
+  'terms', 'notes', 'sentAt', 'acceptedAt', 'rejectedAt', 'rejectionReason', 'expiredAt'
+];
+
+// Copy the top-level fields into the current revision's snapshot, creating it if missing
+const snapshotCurrentRevision = (quotation) => {
+  const revisionNumber = quotation.currentRevision || 1;
+  let revision = quotation.revisions.find(r => r.revisionNumber === revisionNumber);
+  if (!revision) {
+    quotation.revisions.push({ revisionNumber, createdBy: quotation.createdBy });
+    revision = quotation.revisions[quotation.revisions.length - 1];
+  }
+  REVISION_FIELDS.forEach(field => {
+    const value = quotation[field];
+    revision[field] = field === 'items'
+      ? (value || []).map(item => (item.toObject ? item.toObject() : item))
+      : value;
+  });
+  return revision;
+};
+
+// Keep the snapshot of the current revision in sync with the top-level fields
+quotationSchema.pre('save', function() {
+  snapshotCurrentRevision(this);
+});
+
+// Quotations still awaiting a customer decision (these can expire or be negotiated)
+const OPEN_STATUSES = ['draft', 'created', 'uploaded', 'sent'];
+quotationSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+// Whether validUntil has passed (or the expiry job already marked it)
+quotationSchema.methods.isExpired = function(now = new Date()) {
+  if (this.status === 'expired') {
+    return true;
+  }
+  return OPEN_STATUSES.includes(this.status) && !!this.validUntil && this.validUntil < now;
+};
+
+// Accept some lines and reject the rest; totalAmount is recomputed from the accepted lines.
+// decisions: [{ itemIndex, accepted, reason }] - lines without a decision are accepted
+quotationSchema.methods.applyLineDecisions = function(decisions = []) {
+  const decisionByIndex = new Map(decisions.map(decision => [decision.itemIndex, decision]));
+
+  this.items.forEach((item, index) => {
+    const decision = decisionByIndex.get(index);
+    if (decision && decision.accepted === false) {
+      item.lineStatus = 'rejected';
+      item.lineRejectionReason = decision.reason || 'No reason provided';
+    } else {
+      item.lineStatus = 'accepted';
+      item.lineRejectionReason = undefined;
+    }
+  });
+
+  const acceptedItems = this.items.filter(item => item.lineStatus === 'accepted');
+  this.partiallyAccepted = acceptedItems.length < this.items.length;
+  if (this.partiallyAccepted) {
+    this.originalTotalAmount = this.originalTotalAmount || this.totalAmount;
+    this.totalAmount = acceptedItems.reduce((total, item) => total + (item.totalPrice || 0), 0);
+  }
+
+  return acceptedItems;
+};
+
+// Display label for a revision, e.g. "QTN-0501-2025 R2"
+quotationSchema.methods.getRevisionLabel = function(revisionNumber = this.currentRevision) {
+  return `${this.quotationNumber} R${revisionNumber || 1}`;
+};
+
+// Start a new revision: the current one stays in `revisions`, top-level fields are reset for the new one.
+// Quotations created before revisions existed have no snapshot yet, so it is taken here first.
+quotationSchema.methods.createRevision = function({ items, totalAmount, validUntil, terms, notes, changeSummary, createdBy }) {
+  const previous = snapshotCurrentRevision(this);
+  if (OPEN_STATUSES.includes(previous.status)) {
+    previous.status = 'superseded';
+  }
+
+  this.currentRevision = (this.currentRevision || 1) + 1;
+  this.revisions.push({
+    revisionNumber: this.currentRevision,
+    changeSummary: changeSummary || '',
+    createdBy
+  });
+
+  this.items = items;
+  this.totalAmount = totalAmount;
+  if (validUntil) this.validUntil = validUntil;
+  if (terms !== undefined) this.terms = terms;
+  if (notes !== undefined) this.notes = notes;
+
+  // The new revision has its own PDF and lifecycle
+  this.quotationPdf = undefined;
+  this.quotationPdfFilename = undefined;
+  this.quotationPdfData = undefined;
+  this.quotationPdfBuffer = undefined;
+  this.status = 'draft';
+  this.sentAt = undefined;
+  this.acceptedAt = undefined;
+  this.rejectedAt = undefined;
+  this.rejectionReason = undefined;
+  this.partiallyAccepted = false;
+  this.originalTotalAmount = undefined;
+  this.expiredAt = undefined;
+  this.expiryReminderSentAt = undefined;
+  this.requoteRequestedAt = undefined;
+  this.requoteReason = undefined;
+
+  return this;
+};
+
 // Exclude PDF buffer from JSON responses (too large)
 // Note: This only affects API responses, NOT database storage
 quotationSchema.methods.toJSON = function() {
@@ -171,5 +386,6 @@ quotationSchema.methods.toJSON = function() {
 quotationSchema.index({ 'customerInfo.email': 1 });
 quotationSchema.index({ status: 1 });
 quotationSchema.index({ createdAt: -1 });
+quotationSchema.index({ status: 1, validUntil: 1 }); // For the expiry job
 
 module.exports = mongoose.model('Quotation', quotationSchema);
\ No newline at end of file
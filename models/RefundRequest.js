@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// Refund lifecycle: requested -> approved -> processing -> completed | failed, or rejected.
+// Refunds the gateway can't cover stay approved until back office settles them manually.
+const refundRequestSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requestedByRole: String,
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Line items being refunded - empty for a plain amount refund
+  items: [{
+    _id: false,
+    part: mongoose.Schema.Types.ObjectId,
+    partRef: String,
+    partName: String,
+    hsnCode: String,
+    quantity: Number,
+    unitAmount: Number, // tax inclusive
+    gstRate: Number,
+    taxableValue: Number,
+    cgstAmount: Number,
+    sgstAmount: Number,
+    igstAmount: Number,
+    amount: Number
+  }],
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'processing', 'completed', 'failed'],
+    default: 'requested'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNotes: String,
+  // Gateway refund details
+  gateway: String,
+  transactionId: String, // payment being refunded
+  gatewayRefundId: String,
+  // One gateway refund per capture when the amount is split across captures
+  gatewayRefunds: [{
+    _id: false,
+    transactionId: String,
+    refundId: String,
+    amount: Number
+  }],
+  processedAt: Date,
+  failureReason: String,
+  creditNote: {
+    creditNoteNumber: String,
+    creditNoteDate: Date,
+    fileName: String
+  },
+  statusHistory: [{
+    _id: false,
+    status: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+refundRequestSchema.index({ order: 1, createdAt: -1 });
+refundRequestSchema.index({ customer: 1, createdAt: -1 });
+refundRequestSchema.index({ status: 1, createdAt: -1 });
+refundRequestSchema.index({ 'creditNote.creditNoteNumber': 1 }, { unique: true, sparse: true });
+
+// Statuses that still hold part of the order's refundable balance - failed requests can be approved again
+refundRequestSchema.statics.OPEN_STATUSES = ['requested', 'approved', 'processing', 'failed'];
+
+// Move to a new status and keep the audit trail
+refundRequestSchema.methods.setStatus = function(status, changedBy, note) {
+  this.status = status;
+  this.statusHistory.push({ status, changedBy, note, changedAt: new Date() });
+};
+
+module.exports = mongoose.model('RefundRequest', refundRequestSchema);
@@ -51,6 +51,197 @@ const settingsSchema = new mongoose.Schema({
     }],
     default: []
   },
+  // Rates used by services/pricingService to suggest unit prices per part
+  pricingRates: {
+    materials: {
+      type: [{
+        material: {
+          type: String,
+          required: true
+        },
+        grade: {
+          type: String,
+          default: ''
+        },
+        density: {
+          type: Number, // kg/m³
+          default: 7850
+        },
+        costPerKg: {
+          type: Number,
+          default: 0
+        }
+      }],
+      default: []
+    },
+    // Fallback geometry when the part has no measured dimensions
+    defaultPartArea: {
+      type: Number, // m²
+      default: 0.25
+    },
+    defaultCutLength: {
+      type: Number, // m
+      default: 2
+    },
+    defaultBendCount: {
+      type: Number,
+      default: 0
+    },
+    cuttingCostPerMeter: {
+      type: Number, // per mm of thickness
+      default: 10
+    },
+    pierceCost: {
+      type: Number,
+      default: 1
+    },
+    bendingCostPerBend: {
+      type: Number,
+      default: 15
+    },
+    setupFee: {
+      type: Number, // per part line, spread across the quantity
+      default: 500
+    },
+    quantityBreaks: {
+      type: [{
+        minQuantity: {
+          type: Number,
+          required: true
+        },
+        discountPercent: {
+          type: Number,
+          required: true,
+          min: 0,
+          max: 100
+        }
+      }],
+      default: []
+    },
+    marginPercent: {
+      type: Number,
+      default: 20
+    }
+  },
+  // GST details used by services/taxService for tax invoices
+  taxSettings: {
+    companyLegalName: {
+      type: String,
+      default: 'KOMACUT'
+    },
+    companyGstin: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: ''
+    },
+    companyAddress: {
+      type: String,
+      default: ''
+    },
+    companyState: {
+      type: String,
+      default: ''
+    },
+    companyStateCode: {
+      type: String, // two-digit GST state code
+      default: ''
+    },
+    companyCity: {
+      type: String,
+      default: ''
+    },
+    companyPincode: {
+      type: String,
+      default: ''
+    },
+    // Consignments above this value (incl. GST) need an e-way bill
+    ewayBillThreshold: {
+      type: Number,
+      default: 50000
+    },
+    pricesIncludeTax: {
+      type: Boolean,
+      default: true
+    },
+    defaultGstRate: {
+      type: Number, // percent
+      default: 18
+    },
+    defaultHsnCode: {
+      type: String,
+      default: '7326'
+    },
+    hsnCodes: {
+      type: [{
+        material: {
+          type: String,
+          required: true
+        },
+        hsnCode: {
+          type: String,
+          required: true
+        },
+        gstRate: {
+          type: Number, // percent, overrides defaultGstRate
+          min: 0,
+          max: 100
+        }
+      }],
+      default: []
+    }
+  },
+  // Default payment milestones applied to new orders (percents must add up to 100)
+  paymentSchedule: {
+    type: [{
+      name: {
+        type: String,
+        required: true
+      },
+      percent: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+      },
+      dueOnStatus: {
+        type: String,
+        enum: ['pending', 'confirmed', 'in_production', 'ready_for_dispatch', 'dispatched', 'delivered'],
+        default: 'pending'
+      },
+      requiredBefore: {
+        type: String,
+        enum: ['', 'confirmed', 'in_production', 'ready_for_dispatch', 'dispatched', 'delivered'],
+        default: ''
+      }
+    }],
+    default: [
+      { name: 'Advance', percent: 50, dueOnStatus: 'pending', requiredBefore: 'in_production' },
+      { name: 'Balance before dispatch', percent: 50, dueOnStatus: 'ready_for_dispatch', requiredBefore: 'dispatched' }
+    ]
+  },
+  // Fee charged when a customer cancels, as a percent of the order total at that status
+  cancellationFees: {
+    type: [{
+      status: {
+        type: String,
+        enum: ['pending', 'confirmed', 'in_production', 'ready_for_dispatch'],
+        required: true
+      },
+      percent: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+      }
+    }],
+    default: [
+      { status: 'pending', percent: 0 },
+      { status: 'confirmed', percent: 5 },
+      { status: 'in_production', percent: 25 },
+      { status: 'ready_for_dispatch', percent: 50 }
+    ]
+  },
   updatedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+// Normalized scan event reported by the carrier
+const trackingEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['booked', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'exception', 'returned']
+  },
+  rawStatus: String,
+  description: String,
+  location: String,
+  occurredAt: Date
+}, { _id: false });
+
+// One consignment of an order - large orders go out in several
+const shipmentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // <orderNumber>-S<sequence>
+  shipmentNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  items: [{
+    _id: false,
+    part: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    partRef: String,
+    partName: String,
+    material: String,
+    thickness: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    weightKg: Number // total for the line
+  }],
+  // Consignment value incl. GST, used for the e-way bill threshold
+  value: Number,
+  // Transport details for the delivery challan and e-way bill Part-B
+  transport: {
+    mode: {
+      type: String,
+      enum: ['road', 'rail', 'air', 'ship'],
+      default: 'road'
+    },
+    vehicleNumber: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    vehicleType: {
+      type: String,
+      enum: ['regular', 'odc'],
+      default: 'regular'
+    },
+    transporterId: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    transporterName: String,
+    transportDocNumber: String,
+    transportDocDate: Date,
+    distanceKm: Number,
+    grossWeightKg: Number
+  },
+  ewayBill: {
+    required: {
+      type: Boolean,
+      default: false
+    },
+    number: String,
+    exportedAt: Date
+  },
+  courier: {
+    type: String,
+    required: true
+  },
+  trackingNumber: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['dispatched', 'delivered'],
+    default: 'dispatched'
+  },
+  dispatchedAt: {
+    type: Date,
+    default: Date.now
+  },
+  estimatedDelivery: Date,
+  notes: String,
+  // Carrier tracking timeline, filled in by the tracking poller
+  tracking: {
+    carrier: String,
+    status: String,
+    lastTrackedAt: Date,
+    lastError: String,
+    events: [trackingEventSchema]
+  },
+  packingList: {
+    fileName: String,
+    generatedAt: Date
+  },
+  delivery: {
+    deliveredAt: Date,
+    receivedBy: String,
+    notes: String,
+    confirmedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  dispatchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+shipmentSchema.index({ order: 1, sequence: 1 }, { unique: true });
+shipmentSchema.index({ trackingNumber: 1 });
+shipmentSchema.index({ status: 1, dispatchedAt: -1 });
+
+module.exports = mongoose.model('Shipment', shipmentSchema);
@@ -37,6 +37,12 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  gstin: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Invalid GSTIN']
+  },
   address: {
     street: {
       type: String,
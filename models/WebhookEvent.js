@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Payment gateway webhook deliveries, keyed by the gateway's event id so retries are processed once
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  gateway: {
+    type: String,
+    default: 'razorpay'
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  entityId: String, // payment or refund id
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  result: String,
+  error: String,
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  // Set on each attempt so a delivery stuck in processing (crash, hung handler) can be reclaimed
+  processingStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ event: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
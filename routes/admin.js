@@ -1,10 +1,18 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Order = require('../models/Order');
 const Inquiry = require('../models/Inquiry');
 const Quotation = require('../models/Quotation');
 const NomenclatureConfig = require('../models/NomenclatureConfig');
+const Job = require('../models/Job');
+const EmailTemplate = require('../models/EmailTemplate');
+const { ORDER_STATUSES, checkStatusTransition } = require('../services/orderStatusService');
+const { notify } = require('../services/notificationDispatcher');
+const { retryJob } = require('../services/jobQueue');
+const { DEFAULT_EMAIL_TEMPLATES } = require('../services/emailTemplates');
+const { validateTemplate } = require('../services/emailTemplateService');
 const { authenticateToken, requireAdmin, requireBackOffice } = require('../middleware/auth');
 const router = express.Router();
 
@@ -21,7 +29,7 @@ router.get('/dashboard/stats', authenticateToken, requireBackOffice, async (req,
       Inquiry.countDocuments(),
       Quotation.countDocuments(),
       Order.countDocuments({ 
-        status: { $in: ['confirmed', 'in_production', 'ready_for_dispatch', 'dispatched'] } 
+        status: { $in: ['confirmed', 'in_production', 'ready_for_dispatch', 'partially_dispatched', 'dispatched'] } 
       }),
       Order.countDocuments({ status: 'delivered' })
     ]);
@@ -100,9 +108,11 @@ router.get('/orders', authenticateToken, requireBackOffice, async (req, res) =>
 
 // Update order status (Admin/Back Office)
 router.put('/orders/:id/status', authenticateToken, requireBackOffice, [
-  body('status').isIn(['pending', 'confirmed', 'in_production', 'ready_for_dispatch', 'dispatched', 'delivered', 'cancelled']).withMessage('Invalid status'),
+  body('status').isIn(ORDER_STATUSES).withMessage('Invalid status'),
   body('notes').optional().isString(),
   body('estimatedDelivery').optional().isISO8601().withMessage('Valid delivery date is required'),
+  body('courier').optional().isString(),
+  body('trackingNumber').optional().isString()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -114,7 +124,7 @@ router.put('/orders/:id/status', authenticateToken, requireBackOffice, [
       });
     }
 
-    const { status, notes, estimatedDelivery } = req.body;
+    const { status, notes, estimatedDelivery, courier, trackingNumber } = req.body;
     const orderId = req.params.id;
 
     const order = await Order.findById(orderId)
@@ -144,21 +154,21 @@ router.put('/orders/:id/status', authenticateToken, requireBackOffice, [
       });
     }
 
-    // Validate status transition
-    const validTransitions = {
-      'pending': ['confirmed', 'cancelled'],
-      'confirmed': ['in_production', 'cancelled'],
-      'in_production': ['ready_for_dispatch', 'cancelled'],
-      'ready_for_dispatch': ['dispatched', 'cancelled'],
-      'dispatched': ['delivered'],
-      'delivered': [],
-      'cancelled': []
-    };
+    // Dispatch details can be supplied with the status change
+    if (status === 'dispatched' && (courier || trackingNumber)) {
+      if (!order.dispatch) {
+        order.dispatch = {};
+      }
+      order.dispatch.courier = courier || order.dispatch.courier;
+      order.dispatch.trackingNumber = trackingNumber || order.dispatch.trackingNumber;
+    }
 
-    if (validTransitions[oldStatus] && !validTransitions[oldStatus].includes(status)) {
-      return res.status(400).json({
+    const rejection = checkStatusTransition(order, status, req.userRole);
+    if (rejection) {
+      const { statusCode, ...details } = rejection;
+      return res.status(statusCode).json({
         success: false,
-        message: `Invalid status transition from ${oldStatus} to ${status}`
+        ...details
       });
     }
 
@@ -170,8 +180,9 @@ router.put('/orders/:id/status', authenticateToken, requireBackOffice, [
       order.payment = {};
     }
     
-    // Set payment status based on order status
-    if (status === 'delivered' || status === 'dispatched' || status === 'ready_for_dispatch' || status === 'in_production' || status === 'confirmed') {
+    // Set payment status based on order status (scheduled orders track recorded payments instead)
+    const hasSchedule = order.paymentSchedule && order.paymentSchedule.length > 0;
+    if (!hasSchedule && (status === 'delivered' || status === 'dispatched' || status === 'ready_for_dispatch' || status === 'in_production' || status === 'confirmed')) {
       order.payment.status = 'completed';
       if (!order.payment.paidAt) {
         order.payment.paidAt = new Date();
@@ -179,7 +190,7 @@ router.put('/orders/:id/status', authenticateToken, requireBackOffice, [
       if (!order.payment.method || order.payment.method === 'pending') {
         order.payment.method = 'bank_transfer';
       }
-    } else if (status === 'cancelled') {
+    } else if (!hasSchedule && status === 'cancelled') {
       order.payment.status = 'refunded';
     }
 
@@ -226,8 +237,34 @@ router.put('/orders/:id/status', authenticateToken, requireBackOffice, [
 
     await order.save();
 
-    // Send response immediately for fast user experience
-    // Emails will be sent in background (non-blocking)
+    // Queue customer emails for the new status before responding
+    const updatedOrder = await Order.findById(order._id)
+      .populate('customer', 'firstName lastName email phoneNumber');
+
+    if (updatedOrder) {
+      if (status === 'confirmed' && oldStatus !== 'confirmed') {
+        await notify('order_status', {
+          recipient: updatedOrder.customer,
+          email: ['sendOrderConfirmation', updatedOrder],
+          sms: ['sendOrderConfirmationSMS', updatedOrder, updatedOrder.customer]
+        });
+      }
+      if (status === 'in_production' && oldStatus !== 'in_production') {
+        await notify('order_status', {
+          recipient: updatedOrder.customer,
+          email: ['sendProductionStartedEmail', updatedOrder]
+        });
+      }
+      // Note: Order ready email removed - customer will only receive email when order is dispatched
+      if (status === 'dispatched' && oldStatus !== 'dispatched') {
+        await notify('order_dispatched', {
+          recipient: updatedOrder.customer,
+          email: ['sendDispatchNotification', updatedOrder],
+          sms: ['sendDispatchNotificationSMS', updatedOrder, updatedOrder.customer]
+        });
+      }
+    }
+
     res.json({
       success: true,
       message: 'Order status updated successfully',
@@ -239,74 +276,6 @@ router.put('/orders/:id/status', authenticateToken, requireBackOffice, [
       }
     });
 
-    // Send emails asynchronously in background (non-blocking)
-    // This doesn't block the API response
-    (async () => {
-      try {
-        // Re-fetch order with populated customer for email
-        const updatedOrder = await Order.findById(order._id)
-          .populate('customer', 'firstName lastName email phoneNumber');
-
-        if (!updatedOrder) {
-          console.error('Order not found for email sending:', order._id);
-          return;
-        }
-
-        // Send order confirmation email to customer when admin confirms the order
-        if (status === 'confirmed' && oldStatus !== 'confirmed') {
-          try {
-            console.log('📧 Sending order confirmation email to customer...');
-            const { sendOrderConfirmation } = require('../services/emailService');
-            await sendOrderConfirmation(updatedOrder);
-            console.log('✅ Order confirmation email sent successfully to customer:', updatedOrder.customer?.email);
-          } catch (emailError) {
-            console.error('❌ Order confirmation email failed:', emailError);
-            // Don't fail the operation if email fails
-          }
-        }
-
-        // Send production started email to customer when admin starts production
-        if (status === 'in_production' && oldStatus !== 'in_production') {
-          try {
-            console.log('📧 Sending production started email to customer...');
-            const { sendProductionStartedEmail } = require('../services/emailService');
-            await sendProductionStartedEmail(updatedOrder);
-            console.log('✅ Production started email sent successfully to customer:', updatedOrder.customer?.email);
-          } catch (emailError) {
-            console.error('❌ Production started email failed:', emailError);
-            // Don't fail the operation if email fails
-          }
-        }
-
-        // Note: Order ready email removed - customer will only receive email when order is dispatched
-
-        // Send dispatch notification email to customer when admin dispatches the order
-        if (status === 'dispatched' && oldStatus !== 'dispatched') {
-          try {
-            console.log('📧 Sending dispatch notification email to customer...');
-            console.log('Order dispatch details:', {
-              courier: updatedOrder.dispatch?.courier,
-              trackingNumber: updatedOrder.dispatch?.trackingNumber,
-              dispatchedAt: updatedOrder.dispatch?.dispatchedAt
-            });
-            console.log('Customer email:', updatedOrder.customer?.email);
-            
-            const { sendDispatchNotification } = require('../services/emailService');
-            await sendDispatchNotification(updatedOrder);
-            console.log('✅ Dispatch notification email sent successfully to customer:', updatedOrder.customer?.email);
-          } catch (emailError) {
-            console.error('❌ Dispatch notification email failed:', emailError);
-            console.error('Email error details:', emailError.message);
-            console.error('Email error stack:', emailError.stack);
-            // Don't fail the operation if email fails
-          }
-        }
-      } catch (error) {
-        console.error('Error in background email sending:', error);
-        // Silently fail - don't affect the main response
-      }
-    })();
-
   } catch (error) {
     console.error('Update order status error:', error);
     res.status(500).json({
@@ -349,6 +318,16 @@ router.put('/orders/:id/delivery', authenticateToken, requireBackOffice, [
     // Update dispatch details
     order.dispatch.courier = courier;
     order.dispatch.trackingNumber = trackingNumber;
+
+    const rejection = checkStatusTransition(order, 'dispatched', req.userRole);
+    if (rejection) {
+      const { statusCode, ...details } = rejection;
+      return res.status(statusCode).json({
+        success: false,
+        ...details
+      });
+    }
+
     order.dispatch.dispatchedAt = new Date();
     order.status = 'dispatched';
     
@@ -379,26 +358,12 @@ router.put('/orders/:id/delivery', authenticateToken, requireBackOffice, [
       });
     }
 
-    // Send dispatch notification email to customer
-    try {
-      console.log('📧 Sending dispatch notification email to customer...');
-      console.log('Order dispatch details:', {
-        courier: updatedOrder.dispatch?.courier,
-        trackingNumber: updatedOrder.dispatch?.trackingNumber,
-        dispatchedAt: updatedOrder.dispatch?.dispatchedAt,
-        estimatedDelivery: updatedOrder.dispatch?.estimatedDelivery
-      });
-      console.log('Customer email:', updatedOrder.customer?.email);
-      
-      const { sendDispatchNotification } = require('../services/emailService');
-      await sendDispatchNotification(updatedOrder);
-      console.log('✅ Dispatch notification email sent successfully to customer:', updatedOrder.customer?.email);
-    } catch (emailError) {
-      console.error('❌ Dispatch notification email failed:', emailError);
-      console.error('Email error details:', emailError.message);
-      console.error('Email error stack:', emailError.stack);
-      // Don't fail the operation if email fails
-    }
+    // Send dispatch notification email and SMS to customer
+    await notify('order_dispatched', {
+      recipient: updatedOrder.customer,
+      email: ['sendDispatchNotification', updatedOrder],
+      sms: ['sendDispatchNotificationSMS', updatedOrder, updatedOrder.customer]
+    });
 
     res.json({
       success: true,
@@ -897,6 +862,317 @@ router.put('/materials', authenticateToken, requireBackOffice, async (req, res)
   }
 });
 
+// Get pricing rates (Admin/Back Office)
+router.get('/pricing-rates', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const Settings = require('../models/Settings');
+    const settings = await Settings.getSettings();
+
+    res.json({
+      success: true,
+      pricingRates: settings.pricingRates
+    });
+  } catch (error) {
+    console.error('Get pricing rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update pricing rates (Admin/Back Office)
+router.put('/pricing-rates', authenticateToken, requireBackOffice, [
+  body('materials').optional().isArray(),
+  body('materials.*.material').optional().isString().notEmpty(),
+  body('materials.*.density').optional().isFloat({ min: 0 }),
+  body('materials.*.costPerKg').optional().isFloat({ min: 0 }),
+  body('defaultPartArea').optional().isFloat({ min: 0 }),
+  body('defaultCutLength').optional().isFloat({ min: 0 }),
+  body('defaultBendCount').optional().isInt({ min: 0 }),
+  body('cuttingCostPerMeter').optional().isFloat({ min: 0 }),
+  body('pierceCost').optional().isFloat({ min: 0 }),
+  body('bendingCostPerBend').optional().isFloat({ min: 0 }),
+  body('setupFee').optional().isFloat({ min: 0 }),
+  body('quantityBreaks').optional().isArray(),
+  body('quantityBreaks.*.minQuantity').optional().isInt({ min: 1 }),
+  body('quantityBreaks.*.discountPercent').optional().isFloat({ min: 0, max: 100 }),
+  body('marginPercent').optional().isFloat({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const Settings = require('../models/Settings');
+    const settings = await Settings.getSettings();
+
+    const fields = [
+      'materials',
+      'defaultPartArea',
+      'defaultCutLength',
+      'defaultBendCount',
+      'cuttingCostPerMeter',
+      'pierceCost',
+      'bendingCostPerBend',
+      'setupFee',
+      'quantityBreaks',
+      'marginPercent'
+    ];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        settings.pricingRates[field] = req.body[field];
+      }
+    });
+
+    settings.updatedBy = req.userId;
+    settings.updatedAt = new Date();
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Pricing rates updated successfully',
+      pricingRates: settings.pricingRates
+    });
+  } catch (error) {
+    console.error('Update pricing rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+// Get GST tax settings (Admin/Back Office)
+router.get('/tax-settings', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const Settings = require('../models/Settings');
+    const settings = await Settings.getSettings();
+
+    res.json({
+      success: true,
+      taxSettings: settings.taxSettings
+    });
+  } catch (error) {
+    console.error('Get tax settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update GST tax settings (Admin/Back Office)
+router.put('/tax-settings', authenticateToken, requireBackOffice, [
+  body('companyLegalName').optional().isString(),
+  body('companyGstin').optional({ checkFalsy: true }).matches(/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/i).withMessage('Invalid GSTIN'),
+  body('companyAddress').optional().isString(),
+  body('companyState').optional().isString(),
+  body('companyStateCode').optional({ checkFalsy: true }).matches(/^\d{2}$/).withMessage('State code must be two digits'),
+  body('companyCity').optional().isString(),
+  body('companyPincode').optional({ checkFalsy: true }).matches(/^\d{6}$/).withMessage('Pincode must be six digits'),
+  body('ewayBillThreshold').optional().isFloat({ min: 0 }),
+  body('pricesIncludeTax').optional().isBoolean(),
+  body('defaultGstRate').optional().isFloat({ min: 0, max: 100 }),
+  body('defaultHsnCode').optional().isString(),
+  body('hsnCodes').optional().isArray(),
+  body('hsnCodes.*.material').optional().isString().notEmpty(),
+  body('hsnCodes.*.hsnCode').optional().matches(/^\d{4,8}$/).withMessage('HSN code must be 4-8 digits'),
+  body('hsnCodes.*.gstRate').optional().isFloat({ min: 0, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const Settings = require('../models/Settings');
+    const settings = await Settings.getSettings();
+
+    const fields = [
+      'companyLegalName',
+      'companyGstin',
+      'companyAddress',
+      'companyState',
+      'companyStateCode',
+      'companyCity',
+      'companyPincode',
+      'ewayBillThreshold',
+      'pricesIncludeTax',
+      'defaultGstRate',
+      'defaultHsnCode',
+      'hsnCodes'
+    ];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        settings.taxSettings[field] = req.body[field];
+      }
+    });
+
+    settings.updatedBy = req.userId;
+    settings.updatedAt = new Date();
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Tax settings updated successfully',
+      taxSettings: settings.taxSettings
+    });
+  } catch (error) {
+    console.error('Update tax settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+// Get default payment schedule (Admin/Back Office)
+router.get('/payment-schedule', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const Settings = require('../models/Settings');
+    const settings = await Settings.getSettings();
+
+    res.json({
+      success: true,
+      paymentSchedule: settings.paymentSchedule
+    });
+  } catch (error) {
+    console.error('Get payment schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update default payment schedule (Admin/Back Office) - applies to orders created afterwards
+router.put('/payment-schedule', authenticateToken, requireBackOffice, [
+  body('milestones').isArray({ min: 1 }).withMessage('At least one milestone is required'),
+  body('milestones.*.name').isString().notEmpty(),
+  body('milestones.*.percent').isFloat({ min: 0, max: 100 }),
+  body('milestones.*.dueOnStatus').optional().isIn(['pending', 'confirmed', 'in_production', 'ready_for_dispatch', 'dispatched', 'delivered']),
+  body('milestones.*.requiredBefore').optional().isIn(['', 'confirmed', 'in_production', 'ready_for_dispatch', 'dispatched', 'delivered'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { milestones } = req.body;
+    const totalPercent = milestones.reduce((total, milestone) => total + parseFloat(milestone.percent), 0);
+    if (Math.abs(totalPercent - 100) > 0.01) {
+      return res.status(400).json({
+        success: false,
+        message: `Milestone percentages must add up to 100 (got ${totalPercent})`
+      });
+    }
+
+    const Settings = require('../models/Settings');
+    const settings = await Settings.getSettings();
+
+    settings.paymentSchedule = milestones.map(milestone => ({
+      name: milestone.name,
+      percent: parseFloat(milestone.percent),
+      dueOnStatus: milestone.dueOnStatus || 'pending',
+      requiredBefore: milestone.requiredBefore || ''
+    }));
+    settings.updatedBy = req.userId;
+    settings.updatedAt = new Date();
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Payment schedule updated successfully',
+      paymentSchedule: settings.paymentSchedule
+    });
+  } catch (error) {
+    console.error('Update payment schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+// Get cancellation fees by order status (Admin/Back Office)
+router.get('/cancellation-fees', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const Settings = require('../models/Settings');
+    const settings = await Settings.getSettings();
+
+    res.json({
+      success: true,
+      cancellationFees: settings.cancellationFees
+    });
+  } catch (error) {
+    console.error('Get cancellation fees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update cancellation fees by order status (Admin only)
+router.put('/cancellation-fees', authenticateToken, requireAdmin, [
+  body('fees').isArray().withMessage('Fees must be an array'),
+  body('fees.*.status').isIn(['pending', 'confirmed', 'in_production', 'ready_for_dispatch']).withMessage('Invalid order status'),
+  body('fees.*.percent').isFloat({ min: 0, max: 100 }).withMessage('Fee must be between 0 and 100 percent')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const Settings = require('../models/Settings');
+    const settings = await Settings.getSettings();
+
+    settings.cancellationFees = req.body.fees.map(fee => ({
+      status: fee.status,
+      percent: parseFloat(fee.percent)
+    }));
+    settings.updatedBy = req.userId;
+    settings.updatedAt = new Date();
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Cancellation fees updated successfully',
+      cancellationFees: settings.cancellationFees
+    });
+  } catch (error) {
+    console.error('Update cancellation fees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
 // Get nomenclature configuration (Admin/Back Office)
 router.get('/nomenclature', authenticateToken, requireBackOffice, async (req, res) => {
   try {
@@ -911,11 +1187,17 @@ router.get('/nomenclature', authenticateToken, requireBackOffice, async (req, re
         quotationStartNumber: config.quotationStartNumber,
         orderPrefix: config.orderPrefix,
         orderStartNumber: config.orderStartNumber,
+        invoicePrefix: config.invoicePrefix,
+        invoiceStartNumber: config.invoiceStartNumber,
+        creditNotePrefix: config.creditNotePrefix,
+        creditNoteStartNumber: config.creditNoteStartNumber,
         separator: config.separator,
         includeYearSuffix: config.includeYearSuffix,
         currentInquiryNumber: config.currentInquiryNumber,
         currentQuotationNumber: config.currentQuotationNumber,
-        currentOrderNumber: config.currentOrderNumber
+        currentOrderNumber: config.currentOrderNumber,
+        currentInvoiceNumber: config.currentInvoiceNumber,
+        currentCreditNoteNumber: config.currentCreditNoteNumber
       }
     });
   } catch (error) {
@@ -935,6 +1217,10 @@ router.put('/nomenclature', authenticateToken, requireBackOffice, [
   body('quotationStartNumber').optional().isInt({ min: 0 }),
   body('orderPrefix').optional().isString().isLength({ max: 6 }),
   body('orderStartNumber').optional().isInt({ min: 0 }),
+  body('invoicePrefix').optional().isString().isLength({ max: 6 }),
+  body('invoiceStartNumber').optional().isInt({ min: 0 }),
+  body('creditNotePrefix').optional().isString().isLength({ max: 6 }),
+  body('creditNoteStartNumber').optional().isInt({ min: 0 }),
   body('separator').optional().isString().isLength({ max: 2 }),
   body('includeYearSuffix').optional().isBoolean()
 ], async (req, res) => {
@@ -955,6 +1241,10 @@ router.put('/nomenclature', authenticateToken, requireBackOffice, [
       quotationStartNumber,
       orderPrefix,
       orderStartNumber,
+      invoicePrefix,
+      invoiceStartNumber,
+      creditNotePrefix,
+      creditNoteStartNumber,
       separator,
       includeYearSuffix
     } = req.body;
@@ -984,6 +1274,20 @@ router.put('/nomenclature', authenticateToken, requireBackOffice, [
         config.currentOrderNumber = orderStartNumber;
       }
     }
+    if (invoicePrefix !== undefined) config.invoicePrefix = invoicePrefix.toUpperCase();
+    if (invoiceStartNumber !== undefined) {
+      config.invoiceStartNumber = invoiceStartNumber;
+      if (config.currentInvoiceNumber < invoiceStartNumber) {
+        config.currentInvoiceNumber = invoiceStartNumber;
+      }
+    }
+    if (creditNotePrefix !== undefined) config.creditNotePrefix = creditNotePrefix.toUpperCase();
+    if (creditNoteStartNumber !== undefined) {
+      config.creditNoteStartNumber = creditNoteStartNumber;
+      if (config.currentCreditNoteNumber < creditNoteStartNumber) {
+        config.currentCreditNoteNumber = creditNoteStartNumber;
+      }
+    }
     if (separator !== undefined) config.separator = separator;
     if (includeYearSuffix !== undefined) config.includeYearSuffix = includeYearSuffix;
     
@@ -1002,11 +1306,17 @@ router.put('/nomenclature', authenticateToken, requireBackOffice, [
         quotationStartNumber: config.quotationStartNumber,
         orderPrefix: config.orderPrefix,
         orderStartNumber: config.orderStartNumber,
+        invoicePrefix: config.invoicePrefix,
+        invoiceStartNumber: config.invoiceStartNumber,
+        creditNotePrefix: config.creditNotePrefix,
+        creditNoteStartNumber: config.creditNoteStartNumber,
         separator: config.separator,
         includeYearSuffix: config.includeYearSuffix,
         currentInquiryNumber: config.currentInquiryNumber,
         currentQuotationNumber: config.currentQuotationNumber,
-        currentOrderNumber: config.currentOrderNumber
+        currentOrderNumber: config.currentOrderNumber,
+        currentInvoiceNumber: config.currentInvoiceNumber,
+        currentCreditNoteNumber: config.currentCreditNoteNumber
       }
     });
   } catch (error) {
@@ -1109,4 +1419,330 @@ router.put('/settings', authenticateToken, requireAdmin, [
   }
 });
 
+// List background jobs with per-status counts (Admin)
+router.get('/jobs', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { status, type, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status) {
+      filter.status = status;
+    }
+    if (type) {
+      filter.type = type;
+    }
+
+    const [jobs, total, statusCounts] = await Promise.all([
+      Job.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .lean(),
+      Job.countDocuments(filter),
+      Job.aggregate([
+        { $match: type ? { type } : {} },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = { queued: 0, processing: 0, completed: 0, dead: 0 };
+    statusCounts.forEach(({ _id, count }) => { counts[_id] = count; });
+
+    res.json({
+      success: true,
+      jobs,
+      counts,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get a single background job (Admin)
+router.get('/jobs/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const job = await Job.findById(req.params.id).lean();
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Re-queue a dead job with a fresh set of attempts (Admin)
+router.post('/jobs/:id/retry', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const job = await retryJob(req.params.id);
+    if (!job) {
+      const exists = await Job.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Only failed (dead) jobs can be retried' : 'Job not found'
+      });
+    }
+
+    console.log(`🔁 Job ${job.type} ${job._id} re-queued by ${req.userId}`);
+    res.json({
+      success: true,
+      message: 'Job re-queued',
+      job
+    });
+  } catch (error) {
+    console.error('Retry job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Summary of an email template for the admin editor: built-in metadata plus any saved override
+const formatEmailTemplate = (key, custom) => {
+  const defaults = DEFAULT_EMAIL_TEMPLATES[key];
+  return {
+    key,
+    name: defaults.name,
+    description: defaults.description,
+    source: defaults.source,
+    customized: !!custom,
+    isActive: custom ? custom.isActive : true,
+    subject: custom ? custom.subject : defaults.subject,
+    html: custom ? custom.html : defaults.html,
+    updatedBy: custom ? custom.updatedBy : null,
+    updatedAt: custom ? custom.updatedAt : null
+  };
+};
+
+// List email templates (Admin)
+router.get('/email-templates', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const customTemplates = await EmailTemplate.find().lean();
+    const customByKey = new Map(customTemplates.map(template => [template.key, template]));
+
+    const templates = Object.keys(DEFAULT_EMAIL_TEMPLATES).map(key => {
+      const { html, ...summary } = formatEmailTemplate(key, customByKey.get(key));
+      return summary;
+    });
+
+    res.json({
+      success: true,
+      templates
+    });
+  } catch (error) {
+    console.error('Get email templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get one email template with its built-in default (Admin)
+router.get('/email-templates/:key', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const defaults = DEFAULT_EMAIL_TEMPLATES[req.params.key];
+    if (!defaults) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email template not found'
+      });
+    }
+
+    const custom = await EmailTemplate.findOne({ key: req.params.key }).populate('updatedBy', 'firstName lastName email').lean();
+
+    res.json({
+      success: true,
+      template: formatEmailTemplate(req.params.key, custom),
+      default: {
+        subject: defaults.subject,
+        html: defaults.html
+      }
+    });
+  } catch (error) {
+    console.error('Get email template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Save an edited email template (Admin)
+router.put('/email-templates/:key', authenticateToken, requireAdmin, [
+  body('subject').isString().trim().notEmpty().withMessage('Subject is required'),
+  body('html').isString().trim().notEmpty().withMessage('HTML body is required'),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!DEFAULT_EMAIL_TEMPLATES[req.params.key]) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email template not found'
+      });
+    }
+
+    const { subject, html, isActive } = req.body;
+    const syntaxError = validateTemplate(subject) || validateTemplate(html);
+    if (syntaxError) {
+      return res.status(400).json({
+        success: false,
+        message: `Template syntax error: ${syntaxError}`
+      });
+    }
+
+    const template = await EmailTemplate.findOneAndUpdate(
+      { key: req.params.key },
+      {
+        subject,
+        html,
+        isActive: isActive !== undefined ? isActive : true,
+        updatedBy: req.userId
+      },
+      { upsert: true, new: true, runValidators: true }
+    ).lean();
+
+    console.log(`✉️ Email template ${req.params.key} updated by ${req.userId}`);
+    res.json({
+      success: true,
+      message: 'Email template saved successfully',
+      template: formatEmailTemplate(req.params.key, template)
+    });
+  } catch (error) {
+    console.error('Update email template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+// Reset an email template to its built-in default (Admin)
+router.delete('/email-templates/:key', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (!DEFAULT_EMAIL_TEMPLATES[req.params.key]) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email template not found'
+      });
+    }
+
+    await EmailTemplate.deleteOne({ key: req.params.key });
+
+    console.log(`✉️ Email template ${req.params.key} reset to default by ${req.userId}`);
+    res.json({
+      success: true,
+      message: 'Email template reset to default',
+      template: formatEmailTemplate(req.params.key, null)
+    });
+  } catch (error) {
+    console.error('Reset email template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Preview an email template against a real record (Admin)
+// Pass the record for the template's source (userId, inquiryId, quotationId or orderId);
+// subject/html preview unsaved edits, otherwise the saved template is used
+router.post('/email-templates/:key/preview', authenticateToken, requireAdmin, [
+  body(['userId', 'inquiryId', 'quotationId', 'orderId']).optional().isMongoId().withMessage('Invalid record ID'),
+  body('subject').optional().isString(),
+  body('html').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { subject, html } = req.body;
+    const override = {};
+    if (subject !== undefined) {
+      override.subject = subject;
+    }
+    if (html !== undefined) {
+      override.html = html;
+    }
+
+    const { previewEmailTemplate } = require('../services/emailService');
+    const preview = await previewEmailTemplate(
+      req.params.key,
+      req.body,
+      Object.keys(override).length > 0 ? override : null
+    );
+
+    if (!preview.success) {
+      return res.status(preview.statusCode).json({
+        success: false,
+        message: preview.message
+      });
+    }
+
+    res.json({
+      success: true,
+      subject: preview.subject,
+      html: preview.html,
+      variables: preview.variables
+    });
+  } catch (error) {
+    console.error('Preview email template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
@@ -80,7 +80,7 @@ router.get('/dashboard', authenticateToken, requireBackOffice, async (req, res)
     const revenueData = await Order.aggregate([
       {
         $match: {
-          status: { $in: ['confirmed', 'in_production', 'ready_for_dispatch', 'dispatched', 'delivered'] }
+          status: { $in: ['confirmed', 'in_production', 'ready_for_dispatch', 'partially_dispatched', 'dispatched', 'delivered'] }
         }
       },
       {
@@ -122,7 +122,7 @@ router.get('/dashboard', authenticateToken, requireBackOffice, async (req, res)
     const conversionRates = await Promise.all([
       Inquiry.countDocuments({ status: 'quoted' }),
       Quotation.countDocuments({ status: 'accepted' }),
-      Order.countDocuments({ status: { $in: ['confirmed', 'in_production', 'ready_for_dispatch', 'dispatched', 'delivered'] } })
+      Order.countDocuments({ status: { $in: ['confirmed', 'in_production', 'ready_for_dispatch', 'partially_dispatched', 'dispatched', 'delivered'] } })
     ]);
 
     const inquiryToQuoteRate = totalInquiries > 0 ? (conversionRates[0] / totalInquiries * 100).toFixed(2) : 0;
@@ -213,7 +213,7 @@ router.get('/sales', authenticateToken, requireBackOffice, async (req, res) => {
     }
 
     const salesData = await Order.aggregate([
-      { $match: { ...dateFilter, status: { $in: ['confirmed', 'in_production', 'ready_for_dispatch', 'dispatched', 'delivered'] } } },
+      { $match: { ...dateFilter, status: { $in: ['confirmed', 'in_production', 'ready_for_dispatch', 'partially_dispatched', 'dispatched', 'delivered'] } } },
       {
         $group: {
           _id: groupFormat,
@@ -326,48 +326,106 @@ router.get('/customers', authenticateToken, requireBackOffice, async (req, res)
 router.get('/payments', authenticateToken, requireBackOffice, async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    
+
+    // Read from the payment ledger so refunds and failures are counted
+    const result = await getPaymentAnalytics(startDate, endDate);
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to load payment analytics'
+      });
+    }
+
+    res.json({
+      success: true,
+      analytics: result.analytics,
+      methods: result.methods
+    });
+
+  } catch (error) {
+    console.error('Payment analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get quotation lines rejected by customers during partial acceptance
+router.get('/rejected-items', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
     let dateFilter = {};
     if (startDate && endDate) {
       dateFilter = {
-        'payment.paidAt': {
+        acceptedAt: {
           $gte: new Date(startDate),
           $lte: new Date(endDate)
         }
       };
     }
 
-    const paymentAnalytics = await Order.aggregate([
-      { $match: { ...dateFilter, 'payment.status': 'completed' } },
+    const basePipeline = [
+      { $match: { ...dateFilter, partiallyAccepted: true } },
+      { $unwind: '$items' },
+      { $match: { 'items.lineStatus': 'rejected' } }
+    ];
+
+    const summary = await Quotation.aggregate([
+      ...basePipeline,
       {
         $group: {
           _id: null,
-          totalPayments: { $sum: 1 },
-          totalAmount: { $sum: '$payment.amount' },
-          averagePayment: { $avg: '$payment.amount' }
+          rejectedLines: { $sum: 1 },
+          rejectedValue: { $sum: '$items.totalPrice' },
+          quotations: { $addToSet: '$_id' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          rejectedLines: 1,
+          rejectedValue: 1,
+          quotationsAffected: { $size: '$quotations' }
         }
       }
     ]);
 
-    const paymentMethods = await Order.aggregate([
-      { $match: { ...dateFilter, 'payment.status': 'completed' } },
+    const byReason = await Quotation.aggregate([
+      ...basePipeline,
       {
         $group: {
-          _id: '$payment.method',
+          _id: '$items.lineRejectionReason',
           count: { $sum: 1 },
-          totalAmount: { $sum: '$payment.amount' }
+          rejectedValue: { $sum: '$items.totalPrice' }
         }
-      }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
+    const byMaterial = await Quotation.aggregate([
+      ...basePipeline,
+      {
+        $group: {
+          _id: { material: '$items.material', thickness: '$items.thickness' },
+          count: { $sum: 1 },
+          rejectedValue: { $sum: '$items.totalPrice' }
+        }
+      },
+      { $sort: { count: -1 } },
+      { $limit: 20 }
     ]);
 
     res.json({
       success: true,
-      analytics: paymentAnalytics[0] || {},
-      methods: paymentMethods
+      analytics: summary[0] || { rejectedLines: 0, rejectedValue: 0, quotationsAffected: 0 },
+      byReason,
+      byMaterial
     });
 
   } catch (error) {
-    console.error('Payment analytics error:', error);
+    console.error('Rejected items analytics error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -2,13 +2,16 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { sendWelcomeEmail, sendLoginNotificationEmail } = require('../services/emailService');
+const { notify } = require('../services/notificationDispatcher');
 
 const router = express.Router();
 
 // JWT Secret
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-here-make-it-very-long-and-secure-for-production-use';
 
+// Indian GST registration number, e.g. 27ABCDE1234F1Z5
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
 // Generate JWT Token
 const generateToken = (userId, role) => {
   return jwt.sign({ userId, role }, JWT_SECRET, { expiresIn: '7d' });
@@ -28,6 +31,7 @@ router.post('/signup', [
   body('address.state').optional().trim(),
   body('address.zipCode').optional().trim(),
   body('address.country').optional().trim(),
+  body('gstin').optional({ checkFalsy: true }).trim().toUpperCase().matches(GSTIN_PATTERN).withMessage('Invalid GSTIN'),
   body('password').isLength({ min: 8 }).matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
 ], async (req, res) => {
   try {
@@ -41,7 +45,7 @@ router.post('/signup', [
       });
     }
 
-    const { email, firstName, lastName, phoneNumber, companyName, department, country, address, password } = req.body;
+    const { email, firstName, lastName, phoneNumber, companyName, department, country, address, gstin, password } = req.body;
 
     console.log('=== SIGNUP REQUEST ===');
     console.log('Email:', email);
@@ -78,18 +82,17 @@ router.post('/signup', [
       department,
       country,
       address: processedAddress,
+      gstin: gstin || undefined,
       password
     });
 
     await user.save();
 
     // Send welcome email
-    try {
-      await sendWelcomeEmail(user.email, user.firstName);
-    } catch (emailError) {
-      console.error('Welcome email failed:', emailError);
-      // Don't fail the signup if email fails
-    }
+    await notify('account_created', {
+      recipient: user,
+      email: ['sendWelcomeEmail', user.email, user.firstName]
+    });
 
     // Generate token
     const token = generateToken(user._id, user.role);
@@ -165,12 +168,11 @@ router.post('/login', [
 
     // Send login notification email to customer
     if (user.role === 'customer') {
-      try {
-        await sendLoginNotificationEmail(user);
-      } catch (emailError) {
-        console.error('Login notification email failed:', emailError);
-        // Don't fail the login if email fails
-      }
+      const { email, firstName, lastName, companyName, role } = user;
+      await notify('account_login', {
+        recipient: user,
+        email: ['sendLoginNotificationEmail', { email, firstName, lastName, companyName, role }, new Date()]
+      });
     }
 
     res.json({
@@ -234,10 +236,22 @@ router.get('/profile', async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile', async (req, res) => {
+router.put('/profile', [
+  body('gstin').optional({ checkFalsy: true }).isString().withMessage('GSTIN must be a string').bail()
+    .trim().toUpperCase().matches(GSTIN_PATTERN).withMessage('Invalid GSTIN')
+], async (req, res) => {
   try {
     console.log('=== UPDATE PROFILE REQUEST ===');
     console.log('Request body:', req.body);
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
     
     const token = req.headers.authorization?.split(' ')[1];
     if (!token) {
@@ -268,7 +282,7 @@ router.put('/profile', async (req, res) => {
     });
 
     // Update allowed fields
-    const { firstName, lastName, phoneNumber, companyName, department, country, address } = req.body;
+    const { firstName, lastName, phoneNumber, companyName, department, country, address, gstin } = req.body;
     
     if (firstName) user.firstName = firstName;
     if (lastName) user.lastName = lastName;
@@ -276,6 +290,8 @@ router.put('/profile', async (req, res) => {
     if (companyName) user.companyName = companyName;
     if (department) user.department = department;
     if (country) user.country = country;
+    // GSTIN can be cleared with an empty string (unregistered customer)
+    if (gstin !== undefined) user.gstin = gstin || undefined;
     
     // Update address if provided
     if (address) {
@@ -307,6 +323,14 @@ router.put('/profile', async (req, res) => {
     });
 
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
     console.error('Profile update error:', error);
     res.status(500).json({
       success: false,
@@ -22,7 +22,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
       Inquiry.find({ customer: userId }).select('_id').lean(), // Use lean for faster query
       Order.countDocuments({ customer: userId }),
       Order.countDocuments({ customer: userId, status: 'completed' }),
-      Order.countDocuments({ customer: userId, status: { $in: ['confirmed', 'in_production', 'dispatched'] } })
+      Order.countDocuments({ customer: userId, status: { $in: ['confirmed', 'in_production', 'partially_dispatched', 'dispatched'] } })
     ]);
 
     // Get inquiry IDs for quotation count
@@ -1,19 +1,231 @@
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const axios = require('axios');
 const { body, validationResult } = require('express-validator');
 const Order = require('../models/Order');
-const Notification = require('../models/Notification');
-const { sendDispatchNotification } = require('../services/emailService');
+const Shipment = require('../models/Shipment');
+const { SHIPPABLE_STATUSES, createShipment, confirmShipmentDelivery, notifyOrderDelivered } = require('../services/shipmentService');
+const pdfService = require('../services/pdfService');
+const trackingService = require('../services/trackingService');
+const { listCarriers } = require('../services/carriers');
+const { uploadFileToCloudinary, isCloudinaryConfigured } = require('../services/cloudinaryService');
+const { buildEwayBillJson } = require('../services/ewayBillService');
+const { notify } = require('../services/notificationDispatcher');
 
 // Import middleware from auth.js
 const { authenticateToken, requireBackOffice } = require('../middleware/auth');
 
 const router = express.Router();
 
+const canAccessOrder = (req, order) =>
+  ['admin', 'backoffice', 'subadmin'].includes(req.userRole) || (order.customer?._id || order.customer).toString() === req.userId;
+
+// Delivery signature and photos are kept in memory and uploaded straight to Cloudinary
+const proofUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+    files: 6
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedExtensions = ['.jpg', '.jpeg', '.png'];
+    if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error(`File type not allowed. Allowed types: ${allowedExtensions.join(', ')}`), false);
+    }
+  }
+});
+
+// Run the proof upload (one signature, up to 5 photos) and turn Multer errors into JSON responses
+const uploadDeliveryProof = (req, res, next) => {
+  proofUpload.fields([{ name: 'signature', maxCount: 1 }, { name: 'photos', maxCount: 5 }])(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    res.status(error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE' ? 'File too large. Maximum file size is 10MB.' : error.message
+    });
+  });
+};
+
+const deliveryProofValidators = [
+  body('receiverName').optional().isString().trim(),
+  body('receiverPhone').optional().isString().trim(),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  body('accuracy').optional().isFloat({ min: 0 }).withMessage('Invalid location accuracy')
+];
+
+/**
+ * Upload the captured signature and photos and build the proof of delivery entry.
+ * Returns { proof } (null when nothing was captured) or { statusCode, message }.
+ */
+const buildDeliveryProof = async (req, { receiverName, shipmentId }) => {
+  const signatureFile = req.files?.signature?.[0];
+  const photoFiles = req.files?.photos || [];
+  const { receiverPhone, latitude, longitude, accuracy } = req.body;
+  const hasLocation = latitude !== undefined || longitude !== undefined;
+
+  if (!receiverName && !signatureFile && photoFiles.length === 0 && !hasLocation) {
+    return { proof: null };
+  }
+  if (!receiverName) {
+    return { statusCode: 400, message: 'Receiver name is required with proof of delivery' };
+  }
+  if (hasLocation && (latitude === undefined || longitude === undefined)) {
+    return { statusCode: 400, message: 'Both latitude and longitude are required' };
+  }
+  if ((signatureFile || photoFiles.length > 0) && !isCloudinaryConfigured()) {
+    return { statusCode: 503, message: 'File storage is not configured' };
+  }
+
+  const uploadAttachment = async (file) => {
+    const uploaded = await uploadFileToCloudinary(file.buffer, file.originalname, 'delivery-proofs');
+    return {
+      originalName: file.originalname,
+      url: uploaded.url,
+      publicId: uploaded.public_id,
+      fileType: path.extname(file.originalname).toLowerCase(),
+      fileSize: file.size
+    };
+  };
+
+  return {
+    proof: {
+      shipment: shipmentId,
+      receiverName,
+      receiverPhone,
+      signature: signatureFile ? await uploadAttachment(signatureFile) : undefined,
+      photos: await Promise.all(photoFiles.map(uploadAttachment)),
+      location: hasLocation
+        ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude), accuracy: accuracy !== undefined ? parseFloat(accuracy) : undefined }
+        : undefined,
+      capturedBy: req.userId,
+      capturedAt: new Date()
+    }
+  };
+};
+
+// Fetch signature images so the challan can embed them; missing ones are left out
+const loadSignatureImages = async (proofs) => {
+  const images = {};
+  for (const proof of proofs) {
+    if (!proof.signature?.url) {
+      continue;
+    }
+    try {
+      const response = await axios.get(proof.signature.url, { responseType: 'arraybuffer', timeout: 15000 });
+      images[proof._id.toString()] = Buffer.from(response.data);
+    } catch (error) {
+      console.error(`Could not fetch delivery signature for proof ${proof._id}:`, error.message);
+    }
+  }
+  return images;
+};
+
+// Customer notifications for a new shipment (WebSocket, email, SMS and in-app)
+const notifyShipmentDispatched = async (order, shipment) => {
+  const partial = order.status === 'partially_dispatched';
+
+  await notify('order_dispatched', {
+    recipient: order.customer,
+    email: ['sendDispatchNotification', order],
+    sms: ['sendDispatchNotificationSMS', order, order.customer],
+    inApp: {
+      title: partial ? 'Shipment Dispatched' : 'Order Dispatched',
+      message: `${partial ? `Shipment ${shipment.shipmentNumber} of your order ${order.orderNumber}` : `Your order ${order.orderNumber}`} has been dispatched! Tracking Number: ${shipment.trackingNumber}, Courier: ${shipment.courier}.${shipment.estimatedDelivery ? ` Estimated delivery: ${new Date(shipment.estimatedDelivery).toLocaleDateString()}.` : ''}`,
+      type: 'success',
+      relatedEntity: {
+        type: 'order',
+        entityId: order._id
+      },
+      metadata: {
+        orderNumber: order.orderNumber,
+        shipmentNumber: shipment.shipmentNumber,
+        trackingNumber: shipment.trackingNumber,
+        courier: shipment.courier,
+        estimatedDelivery: shipment.estimatedDelivery,
+        dispatchedAt: shipment.dispatchedAt
+      }
+    },
+    websocket: ['notifyDispatchUpdate', order, shipment]
+  });
+};
+
+// Transport details for the delivery challan and e-way bill
+const transportValidators = [
+  body('transport').optional().isObject(),
+  body('transport.mode').optional().isIn(['road', 'rail', 'air', 'ship']).withMessage('Invalid transport mode'),
+  body('transport.vehicleNumber').optional().isString(),
+  body('transport.vehicleType').optional().isIn(['regular', 'odc']).withMessage('Invalid vehicle type'),
+  body('transport.transporterId').optional().isString(),
+  body('transport.transporterName').optional().isString(),
+  body('transport.transportDocNumber').optional().isString(),
+  body('transport.transportDocDate').optional().isISO8601(),
+  body('transport.distanceKm').optional().isFloat({ min: 0, max: 4000 }).withMessage('Distance must be between 0 and 4000 km'),
+  body('transport.grossWeightKg').optional().isFloat({ min: 0 }),
+  body('ewayBillNumber').optional().matches(/^\d{12}$/).withMessage('E-way bill number must be 12 digits')
+];
+
+const pickTransport = (transport = {}) => {
+  const fields = ['mode', 'vehicleNumber', 'vehicleType', 'transporterId', 'transporterName', 'transportDocNumber', 'transportDocDate', 'distanceKm', 'grossWeightKg'];
+  return fields.reduce((picked, field) => {
+    if (transport[field] !== undefined && transport[field] !== '') {
+      picked[field] = transport[field];
+    }
+    return picked;
+  }, {});
+};
+
+// Cash on delivery has to be collected with the handover that completes the order
+const getCodCollectionError = (order, codAmount, completesOrder) => {
+  const isCod = order.payment.method === 'cash_on_delivery';
+  const balanceDue = order.balanceDue !== undefined ? order.balanceDue : order.totalAmount - (order.amountPaid || 0);
+  if (isCod && completesOrder && balanceDue > 0 && !codAmount) {
+    return `Cash on delivery amount collected is required (balance due ₹${balanceDue})`;
+  }
+  if (codAmount && parseFloat(codAmount) - balanceDue > 0.01) {
+    return `Collected amount exceeds outstanding balance of ₹${balanceDue}`;
+  }
+  return null;
+};
+
+// Save the order, recording any COD collection in the payment ledger (which saves it too).
+// Returns false when the collection reference was already recorded.
+const saveWithCodCollection = async (order, { codAmount, codCollectionMethod, codReference, userId, paidAt }) => {
+  if (!codAmount) {
+    await order.save();
+    return true;
+  }
+
+  const { captureOrderPayment } = require('../services/paymentService');
+  const collected = await captureOrderPayment(order, {
+    amount: parseFloat(codAmount),
+    method: 'cash_on_delivery',
+    gateway: 'cod',
+    source: 'cod',
+    transactionId: codReference,
+    notes: `Collected by ${codCollectionMethod} at delivery`,
+    recordedBy: userId,
+    paidAt
+  });
+  return !!collected;
+};
+
+// Whether a COD collection reference is already in the payment ledger
+const isCollectionRecorded = (reference) => {
+  const Payment = require('../models/Payment');
+  return Payment.exists({ type: 'capture', transactionId: reference });
+};
+
 // Get orders ready for dispatch
 router.get('/ready', authenticateToken, requireBackOffice, async (req, res) => {
   try {
     const orders = await Order.find({
-      status: 'ready_for_dispatch'
+      status: { $in: SHIPPABLE_STATUSES }
     })
     .populate('customer', 'firstName lastName companyName email')
     .populate('inquiry', 'inquiryNumber')
@@ -33,12 +245,13 @@ router.get('/ready', authenticateToken, requireBackOffice, async (req, res) => {
   }
 });
 
-// Dispatch order
+// Dispatch order - ships everything that has not gone out yet
 router.post('/:orderId', authenticateToken, requireBackOffice, [
   body('trackingNumber').notEmpty(),
   body('courier').notEmpty(),
   body('estimatedDelivery').isISO8601(),
-  body('deliveryNotes').optional().isString()
+  body('deliveryNotes').optional().isString(),
+  ...transportValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -61,95 +274,445 @@ router.post('/:orderId', authenticateToken, requireBackOffice, [
       });
     }
 
-    if (order.status !== 'ready_for_dispatch') {
+    if (!SHIPPABLE_STATUSES.includes(order.status)) {
       return res.status(400).json({
         success: false,
         message: 'Order is not ready for dispatch'
       });
     }
 
-    // Update order with dispatch details
-    order.status = 'dispatched';
-    order.dispatch = {
+    const result = await createShipment(order, {
+      courier,
       trackingNumber,
+      estimatedDelivery,
+      notes: deliveryNotes,
+      transport: pickTransport(req.body.transport),
+      ewayBillNumber: req.body.ewayBillNumber
+    }, { userId: req.userId, userRole: req.userRole });
+    if (!result.success) {
+      const { statusCode, ...details } = result;
+      return res.status(statusCode).json(details);
+    }
+
+    await notifyShipmentDispatched(order, result.shipment);
+
+    res.json({
+      success: true,
+      message: 'Order dispatched successfully',
+      dispatch: {
+        orderNumber: order.orderNumber,
+        trackingNumber: order.dispatch.trackingNumber,
+        courier: order.dispatch.courier,
+        dispatchedAt: order.dispatch.dispatchedAt,
+        estimatedDelivery: order.dispatch.estimatedDelivery
+      },
+      shipment: result.shipment
+    });
+
+  } catch (error) {
+    console.error('Dispatch order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create a shipment for some of the order's parts
+router.post('/:orderId/shipments', authenticateToken, requireBackOffice, [
+  body('items').isArray({ min: 1 }).withMessage('At least one part is required'),
+  body('items.*.partId').isMongoId().withMessage('Valid part ID is required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.weightKg').optional().isFloat({ min: 0 }).withMessage('Weight must be a positive number'),
+  body('trackingNumber').notEmpty().withMessage('Tracking number is required'),
+  body('courier').notEmpty().withMessage('Courier is required'),
+  body('estimatedDelivery').optional().isISO8601(),
+  body('notes').optional().isString(),
+  ...transportValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { items, trackingNumber, courier, estimatedDelivery, notes } = req.body;
+    const order = await Order.findById(req.params.orderId)
+      .populate('customer', 'firstName lastName email phoneNumber');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const result = await createShipment(order, {
+      items,
       courier,
-      dispatchedAt: new Date(),
-      estimatedDelivery: new Date(estimatedDelivery),
-      deliveryNotes: deliveryNotes || ''
+      trackingNumber,
+      estimatedDelivery,
+      notes,
+      transport: pickTransport(req.body.transport),
+      ewayBillNumber: req.body.ewayBillNumber
+    }, { userId: req.userId, userRole: req.userRole });
+    if (!result.success) {
+      const { statusCode, ...details } = result;
+      return res.status(statusCode).json(details);
+    }
+
+    await notifyShipmentDispatched(order, result.shipment);
+
+    res.status(201).json({
+      success: true,
+      message: order.status === 'dispatched' ? 'Final shipment dispatched' : 'Shipment dispatched',
+      shipment: result.shipment,
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        remaining: order.getUndispatchedParts().map(({ part, remaining }) => ({
+          partId: part._id,
+          partRef: part.partRef,
+          remaining
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Create shipment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// List shipments for an order (Customer owner or Back Office)
+router.get('/:orderId/shipments', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId).select('orderNumber customer status parts');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canAccessOrder(req, order)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const shipments = await Shipment.find({ order: order._id })
+      .select('-dispatchedBy -delivery.confirmedBy')
+      .sort({ sequence: 1 });
+
+    res.json({
+      success: true,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      shipments,
+      remaining: order.getUndispatchedParts().map(({ part, remaining }) => ({
+        partId: part._id,
+        partRef: part.partRef,
+        partName: part.partName,
+        remaining
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get shipments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Download a shipment's packing list (Customer owner or Back Office)
+router.get('/:orderId/shipments/:shipmentId/packing-list', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId)
+      .populate('customer', 'firstName lastName companyName');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canAccessOrder(req, order)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const shipment = await Shipment.findOne({ _id: req.params.shipmentId, order: order._id });
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    const pdfResult = await pdfService.generatePackingListPDF(shipment, order);
+    shipment.packingList = {
+      fileName: pdfResult.fileName,
+      generatedAt: new Date()
     };
+    await shipment.save();
 
-    order.updatedAt = new Date();
-    await order.save();
+    res.download(pdfResult.filePath, `${shipment.shipmentNumber}-packing-list.pdf`);
 
-    // Send real-time WebSocket notification for dispatch update
-    try {
-      const websocketService = require('../services/websocketService');
-      websocketService.notifyDispatchUpdate(order);
-    } catch (wsError) {
-      console.error('WebSocket dispatch notification failed:', wsError);
+  } catch (error) {
+    console.error('Get packing list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Download the delivery challan for one consignment (back office)
+router.get('/:orderId/shipments/:shipmentId/challan', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId)
+      .populate('customer', 'firstName lastName companyName email phoneNumber');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
     }
 
-    // Send dispatch notification email to customer
-    try {
-      await sendDispatchNotification(order);
-      console.log('Dispatch notification email sent to customer:', order.customer.email);
-    } catch (emailError) {
-      console.error('Dispatch notification email failed:', emailError);
+    const shipment = await Shipment.findOne({ _id: req.params.shipmentId, order: order._id });
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
     }
 
-    // Send dispatch notification SMS to customer
-    try {
-      const { sendDispatchNotificationSMS } = require('../services/smsService');
-      const smsResult = await sendDispatchNotificationSMS(order, order.customer);
-      if (smsResult.success) {
-        console.log('Dispatch notification SMS sent to customer:', order.customer.phoneNumber);
-      } else {
-        console.log('Dispatch notification SMS failed:', smsResult.message);
-      }
-    } catch (smsError) {
-      console.error('Dispatch notification SMS failed:', smsError);
+    const proofs = order.deliveryProofs.filter(proof => proof.shipment && proof.shipment.toString() === shipment._id.toString());
+    const signatureImages = await loadSignatureImages(proofs);
+    const pdfResult = await pdfService.generateDeliveryChallanPDF(order, [shipment], signatureImages, { shipment });
+
+    res.download(pdfResult.filePath, `${shipment.shipmentNumber}-delivery-challan.pdf`);
+
+  } catch (error) {
+    console.error('Get shipment challan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Export the e-way bill for one consignment in the NIC bulk-upload JSON format (back office)
+router.get('/:orderId/shipments/:shipmentId/eway-bill', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId)
+      .populate('customer', 'firstName lastName companyName');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
     }
 
-    // Create notification for customer
-    try {
-await Notification.createNotification({
-  title: 'Order Dispatched',
-  message: `Your order ${order.orderNumber} has been dispatched! Tracking Number: ${trackingNumber}, Courier: ${courier}. Estimated delivery: ${new Date(estimatedDelivery).toLocaleDateString()}.`,
-  type: 'success',
-  userId: order.customer._id,
-  relatedEntity: {
-    type: 'order',
-    entityId: order._id
-  },
-  metadata: {
-    orderNumber: order.orderNumber,
-    trackingNumber: trackingNumber,
-    courier: courier,
-    estimatedDelivery: estimatedDelivery,
-    dispatchedAt: new Date()
+    const shipment = await Shipment.findOne({ _id: req.params.shipmentId, order: order._id });
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    const totalShipments = await Shipment.countDocuments({ order: order._id });
+    const result = await buildEwayBillJson(order, [shipment], totalShipments);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message,
+        errors: result.errors
+      });
+    }
+
+    shipment.ewayBill.exportedAt = new Date();
+    await shipment.save();
+
+    res.setHeader('Content-Disposition', `attachment; filename="${shipment.shipmentNumber}-eway-bill.json"`);
+    res.json(result.data);
+
+  } catch (error) {
+    console.error('Export e-way bill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
   }
 });
-      
-      console.log(`Created dispatch notification for customer: ${order.customer.email}`);
-    } catch (notificationError) {
-      console.error('Failed to create dispatch notification:', notificationError);
-      // Don't fail the operation if notification creation fails
+
+// Record the e-way bill number generated on the portal (back office)
+router.put('/:orderId/shipments/:shipmentId/eway-bill', authenticateToken, requireBackOffice, [
+  body('ewayBillNumber').matches(/^\d{12}$/).withMessage('E-way bill number must be 12 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
+    const shipment = await Shipment.findOne({ _id: req.params.shipmentId, order: req.params.orderId });
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    shipment.ewayBill.number = req.body.ewayBillNumber;
+    await shipment.save();
+
     res.json({
       success: true,
-      message: 'Order dispatched successfully',
-      dispatch: {
+      message: 'E-way bill number recorded',
+      shipment
+    });
+
+  } catch (error) {
+    console.error('Record e-way bill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Confirm delivery of a shipment - the order is delivered with its last shipment
+router.post('/:orderId/shipments/:shipmentId/delivered', authenticateToken, requireBackOffice, uploadDeliveryProof, [
+  body('deliveredAt').optional().isISO8601(),
+  body('receivedBy').optional().isString(),
+  body('notes').optional().isString(),
+  body('codAmount').optional().isFloat({ min: 0.01 }).withMessage('Valid collected amount is required'),
+  body('codCollectionMethod').optional().isIn(['cash', 'cheque', 'upi', 'card']).withMessage('Invalid collection method'),
+  body('codReference').optional().isString(),
+  ...deliveryProofValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { deliveredAt, notes, codAmount, codCollectionMethod = 'cash', codReference } = req.body;
+    const receivedBy = req.body.receiverName || req.body.receivedBy;
+    const order = await Order.findById(req.params.orderId)
+      .populate('customer', 'firstName lastName email phoneNumber');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const shipment = await Shipment.findOne({ _id: req.params.shipmentId, order: order._id });
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    if (shipment.status === 'delivered') {
+      return res.status(409).json({
+        success: false,
+        message: `Shipment ${shipment.shipmentNumber} is already delivered`
+      });
+    }
+
+    // COD has to be settled with the last consignment
+    const completesOrder = order.status === 'dispatched' &&
+      !(await Shipment.exists({ order: order._id, status: { $ne: 'delivered' }, _id: { $ne: shipment._id } }));
+    const codError = getCodCollectionError(order, codAmount, completesOrder);
+    if (codError) {
+      return res.status(400).json({
+        success: false,
+        message: codError
+      });
+    }
+
+    const { proof, statusCode, message } = await buildDeliveryProof(req, { receiverName: receivedBy, shipmentId: shipment._id });
+    if (statusCode) {
+      return res.status(statusCode).json({
+        success: false,
+        message
+      });
+    }
+
+    // Checked before the shipment is marked delivered, so a rejected collection can be retried
+    if (codAmount && codReference && await isCollectionRecorded(codReference)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This collection reference has already been recorded'
+      });
+    }
+
+    const previousStatus = shipment.status;
+    const { orderDelivered } = await confirmShipmentDelivery(order, shipment, { deliveredAt, receivedBy, notes, userId: req.userId });
+    if (proof) {
+      order.deliveryProofs.push(proof);
+    }
+
+    const saved = await saveWithCodCollection(order, { codAmount, codCollectionMethod, codReference, userId: req.userId, paidAt: shipment.delivery.deliveredAt });
+    if (!saved) {
+      // Recorded concurrently - put the shipment back so the delivery can be confirmed again
+      shipment.status = previousStatus;
+      shipment.delivery = undefined;
+      await shipment.save();
+      return res.status(409).json({
+        success: false,
+        message: 'This collection reference has already been recorded'
+      });
+    }
+
+    if (orderDelivered) {
+      await notifyOrderDelivered(order);
+    }
+
+    res.json({
+      success: true,
+      message: orderDelivered ? 'Final shipment delivered - order marked as delivered' : 'Shipment marked as delivered',
+      shipment,
+      deliveryProof: proof ? order.deliveryProofs[order.deliveryProofs.length - 1] : undefined,
+      order: {
+        id: order._id,
         orderNumber: order.orderNumber,
-        trackingNumber: order.dispatch.trackingNumber,
-        courier: order.dispatch.courier,
-        dispatchedAt: order.dispatch.dispatchedAt,
-        estimatedDelivery: order.dispatch.estimatedDelivery
+        status: order.status,
+        paymentStatus: order.payment.status,
+        amountPaid: order.amountPaid,
+        balanceDue: order.balanceDue
       }
     });
 
   } catch (error) {
-    console.error('Dispatch order error:', error);
+    console.error('Confirm shipment delivery error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -184,7 +747,7 @@ router.put('/:orderId', authenticateToken, requireBackOffice, [
       });
     }
 
-    if (!['dispatched', 'delivered'].includes(order.status)) {
+    if (!['partially_dispatched', 'dispatched', 'delivered'].includes(order.status)) {
       return res.status(400).json({
         success: false,
         message: 'Order is not dispatched'
@@ -216,9 +779,13 @@ router.put('/:orderId', authenticateToken, requireBackOffice, [
 });
 
 // Mark order as delivered
-router.post('/:orderId/delivered', authenticateToken, requireBackOffice, [
+router.post('/:orderId/delivered', authenticateToken, requireBackOffice, uploadDeliveryProof, [
   body('actualDelivery').isISO8601(),
-  body('deliveryNotes').optional().isString()
+  body('deliveryNotes').optional().isString(),
+  body('codAmount').optional().isFloat({ min: 0.01 }).withMessage('Valid collected amount is required'),
+  body('codCollectionMethod').optional().isIn(['cash', 'cheque', 'upi', 'card']).withMessage('Invalid collection method'),
+  body('codReference').optional().isString(),
+  ...deliveryProofValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -230,8 +797,9 @@ router.post('/:orderId/delivered', authenticateToken, requireBackOffice, [
       });
     }
 
-    const { actualDelivery, deliveryNotes } = req.body;
-    const order = await Order.findById(req.params.orderId);
+    const { actualDelivery, deliveryNotes, codAmount, codCollectionMethod = 'cash', codReference } = req.body;
+    const order = await Order.findById(req.params.orderId)
+      .populate('customer', 'firstName lastName email phoneNumber');
 
     if (!order) {
       return res.status(404).json({
@@ -247,68 +815,50 @@ router.post('/:orderId/delivered', authenticateToken, requireBackOffice, [
       });
     }
 
+    const codError = getCodCollectionError(order, codAmount, true);
+    if (codError) {
+      return res.status(400).json({
+        success: false,
+        message: codError
+      });
+    }
+
+    const { proof, statusCode, message } = await buildDeliveryProof(req, { receiverName: req.body.receiverName });
+    if (statusCode) {
+      return res.status(statusCode).json({
+        success: false,
+        message
+      });
+    }
+
     // Mark order as delivered
     order.status = 'delivered';
+    if (proof) {
+      order.deliveryProofs.push(proof);
+    }
     order.dispatch.actualDelivery = new Date(actualDelivery);
     if (deliveryNotes) {
       order.dispatch.deliveryNotes = deliveryNotes;
     }
 
     order.updatedAt = new Date();
-    await order.save();
-
-    // Send real-time WebSocket notification for delivery confirmation
-    try {
-      const websocketService = require('../services/websocketService');
-      websocketService.notifyOrderStatusUpdate(order, 'dispatched', 'delivered');
-    } catch (wsError) {
-      console.error('WebSocket delivery notification failed:', wsError);
-    }
 
-    // Send delivery confirmation email to customer
-    try {
-      const { sendDeliveryConfirmation } = require('../services/emailService');
-      await sendDeliveryConfirmation(order);
-      console.log('Delivery confirmation email sent to customer:', order.customer.email);
-    } catch (emailError) {
-      console.error('Delivery confirmation email failed:', emailError);
+    // Record the collection in the payment ledger (saves the order)
+    const saved = await saveWithCodCollection(order, { codAmount, codCollectionMethod, codReference, userId: req.userId, paidAt: order.dispatch.actualDelivery });
+    if (!saved) {
+      return res.status(409).json({
+        success: false,
+        message: 'This collection reference has already been recorded'
+      });
     }
 
-    // Send delivery confirmation SMS to customer
-    try {
-      const { sendDeliveryConfirmationSMS } = require('../services/smsService');
-      const smsResult = await sendDeliveryConfirmationSMS(order, order.customer);
-      if (smsResult.success) {
-        console.log('Delivery confirmation SMS sent to customer:', order.customer.phoneNumber);
-      } else {
-        console.log('Delivery confirmation SMS failed:', smsResult.message);
-      }
-    } catch (smsError) {
-      console.error('Delivery confirmation SMS failed:', smsError);
-    }
+    // Any shipments still in transit arrived with the order
+    await Shipment.updateMany(
+      { order: order._id, status: { $ne: 'delivered' } },
+      { $set: { status: 'delivered', 'delivery.deliveredAt': order.dispatch.actualDelivery, 'delivery.receivedBy': req.body.receiverName, 'delivery.notes': deliveryNotes, 'delivery.confirmedBy': req.userId } }
+    );
 
-    // Create notification for customer about delivery confirmation
-    try {
-      const Notification = require('../models/Notification');
-      await Notification.createNotification({
-        title: 'Order Delivered',
-        message: `Your order ${order.orderNumber} has been delivered successfully! Thank you for choosing Komacut. We hope you're satisfied with your sheet metal parts.`,
-        type: 'success',
-        userId: order.customer._id,
-        relatedEntity: {
-          type: 'order',
-          entityId: order._id
-        },
-        metadata: {
-          orderNumber: order.orderNumber,
-          actualDelivery: order.dispatch.actualDelivery,
-          status: order.status,
-          deliveredAt: new Date()
-        }
-      });
-    } catch (notificationError) {
-      console.error('Failed to create delivery confirmation notification:', notificationError);
-    }
+    await notifyOrderDelivered(order);
 
     res.json({
       success: true,
@@ -317,7 +867,11 @@ router.post('/:orderId/delivered', authenticateToken, requireBackOffice, [
         id: order._id,
         orderNumber: order.orderNumber,
         status: order.status,
-        deliveredAt: order.dispatch.actualDelivery
+        deliveredAt: order.dispatch.actualDelivery,
+        deliveryProof: proof ? order.deliveryProofs[order.deliveryProofs.length - 1] : undefined,
+        paymentStatus: order.payment.status,
+        amountPaid: order.amountPaid,
+        balanceDue: order.balanceDue
       }
     });
 
@@ -330,11 +884,53 @@ router.post('/:orderId/delivered', authenticateToken, requireBackOffice, [
   }
 });
 
-// Get dispatch tracking information (customer access)
-router.get('/:orderId/tracking', async (req, res) => {
+// Download the delivery challan, with proof of delivery once captured (back office)
+router.get('/:orderId/challan', authenticateToken, requireBackOffice, async (req, res) => {
   try {
     const order = await Order.findById(req.params.orderId)
-      .select('orderNumber status dispatch createdAt updatedAt');
+      .populate('customer', 'firstName lastName companyName email phoneNumber');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!['partially_dispatched', 'dispatched', 'delivered'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order is not dispatched yet'
+      });
+    }
+
+    const shipments = await Shipment.find({ order: order._id }).sort({ sequence: 1 });
+    const signatureImages = await loadSignatureImages(order.deliveryProofs);
+    const pdfResult = await pdfService.generateDeliveryChallanPDF(order, shipments, signatureImages);
+
+    res.download(pdfResult.filePath, `${order.orderNumber}-delivery-challan.pdf`);
+
+  } catch (error) {
+    console.error('Get delivery challan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Couriers with a tracking integration and whether their credentials are set
+router.get('/carriers', authenticateToken, requireBackOffice, (req, res) => {
+  res.json({
+    success: true,
+    carriers: listCarriers()
+  });
+});
+
+// Get dispatch tracking information (customer owner or back office) - ?refresh=true polls the carrier first
+router.get('/:orderId/tracking', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
 
     if (!order) {
       return res.status(404).json({
@@ -343,13 +939,30 @@ router.get('/:orderId/tracking', async (req, res) => {
       });
     }
 
-    if (!['dispatched', 'delivered'].includes(order.status)) {
+    if (!canAccessOrder(req, order)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (!['partially_dispatched', 'dispatched', 'delivered'].includes(order.status)) {
       return res.status(400).json({
         success: false,
         message: 'Order is not dispatched yet'
       });
     }
 
+    // Throttled per consignment so repeated page loads don't hit the carrier
+    if (req.query.refresh === 'true' && order.status !== 'delivered') {
+      await order.populate('customer', trackingService.CUSTOMER_FIELDS);
+      await trackingService.refreshOrderTracking(order);
+    }
+
+    const shipments = await Shipment.find({ order: order._id })
+      .select('shipmentNumber items courier trackingNumber status dispatchedAt estimatedDelivery delivery.deliveredAt tracking')
+      .sort({ sequence: 1 });
+
     const trackingInfo = {
       orderNumber: order.orderNumber,
       status: order.status,
@@ -359,8 +972,10 @@ router.get('/:orderId/tracking', async (req, res) => {
         dispatchedAt: order.dispatch.dispatchedAt,
         estimatedDelivery: order.dispatch.estimatedDelivery,
         actualDelivery: order.dispatch.actualDelivery,
-        deliveryNotes: order.dispatch.deliveryNotes
-      }
+        deliveryNotes: order.dispatch.deliveryNotes,
+        tracking: order.dispatch.tracking
+      },
+      shipments
     };
 
     res.json({
@@ -377,12 +992,50 @@ router.get('/:orderId/tracking', async (req, res) => {
   }
 });
 
+// Poll the carrier now for every open consignment of an order (back office)
+router.post('/:orderId/tracking/refresh', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId)
+      .populate('customer', trackingService.CUSTOMER_FIELDS);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!['partially_dispatched', 'dispatched'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Order ${order.orderNumber} is ${order.status} and has nothing in transit`
+      });
+    }
+
+    const results = await trackingService.refreshOrderTracking(order, { force: true });
+
+    res.json({
+      success: true,
+      message: `Tracking refreshed for ${results.length} consignment(s)`,
+      status: order.status,
+      results
+    });
+
+  } catch (error) {
+    console.error('Refresh tracking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Get all dispatched orders (back office)
 router.get('/', authenticateToken, requireBackOffice, async (req, res) => {
   try {
     const { status, courier, page = 1, limit = 10 } = req.query;
     
-    let query = { status: { $in: ['dispatched', 'delivered'] } };
+    let query = { status: { $in: ['partially_dispatched', 'dispatched', 'delivered'] } };
     
     if (status) {
       query.status = status;
@@ -434,7 +1087,7 @@ router.get('/stats/overview', authenticateToken, requireBackOffice, async (req,
     const stats = await Order.aggregate([
       {
         $match: {
-          status: { $in: ['dispatched', 'delivered'] }
+          status: { $in: ['partially_dispatched', 'dispatched', 'delivered'] }
         }
       },
       {
@@ -446,6 +1099,9 @@ router.get('/stats/overview', authenticateToken, requireBackOffice, async (req,
           },
           totalInTransit: {
             $sum: { $cond: [{ $eq: ['$status', 'dispatched'] }, 1, 0] }
+          },
+          totalPartiallyDispatched: {
+            $sum: { $cond: [{ $eq: ['$status', 'partially_dispatched'] }, 1, 0] }
           }
         }
       }
@@ -487,7 +1143,8 @@ router.get('/stats/overview', authenticateToken, requireBackOffice, async (req,
         overview: stats[0] || {
           totalDispatched: 0,
           totalDelivered: 0,
-          totalInTransit: 0
+          totalInTransit: 0,
+          totalPartiallyDispatched: 0
         },
         monthly: monthlyStats,
         couriers: courierStats
@@ -6,14 +6,13 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const Inquiry = require('../models/Inquiry');
 const User = require('../models/User');
-const Notification = require('../models/Notification');
 const Quotation = require('../models/Quotation');
-const { sendInquiryNotification, sendInquiryConfirmationEmail } = require('../services/emailService');
+const { notify } = require('../services/notificationDispatcher');
 const { processExcelFile } = require('../services/excelService');
+const { analyzeDxf, findPartForFile } = require('../services/dxfService');
 // ✅ CLOUDINARY: Import will be done later with other functions
 const mongoose = require('mongoose');
 const { requireBackOffice } = require('../middleware/auth');
-const websocketService = require('../services/websocketService');
 const archiver = require('archiver');
 const axios = require('axios');
 
@@ -106,6 +105,56 @@ const handleMulterErrors = (error, req, res, next) => {
   next(error);
 };
 
+// Analyse DXF drawings and store the geometry on the part whose partRef matches the file name
+// files: [{ name, buffer }]
+const analyzeInquiryDxfFiles = async (inquiryId, files) => {
+  const dxfFiles = files.filter(file => path.extname(file.name || '').toLowerCase() === '.dxf' && file.buffer);
+  const summary = { analyzed: [], unmatched: [], failed: [] };
+  if (dxfFiles.length === 0) {
+    return summary;
+  }
+
+  const inquiry = await Inquiry.findById(inquiryId).select('parts._id parts.partRef').lean();
+  if (!inquiry) {
+    return summary;
+  }
+
+  // Only the analysed parts' geometry is written, so part edits made meanwhile are kept
+  const updates = [];
+  dxfFiles.forEach(file => {
+    const part = findPartForFile(inquiry.parts, file.name);
+    if (!part) {
+      summary.unmatched.push(file.name);
+      return;
+    }
+
+    const result = analyzeDxf(file.buffer);
+    if (!result.success) {
+      summary.failed.push({ file: file.name, error: result.error });
+      return;
+    }
+
+    const geometry = {
+      ...result.geometry,
+      sourceFile: file.name,
+      analyzedAt: new Date()
+    };
+    updates.push({
+      updateOne: {
+        filter: { _id: inquiryId, 'parts._id': part._id },
+        update: { $set: { 'parts.$.geometry': geometry } }
+      }
+    });
+    summary.analyzed.push({ file: file.name, partRef: part.partRef, geometry });
+  });
+
+  if (updates.length > 0) {
+    await Inquiry.bulkWrite(updates);
+  }
+
+  return summary;
+};
+
 // Test endpoint to debug data format
 router.post('/test', upload.array('files', 100), handleMulterErrors, (req, res) => {
   res.json({
@@ -565,64 +614,57 @@ router.post('/', authenticateToken, upload.array('files'), handleMulterErrors, [
       });
     }
 
+    // Extract DXF geometry asynchronously from the in-memory uploads
+    setImmediate(async () => {
+      try {
+        const summary = await analyzeInquiryDxfFiles(
+          inquiry._id,
+          req.files.map(file => ({ name: file.originalname, buffer: file.buffer }))
+        );
+        if (summary.unmatched.length > 0) {
+          console.log('DXF files without a matching partRef:', summary.unmatched);
+        }
+      } catch (error) {
+        console.error('Error in async DXF analysis:', error);
+      }
+    });
+
     // OPTIMIZED: Send notifications asynchronously (don't block response)
     setImmediate(async () => {
       try {
         // Populate customer data for notification (async)
         await inquiry.populate('customer', 'firstName lastName email companyName phoneNumber');
         
-        // Send confirmation email to customer (async)
-        try {
-          console.log('📧 Sending inquiry confirmation email to customer...');
-          await sendInquiryConfirmationEmail(inquiry);
-          console.log('✅ Inquiry confirmation email sent successfully to customer:', inquiry.customer?.email);
-        } catch (customerEmailError) {
-          console.error('❌ Customer inquiry confirmation email failed:', customerEmailError.message);
-        }
-        
-        // Send email notification to back office (async)
-        try {
-          await sendInquiryNotification(inquiry);
-        } catch (emailError) {
-          console.error('❌ Inquiry email notification failed:', emailError.message);
-        }
+        // Confirmation email to the customer
+        await notify('inquiry_submitted', {
+          recipient: inquiry.customer,
+          email: ['sendInquiryConfirmationEmail', inquiry]
+        });
 
-        // OPTIMIZED: Create notifications in parallel
-        try {
-          const backOfficeUsers = await User.find({ role: { $in: ['admin', 'backoffice'] } }).lean().select('_id');
-          
-          const notificationPromises = backOfficeUsers.map(user => 
-            Notification.createNotification({
-              title: 'New Inquiry Received',
-              message: `Inquiry ${inquiry.inquiryNumber} received from ${inquiry.customer?.firstName || 'Customer'} ${inquiry.customer?.lastName || ''}. ${inquiry.parts.length} parts, ${inquiry.files.length} files. Please review.`,
-              type: 'info',
-              userId: user._id,
-              relatedEntity: {
-                type: 'inquiry',
-                entityId: inquiry._id
-              },
-              metadata: {
-                inquiryNumber: inquiry.inquiryNumber,
-                customerName: `${inquiry.customer?.firstName || ''} ${inquiry.customer?.lastName || ''}`.trim() || 'Customer',
-                customerEmail: inquiry.customer?.email || '',
-                partsCount: inquiry.parts.length,
-                filesCount: inquiry.files.length
-              }
-            })
-          );
-          
-          await Promise.all(notificationPromises);
-          
-          // Send real-time WebSocket notification
-          try {
-            websocketService.notifyNewInquiry(inquiry);
-          } catch (wsError) {
-            console.error('WebSocket notification failed:', wsError);
-          }
-          
-        } catch (notificationError) {
-          console.error('Failed to create notifications:', notificationError);
-        }
+        // Email, SMS, in-app and real-time notifications to the back office
+        const backOfficeUsers = await User.find({ role: { $in: ['admin', 'backoffice'] } }).lean().select('_id');
+        await notify('inquiry_submitted', {
+          email: ['sendInquiryNotification', inquiry],
+          sms: ['sendInquiryNotificationSMS', inquiry, inquiry.customer],
+          inApp: backOfficeUsers.map(user => ({
+            title: 'New Inquiry Received',
+            message: `Inquiry ${inquiry.inquiryNumber} received from ${inquiry.customer?.firstName || 'Customer'} ${inquiry.customer?.lastName || ''}. ${inquiry.parts.length} parts, ${inquiry.files.length} files. Please review.`,
+            type: 'info',
+            userId: user._id,
+            relatedEntity: {
+              type: 'inquiry',
+              entityId: inquiry._id
+            },
+            metadata: {
+              inquiryNumber: inquiry.inquiryNumber,
+              customerName: `${inquiry.customer?.firstName || ''} ${inquiry.customer?.lastName || ''}`.trim() || 'Customer',
+              customerEmail: inquiry.customer?.email || '',
+              partsCount: inquiry.parts.length,
+              filesCount: inquiry.files.length
+            }
+          })),
+          websocket: ['notifyNewInquiry', inquiry]
+        });
       } catch (error) {
         console.error('Error in async notification processing:', error);
       }
@@ -1563,11 +1605,22 @@ router.post('/:id/upload', authenticateToken, upload.array('files'), handleMulte
     inquiry.updatedAt = new Date();
     await inquiry.save();
 
+    let dxfAnalysis = null;
+    try {
+      dxfAnalysis = await analyzeInquiryDxfFiles(
+        inquiry._id,
+        req.files.map(file => ({ name: file.originalname, buffer: file.buffer }))
+      );
+    } catch (dxfError) {
+      console.error('DXF analysis failed:', dxfError);
+    }
+
     res.json({
       success: true,
       message: 'Files uploaded successfully',
       files: uploadedFiles,
-      totalParts: inquiry.parts.length
+      totalParts: inquiry.parts.length,
+      dxfAnalysis
     });
 
   } catch (error) {
@@ -1682,6 +1735,61 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Re-run DXF geometry analysis on files already stored with the inquiry (Admin/Back Office)
+router.post('/admin/:id/analyze-dxf', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid inquiry ID format'
+      });
+    }
+
+    const inquiry = await Inquiry.findById(req.params.id).select('files').lean();
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
+      });
+    }
+
+    const dxfFiles = (inquiry.files || []).filter(file => path.extname(file.originalName || '').toLowerCase() === '.dxf');
+    const files = await Promise.all(dxfFiles.map(async (file) => {
+      let buffer = null;
+      if (file.fileData && Buffer.isBuffer(file.fileData)) {
+        buffer = file.fileData;
+      } else if (file.fileData && file.fileData.buffer) {
+        buffer = Buffer.from(file.fileData.buffer);
+      } else if (file.filePath && /^https?:\/\//.test(file.filePath)) {
+        try {
+          const response = await axios.get(file.filePath, { responseType: 'arraybuffer', timeout: 30000 });
+          buffer = Buffer.from(response.data);
+        } catch (downloadError) {
+          console.error(`Could not download ${file.originalName}:`, downloadError.message);
+        }
+      }
+      return { name: file.originalName, buffer };
+    }));
+
+    const summary = await analyzeInquiryDxfFiles(inquiry._id, files);
+    const missing = files.filter(file => !file.buffer).map(file => file.name);
+
+    res.json({
+      success: true,
+      message: `${summary.analyzed.length} DXF file(s) analysed`,
+      ...summary,
+      missing
+    });
+
+  } catch (error) {
+    console.error('DXF analysis error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Admin route to update inquiry parts
 router.put('/admin/:id', authenticateToken, requireBackOffice, [
   body('parts').isArray({ min: 1 }),
@@ -1721,8 +1829,16 @@ router.put('/admin/:id', authenticateToken, requireBackOffice, [
 
     const { parts, specialInstructions, expectedDeliveryDate } = req.body;
 
-    // Update inquiry
-    inquiry.parts = parts;
+    // Update inquiry - keep previously extracted DXF geometry for parts that don't send it back
+    inquiry.parts = parts.map(part => {
+      if (part.geometry) {
+        return part;
+      }
+      const existingPart = inquiry.parts.find(p => p.partRef && p.partRef === part.partRef);
+      return existingPart && existingPart.geometry && existingPart.geometry.analyzedAt
+        ? { ...part, geometry: existingPart.geometry.toObject() }
+        : part;
+    });
     if (specialInstructions !== undefined) {
       inquiry.specialInstructions = specialInstructions;
     }
@@ -1,52 +1,62 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Notification = require('../models/Notification');
+const { NOTIFICATION_EVENTS, getPreferences, updatePreferences } = require('../services/notificationDispatcher');
 
 const router = express.Router();
 
 // Import the shared auth middleware
 const { authenticateToken } = require('../middleware/auth');
 
-// Mock notifications data (in production, this would come from a database)
-const mockNotifications = [
-  {
-    _id: '1',
-    title: 'Inquiry Submitted',
-    message: 'Your inquiry INQ241201001 has been submitted successfully and is under review.',
-    type: 'success',
-    read: false,
-    createdAt: new Date(Date.now() - 1000 * 60 * 5), // 5 minutes ago
-    userId: 'user123'
-  },
-  {
-    _id: '2',
-    title: 'Quotation Ready',
-    message: 'Quotation QT241201001 is ready for your inquiry INQ241201001.',
-    type: 'info',
-    read: false,
-    createdAt: new Date(Date.now() - 1000 * 60 * 30), // 30 minutes ago
-    userId: 'user123'
-  },
-  {
-    _id: '3',
-    title: 'Order Confirmed',
-    message: 'Order ORD241201001 has been confirmed and production has started.',
-    type: 'success',
-    read: true,
-    createdAt: new Date(Date.now() - 1000 * 60 * 60 * 2), // 2 hours ago
-    userId: 'user123'
-  }
-];
+const NOTIFICATION_TYPES = ['success', 'warning', 'error', 'info'];
+
+// Comma-separated query values, e.g. ?type=warning,error
+const toList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : undefined);
 
-// Get user notifications
-router.get('/', authenticateToken, async (req, res) => {
+// Get user notifications (paginated; filter by type, event, read and archived)
+router.get('/', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('type').optional().custom(value => toList(value).every(type => NOTIFICATION_TYPES.includes(type)))
+    .withMessage(`Type must be one of: ${NOTIFICATION_TYPES.join(', ')}`),
+  query('event').optional().custom(value => toList(value).every(event => NOTIFICATION_EVENTS[event]))
+    .withMessage('Unknown notification event'),
+  query('read').optional().isBoolean().withMessage('Read must be true or false'),
+  query('archived').optional().isBoolean().withMessage('Archived must be true or false')
+], async (req, res) => {
   try {
-    const notifications = await Notification.getUserNotifications(req.userId, 50);
-    
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { notifications, total } = await Notification.getUserNotifications(req.userId, {
+      page,
+      limit,
+      type: toList(req.query.type),
+      event: toList(req.query.event),
+      read: req.query.read === undefined ? undefined : req.query.read === 'true',
+      archived: req.query.archived === 'true'
+    });
+    const unreadCount = await Notification.getUnreadCount(req.userId);
+
     res.json({
       success: true,
-      notifications
+      notifications,
+      unreadCount,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
     });
 
   } catch (error) {
@@ -125,6 +135,160 @@ router.patch('/read-all', authenticateToken, async (req, res) => {
   }
 });
 
+// Archive or restore a notification
+router.patch('/:id/archive', authenticateToken, [
+  body('archived').optional().isBoolean({ strict: true }).withMessage('Archived must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+
+    const archived = req.body.archived !== false;
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId },
+      archived ? { archived, archivedAt: new Date() } : { archived, $unset: { archivedAt: 1 } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: archived ? 'Notification archived' : 'Notification restored',
+      notification
+    });
+
+  } catch (error) {
+    console.error('Archive notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete a notification
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Get the current user's notification preferences (defaults for anything not saved)
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const preferences = await getPreferences(req.userId);
+
+    res.json({
+      success: true,
+      preferences
+    });
+
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update the current user's notification preferences (partial)
+router.put('/preferences', authenticateToken, [
+  body('channels').optional().isObject().withMessage('Channels must be an object'),
+  body('channels.*').isBoolean({ strict: true }).withMessage('Channel settings must be true or false'),
+  body('events').optional().isObject().withMessage('Events must be an object'),
+  body('events.*').isObject().withMessage('Event settings must be an object of channels'),
+  body('events.*.*').isBoolean({ strict: true }).withMessage('Event channel settings must be true or false'),
+  body('quietHours').optional().isObject().withMessage('Quiet hours must be an object'),
+  body('quietHours.enabled').optional().isBoolean({ strict: true }).withMessage('Quiet hours enabled must be true or false'),
+  body('quietHours.start').optional().matches(TIME_PATTERN).withMessage('Quiet hours start must be HH:mm'),
+  body('quietHours.end').optional().matches(TIME_PATTERN).withMessage('Quiet hours end must be HH:mm'),
+  body('quietHours.timezone').optional().custom((timezone) => {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  }).withMessage('Invalid quiet hours timezone')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { channels, events, quietHours } = req.body;
+    const result = await updatePreferences(req.userId, { channels, events, quietHours });
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      preferences: result.preferences
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Create notification (for internal use)
 router.post('/', authenticateToken, [
   body('title').notEmpty().withMessage('Title is required'),
@@ -1,8 +1,12 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Order = require('../models/Order');
-const Notification = require('../models/Notification');
-const { sendOrderConfirmation } = require('../services/emailService');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const { notify } = require('../services/notificationDispatcher');
+const { calculateOrderTax, getTaxSettings } = require('../services/taxService');
+const pdfService = require('../services/pdfService');
+const { ORDER_STATUSES, checkStatusTransition } = require('../services/orderStatusService');
 
 const router = express.Router();
 
@@ -19,7 +23,7 @@ router.get('/customer', authenticateToken, async (req, res) => {
       .populate('inquiry', 'inquiryNumber')
       .sort({ createdAt: -1 })
       .lean()
-      .select('orderNumber status customer quotation inquiry totalAmount createdAt updatedAt payment.status dispatch.courier dispatch.trackingNumber');
+      .select('orderNumber status customer quotation inquiry totalAmount createdAt updatedAt payment.status production.progress dispatch.courier dispatch.trackingNumber');
 
     res.json({
       success: true,
@@ -48,7 +52,7 @@ router.get('/', authenticateToken, requireBackOffice, async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
       .lean()
-      .select('orderNumber status customer quotation inquiry totalAmount createdAt updatedAt payment.status dispatch.courier dispatch.trackingNumber');
+      .select('orderNumber status customer quotation inquiry totalAmount createdAt updatedAt payment.status production.progress dispatch.courier dispatch.trackingNumber');
 
     res.json({
       success: true,
@@ -118,8 +122,22 @@ router.post('/', authenticateToken, [
     console.log('Inquiry parts:', inquiry.parts);
     console.log('Inquiry parts length:', inquiry.parts ? inquiry.parts.length : 0);
 
-    // Determine parts to use for order
+    // Determine parts to use for order - a partially accepted quotation only orders its accepted lines
     let orderParts = parts || quotation.items;
+    if (quotation.partiallyAccepted) {
+      orderParts = quotation.items
+        .filter(item => item.lineStatus === 'accepted')
+        .map(item => ({
+          partName: item.partRef || 'N/A',
+          partRef: item.partRef,
+          material: item.material,
+          thickness: item.thickness,
+          quantity: item.quantity,
+          remarks: item.remark || '',
+          unitPrice: item.unitPrice,
+          totalPrice: item.totalPrice
+        }));
+    }
     
     // If quotation has no items, use inquiry parts
     if (!orderParts || orderParts.length === 0) {
@@ -155,25 +173,46 @@ router.post('/', authenticateToken, [
     console.log('Final order parts length:', orderParts ? orderParts.length : 0);
     console.log('Final order parts JSON:', JSON.stringify(orderParts, null, 2));
 
+    const quotedTotal = quotation.partiallyAccepted ? quotation.totalAmount : (totalAmount || quotation.totalAmount);
+    const orderDeliveryAddress = deliveryAddress || inquiry.deliveryAddress;
+
+    // GST breakup - when quoted prices exclude tax the payable total grows by the tax amount
+    const customerUser = await User.findById(req.userId).select('gstin address').lean();
+    const tax = await calculateOrderTax({ parts: orderParts || [], deliveryAddress: orderDeliveryAddress }, customerUser);
+    if (tax.warnings.length > 0) {
+      console.warn('GST calculation warnings:', tax.warnings);
+    }
+    const orderTotal = tax.lines.length > 0 && !tax.pricesIncludeTax ? tax.grandTotal : quotedTotal;
+
     // Create order
     const order = new Order({
       quotation: quotationId,
       inquiry: inquiry._id,
       customer: req.userId,
       parts: orderParts || [],
-      totalAmount: totalAmount || quotation.totalAmount,
+      totalAmount: orderTotal,
+      tax,
+      // Nothing is paid yet - bank transfers are confirmed by back office, COD is collected on delivery
       payment: {
-        method: paymentMethod === 'online' ? 'credit_card' : paymentMethod === 'direct' ? 'direct' : 'pending',
-        status: paymentMethod === 'online' ? 'pending' : 'completed',
-        amount: totalAmount || quotation.totalAmount,
-        paidAt: paymentMethod !== 'online' ? new Date() : null
+        method: paymentMethod === 'online' ? 'credit_card' : paymentMethod === 'direct' ? 'bank_transfer' : 'cash_on_delivery',
+        status: 'pending',
+        amount: orderTotal
       },
-      status: paymentMethod === 'online' ? 'pending' : 'confirmed',
-      confirmedAt: paymentMethod !== 'online' ? new Date() : null,
-      deliveryAddress: deliveryAddress || inquiry.deliveryAddress,
+      status: paymentMethod === 'cod' ? 'confirmed' : 'pending',
+      confirmedAt: paymentMethod === 'cod' ? new Date() : null,
+      deliveryAddress: orderDeliveryAddress,
       specialInstructions: inquiry.specialInstructions
     });
 
+    // Prepaid orders follow the configured milestones, COD is collected in full on delivery
+    if (paymentMethod === 'online' || paymentMethod === 'direct') {
+      const Settings = require('../models/Settings');
+      const settings = await Settings.getSettings();
+      order.applyPaymentSchedule(settings.paymentSchedule);
+    } else if (paymentMethod === 'cod') {
+      order.applyPaymentSchedule([{ name: 'Cash on delivery', percent: 100, dueOnStatus: 'delivered', requiredBefore: '' }]);
+    }
+
     await order.save();
     
     console.log('✅ Order saved! Order ID:', order._id);
@@ -203,46 +242,29 @@ router.post('/', authenticateToken, [
         orderNumber: order.orderNumber,
         status: order.status,
         totalAmount: order.totalAmount,
+        paymentSchedule: order.paymentSchedule,
+        balanceDue: order.balanceDue,
         parts: order.parts
       }
     });
 
-    // Send emails, notifications, and WebSocket updates asynchronously (don't block response)
+    // Send notifications and WebSocket updates asynchronously (don't block response).
+    // Only an order-placed notice here - payment notices come from the capture paths
     setImmediate(async () => {
       try {
-        // Send payment confirmation email to admin (as per requirement)
-        try {
-          const { sendPaymentConfirmation } = require('../services/emailService');
-          await sendPaymentConfirmation(order);
-        } catch (emailError) {
-          console.error('Payment confirmation email failed:', emailError);
-        }
-
-        // Send payment confirmation email to customer (if payment is completed)
-        if (order.payment?.status === 'completed' && paymentMethod !== 'cod') {
-          try {
-            console.log('📧 Sending payment confirmation email to customer...');
-            const { sendCustomerPaymentConfirmation } = require('../services/emailService');
-            await sendCustomerPaymentConfirmation(order);
-            console.log('✅ Payment confirmation email sent successfully to customer:', order.customer?.email);
-          } catch (emailError) {
-            console.error('❌ Customer payment confirmation email failed:', emailError);
-            // Don't fail the operation if email fails
-          }
-        }
-
         // Note: Order confirmation email will be sent separately when admin confirms the order
 
-        // Create notification for customer about payment/order
-        try {
-          const Notification = require('../models/Notification');
-          await Notification.createNotification({
-            title: paymentMethod === 'cod' ? 'Order Created' : 'Payment Successful',
-            message: paymentMethod === 'cod' 
+        // In-app and real-time notification for the customer about the new order
+        await notify('order_created', {
+          recipient: order.customer,
+          inApp: {
+            title: 'Order Created',
+            message: paymentMethod === 'cod'
               ? `Your order ${order.orderNumber} has been created. Payment will be collected on delivery.`
-              : `Your payment of ₹${order.totalAmount} for order ${order.orderNumber} has been received successfully. Your order will be confirmed by our team shortly.`,
+              : paymentMethod === 'direct'
+                ? `Your order ${order.orderNumber} has been created. Please upload your NEFT/RTGS transfer receipt with the UTR number so we can confirm your payment.`
+                : `Your order ${order.orderNumber} has been created. Your order will be confirmed by our team once payment is received.`,
             type: 'success',
-            userId: order.customer,
             relatedEntity: {
               type: 'order',
               entityId: order._id
@@ -251,58 +273,33 @@ router.post('/', authenticateToken, [
               orderNumber: order.orderNumber,
               totalAmount: order.totalAmount,
               paymentMethod: paymentMethod,
-              status: order.status,
-              confirmedAt: new Date()
+              status: order.status
             }
-          });
-        } catch (notificationError) {
-          console.error('Failed to create customer order confirmation notification:', notificationError);
-        }
-
-        // Create notification for all admin users about payment received
-        try {
-          const User = require('../models/User');
-          const Notification = require('../models/Notification');
-          const adminUsers = await User.find({ role: { $in: ['admin', 'backoffice', 'subadmin'] } });
-          
-          for (const admin of adminUsers) {
-            await Notification.createNotification({
-              title: 'Payment Received',
-              message: `Payment of ₹${order.totalAmount} received for order ${order.orderNumber}. Customer: ${order.customer?.firstName || 'Unknown'} ${order.customer?.lastName || ''}. Payment method: ${paymentMethod}`,
-              type: 'success',
-              userId: admin._id,
-              relatedEntity: {
-                type: 'order',
-                entityId: order._id
-              },
-              metadata: {
-                orderNumber: order.orderNumber,
-                paymentAmount: order.totalAmount,
-                paymentMethod: paymentMethod,
-                customerName: `${order.customer?.firstName || 'Unknown'} ${order.customer?.lastName || ''}`,
-                paidAt: new Date()
-              }
-            });
-          }
-        } catch (notificationError) {
-          console.error('Failed to create admin payment notifications:', notificationError);
-        }
-
-        // Send real-time WebSocket notification to customer
-        try {
-          const websocketService = require('../services/websocketService');
-          websocketService.notifyOrderCreated(order);
-        } catch (wsError) {
-          console.error('WebSocket order notification failed:', wsError);
-        }
+          },
+          websocket: ['notifyOrderCreated', order]
+        });
 
-        // Send real-time WebSocket notification to admin users
-        try {
-          const websocketService = require('../services/websocketService');
-          websocketService.notifyPaymentReceived(order, order.totalAmount, `dummy_${order._id}`);
-        } catch (wsError) {
-          console.error('WebSocket admin payment notification failed:', wsError);
-        }
+        // In-app notification for all admin users about the new order
+        const User = require('../models/User');
+        const adminUsers = await User.find({ role: { $in: ['admin', 'backoffice', 'subadmin'] } });
+        await notify('order_created', {
+          inApp: adminUsers.map(admin => ({
+            title: 'New Order',
+            message: `Order ${order.orderNumber} of ₹${order.totalAmount} placed by ${order.customer?.firstName || 'Unknown'} ${order.customer?.lastName || ''}. Payment method: ${paymentMethod}`,
+            type: 'info',
+            userId: admin._id,
+            relatedEntity: {
+              type: 'order',
+              entityId: order._id
+            },
+            metadata: {
+              orderNumber: order.orderNumber,
+              totalAmount: order.totalAmount,
+              paymentMethod: paymentMethod,
+              customerName: `${order.customer?.firstName || 'Unknown'} ${order.customer?.lastName || ''}`
+            }
+          }))
+        });
       } catch (error) {
         console.error('Error in async order creation tasks:', error);
       }
@@ -390,6 +387,12 @@ router.get('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    // Payment audit trail from the ledger (raw gateway payloads stay internal)
+    order.transactions = await Payment.find({ order: order._id })
+      .select('-gatewayPayload')
+      .sort({ occurredAt: 1 })
+      .lean();
+
     console.log('Sending order response with', order.parts?.length || 0, 'parts');
     res.json({
       success: true,
@@ -406,6 +409,248 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Download GST tax invoice for an order (Customer owner or Back Office)
+router.get('/:id/invoice', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
+    const order = await (isObjectId ? Order.findById(id) : Order.findOne({ orderNumber: id }))
+      .populate('customer', 'firstName lastName email companyName phoneNumber address gstin');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (req.userRole !== 'admin' && req.userRole !== 'backoffice' && order.customer._id.toString() !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Invoices are only issued once the order is confirmed
+    if (['pending', 'cancelled'].includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Invoice is not available for ${order.status} orders`
+      });
+    }
+
+    const taxSettings = await getTaxSettings();
+
+    // Orders created before GST support have no stored breakup
+    if (!order.tax || !order.tax.calculatedAt) {
+      order.tax = await calculateOrderTax(order, order.customer, taxSettings);
+    }
+
+    // Numbers are issued at confirmation; orders confirmed before that get theirs now
+    await Order.assignInvoiceNumber(order);
+
+    const pdfResult = await pdfService.generateInvoicePDF(order, taxSettings);
+    order.invoice.fileName = pdfResult.fileName;
+    await order.save();
+
+    res.download(pdfResult.filePath, `${order.invoice.invoiceNumber}.pdf`);
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+});
+
+// Get production stage progress for an order (Customer owner or Back Office)
+router.get('/:id/production', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select('orderNumber customer status parts production')
+      .populate('parts.stages.operator', 'firstName lastName');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const isBackOffice = ['admin', 'backoffice', 'subadmin'].includes(req.userRole);
+    if (!isBackOffice && order.customer.toString() !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Orders that finished production before stage tracking count as complete
+    const finished = ['ready_for_dispatch', 'partially_dispatched', 'dispatched', 'delivered'].includes(order.status);
+    const progress = finished && !order.parts.some(part => part.stages && part.stages.length > 0)
+      ? 100
+      : order.production.progress || 0;
+
+    res.json({
+      success: true,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      progress,
+      startDate: order.production.startDate,
+      estimatedCompletion: order.production.estimatedCompletion,
+      actualCompletion: order.production.actualCompletion,
+      parts: order.parts.map(part => ({
+        _id: part._id,
+        partRef: part.partRef,
+        partName: part.partName,
+        quantity: part.quantity,
+        // Operator details are for the shop floor only
+        stages: (part.stages || []).map(stage => isBackOffice ? stage : {
+          stage: stage.stage,
+          status: stage.status,
+          completedQuantity: stage.completedQuantity,
+          startedAt: stage.startedAt,
+          completedAt: stage.completedAt
+        })
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get production progress error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Record shop-floor progress for one stage of a part (Back Office)
+router.put('/:id/production/parts/:partId/stages/:stage', authenticateToken, requireBackOffice, [
+  body('completedQuantity').optional().isInt({ min: 0 }).withMessage('Completed quantity must be a whole number'),
+  body('skipped').optional().isBoolean(),
+  body('operator').optional().isMongoId().withMessage('Valid operator ID is required'),
+  body('operatorName').optional().isString(),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!Order.PRODUCTION_STAGES.includes(req.params.stage)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown stage. Valid stages: ${Order.PRODUCTION_STAGES.join(', ')}`
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.status !== 'in_production') {
+      return res.status(409).json({
+        success: false,
+        message: 'Stage progress can only be recorded while the order is in production'
+      });
+    }
+
+    // Orders that went into production before stage tracking get their stages now
+    order.initializeProductionStages();
+
+    const { completedQuantity, skipped, operator, operatorName, notes } = req.body;
+    const stageError = order.updateProductionStage(req.params.partId, req.params.stage, {
+      completedQuantity: completedQuantity !== undefined ? parseInt(completedQuantity, 10) : undefined,
+      skipped: skipped === true || skipped === 'true',
+      operator,
+      operatorName,
+      notes,
+      updatedBy: req.userId
+    });
+    if (stageError) {
+      return res.status(stageError === 'Part not found' ? 404 : 400).json({
+        success: false,
+        message: stageError
+      });
+    }
+
+    order.updatedAt = new Date();
+    await order.save();
+
+    const part = order.parts.id(req.params.partId);
+    const stage = part.stages.find(entry => entry.stage === req.params.stage);
+
+    res.json({
+      success: true,
+      message: 'Production stage updated',
+      progress: order.production.progress,
+      part: {
+        _id: part._id,
+        partRef: part.partRef,
+        quantity: part.quantity,
+        stages: part.stages
+      },
+      productionComplete: order.getIncompleteProductionParts().length === 0
+    });
+
+    await notify('production_progress', { websocket: ['notifyProductionProgress', order, part, stage] });
+
+  } catch (error) {
+    console.error('Update production stage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Download printable job card for the shop floor (Back Office)
+router.get('/:id/job-card', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
+    const order = await (isObjectId ? Order.findById(id) : Order.findOne({ orderNumber: id }))
+      .populate('customer', 'firstName lastName companyName');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (['pending', 'cancelled'].includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Job card is not available for ${order.status} orders`
+      });
+    }
+
+    const pdfResult = await pdfService.generateJobCardPDF(order);
+
+    res.download(pdfResult.filePath, `JC-${order.orderNumber}.pdf`);
+
+  } catch (error) {
+    console.error('Get job card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+});
+
 // Update order delivery time (Back Office)
 router.put('/:id/delivery-time', authenticateToken, requireBackOffice, [
   body('estimatedDelivery').isISO8601().withMessage('Valid delivery date is required'),
@@ -444,9 +689,9 @@ router.put('/:id/delivery-time', authenticateToken, requireBackOffice, [
       order.production.notes = notes;
     }
 
-    // Only change status to in_production if order is confirmed or pending
-    // Don't change status if already in production or later stages
-    if (order.status === 'pending' || order.status === 'confirmed') {
+    // Start production when the order is confirmed and allowed to move on;
+    // otherwise only the delivery time is recorded
+    if (order.status === 'confirmed' && !checkStatusTransition(order, 'in_production', req.userRole)) {
       order.status = 'in_production';
       if (!order.production.startDate) {
         order.production.startDate = new Date();
@@ -459,13 +704,12 @@ router.put('/:id/delivery-time', authenticateToken, requireBackOffice, [
     // Note: Delivery time notification email removed - customer will only receive email when order is dispatched
 
     // Create notification for customer about delivery time update
-    try {
-      const Notification = require('../models/Notification');
-      await Notification.createNotification({
+    await notify('order_status', {
+      recipient: order.customer,
+      inApp: {
         title: 'Delivery Time Updated',
-        message: `Delivery time has been updated for order ${order.orderNumber}. Estimated delivery: ${new Date(estimatedDelivery).toLocaleDateString()}. Your order is now in production.`,
+        message: `Delivery time has been updated for order ${order.orderNumber}. Estimated delivery: ${new Date(estimatedDelivery).toLocaleDateString()}.${order.status === 'in_production' ? ' Your order is now in production.' : ''}`,
         type: 'info',
-        userId: order.customer._id,
         relatedEntity: {
           type: 'order',
           entityId: order._id
@@ -476,10 +720,8 @@ router.put('/:id/delivery-time', authenticateToken, requireBackOffice, [
           status: order.status,
           updatedAt: new Date()
         }
-      });
-    } catch (notificationError) {
-      console.error('Failed to create delivery time notification:', notificationError);
-    }
+      }
+    });
 
     res.json({
       success: true,
@@ -503,8 +745,10 @@ router.put('/:id/delivery-time', authenticateToken, requireBackOffice, [
 
 // Update order status (Back Office)
 router.put('/:id/status', authenticateToken, requireBackOffice, [
-  body('status').isIn(['pending', 'confirmed', 'in_production', 'ready_for_dispatch', 'dispatched', 'delivered', 'cancelled']).withMessage('Invalid status'),
-  body('notes').optional().isString()
+  body('status').isIn(ORDER_STATUSES).withMessage('Invalid status'),
+  body('notes').optional().isString(),
+  body('courier').optional().isString(),
+  body('trackingNumber').optional().isString()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -516,7 +760,7 @@ router.put('/:id/status', authenticateToken, requireBackOffice, [
       });
     }
 
-    const { status, notes } = req.body;
+    const { status, notes, courier, trackingNumber } = req.body;
 
     const order = await Order.findById(req.params.id)
       .populate('customer', 'firstName lastName email phoneNumber');
@@ -528,6 +772,37 @@ router.put('/:id/status', authenticateToken, requireBackOffice, [
       });
     }
 
+    if (order.status === status) {
+      return res.json({
+        success: true,
+        message: 'Order status is already set to this value',
+        order: {
+          id: order._id,
+          orderNumber: order.orderNumber,
+          status: order.status,
+          updatedAt: order.updatedAt
+        }
+      });
+    }
+
+    // Dispatch details can be supplied with the status change
+    if (status === 'dispatched' && (courier || trackingNumber)) {
+      if (!order.dispatch) {
+        order.dispatch = {};
+      }
+      order.dispatch.courier = courier || order.dispatch.courier;
+      order.dispatch.trackingNumber = trackingNumber || order.dispatch.trackingNumber;
+    }
+
+    const rejection = checkStatusTransition(order, status, req.userRole);
+    if (rejection) {
+      const { statusCode, ...details } = rejection;
+      return res.status(statusCode).json({
+        success: false,
+        ...details
+      });
+    }
+
     const oldStatus = order.status;
     order.status = status;
     order.updatedAt = new Date();
@@ -537,8 +812,9 @@ router.put('/:id/status', authenticateToken, requireBackOffice, [
       order.payment = {};
     }
     
-    // Set payment status based on order status
-    if (status === 'delivered' || status === 'dispatched' || status === 'ready_for_dispatch' || status === 'in_production' || status === 'confirmed') {
+    // Set payment status based on order status (scheduled orders track recorded payments instead)
+    const hasSchedule = order.paymentSchedule && order.paymentSchedule.length > 0;
+    if (!hasSchedule && (status === 'delivered' || status === 'dispatched' || status === 'ready_for_dispatch' || status === 'in_production' || status === 'confirmed')) {
       order.payment.status = 'completed';
       if (!order.payment.paidAt) {
         order.payment.paidAt = new Date();
@@ -546,7 +822,7 @@ router.put('/:id/status', authenticateToken, requireBackOffice, [
       if (!order.payment.method || order.payment.method === 'pending') {
         order.payment.method = 'bank_transfer';
       }
-    } else if (status === 'cancelled') {
+    } else if (!hasSchedule && status === 'cancelled') {
       order.payment.status = 'refunded';
     }
 
@@ -584,50 +860,36 @@ router.put('/:id/status', authenticateToken, requireBackOffice, [
     // Send emails, notifications, and WebSocket updates asynchronously (don't block response)
     setImmediate(async () => {
       try {
-        // Send real-time WebSocket notification for status update
-        try {
-          const websocketService = require('../services/websocketService');
-          websocketService.notifyOrderStatusUpdate(order, oldStatus, status);
-        } catch (wsError) {
-          console.error('WebSocket status update notification failed:', wsError);
-        }
-
-        // Send status update email to customer
-        try {
-          const { sendOrderConfirmation } = require('../services/emailService');
-          await sendOrderConfirmation(order);
-          console.log('Order status update email sent to customer:', order.customer.email);
-        } catch (emailError) {
-          console.error('Status update email failed:', emailError);
-        }
+        // Status update email, SMS and real-time notification to the customer
+        await notify('order_status', {
+          recipient: order.customer,
+          email: ['sendOrderConfirmation', order],
+          sms: ['sendOrderConfirmationSMS', order, order.customer],
+          websocket: ['notifyOrderStatusUpdate', order, oldStatus, status]
+        });
 
         // Note: Delivery time notification email removed - customer will only receive email when order is dispatched
 
         // Create notification for customer if status changed to dispatched
         // Note: Dispatch notifications are handled in dispatch.js to avoid duplicates
-        if (status === 'dispatched' && oldStatus !== 'dispatched') {
-          try {
-            const Notification = require('../models/Notification');
-            // Only create notification if dispatch details are not available (manual status update)
-            if (!order.dispatch || !order.dispatch.trackingNumber) {
-              await Notification.createNotification({
-                title: 'Order Dispatched',
-                message: `Your order ${order.orderNumber} has been dispatched! We will update you with tracking details soon.`,
-                type: 'success',
-                userId: order.customer._id,
-                relatedEntity: {
-                  type: 'order',
-                  entityId: order._id
-                },
-                metadata: {
-                  orderNumber: order.orderNumber,
-                  dispatchedAt: new Date()
-                }
-              });
+        // Only create notification if dispatch details are not available (manual status update)
+        if (status === 'dispatched' && oldStatus !== 'dispatched' && (!order.dispatch || !order.dispatch.trackingNumber)) {
+          await notify('order_dispatched', {
+            recipient: order.customer,
+            inApp: {
+              title: 'Order Dispatched',
+              message: `Your order ${order.orderNumber} has been dispatched! We will update you with tracking details soon.`,
+              type: 'success',
+              relatedEntity: {
+                type: 'order',
+                entityId: order._id
+              },
+              metadata: {
+                orderNumber: order.orderNumber,
+                dispatchedAt: new Date()
+              }
             }
-          } catch (notificationError) {
-            console.error('Failed to create dispatch notification:', notificationError);
-          }
+          });
         }
       } catch (error) {
         console.error('Error in async order status update tasks:', error);
@@ -692,6 +954,16 @@ router.put('/:id/dispatch', authenticateToken, requireBackOffice, [
     // Update dispatch details
     order.dispatch.courier = courier;
     order.dispatch.trackingNumber = trackingNumber;
+
+    const rejection = checkStatusTransition(order, 'dispatched', req.userRole);
+    if (rejection) {
+      const { statusCode, ...details } = rejection;
+      return res.status(statusCode).json({
+        success: false,
+        ...details
+      });
+    }
+
     order.dispatch.dispatchedAt = new Date();
     order.status = 'dispatched';
     
@@ -731,42 +1003,15 @@ router.put('/:id/dispatch', authenticateToken, requireBackOffice, [
           return;
         }
 
-        // Send real-time WebSocket notification for dispatch update
-        try {
-          const websocketService = require('../services/websocketService');
-          websocketService.notifyDispatchUpdate(updatedOrder);
-        } catch (wsError) {
-          console.error('WebSocket dispatch notification failed:', wsError);
-        }
-
-        // Send dispatch notification email to customer
-        try {
-          console.log('📧 Sending dispatch notification email to customer...');
-          console.log('Order dispatch details:', {
-            courier: updatedOrder.dispatch?.courier,
-            trackingNumber: updatedOrder.dispatch?.trackingNumber,
-            dispatchedAt: updatedOrder.dispatch?.dispatchedAt,
-            estimatedDelivery: updatedOrder.dispatch?.estimatedDelivery
-          });
-          console.log('Customer email:', updatedOrder.customer?.email);
-          
-          const { sendDispatchNotification } = require('../services/emailService');
-          await sendDispatchNotification(updatedOrder);
-          console.log('✅ Dispatch notification email sent successfully to customer:', updatedOrder.customer?.email);
-        } catch (emailError) {
-          console.error('❌ Dispatch notification email failed:', emailError);
-          console.error('Email error details:', emailError.message);
-          // Don't fail the operation if email fails
-        }
-
-        // Create notification for customer about dispatch details update
-        try {
-          const Notification = require('../models/Notification');
-          await Notification.createNotification({
+        // Dispatch email, SMS, in-app and real-time notifications to the customer
+        await notify('order_dispatched', {
+          recipient: updatedOrder.customer,
+          email: ['sendDispatchNotification', updatedOrder],
+          sms: ['sendDispatchNotificationSMS', updatedOrder, updatedOrder.customer],
+          inApp: {
             title: 'Dispatch Details Updated',
             message: `Dispatch details have been updated for order ${updatedOrder.orderNumber}. Tracking Number: ${updatedOrder.dispatch.trackingNumber}, Courier: ${updatedOrder.dispatch.courier}. Estimated delivery: ${updatedOrder.dispatch.estimatedDelivery ? new Date(updatedOrder.dispatch.estimatedDelivery).toLocaleDateString() : 'TBD'}.`,
             type: 'info',
-            userId: updatedOrder.customer._id,
             relatedEntity: {
               type: 'order',
               entityId: updatedOrder._id
@@ -778,13 +1023,9 @@ router.put('/:id/dispatch', authenticateToken, requireBackOffice, [
               estimatedDelivery: updatedOrder.dispatch.estimatedDelivery,
               updatedAt: new Date()
             }
-          });
-          
-          console.log(`Created dispatch details update notification for customer: ${updatedOrder.customer.email}`);
-        } catch (notificationError) {
-          console.error('Failed to create dispatch details update notification:', notificationError);
-          // Don't fail the operation if notification creation fails
-        }
+          },
+          websocket: ['notifyDispatchUpdate', updatedOrder]
+        });
       } catch (error) {
         console.error('Error in background dispatch notifications:', error);
       }
@@ -819,7 +1060,7 @@ router.get('/customer/:customerId', authenticateToken, async (req, res) => {
       .populate('inquiry', 'inquiryNumber')
       .sort({ createdAt: -1 })
       .lean()
-      .select('orderNumber status customer quotation inquiry totalAmount createdAt updatedAt payment.status dispatch.courier dispatch.trackingNumber');
+      .select('orderNumber status customer quotation inquiry totalAmount createdAt updatedAt payment.status production.progress dispatch.courier dispatch.trackingNumber');
 
     res.json({
       success: true,
@@ -0,0 +1,413 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const OrderChangeRequest = require('../models/OrderChangeRequest');
+const {
+  getCancellationFee,
+  createOrderChangeRequest,
+  approveOrderChangeRequest,
+  notifyOrderChangeRequest
+} = require('../services/orderChangeService');
+const { notifyRefundStatus } = require('../services/refundService');
+const { notify } = require('../services/notificationDispatcher');
+
+// Import middleware from auth.js
+const { authenticateToken, requireBackOffice } = require('../middleware/auth');
+
+const router = express.Router();
+
+const isBackOffice = (req) => ['admin', 'backoffice', 'subadmin'].includes(req.userRole);
+
+const canAccessRequest = (req, changeRequest) =>
+  isBackOffice(req) || (changeRequest.customer?._id || changeRequest.customer).toString() === req.userId;
+
+// Load the order for a new request and check the caller may act on it
+const loadOrderForRequest = async (req, res) => {
+  const order = await Order.findById(req.body.orderId)
+    .populate('customer', 'firstName lastName email');
+  if (!order) {
+    res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+    return null;
+  }
+
+  if (!isBackOffice(req) && order.customer._id.toString() !== req.userId) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return order;
+};
+
+// Shared handler for new cancellation and change requests
+const submitRequest = (type) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await loadOrderForRequest(req, res);
+    if (!order) return;
+
+    const { reason, parts, deliveryAddress, expectedDeliveryDate } = req.body;
+    const result = await createOrderChangeRequest(order, { type, reason, parts, deliveryAddress, expectedDeliveryDate }, { userId: req.userId });
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${type === 'cancellation' ? 'Cancellation' : 'Change'} request submitted for review`,
+      changeRequest: result.changeRequest
+    });
+
+    setImmediate(() => {
+      notifyOrderChangeRequest(result.changeRequest, order)
+        .catch(error => console.error('Order change notifications failed:', error));
+    });
+
+  } catch (error) {
+    console.error(`Create ${type} request error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Preview the cancellation fee for an order (Customer owner or Back Office)
+router.get('/cancellation-fee/:orderId', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId).select('orderNumber customer status totalAmount amountPaid');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!isBackOffice(req) && order.customer.toString() !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const fee = await getCancellationFee(order);
+
+    res.json({
+      success: true,
+      orderStatus: order.status,
+      cancellationFee: fee,
+      amountPaid: order.amountPaid || 0
+    });
+
+  } catch (error) {
+    console.error('Get cancellation fee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Request order cancellation (Customer owner or Back Office)
+router.post('/cancellation', authenticateToken, [
+  body('orderId').isMongoId().withMessage('Valid order ID is required'),
+  body('reason').trim().notEmpty().withMessage('Cancellation reason is required')
+], submitRequest('cancellation'));
+
+// Request order changes (Customer owner or Back Office)
+router.post('/change', authenticateToken, [
+  body('orderId').isMongoId().withMessage('Valid order ID is required'),
+  body('reason').trim().notEmpty().withMessage('Reason for the change is required'),
+  body('parts').optional().isArray().withMessage('Parts must be an array'),
+  body('parts.*.partId').optional().isMongoId().withMessage('Valid part ID is required'),
+  body('parts.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('deliveryAddress').optional().isObject().withMessage('Delivery address must be an object'),
+  body('deliveryAddress.street').optional().isString(),
+  body('deliveryAddress.city').optional().isString(),
+  body('deliveryAddress.state').optional().isString(),
+  body('deliveryAddress.country').optional().isString(),
+  body('deliveryAddress.zipCode').optional().isString(),
+  body('expectedDeliveryDate').optional().isISO8601().withMessage('Valid expected delivery date is required')
+], submitRequest('change'));
+
+// List requests (Back Office sees all, customers their own)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { status, type, orderId, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (!isBackOffice(req)) {
+      filter.customer = req.userId;
+    }
+    if (status) {
+      filter.status = status;
+    }
+    if (type) {
+      filter.type = type;
+    }
+    if (orderId) {
+      filter.order = orderId;
+    }
+
+    const changeRequests = await OrderChangeRequest.find(filter)
+      .populate('order', 'orderNumber status totalAmount')
+      .populate('customer', 'firstName lastName companyName email')
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await OrderChangeRequest.countDocuments(filter);
+
+    res.json({
+      success: true,
+      changeRequests,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get order change requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get a single request
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const changeRequest = await OrderChangeRequest.findById(req.params.id)
+      .populate('order', 'orderNumber status totalAmount amountPaid balanceDue')
+      .populate('requestedBy', 'firstName lastName role')
+      .populate('reviewedBy', 'firstName lastName')
+      .populate('refundRequest', 'amount status');
+    if (!changeRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    if (!canAccessRequest(req, changeRequest)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      changeRequest
+    });
+
+  } catch (error) {
+    console.error('Get order change request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Approve a request and apply it to the order (Back Office)
+router.put('/:id/approve', authenticateToken, requireBackOffice, [
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const changeRequest = await OrderChangeRequest.findById(req.params.id);
+    if (!changeRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    if (changeRequest.status !== 'requested') {
+      return res.status(409).json({
+        success: false,
+        message: `Request is already ${changeRequest.status}`
+      });
+    }
+
+    const order = await Order.findById(changeRequest.order)
+      .populate('customer', 'firstName lastName email gstin address');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const result = await approveOrderChangeRequest(changeRequest, order, {
+      reviewerId: req.userId,
+      reviewerRole: req.userRole,
+      notes: req.body.notes
+    });
+    if (!result.success) {
+      const { statusCode, ...details } = result;
+      return res.status(statusCode).json(details);
+    }
+
+    res.json({
+      success: true,
+      message: changeRequest.type === 'cancellation' ? 'Order cancelled' : 'Order changes applied',
+      changeRequest,
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        totalAmount: order.totalAmount,
+        amountPaid: order.amountPaid,
+        balanceDue: order.balanceDue
+      },
+      refundRequest: result.refundRequest
+    });
+
+    setImmediate(() => {
+      notifyOrderChangeRequest(changeRequest, order)
+        .catch(error => console.error('Order change notifications failed:', error));
+      if (result.refundRequest) {
+        notifyRefundStatus(result.refundRequest, order)
+          .catch(error => console.error('Refund notifications failed:', error));
+      }
+      if (changeRequest.type === 'cancellation') {
+        notify('order_status', {
+          websocket: ['notifyOrderStatusUpdate', order, changeRequest.orderStatus, 'cancelled']
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Approve order change request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Reject a request (Back Office)
+router.put('/:id/reject', authenticateToken, requireBackOffice, [
+  body('reason').trim().notEmpty().withMessage('Rejection reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const changeRequest = await OrderChangeRequest.findById(req.params.id);
+    if (!changeRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    if (changeRequest.status !== 'requested') {
+      return res.status(409).json({
+        success: false,
+        message: `Request is already ${changeRequest.status}`
+      });
+    }
+
+    changeRequest.reviewedBy = req.userId;
+    changeRequest.reviewedAt = new Date();
+    changeRequest.reviewNotes = req.body.reason;
+    changeRequest.setStatus('rejected', req.userId, req.body.reason);
+    await changeRequest.save();
+
+    res.json({
+      success: true,
+      message: 'Request rejected',
+      changeRequest
+    });
+
+    setImmediate(async () => {
+      try {
+        const order = await Order.findById(changeRequest.order)
+          .populate('customer', 'firstName lastName email');
+        await notifyOrderChangeRequest(changeRequest, order);
+      } catch (error) {
+        console.error('Order change notifications failed:', error);
+      }
+    });
+
+  } catch (error) {
+    console.error('Reject order change request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Withdraw a pending request (Customer owner)
+router.put('/:id/withdraw', authenticateToken, async (req, res) => {
+  try {
+    const changeRequest = await OrderChangeRequest.findById(req.params.id);
+    if (!changeRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    if (changeRequest.customer.toString() !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (changeRequest.status !== 'requested') {
+      return res.status(409).json({
+        success: false,
+        message: `Request is already ${changeRequest.status}`
+      });
+    }
+
+    changeRequest.setStatus('withdrawn', req.userId);
+    await changeRequest.save();
+
+    res.json({
+      success: true,
+      message: 'Request withdrawn',
+      changeRequest
+    });
+
+  } catch (error) {
+    console.error('Withdraw order change request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
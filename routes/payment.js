@@ -1,20 +1,70 @@
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
 const { body, validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const Quotation = require('../models/Quotation'); // Added Quotation model
-const { sendPaymentConfirmation, sendCustomerPaymentConfirmation } = require('../services/emailService');
+const Payment = require('../models/Payment');
+const WebhookEvent = require('../models/WebhookEvent');
+const { createRefundRequest, notifyRefundStatus } = require('../services/refundService');
+const { uploadFileToCloudinary, deleteFileFromCloudinary, isCloudinaryConfigured } = require('../services/cloudinaryService');
+const { notify } = require('../services/notificationDispatcher');
 const { 
   createPaymentOrder, 
   verifyPayment, 
+  verifyWebhookSignature,
   getPaymentDetails, 
-  refundPayment,
+  recordTransaction,
+  captureOrderPayment,
+  refundOrderPayment,
   isRazorpayConfigured 
 } = require('../services/paymentService');
 
 const router = express.Router();
 
 // Import middleware from auth.js
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireBackOffice } = require('../middleware/auth');
+
+// Bank transfer receipts are kept in memory and uploaded straight to Cloudinary
+const receiptUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedExtensions = ['.pdf', '.jpg', '.jpeg', '.png'];
+    if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error(`File type not allowed. Allowed types: ${allowedExtensions.join(', ')}`), false);
+    }
+  }
+});
+
+// Run the receipt upload and turn Multer errors into JSON responses
+const uploadReceipt = (req, res, next) => {
+  receiptUpload.single('receipt')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    res.status(error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE' ? 'Receipt too large. Maximum file size is 10MB.' : error.message
+    });
+  });
+};
+
+// Payment confirmation email and SMS to the back office, and email to the customer
+const notifyPaymentConfirmation = async (order) => {
+  await notify('payment_received', {
+    email: ['sendPaymentConfirmation', order],
+    sms: ['sendPaymentConfirmationSMS', order, order.customer]
+  });
+  await notify('payment_received', {
+    recipient: order.customer,
+    email: ['sendCustomerPaymentConfirmation', order]
+  });
+};
 
 // Get payment methods available
 router.get('/methods', authenticateToken, async (req, res) => {
@@ -71,6 +121,25 @@ router.get('/methods', authenticateToken, async (req, res) => {
   }
 });
 
+// Check a payment amount against the order - scheduled orders accept any part of the balance
+const validatePaymentAmount = (order, amount) => {
+  if (order.paymentSchedule && order.paymentSchedule.length > 0) {
+    const balanceDue = order.balanceDue !== undefined ? order.balanceDue : order.totalAmount;
+    if (balanceDue <= 0) {
+      return 'Order is already fully paid';
+    }
+    if (amount - balanceDue > 0.01) {
+      return `Payment amount exceeds outstanding balance of ₹${balanceDue}`;
+    }
+    return null;
+  }
+
+  if (Math.abs(amount - order.totalAmount) > 0.01) {
+    return 'Payment amount does not match order total';
+  }
+  return null;
+};
+
 // Initialize payment for order
 router.post('/initialize', authenticateToken, [
   body('orderId').notEmpty().withMessage('Order ID is required'),
@@ -107,19 +176,25 @@ router.post('/initialize', authenticateToken, [
       });
     }
 
-    // Check if order is in correct status
-    if (order.status !== 'pending') {
+    const hasSchedule = order.paymentSchedule && order.paymentSchedule.length > 0;
+
+    // Check if order is in correct status (scheduled orders can pay milestones until delivery)
+    const payableStatuses = hasSchedule
+      ? ['pending', 'confirmed', 'in_production', 'ready_for_dispatch', 'partially_dispatched', 'dispatched']
+      : ['pending'];
+    if (!payableStatuses.includes(order.status)) {
       return res.status(400).json({
         success: false,
         message: 'Order is not in correct status for payment'
       });
     }
 
-    // Check if amount matches order total
-    if (Math.abs(amount - order.totalAmount) > 0.01) {
+    // Check amount against the outstanding balance (or the order total for single payments)
+    const amountError = validatePaymentAmount(order, amount);
+    if (amountError) {
       return res.status(400).json({
         success: false,
-        message: 'Payment amount does not match order total'
+        message: amountError
       });
     }
 
@@ -134,12 +209,27 @@ router.post('/initialize', authenticateToken, [
       createdAt: new Date()
     };
 
-    // Update order payment details
-    order.payment.method = paymentMethod;
-    order.payment.status = 'processing';
-    order.payment.amount = amount;
-    order.payment.gateway = paymentMethod;
-    await order.save();
+    // Update order payment details (keep the paid summary once milestones have been paid)
+    if (!order.amountPaid) {
+      order.payment.method = paymentMethod;
+      order.payment.status = 'processing';
+      order.payment.amount = amount;
+      order.payment.gateway = paymentMethod;
+      await order.save();
+    }
+
+    await recordTransaction({
+      order: order._id,
+      customer: order.customer._id,
+      type: 'attempt',
+      status: 'initiated',
+      amount,
+      currency: order.currency,
+      method: paymentMethod,
+      gateway: paymentMethod,
+      source: 'checkout',
+      transactionId: paymentIntent.id
+    });
 
     res.json({
       success: true,
@@ -197,37 +287,26 @@ router.post('/process', authenticateToken, [
       });
     }
 
+    // Amount comes from the attempt recorded by /initialize
+    const attempt = await Payment.findOne({ order: order._id, type: 'attempt', transactionId: paymentIntentId });
+    const paymentAmount = attempt ? attempt.amount : order.payment.amount;
+
     // Simulate payment processing
     const paymentSuccess = Math.random() > 0.1; // 90% success rate for demo
 
     if (paymentSuccess) {
       // Payment successful
-      order.payment.status = 'completed';
-      order.payment.paidAt = new Date();
-      order.payment.transactionId = `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      order.status = 'confirmed';
-      order.confirmedAt = new Date();
-      
-      await order.save();
+      await captureOrderPayment(order, {
+        amount: paymentAmount,
+        method: paymentMethod,
+        gateway: paymentMethod,
+        source: 'simulated',
+        transactionId: `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+      });
 
 
-      // Send payment confirmation email to back office
-      try {
-        await sendPaymentConfirmation(order);
-      } catch (emailError) {
-        console.error('Payment confirmation email failed:', emailError);
-        // Don't fail the operation if email fails
-      }
-
-      // Send payment confirmation email to customer
-      try {
-        console.log('📧 Sending payment confirmation email to customer...');
-        await sendCustomerPaymentConfirmation(order);
-        console.log('✅ Payment confirmation email sent successfully to customer:', order.customer?.email);
-      } catch (emailError) {
-        console.error('❌ Customer payment confirmation email failed:', emailError);
-        // Don't fail the operation if email fails
-      }
+      // Payment confirmation emails to back office and customer
+      await notifyPaymentConfirmation(order);
 
       // Note: Order confirmation email will be sent separately when admin confirms the order
 
@@ -235,10 +314,11 @@ router.post('/process', authenticateToken, [
         success: true,
         message: 'Payment processed successfully',
         payment: {
-          status: 'completed',
+          status: order.payment.status,
           transactionId: order.payment.transactionId,
           amount: order.payment.amount,
-          paidAt: order.payment.paidAt
+          paidAt: order.payment.paidAt,
+          balanceDue: order.balanceDue
         },
         order: {
           id: order._id,
@@ -249,15 +329,31 @@ router.post('/process', authenticateToken, [
 
     } else {
       // Payment failed
-      order.payment.status = 'failed';
-      await order.save();
+      if (!order.amountPaid) {
+        order.payment.status = 'failed';
+        await order.save();
+      }
+
+      await recordTransaction({
+        order: order._id,
+        customer: order.customer._id,
+        type: 'failure',
+        status: 'failed',
+        amount: paymentAmount,
+        currency: order.currency,
+        method: paymentMethod,
+        gateway: paymentMethod,
+        source: 'simulated',
+        transactionId: paymentIntentId,
+        reason: 'Payment declined'
+      });
 
       res.status(400).json({
         success: false,
         message: 'Payment failed. Please try again.',
         payment: {
           status: 'failed',
-          amount: order.payment.amount
+          amount: paymentAmount
         }
       });
     }
@@ -313,10 +409,13 @@ router.get('/:orderId/status', authenticateToken, async (req, res) => {
   }
 });
 
-// Refund payment (Back Office only)
+// Request a refund for an order (Back Office only) - runs once an admin approves it via /api/refunds
 router.post('/:orderId/refund', authenticateToken, [
   body('reason').notEmpty().withMessage('Refund reason is required'),
-  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Valid refund amount is required')
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Valid refund amount is required'),
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.partId').optional().isMongoId().withMessage('Valid part ID is required'),
+  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1')
 ], async (req, res) => {
   try {
     // Check if user is back office/admin
@@ -337,7 +436,49 @@ router.post('/:orderId/refund', authenticateToken, [
     }
 
     const { orderId } = req.params;
-    const { reason, amount } = req.body;
+    const { reason, amount, items } = req.body;
+
+    const order = await Order.findById(orderId)
+      .populate('customer', 'firstName lastName email');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const result = await createRefundRequest(order, { reason, amount, items }, { userId: req.userId, userRole: req.userRole });
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund request submitted for approval',
+      refundRequest: result.refundRequest
+    });
+
+    setImmediate(() => {
+      notifyRefundStatus(result.refundRequest, order)
+        .catch(error => console.error('Refund notifications failed:', error));
+    });
+
+  } catch (error) {
+    console.error('Process refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get payment history for order
+router.get('/:orderId/history', authenticateToken, async (req, res) => {
+  try {
+    const { orderId } = req.params;
 
     const order = await Order.findById(orderId);
     if (!order) {
@@ -347,33 +488,417 @@ router.post('/:orderId/refund', authenticateToken, [
       });
     }
 
-    if (order.payment.status !== 'completed') {
-      return res.status(400).json({
+    // Check if user has access to this order
+    if (req.userRole !== 'admin' && req.userRole !== 'backoffice' && order.customer.toString() !== req.userId) {
+      return res.status(403).json({
         success: false,
-        message: 'Order payment is not completed'
+        message: 'Access denied'
       });
     }
 
-    // Process refund
-    const refundAmount = amount || order.payment.amount;
-    
-    // Update payment status
-    order.payment.status = 'refunded';
-    order.notes = `Refund processed: ${reason}. Amount: ${refundAmount}`;
-    await order.save();
+    const transactions = await Payment.find({ order: order._id }).sort({ occurredAt: 1 });
+
+    const paymentHistory = [];
+
+    if (transactions.length > 0) {
+      // One entry per ledger transaction, captures labelled with the milestones they settled
+      const actions = {
+        attempt: 'Payment Initiated',
+        capture: 'Payment Received',
+        failure: 'Payment Failed',
+        refund: 'Payment Refunded'
+      };
+
+      transactions.forEach(transaction => {
+        const milestoneNames = transaction.allocations.map(allocation => allocation.name).filter(Boolean);
+
+        paymentHistory.push({
+          action: milestoneNames.length > 0 ? `${actions[transaction.type]} (${milestoneNames.join(', ')})` : actions[transaction.type],
+          timestamp: transaction.occurredAt,
+          status: transaction.status,
+          amount: transaction.amount,
+          currency: transaction.currency,
+          method: transaction.method,
+          source: transaction.source,
+          transactionId: transaction.transactionId,
+          refundId: transaction.refundId,
+          reason: transaction.reason
+        });
+      });
+    } else {
+      // Orders paid before the ledger existed only carry the summary on the order
+      paymentHistory.push({
+        action: 'Payment Initiated',
+        timestamp: order.createdAt,
+        status: 'completed',
+        amount: order.totalAmount,
+        currency: order.currency
+      });
+
+      if (order.payment.paidAt) {
+        paymentHistory.push({
+          action: 'Payment Completed',
+          timestamp: order.payment.paidAt,
+          status: 'completed',
+          amount: order.payment.amount,
+          currency: order.currency,
+          transactionId: order.payment.transactionId
+        });
+      }
+
+      if (order.payment.status === 'refunded') {
+        paymentHistory.push({
+          action: 'Payment Refunded',
+          timestamp: order.updatedAt,
+          status: 'refunded',
+          amount: order.payment.amount,
+          currency: order.currency,
+          reason: order.notes
+        });
+      }
+    }
 
     res.json({
       success: true,
-      message: 'Refund processed successfully',
-      refund: {
-        amount: refundAmount,
-        reason: reason,
-        processedAt: new Date()
+      paymentHistory,
+      amountPaid: order.amountPaid,
+      balanceDue: order.balanceDue
+    });
+
+  } catch (error) {
+    console.error('Get payment history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get payment schedule and outstanding balance for order
+router.get('/:orderId/schedule', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId)
+      .select('orderNumber customer status totalAmount currency paymentSchedule amountPaid balanceDue payment');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (req.userRole !== 'admin' && req.userRole !== 'backoffice' && order.customer.toString() !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Next milestone that has fallen due for the current order status
+    const flow = Order.STATUS_FLOW;
+    const currentIndex = flow.indexOf(order.status);
+    const nextDue = order.paymentSchedule.find(milestone =>
+      milestone.status !== 'paid' && flow.indexOf(milestone.dueOnStatus) <= currentIndex
+    ) || null;
+
+    const payments = await Payment.find({ order: order._id, type: 'capture' })
+      .select('amount currency method gateway source transactionId allocations occurredAt')
+      .sort({ occurredAt: 1 });
+
+    res.json({
+      success: true,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      totalAmount: order.totalAmount,
+      currency: order.currency,
+      amountPaid: order.amountPaid,
+      balanceDue: order.balanceDue !== undefined ? order.balanceDue : order.totalAmount,
+      paymentStatus: order.payment.status,
+      schedule: order.paymentSchedule,
+      nextDue,
+      payments
+    });
+
+  } catch (error) {
+    console.error('Get payment schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Record an offline payment against an order (Back Office only)
+router.post('/:orderId/payments', authenticateToken, [
+  body('amount').isFloat({ min: 0.01 }).withMessage('Valid amount is required'),
+  body('method').isIn(['credit_card', 'debit_card', 'bank_transfer', 'paypal', 'razorpay']).withMessage('Invalid payment method'),
+  body('transactionId').optional().isString(),
+  body('milestoneId').optional().isMongoId(),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    if (!['admin', 'backoffice'].includes(req.userRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Back office access required'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { amount, method, transactionId, milestoneId, notes } = req.body;
+
+    const order = await Order.findById(req.params.orderId)
+      .populate('customer', 'firstName lastName email phoneNumber');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot record payments on a cancelled order'
+      });
+    }
+
+    if (milestoneId && !order.paymentSchedule.id(milestoneId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    const amountError = validatePaymentAmount(order, parseFloat(amount));
+    if (amountError) {
+      return res.status(400).json({
+        success: false,
+        message: amountError
+      });
+    }
+
+    const payment = await captureOrderPayment(order, {
+      amount: parseFloat(amount),
+      method,
+      gateway: 'manual',
+      source: 'manual',
+      transactionId,
+      milestoneId,
+      notes,
+      recordedBy: req.userId
+    });
+    if (!payment) {
+      return res.status(409).json({
+        success: false,
+        message: 'This transaction has already been recorded'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      payment,
+      amountPaid: order.amountPaid,
+      balanceDue: order.balanceDue,
+      schedule: order.paymentSchedule
+    });
+
+    // Same confirmations as a customer payment
+    setImmediate(() => {
+      notifyPaymentCompleted(order, payment.amount, payment.transactionId || 'manual entry')
+        .catch(error => console.error('Payment notifications failed:', error));
+    });
+
+  } catch (error) {
+    console.error('Record payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Upload NEFT/RTGS proof for an order (Customer owner or Back Office)
+router.post('/:orderId/bank-transfer', authenticateToken, uploadReceipt, [
+  body('utrNumber').trim().matches(/^[A-Za-z0-9]{12,22}$/).withMessage('Valid UTR number is required'),
+  body('amount').isFloat({ min: 0.01 }).withMessage('Valid transfer amount is required'),
+  body('transferDate').optional().isISO8601().withMessage('Valid transfer date is required'),
+  body('bankName').optional().isString(),
+  body('milestoneId').optional().isMongoId().withMessage('Valid milestone ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transfer receipt file is required'
+      });
+    }
+
+    const { amount, transferDate, bankName, milestoneId } = req.body;
+    const utrNumber = req.body.utrNumber.toUpperCase();
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const isBackOffice = ['admin', 'backoffice', 'subadmin'].includes(req.userRole);
+    if (!isBackOffice && order.customer.toString() !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (order.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot pay for a cancelled order'
+      });
+    }
+
+    if (milestoneId && !order.paymentSchedule.id(milestoneId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    const amountError = validatePaymentAmount(order, parseFloat(amount));
+    if (amountError) {
+      return res.status(400).json({
+        success: false,
+        message: amountError
+      });
+    }
+
+    // A UTR identifies one bank transfer - it can't be claimed by another order, and can
+    // only be resubmitted on this order once the earlier proof was rejected.
+    // The unique index on the UTR backs the cross-order check against concurrent uploads
+    const duplicate = order.bankTransferProofs.some(existing => existing.utrNumber === utrNumber && existing.status !== 'rejected')
+      || await Order.exists({ _id: { $ne: order._id }, 'bankTransferProofs.utrNumber': utrNumber });
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: 'This UTR number has already been submitted'
+      });
+    }
+
+    if (!isCloudinaryConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'File storage is not configured'
+      });
+    }
+
+    const uploaded = await uploadFileToCloudinary(req.file.buffer, req.file.originalname, 'payment-proofs');
+
+    order.bankTransferProofs.push({
+      utrNumber,
+      amount: parseFloat(amount),
+      transferDate: transferDate ? new Date(transferDate) : undefined,
+      bankName,
+      milestone: milestoneId,
+      receipt: {
+        originalName: req.file.originalname,
+        url: uploaded.url,
+        publicId: uploaded.public_id,
+        fileType: path.extname(req.file.originalname).toLowerCase(),
+        fileSize: req.file.size
+      },
+      uploadedBy: req.userId
+    });
+    const proof = order.bankTransferProofs[order.bankTransferProofs.length - 1];
+
+    // Keep the paid summary once milestones have been paid
+    if (!order.amountPaid) {
+      order.payment.method = 'bank_transfer';
+      order.payment.status = 'processing';
+    }
+    try {
+      await order.save();
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      await deleteFileFromCloudinary(uploaded.public_id).catch(() => {});
+      return res.status(409).json({
+        success: false,
+        message: 'This UTR number has already been submitted'
+      });
+    }
+
+    await recordTransaction({
+      order: order._id,
+      customer: order.customer,
+      type: 'attempt',
+      status: 'initiated',
+      amount: proof.amount,
+      currency: order.currency,
+      method: 'bank_transfer',
+      gateway: 'bank_transfer',
+      source: 'bank_transfer',
+      transactionId: utrNumber,
+      recordedBy: req.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Transfer proof submitted for verification',
+      proof
+    });
+
+    // Let back office know there is a transfer to verify
+    setImmediate(async () => {
+      try {
+        const User = require('../models/User');
+        const adminUsers = await User.find({ role: { $in: ['admin', 'backoffice', 'subadmin'] } });
+
+        await notify('payment_received', {
+          inApp: adminUsers.map(admin => ({
+            title: 'Bank Transfer To Verify',
+            message: `Bank transfer of ₹${proof.amount} (UTR ${utrNumber}) submitted for order ${order.orderNumber}.`,
+            type: 'info',
+            userId: admin._id,
+            relatedEntity: {
+              type: 'order',
+              entityId: order._id
+            },
+            metadata: {
+              orderNumber: order.orderNumber,
+              proofId: proof._id,
+              utrNumber,
+              amount: proof.amount
+            }
+          }))
+        });
+      } catch (notificationError) {
+        console.error('Failed to create bank transfer notifications:', notificationError);
       }
     });
 
   } catch (error) {
-    console.error('Process refund error:', error);
+    console.error('Upload bank transfer proof error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -381,12 +906,161 @@ router.post('/:orderId/refund', authenticateToken, [
   }
 });
 
-// Get payment history for order
-router.get('/:orderId/history', authenticateToken, async (req, res) => {
+// List bank transfer proofs awaiting review (Back Office only)
+router.get('/bank-transfers', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    const orders = await Order.find({ 'bankTransferProofs.status': status })
+      .select('orderNumber customer totalAmount amountPaid balanceDue currency bankTransferProofs')
+      .populate('customer', 'firstName lastName companyName email')
+      .sort({ updatedAt: -1 });
+
+    const proofs = [];
+    orders.forEach(order => {
+      order.bankTransferProofs
+        .filter(proof => proof.status === status)
+        .forEach(proof => proofs.push({
+          ...proof.toObject(),
+          order: {
+            _id: order._id,
+            orderNumber: order.orderNumber,
+            customer: order.customer,
+            totalAmount: order.totalAmount,
+            amountPaid: order.amountPaid,
+            balanceDue: order.balanceDue,
+            currency: order.currency
+          }
+        }));
+    });
+    proofs.sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt));
+
+    res.json({
+      success: true,
+      proofs
+    });
+
+  } catch (error) {
+    console.error('Get bank transfer proofs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Verify a bank transfer proof and record the payment (Back Office only)
+router.put('/:orderId/bank-transfer/:proofId/verify', authenticateToken, requireBackOffice, [
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Valid received amount is required'),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.orderId)
+      .populate('customer', 'firstName lastName email phoneNumber');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const proof = order.bankTransferProofs.id(req.params.proofId);
+    if (!proof) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer proof not found'
+      });
+    }
+
+    if (proof.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Transfer proof is already ${proof.status}`
+      });
+    }
+
+    // Back office records what actually reached the bank account
+    const receivedAmount = req.body.amount ? parseFloat(req.body.amount) : proof.amount;
+    const amountError = validatePaymentAmount(order, receivedAmount);
+    if (amountError) {
+      return res.status(400).json({
+        success: false,
+        message: amountError
+      });
+    }
+
+    proof.status = 'verified';
+    proof.reviewedBy = req.userId;
+    proof.reviewedAt = new Date();
+
+    const payment = await captureOrderPayment(order, {
+      amount: receivedAmount,
+      method: 'bank_transfer',
+      gateway: 'bank_transfer',
+      source: 'bank_transfer',
+      transactionId: proof.utrNumber,
+      milestoneId: proof.milestone,
+      notes: req.body.notes,
+      recordedBy: req.userId,
+      paidAt: proof.transferDate
+    });
+    if (!payment) {
+      return res.status(409).json({
+        success: false,
+        message: 'This transaction has already been recorded'
+      });
+    }
+
+    proof.payment = payment._id;
+    await order.save();
+
+    res.json({
+      success: true,
+      message: 'Bank transfer verified',
+      proof,
+      amountPaid: order.amountPaid,
+      balanceDue: order.balanceDue,
+      paymentStatus: order.payment.status
+    });
+
+    setImmediate(() => {
+      notifyPaymentCompleted(order, receivedAmount, proof.utrNumber)
+        .catch(error => console.error('Payment notifications failed:', error));
+    });
+
+  } catch (error) {
+    console.error('Verify bank transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Reject a bank transfer proof (Back Office only)
+router.put('/:orderId/bank-transfer/:proofId/reject', authenticateToken, requireBackOffice, [
+  body('reason').trim().notEmpty().withMessage('Rejection reason is required')
+], async (req, res) => {
   try {
-    const { orderId } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    const order = await Order.findById(orderId);
+    const order = await Order.findById(req.params.orderId);
     if (!order) {
       return res.status(404).json({
         success: false,
@@ -394,53 +1068,79 @@ router.get('/:orderId/history', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check if user has access to this order
-    if (req.userRole !== 'admin' && req.userRole !== 'backoffice' && order.customer.toString() !== req.userId) {
-      return res.status(403).json({
+    const proof = order.bankTransferProofs.id(req.params.proofId);
+    if (!proof) {
+      return res.status(404).json({
         success: false,
-        message: 'Access denied'
+        message: 'Transfer proof not found'
       });
     }
 
-    const paymentHistory = [
-      {
-        action: 'Payment Initiated',
-        timestamp: order.createdAt,
-        status: 'completed',
-        amount: order.totalAmount,
-        currency: order.currency
-      }
-    ];
-
-    if (order.payment.paidAt) {
-      paymentHistory.push({
-        action: 'Payment Completed',
-        timestamp: order.payment.paidAt,
-        status: 'completed',
-        amount: order.payment.amount,
-        currency: order.currency,
-        transactionId: order.payment.transactionId
+    if (proof.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Transfer proof is already ${proof.status}`
       });
     }
 
-    if (order.payment.status === 'refunded') {
-      paymentHistory.push({
-        action: 'Payment Refunded',
-        timestamp: order.updatedAt,
-        status: 'refunded',
-        amount: order.payment.amount,
-        currency: order.currency,
-        reason: order.notes
-      });
+    const { reason } = req.body;
+    proof.status = 'rejected';
+    proof.reviewedBy = req.userId;
+    proof.reviewedAt = new Date();
+    proof.rejectionReason = reason;
+
+    // Nothing paid and nothing else waiting - the customer has to pay again
+    const stillPending = order.bankTransferProofs.some(other => other.status === 'pending');
+    if (!order.amountPaid && !stillPending) {
+      order.payment.status = 'failed';
+      order.payment.failureReason = reason;
+      order.payment.failedAt = new Date();
     }
+    await order.save();
+
+    await recordTransaction({
+      order: order._id,
+      customer: order.customer,
+      type: 'failure',
+      status: 'failed',
+      amount: proof.amount,
+      currency: order.currency,
+      method: 'bank_transfer',
+      gateway: 'bank_transfer',
+      source: 'bank_transfer',
+      transactionId: proof.utrNumber,
+      reason,
+      recordedBy: req.userId
+    });
 
     res.json({
       success: true,
-      paymentHistory
+      message: 'Bank transfer proof rejected',
+      proof
     });
 
+    setImmediate(() => notify('payment_failed', {
+      recipient: order.customer,
+      inApp: {
+        title: 'Bank Transfer Not Verified',
+        message: `We could not verify your bank transfer (UTR ${proof.utrNumber}) for order ${order.orderNumber}: ${reason}. Please check the details and submit again.`,
+        type: 'error',
+        relatedEntity: {
+          type: 'order',
+          entityId: order._id
+        },
+        metadata: {
+          orderNumber: order.orderNumber,
+          proofId: proof._id,
+          utrNumber: proof.utrNumber,
+          reason
+        }
+      },
+      websocket: ['notifyPaymentFailed', order, reason]
+    }));
+
   } catch (error) {
-    console.error('Get payment history error:', error);
+    console.error('Reject bank transfer error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -449,12 +1149,14 @@ router.get('/:orderId/history', authenticateToken, async (req, res) => {
 });
 
 // Update order after successful payment
-router.post('/update-order', authenticateToken, async (req, res) => {
+router.post('/update-order', authenticateToken, [
+  body('paymentAmount').isFloat({ min: 0.01 }).withMessage('Valid payment amount is required').toFloat()
+], async (req, res) => {
   try {
     const { quotationId, paymentMethod, transactionId, paymentAmount } = req.body;
 
     // Validate required fields
-    if (!quotationId || !paymentMethod || !paymentAmount) {
+    if (!quotationId || !paymentMethod || !validationResult(req).isEmpty()) {
       return res.status(400).json({
         success: false,
         message: 'Quotation ID, payment method, and amount are required'
@@ -486,22 +1188,14 @@ router.post('/update-order', authenticateToken, async (req, res) => {
     console.log('Inquiry fetched:', inquiry ? inquiry._id : 'not found');
     console.log('Inquiry parts:', inquiry?.parts);
 
-    // Check if quotation is accepted
-    if (quotation.status !== 'accepted') {
+    // Check if quotation is accepted (later milestone payments arrive after the order exists)
+    if (!['accepted', 'order_created'].includes(quotation.status)) {
       return res.status(400).json({
         success: false,
         message: 'Quotation must be accepted before creating order'
       });
     }
 
-    // Verify payment amount matches quotation amount
-    if (paymentAmount !== quotation.totalAmount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Payment amount does not match quotation amount'
-      });
-    }
-
     // Find existing order for this quotation
     const existingOrder = await Order.findOne({ quotation: quotationId })
       .populate('customer', 'firstName lastName email phoneNumber');
@@ -513,6 +1207,15 @@ router.post('/update-order', authenticateToken, async (req, res) => {
       });
     }
 
+    // Verify payment amount against the outstanding balance
+    const amountError = validatePaymentAmount(existingOrder, paymentAmount);
+    if (amountError) {
+      return res.status(400).json({
+        success: false,
+        message: amountError
+      });
+    }
+
     console.log('=== UPDATE ORDER PAYMENT DEBUG ===');
     console.log('Existing order ID:', existingOrder._id);
     console.log('Existing order number:', existingOrder.orderNumber);
@@ -581,19 +1284,21 @@ router.post('/update-order', authenticateToken, async (req, res) => {
       console.log('✅ Order already has parts:', existingOrder.parts.length, 'items');
     }
 
-    // Update the existing order with payment information
-    existingOrder.status = 'confirmed';
-    existingOrder.payment = {
-      method: paymentMethod,
-      status: 'completed',
-      transactionId: transactionId,
+    // Record the payment against the order's milestones
+    const recorded = await captureOrderPayment(existingOrder, {
       amount: paymentAmount,
-      paidAt: new Date(),
-      gateway: 'manual'
-    };
-    existingOrder.confirmedAt = new Date();
-
-    await existingOrder.save();
+      method: paymentMethod,
+      gateway: 'manual',
+      source: 'manual',
+      transactionId,
+      recordedBy: req.userId
+    });
+    if (!recorded) {
+      return res.status(409).json({
+        success: false,
+        message: 'This transaction has already been recorded'
+      });
+    }
 
 
     // Update quotation status to indicate order created
@@ -601,34 +1306,18 @@ router.post('/update-order', authenticateToken, async (req, res) => {
     quotation.orderCreatedAt = new Date();
     await quotation.save();
 
-    // Send payment confirmation email to back office
-    try {
-      await sendPaymentConfirmation(existingOrder);
-    } catch (emailError) {
-      console.error('Payment confirmation email failed:', emailError);
-      // Don't fail the operation if email fails
-    }
-
-    // Send payment confirmation email to customer
-    try {
-      console.log('📧 Sending payment confirmation email to customer...');
-      await sendCustomerPaymentConfirmation(existingOrder);
-      console.log('✅ Payment confirmation email sent successfully to customer:', existingOrder.customer?.email);
-    } catch (emailError) {
-      console.error('❌ Customer payment confirmation email failed:', emailError);
-      // Don't fail the operation if email fails
-    }
+    // Payment confirmation emails to back office and customer
+    await notifyPaymentConfirmation(existingOrder);
 
     // Note: Order confirmation email will be sent separately when admin confirms the order
 
     // Create notification for customer about payment success
-    try {
-      const Notification = require('../models/Notification');
-      await Notification.createNotification({
+    await notify('payment_received', {
+      recipient: existingOrder.customer,
+      inApp: {
         title: 'Payment Successful',
         message: `Your payment of ₹${paymentAmount} for order ${existingOrder.orderNumber} has been received successfully. Your order will be confirmed by our team shortly.`,
         type: 'success',
-        userId: existingOrder.customer,
         relatedEntity: {
           type: 'order',
           entityId: existingOrder._id
@@ -639,19 +1328,16 @@ router.post('/update-order', authenticateToken, async (req, res) => {
           paymentStatus: 'completed',
           paidAt: new Date()
         }
-      });
-    } catch (notificationError) {
-      console.error('Failed to create customer payment notification:', notificationError);
-    }
+      }
+    });
 
-    // Create notification for all admin users about payment completion
+    // In-app and real-time notifications for all admin users about payment completion
     try {
       const User = require('../models/User');
-      const Notification = require('../models/Notification');
       const adminUsers = await User.find({ role: { $in: ['admin', 'backoffice', 'subadmin'] } });
-      
-      for (const admin of adminUsers) {
-        await Notification.createNotification({
+
+      await notify('payment_received', {
+        inApp: adminUsers.map(admin => ({
           title: 'Payment Received',
           message: `Payment of ₹${paymentAmount} received for order ${existingOrder.orderNumber}. Customer: ${existingOrder.customer?.firstName || 'Unknown'} ${existingOrder.customer?.lastName || ''}. Transaction ID: ${transactionId}`,
           type: 'success',
@@ -668,20 +1354,13 @@ router.post('/update-order', authenticateToken, async (req, res) => {
             customerName: `${existingOrder.customer?.firstName || 'Unknown'} ${existingOrder.customer?.lastName || ''}`,
             paidAt: new Date()
           }
-        });
-      }
+        })),
+        websocket: ['notifyPaymentReceived', existingOrder, paymentAmount, transactionId]
+      });
     } catch (notificationError) {
       console.error('Failed to create admin payment notifications:', notificationError);
     }
 
-    // Send real-time WebSocket notification to admin users
-    try {
-      const websocketService = require('../services/websocketService');
-      websocketService.notifyPaymentReceived(existingOrder, paymentAmount, transactionId);
-    } catch (wsError) {
-      console.error('WebSocket admin payment notification failed:', wsError);
-    }
-
     res.json({
       success: true,
       message: 'Order confirmed successfully after payment',
@@ -689,6 +1368,8 @@ router.post('/update-order', authenticateToken, async (req, res) => {
         id: existingOrder._id,
         orderNumber: existingOrder.orderNumber,
         totalAmount: existingOrder.totalAmount,
+        amountPaid: existingOrder.amountPaid,
+        balanceDue: existingOrder.balanceDue,
         status: existingOrder.status,
         paymentStatus: existingOrder.payment.status
       }
@@ -703,6 +1384,64 @@ router.post('/update-order', authenticateToken, async (req, res) => {
   }
 });
 
+// Emails, notifications and WebSocket events for a completed gateway payment
+// (shared by the browser verification flow and the Razorpay webhook)
+const notifyPaymentCompleted = async (order, amount, transactionId) => {
+  // Payment confirmation emails to back office and customer
+  await notifyPaymentConfirmation(order);
+
+  // In-app and real-time notification for the customer about payment success
+  await notify('payment_received', {
+    recipient: order.customer,
+    inApp: {
+      title: 'Payment Successful',
+      message: `Your payment of ₹${amount} for order ${order.orderNumber} has been received successfully. Your order will be confirmed by our team shortly.`,
+      type: 'success',
+      relatedEntity: {
+        type: 'order',
+        entityId: order._id
+      },
+      metadata: {
+        orderNumber: order.orderNumber,
+        totalAmount: order.totalAmount,
+        paymentStatus: 'completed',
+        paidAt: order.payment.paidAt
+      }
+    },
+    websocket: ['notifyOrderCreated', order]
+  });
+
+  // In-app and real-time notifications for all admin users about payment completion
+  try {
+    const User = require('../models/User');
+    const adminUsers = await User.find({ role: { $in: ['admin', 'backoffice', 'subadmin'] } });
+
+    await notify('payment_received', {
+      inApp: adminUsers.map(admin => ({
+        title: 'Payment Received',
+        message: `Payment of ₹${amount} received for order ${order.orderNumber}. Customer: ${order.customer?.firstName || 'Unknown'} ${order.customer?.lastName || ''}. Transaction ID: ${transactionId}`,
+        type: 'success',
+        userId: admin._id,
+        relatedEntity: {
+          type: 'order',
+          entityId: order._id
+        },
+        metadata: {
+          orderNumber: order.orderNumber,
+          paymentAmount: amount,
+          paymentMethod: 'razorpay',
+          transactionId: transactionId,
+          customerName: `${order.customer?.firstName || 'Unknown'} ${order.customer?.lastName || ''}`,
+          paidAt: order.payment.paidAt
+        }
+      })),
+      websocket: ['notifyPaymentReceived', order, amount, transactionId]
+    });
+  } catch (notificationError) {
+    console.error('Failed to create admin payment notifications:', notificationError);
+  }
+};
+
 // Create Razorpay payment order
 router.post('/create-order', authenticateToken, [
   body('amount').isNumeric().withMessage('Amount is required'),
@@ -727,8 +1466,8 @@ router.post('/create-order', authenticateToken, [
       });
     }
 
-    // Create Razorpay order
-    const paymentOrder = await createPaymentOrder(amount, 'INR', `quotation_${quotationId}`);
+    // Create Razorpay order (quotationId in notes lets the webhook find the order)
+    const paymentOrder = await createPaymentOrder(amount, 'INR', `quotation_${quotationId}`, { quotationId: quotationId.toString() });
     
     if (!paymentOrder.success) {
       return res.status(400).json({
@@ -737,6 +1476,26 @@ router.post('/create-order', authenticateToken, [
       });
     }
 
+    // Remember the gateway order id for webhook reconciliation
+    const order = await Order.findOneAndUpdate(
+      { quotation: quotationId },
+      { $set: { 'payment.gatewayOrderId': paymentOrder.orderId } },
+      { new: true }
+    );
+
+    await recordTransaction({
+      order: order?._id,
+      customer: order ? order.customer : req.userId,
+      type: 'attempt',
+      status: 'initiated',
+      amount: parseFloat(amount),
+      currency: 'INR',
+      method: 'razorpay',
+      gateway: 'razorpay',
+      source: 'checkout',
+      gatewayOrderId: paymentOrder.orderId
+    });
+
     res.json({
       success: true,
       message: 'Payment order created successfully',
@@ -869,105 +1628,19 @@ router.post('/verify', authenticateToken, [
       }
     }
 
-    // Update order payment status
-    order.payment = {
-      method: 'razorpay',
-      status: 'completed',
-      transactionId: razorpayPaymentId,
+    // Record the payment - null when the webhook already reconciled it, so don't notify twice
+    const recorded = await captureOrderPayment(order, {
       amount: paymentDetails.payment.amount,
-      paidAt: new Date(),
+      method: 'razorpay',
       gateway: 'razorpay',
-      gatewayOrderId: razorpayOrderId
-    };
-    order.status = 'confirmed';
-    order.confirmedAt = new Date();
-
-    await order.save();
-
-    // Send payment confirmation email to back office
-    try {
-      await sendPaymentConfirmation(order);
-    } catch (emailError) {
-      console.error('Payment confirmation email failed:', emailError);
-    }
-
-    // Send payment confirmation email to customer
-    try {
-      console.log('📧 Sending payment confirmation email to customer...');
-      await sendCustomerPaymentConfirmation(order);
-      console.log('✅ Payment confirmation email sent successfully to customer:', order.customer?.email);
-    } catch (emailError) {
-      console.error('❌ Customer payment confirmation email failed:', emailError);
-      // Don't fail the operation if email fails
-    }
-
-    // Create notification for customer about payment success
-    try {
-      const Notification = require('../models/Notification');
-      await Notification.createNotification({
-        title: 'Payment Successful',
-        message: `Your payment of ₹${order.totalAmount} for order ${order.orderNumber} has been received successfully. Your order will be confirmed by our team shortly.`,
-        type: 'success',
-        userId: order.customer,
-        relatedEntity: {
-          type: 'order',
-          entityId: order._id
-        },
-        metadata: {
-          orderNumber: order.orderNumber,
-          totalAmount: order.totalAmount,
-          paymentStatus: 'completed',
-          paidAt: new Date()
-        }
-      });
-    } catch (notificationError) {
-      console.error('Failed to create customer payment notification:', notificationError);
-    }
-
-    // Create notification for all admin users about payment completion
-    try {
-      const User = require('../models/User');
-      const Notification = require('../models/Notification');
-      const adminUsers = await User.find({ role: { $in: ['admin', 'backoffice', 'subadmin'] } });
-      
-      for (const admin of adminUsers) {
-        await Notification.createNotification({
-          title: 'Payment Received',
-          message: `Payment of ₹${paymentDetails.payment.amount} received for order ${order.orderNumber}. Customer: ${order.customer?.firstName || 'Unknown'} ${order.customer?.lastName || ''}. Transaction ID: ${razorpayPaymentId}`,
-          type: 'success',
-          userId: admin._id,
-          relatedEntity: {
-            type: 'order',
-            entityId: order._id
-          },
-          metadata: {
-            orderNumber: order.orderNumber,
-            paymentAmount: paymentDetails.payment.amount,
-            paymentMethod: 'razorpay',
-            transactionId: razorpayPaymentId,
-            customerName: `${order.customer?.firstName || 'Unknown'} ${order.customer?.lastName || ''}`,
-            paidAt: new Date()
-          }
-        });
-      }
-    } catch (notificationError) {
-      console.error('Failed to create admin payment notifications:', notificationError);
-    }
-
-    // Send real-time WebSocket notification to customer
-    try {
-      const websocketService = require('../services/websocketService');
-      websocketService.notifyOrderCreated(order);
-    } catch (wsError) {
-      console.error('WebSocket payment notification failed:', wsError);
-    }
+      source: 'verify',
+      transactionId: razorpayPaymentId,
+      gatewayOrderId: razorpayOrderId,
+      gatewayPayload: paymentDetails.payment
+    });
 
-    // Send real-time WebSocket notification to admin users
-    try {
-      const websocketService = require('../services/websocketService');
-      websocketService.notifyPaymentReceived(order, paymentDetails.payment.amount, razorpayPaymentId);
-    } catch (wsError) {
-      console.error('WebSocket admin payment notification failed:', wsError);
+    if (recorded) {
+      await notifyPaymentCompleted(order, paymentDetails.payment.amount, razorpayPaymentId);
     }
 
     res.json({
@@ -982,7 +1655,9 @@ router.post('/verify', authenticateToken, [
       order: {
         id: order._id,
         orderNumber: order.orderNumber,
-        status: order.status
+        status: order.status,
+        amountPaid: order.amountPaid,
+        balanceDue: order.balanceDue
       }
     });
 
@@ -1030,13 +1705,20 @@ router.get('/status/:paymentId', authenticateToken, async (req, res) => {
   }
 });
 
-// Refund payment (Admin only)
+// Request a refund of a gateway payment (Back Office only) - runs once an admin approves it via /api/refunds
 router.post('/refund', authenticateToken, [
   body('paymentId').notEmpty().withMessage('Payment ID is required'),
   body('amount').optional().isNumeric().withMessage('Amount must be numeric'),
   body('reason').optional().isString().withMessage('Reason must be string')
 ], async (req, res) => {
   try {
+    if (!['admin', 'backoffice'].includes(req.userRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Back office access required'
+      });
+    }
+
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -1048,31 +1730,38 @@ router.post('/refund', authenticateToken, [
 
     const { paymentId, amount, reason } = req.body;
 
-    if (!isRazorpayConfigured) {
-      return res.status(400).json({
+    // Find the order through the ledger, falling back to the order payment summary
+    const capture = await Payment.findOne({ type: 'capture', transactionId: paymentId });
+    const order = await Order.findOne(capture ? { _id: capture.order } : { 'payment.transactionId': paymentId })
+      .populate('customer', 'firstName lastName email');
+    if (!order) {
+      return res.status(404).json({
         success: false,
-        message: 'Payment gateway not configured'
+        message: 'No order found for this payment'
       });
     }
 
-    const refund = await refundPayment(paymentId, amount, reason);
-    
-    if (!refund.success) {
-      return res.status(400).json({
+    const result = await createRefundRequest(
+      order,
+      { reason: reason || 'Customer request', amount },
+      { userId: req.userId, userRole: req.userRole }
+    );
+    if (!result.success) {
+      return res.status(result.statusCode).json({
         success: false,
-        message: refund.message || 'Refund failed'
+        message: result.message
       });
     }
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Refund processed successfully',
-      refund: {
-        id: refund.refundId,
-        amount: refund.amount,
-        status: refund.status,
-        paymentId: refund.paymentId
-      }
+      message: 'Refund request submitted for approval',
+      refundRequest: result.refundRequest
+    });
+
+    setImmediate(() => {
+      notifyRefundStatus(result.refundRequest, order)
+        .catch(error => console.error('Refund notifications failed:', error));
     });
 
   } catch (error) {
@@ -1084,4 +1773,279 @@ router.post('/refund', authenticateToken, [
   }
 });
 
+// Find the order a Razorpay payment belongs to
+const findOrderForGatewayPayment = async (payment) => {
+  const populateCustomer = (query) => query.populate('customer', 'firstName lastName email phoneNumber');
+
+  if (payment.order_id) {
+    const order = await populateCustomer(Order.findOne({ 'payment.gatewayOrderId': payment.order_id }));
+    if (order) return order;
+  }
+
+  const quotationId = payment.notes && payment.notes.quotationId;
+  if (quotationId && /^[0-9a-fA-F]{24}$/.test(quotationId)) {
+    const order = await populateCustomer(Order.findOne({ quotation: quotationId }));
+    if (order) return order;
+  }
+
+  return populateCustomer(Order.findOne({ 'payment.transactionId': payment.id }));
+};
+
+// Find the order a Razorpay refund belongs to. payment.transactionId only holds the
+// latest capture, so the ledger capture decides for milestone orders.
+const findOrderForGatewayRefund = async (refund) => {
+  const capture = await Payment.findOne({ type: 'capture', transactionId: refund.payment_id }).select('order');
+  return Order.findOne(capture && capture.order ? { _id: capture.order } : { 'payment.transactionId': refund.payment_id })
+    .populate('customer', 'firstName lastName email phoneNumber');
+};
+
+// payment.captured - mark the order paid unless the browser flow already did
+const handlePaymentCaptured = async (payment, order) => {
+  if (order.payment.status === 'refunded') {
+    return 'ignored: order payment already refunded';
+  }
+
+  const amount = payment.amount / 100;
+  order.payment.failureReason = undefined;
+  const recorded = await captureOrderPayment(order, {
+    amount,
+    method: 'razorpay',
+    gateway: 'razorpay',
+    source: 'webhook',
+    transactionId: payment.id,
+    gatewayOrderId: payment.order_id,
+    gatewayPayload: payment,
+    paidAt: payment.created_at ? new Date(payment.created_at * 1000) : new Date()
+  });
+  if (!recorded) {
+    return 'already reconciled';
+  }
+
+  await notifyPaymentCompleted(order, amount, payment.id);
+  return 'payment completed';
+};
+
+// payment.failed - record the failure so the customer can retry
+const handlePaymentFailed = async (payment, order) => {
+  const reason = payment.error_description || payment.error_reason || 'Payment failed';
+
+  // Every failure goes in the ledger, even when the order is already paid
+  if (!await Payment.exists({ type: 'failure', transactionId: payment.id })) {
+    await recordTransaction({
+      order: order._id,
+      customer: order.customer?._id || order.customer,
+      type: 'failure',
+      status: 'failed',
+      amount: payment.amount / 100,
+      currency: payment.currency || order.currency,
+      method: 'razorpay',
+      gateway: 'razorpay',
+      source: 'webhook',
+      transactionId: payment.id,
+      gatewayOrderId: payment.order_id,
+      reason,
+      gatewayPayload: payment
+    });
+  }
+
+  if (['completed', 'partially_paid', 'refunded'].includes(order.payment.status)) {
+    // Keep the paid summary - the failure is still visible in the ledger
+    return `ignored: order payment already ${order.payment.status}`;
+  }
+
+  order.payment.method = 'razorpay';
+  order.payment.status = 'failed';
+  order.payment.gateway = 'razorpay';
+  order.payment.gatewayOrderId = payment.order_id || order.payment.gatewayOrderId;
+  order.payment.failureReason = reason;
+  order.payment.failedAt = new Date();
+  await order.save();
+
+  await notify('payment_failed', {
+    recipient: order.customer,
+    inApp: {
+      title: 'Payment Failed',
+      message: `Your payment for order ${order.orderNumber} failed: ${reason}. Please try again.`,
+      type: 'error',
+      relatedEntity: {
+        type: 'order',
+        entityId: order._id
+      },
+      metadata: {
+        orderNumber: order.orderNumber,
+        paymentId: payment.id,
+        reason
+      }
+    },
+    websocket: ['notifyPaymentFailed', order, reason]
+  });
+
+  return 'payment failed';
+};
+
+// refund.processed - accumulate refunded amount, fully refunded orders become 'refunded'
+const handleRefundProcessed = async (refund, order) => {
+  const amount = refund.amount / 100;
+  const recorded = await refundOrderPayment(order, {
+    amount,
+    method: 'razorpay',
+    gateway: 'razorpay',
+    source: 'webhook',
+    transactionId: refund.payment_id,
+    refundId: refund.id,
+    reason: refund.notes && refund.notes.reason,
+    gatewayPayload: refund
+  });
+  if (!recorded) {
+    return 'already reconciled';
+  }
+
+  await notify('refund_update', {
+    recipient: order.customer,
+    inApp: {
+      title: 'Refund Processed',
+      message: `A refund of ₹${amount} for order ${order.orderNumber} has been processed. It may take 5-7 working days to reflect in your account.`,
+      type: 'info',
+      relatedEntity: {
+        type: 'order',
+        entityId: order._id
+      },
+      metadata: {
+        orderNumber: order.orderNumber,
+        refundId: refund.id,
+        amount,
+        refundedAmount: order.payment.refundedAmount
+      }
+    },
+    websocket: ['notifyRefundProcessed', order, amount, refund.id]
+  });
+
+  return 'refund recorded';
+};
+
+// How long a webhook attempt may stay processing before a redelivery takes it over
+const getWebhookProcessingTimeout = () => parseInt(process.env.WEBHOOK_PROCESSING_TIMEOUT_MS) || 5 * 60 * 1000;
+
+// Razorpay webhook (no auth - authenticated by signature)
+router.post('/webhook', async (req, res) => {
+  const signature = req.headers['x-razorpay-signature'];
+  const verification = verifyWebhookSignature(req.rawBody, signature);
+
+  if (!verification.success) {
+    console.error('Razorpay webhook rejected:', verification.message);
+    return res.status(400).json({
+      success: false,
+      message: verification.message
+    });
+  }
+
+  const { event, payload = {} } = req.body;
+  const paymentEntity = payload.payment && payload.payment.entity;
+  const refundEntity = payload.refund && payload.refund.entity;
+  // Razorpay sends the same event id on every retry of a delivery
+  const eventId = req.headers['x-razorpay-event-id']
+    || `${event}:${(refundEntity || paymentEntity || {}).id}`;
+
+  let webhookEvent;
+  try {
+    webhookEvent = await WebhookEvent.create({
+      eventId,
+      event,
+      entityId: (refundEntity || paymentEntity || {}).id,
+      payload: req.body
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error('Failed to record Razorpay webhook event:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+
+    // Duplicate delivery - only retry events that failed before, or whose attempt
+    // has been processing too long to still be running
+    const staleBefore = new Date(Date.now() - getWebhookProcessingTimeout());
+    webhookEvent = await WebhookEvent.findOneAndUpdate(
+      {
+        eventId,
+        $or: [
+          { status: 'failed' },
+          { status: 'processing', processingStartedAt: { $lt: staleBefore } },
+          { status: 'processing', processingStartedAt: { $exists: false }, updatedAt: { $lt: staleBefore } }
+        ]
+      },
+      { $set: { status: 'processing', processingStartedAt: new Date() }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!webhookEvent) {
+      // Still running elsewhere: a non-2xx keeps the gateway redelivering until it finishes or goes stale
+      const existing = await WebhookEvent.findOne({ eventId }).select('status');
+      if (existing && existing.status === 'processing') {
+        return res.status(409).json({
+          success: false,
+          message: 'Event is already being processed'
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Event already processed',
+        duplicate: true
+      });
+    }
+  }
+
+  try {
+    const handlers = {
+      'payment.captured': handlePaymentCaptured,
+      'payment.failed': handlePaymentFailed,
+      'refund.processed': handleRefundProcessed
+    };
+    const handler = handlers[event];
+    let result;
+
+    if (!handler) {
+      webhookEvent.status = 'ignored';
+      result = `unhandled event ${event}`;
+    } else {
+      const order = refundEntity
+        ? await findOrderForGatewayRefund(refundEntity)
+        : await findOrderForGatewayPayment(paymentEntity || {});
+
+      if (!order) {
+        webhookEvent.status = 'ignored';
+        result = 'no matching order';
+      } else {
+        webhookEvent.order = order._id;
+        result = await handler(refundEntity || paymentEntity, order);
+        webhookEvent.status = result.startsWith('ignored') ? 'ignored' : 'processed';
+      }
+    }
+
+    webhookEvent.result = result;
+    webhookEvent.error = undefined;
+    webhookEvent.processedAt = new Date();
+    await webhookEvent.save();
+
+    console.log(`Razorpay webhook ${event} (${eventId}): ${result}`);
+    res.json({
+      success: true,
+      message: result
+    });
+
+  } catch (error) {
+    console.error('Razorpay webhook processing error:', error);
+    webhookEvent.status = 'failed';
+    webhookEvent.error = error.message;
+    await webhookEvent.save().catch(saveError => console.error('Failed to record webhook failure:', saveError));
+
+    // Non-2xx makes Razorpay retry the delivery
+    res.status(500).json({
+      success: false,
+      message: 'Webhook processing failed'
+    });
+  }
+});
+
 module.exports = router;
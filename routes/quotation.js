@@ -4,10 +4,11 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
-const { sendQuotationEmail, sendQuotationSentEmail } = require('../services/emailService');
-const { sendSMS } = require('../services/smsService');
+const { authenticateToken, requireBackOffice } = require('../middleware/auth');
+const { queueQuotationPdf } = require('../services/backgroundJobs');
+const { notify } = require('../services/notificationDispatcher');
 const pdfService = require('../services/pdfService');
+const { calculatePartsPricing } = require('../services/pricingService');
 const Quotation = require('../models/Quotation');
 const Inquiry = require('../models/Inquiry');
 // ✅ CLOUDINARY: No local uploads directory needed - all files go to Cloudinary
@@ -126,13 +127,41 @@ router.post('/create', [
       console.log('Quotation already exists for this inquiry:', existingQuotation._id);
       return res.status(400).json({
         success: false,
-        message: 'A quotation already exists for this inquiry',
+        message: 'A quotation already exists for this inquiry. Create a new revision instead.',
         existingQuotationId: existingQuotation._id,
+        currentRevision: existingQuotation.currentRevision,
         quotationNumber: existingQuotation.quotationNumber
       });
     }
     console.log('=== STEP 7.6: NO EXISTING QUOTATION FOUND ===');
 
+    // Prefill suggested prices from the pricing engine for parts sent without a unit price
+    let pricedParts = Array.isArray(parts) ? parts : [];
+    let quotationTotal = parseFloat(totalAmount);
+    if (pricedParts.some(part => !parseFloat(part.unitPrice))) {
+      try {
+        // Use the DXF geometry stored on the inquiry part with the same partRef
+        const pricing = await calculatePartsPricing(pricedParts.map(part => {
+          const inquiryPart = inquiry.parts.find(p => p.partRef && p.partRef === part.partRef);
+          return inquiryPart && inquiryPart.geometry ? { ...part, geometry: inquiryPart.geometry } : part;
+        }));
+        pricedParts = pricedParts.map((part, index) => {
+          if (parseFloat(part.unitPrice)) {
+            return part;
+          }
+          return {
+            ...part,
+            unitPrice: pricing.items[index].unitPrice,
+            totalPrice: pricing.items[index].totalPrice
+          };
+        });
+        quotationTotal = pricedParts.reduce((total, part) => total + (parseFloat(part.totalPrice) || 0), 0);
+        console.log('Suggested prices applied, new total amount:', quotationTotal);
+      } catch (pricingError) {
+        console.error('Pricing engine failed, keeping submitted prices:', pricingError);
+      }
+    }
+
     console.log('=== STEP 8: CREATING QUOTATION DATA ===');
     // Create quotation object with proper data structure
     let customerInfo;
@@ -157,8 +186,8 @@ router.post('/create', [
     const quotationData = {
       inquiryId: inquiryId.toString(), // Convert ObjectId to string
       customerInfo: customerInfo,
-      totalAmount: parseFloat(totalAmount),
-      items: Array.isArray(parts) ? parts.map(part => ({
+      totalAmount: quotationTotal,
+      items: pricedParts.map(part => ({
         partRef: part.partRef || '',
         material: part.material || 'Zintec',
         thickness: part.thickness || '1.5',
@@ -167,7 +196,7 @@ router.post('/create', [
         unitPrice: part.unitPrice || 0,
         totalPrice: part.totalPrice || 0,
         remark: part.remarks || part.remark || ''
-      })) : [],
+      })),
       quotationPdf: req.file ? req.file.filename : null, // Use actual uploaded filename from multer
       status: 'draft',
       validUntil: req.body.validUntil ? new Date(req.body.validUntil) : new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days from now if not provided
@@ -206,57 +235,9 @@ router.post('/create', [
     console.log('Current quotationPdf:', savedQuotation.quotationPdf);
     
     if (!savedQuotation.quotationPdf || savedQuotation.quotationPdf === null) {
-      console.log('No PDF uploaded, generating PDF...');
-      try {
-        // Prepare quotation data for PDF generation
-        const pdfQuotationData = {
-          parts: Array.isArray(parts) ? parts.map(part => ({
-            partRef: part.partRef || '',
-            material: part.material || 'Zintec',
-            thickness: part.thickness || '1.5',
-            quantity: part.quantity || 1,
-            price: part.unitPrice || 0,
-            remarks: part.remarks || part.remark || ''
-          })) : [],
-          totalAmount: parseFloat(totalAmount),
-          currency: 'INR',
-          validUntil: validUntil || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
-          terms: terms || 'Standard manufacturing terms apply. Payment required before production begins.'
-        };
-
-        // Generate PDF
-        const pdfResult = await pdfService.generateQuotationPDF(inquiry, pdfQuotationData);
-        console.log('PDF generated successfully:', pdfResult.fileName);
-
-        // ✅ BEST PRACTICE: Keep generated PDF on disk, store only filename in database
-        if (fs.existsSync(pdfResult.filePath)) {
-          // Ensure file is in the correct location
-          const permanentPath = path.join(__dirname, '../uploads/quotations', pdfResult.fileName);
-          if (pdfResult.filePath !== permanentPath) {
-            // Move to permanent location if needed
-            if (!fs.existsSync(permanentPath)) {
-              fs.renameSync(pdfResult.filePath, permanentPath);
-              console.log('Generated PDF moved to permanent location');
-            }
-          }
-          
-          // Update quotation with filename only (file stays on disk)
-          savedQuotation.quotationPdf = pdfResult.fileName; // Store filename - file is on disk
-          savedQuotation.quotationPdfFilename = pdfResult.fileName; // Store original filename
-          // Note: quotationPdfData (Buffer) is deprecated
-          await savedQuotation.save();
-          
-          console.log('Quotation updated with PDF filename, file stored on disk');
-        } else {
-          console.warn('Generated PDF file not found at:', pdfResult.filePath);
-          // Still save the filename
-          savedQuotation.quotationPdf = pdfResult.fileName;
-          await savedQuotation.save();
-        }
-      } catch (pdfError) {
-        console.error('PDF generation failed:', pdfError);
-        // Don't fail the request if PDF generation fails
-      }
+      // Generated in the background; the PDF download route also generates on demand
+      console.log('No PDF uploaded, queueing PDF generation...');
+      await queueQuotationPdf(savedQuotation._id);
     } else {
       console.log('✅ PDF already uploaded, skipping generation:', savedQuotation.quotationPdf);
       
@@ -290,45 +271,21 @@ router.post('/create', [
       // Don't fail the request if inquiry update fails
     }
 
-    // Send email to customer asynchronously (don't wait for it)
-    if (quotationData.customerInfo.email && quotationData.customerInfo.email !== 'customer@example.com') {
-      console.log('📧 Sending quotation email asynchronously...');
-      // Fire and forget - don't await
-      setImmediate(async () => {
-        try {
-          await sendQuotationEmail(savedQuotation);
-          console.log('✅ Quotation email sent successfully');
-        } catch (emailError) {
-          console.error('❌ Email sending failed:', emailError);
-        }
-      });
-    }
-
-    // Send SMS to customer asynchronously (don't wait for it)
-    if (quotationData.customerInfo.phone && quotationData.customerInfo.phone !== '+1234567890') {
-      console.log('📱 Sending SMS asynchronously...');
-      // Fire and forget - don't await
-      setImmediate(async () => {
-        try {
-          await sendSMS(
-            quotationData.customerInfo.phone,
-            `Your quotation for inquiry ${inquiry.inquiryNumber} has been prepared. Total amount: ₹${totalAmount}. Please check your email for details.`
-          );
-          console.log('✅ SMS sent successfully');
-        } catch (smsError) {
-          console.error('❌ SMS sending failed:', smsError);
-        }
-      });
-    }
-
-    // Create notification for customer
-    try {
-      const Notification = require('../models/Notification');
-      await Notification.createNotification({
+    // Email, SMS, in-app and real-time notifications to the customer
+    const hasEmail = quotationData.customerInfo.email && quotationData.customerInfo.email !== 'customer@example.com';
+    const hasPhone = quotationData.customerInfo.phone && quotationData.customerInfo.phone !== '+1234567890';
+    await notify('quotation_ready', {
+      recipient: inquiry.customer,
+      email: hasEmail && ['sendQuotationEmail', savedQuotation],
+      sms: hasPhone && [
+        'sendSMS',
+        quotationData.customerInfo.phone,
+        `Your quotation for inquiry ${inquiry.inquiryNumber} has been prepared. Total amount: ₹${quotationTotal}. Please check your email for details.`
+      ],
+      inApp: {
         title: 'Quotation Created',
-        message: `Your quotation ${savedQuotation.quotationNumber} has been prepared for inquiry ${inquiry.inquiryNumber}. Total amount: ₹${totalAmount}. Please review and accept.`,
+        message: `Your quotation ${savedQuotation.quotationNumber} has been prepared for inquiry ${inquiry.inquiryNumber}. Total amount: ₹${quotationTotal}. Please review and accept.`,
         type: 'info',
-        userId: inquiry.customer._id,
         relatedEntity: {
           type: 'quotation',
           entityId: savedQuotation._id
@@ -336,23 +293,12 @@ router.post('/create', [
         metadata: {
           quotationNumber: savedQuotation.quotationNumber,
           inquiryNumber: inquiry.inquiryNumber,
-          totalAmount: totalAmount,
+          totalAmount: quotationTotal,
           createdAt: new Date()
         }
-      });
-      console.log('Customer notification created for quotation');
-    } catch (notificationError) {
-      console.error('Failed to create customer notification:', notificationError);
-    }
-
-    // Send real-time WebSocket notification to customer
-    try {
-      const websocketService = require('../services/websocketService');
-      websocketService.notifyQuotationCreated(savedQuotation);
-      console.log('Real-time quotation notification sent to customer');
-    } catch (wsError) {
-      console.error('WebSocket notification failed:', wsError);
-    }
+      },
+      websocket: ['notifyQuotationCreated', savedQuotation, inquiry]
+    });
 
     res.json({
       success: true,
@@ -576,22 +522,37 @@ router.post('/upload', [
         console.error('   Error details:', cloudinaryError);
         // Don't fail the request - quotation is already saved
       }
+
+      // Queued after the upload so the email can attach the PDF from Cloudinary
+      if (parsedCustomerInfo.email && parsedCustomerInfo.email !== 'customer@example.com') {
+        try {
+          const inquiryForEmail = await Inquiry.findById(inquiryId).select('inquiryNumber customer');
+          const quotationForEmail = await Quotation.findById(savedQuotation._id);
+          await notify('quotation_ready', {
+            recipient: inquiryForEmail?.customer,
+            email: ['sendQuotationSentEmail', quotationForEmail, inquiryForEmail?.inquiryNumber || null]
+          });
+        } catch (emailError) {
+          console.error('❌ Failed to queue quotation upload email:', emailError);
+        }
+      }
     });
 
     // OPTIMIZED: Create notifications asynchronously
     setImmediate(async () => {
       try {
-        const Notification = require('../models/Notification');
         const inquiry = await Inquiry.findById(inquiryId).lean().populate('customer', '_id').select('inquiryNumber customer');
         if (inquiry && inquiry.customer) {
-          await Notification.createNotification({
-            title: 'Quotation Uploaded',
-            message: `Your quotation ${savedQuotation.quotationNumber} has been uploaded for inquiry ${inquiry.inquiryNumber || inquiryId}. Total amount: ₹${totalAmount}.`,
-            type: 'info',
-            userId: inquiry.customer._id,
-            relatedEntity: {
-              type: 'quotation',
-              entityId: savedQuotation._id
+          await notify('quotation_ready', {
+            inApp: {
+              title: 'Quotation Uploaded',
+              message: `Your quotation ${savedQuotation.quotationNumber} has been uploaded for inquiry ${inquiry.inquiryNumber || inquiryId}. Total amount: ₹${totalAmount}.`,
+              type: 'info',
+              userId: inquiry.customer._id,
+              relatedEntity: {
+                type: 'quotation',
+                entityId: savedQuotation._id
+              }
             }
           });
         }
@@ -600,33 +561,50 @@ router.post('/upload', [
       }
     });
 
-    // Send email to customer asynchronously when quotation file is uploaded
-    if (parsedCustomerInfo.email && parsedCustomerInfo.email !== 'customer@example.com') {
-      console.log('📧 Sending quotation upload email asynchronously...');
-      // Store file buffer and filename for email attachment (before async operation)
-      const pdfBufferForEmail = fileBuffer;
-      const pdfFileNameForEmail = fileName;
-      
-      setImmediate(async () => {
-        try {
-          // Populate quotation with inquiry number for email
-          const inquiryForEmail = await Inquiry.findById(inquiryId).select('inquiryNumber').lean();
-          const inquiryNumber = inquiryForEmail?.inquiryNumber || null;
-          
-          // Fetch the saved quotation with all details for email
-          const quotationForEmail = await Quotation.findById(savedQuotation._id).lean();
-          
-          // Pass PDF buffer and filename to email function for attachment
-          await sendQuotationSentEmail(quotationForEmail, inquiryNumber, pdfBufferForEmail, pdfFileNameForEmail);
-          console.log('✅ Quotation upload email sent successfully with PDF attachment');
-        } catch (emailError) {
-          console.error('❌ Email sending failed:', emailError);
-        }
+  } catch (error) {
+    console.error('Quotation upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/quotation/pricing/:inquiryId
+// @desc    Get suggested prices and cost breakdown for each part of an inquiry
+// @access  Private (Admin/Back Office)
+router.get('/pricing/:inquiryId', authenticateToken, requireBackOffice, async (req, res) => {
+  try {
+    const { inquiryId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(inquiryId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid inquiry ID format'
       });
     }
 
+    const inquiry = await Inquiry.findById(inquiryId).select('inquiryNumber parts').lean();
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
+      });
+    }
+
+    const pricing = await calculatePartsPricing(inquiry.parts);
+
+    res.json({
+      success: true,
+      inquiryId: inquiry._id,
+      inquiryNumber: inquiry.inquiryNumber,
+      items: pricing.items,
+      totalAmount: pricing.totalAmount
+    });
+
   } catch (error) {
-    console.error('Quotation upload error:', error);
+    console.error('Get pricing breakdown error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -974,64 +952,35 @@ router.post('/:id/send', authenticateToken, async (req, res) => {
     await quotation.save();
     console.log('Quotation status updated to sent');
 
-    // Return response immediately for fast API response
+    // Queue email and SMS to the customer
+    let inquiryNumber = null;
+    let customerId = null;
+    try {
+      const inquiry = await Inquiry.findById(quotation.inquiryId).select('inquiryNumber customer').lean();
+      if (inquiry) {
+        inquiryNumber = inquiry.inquiryNumber;
+        customerId = inquiry.customer;
+      }
+    } catch (inquiryError) {
+      console.warn('Could not fetch inquiry number:', inquiryError.message);
+    }
+
+    await notify('quotation_ready', {
+      recipient: customerId,
+      email: ['sendQuotationSentEmail', quotation, inquiryNumber],
+      sms: quotation.customerInfo.phone && [
+        'sendSMS',
+        quotation.customerInfo.phone,
+        `Your quotation ${quotation.quotationNumber} has been sent. Total amount: ₹${quotation.totalAmount}. Please check your email for details.`
+      ]
+    });
+
     res.json({
       success: true,
       message: 'Quotation sent successfully',
       quotation: quotation
     });
 
-    // Send email and SMS asynchronously in the background (non-blocking)
-    setImmediate(async () => {
-      try {
-        // Get inquiry number for email
-        let inquiryNumber = null;
-        try {
-          const inquiry = await Inquiry.findById(quotation.inquiryId).select('inquiryNumber').lean();
-          if (inquiry) {
-            inquiryNumber = inquiry.inquiryNumber;
-          }
-        } catch (inquiryError) {
-          console.warn('Could not fetch inquiry number:', inquiryError.message);
-        }
-
-        // Send email to customer using proper email service
-        try {
-          console.log('📧 Sending quotation email to customer...');
-          console.log('Customer Email:', quotation.customerInfo?.email);
-          console.log('Quotation Number:', quotation.quotationNumber);
-          await sendQuotationSentEmail(quotation, inquiryNumber);
-          console.log('✅ Quotation email sent successfully to customer:', quotation.customerInfo?.email);
-        } catch (emailError) {
-          console.error('❌ Quotation email sending failed:', emailError.message);
-          console.error('Error details:', emailError);
-          // Don't fail the request if email fails, but log the error
-        }
-
-        // Send SMS to customer
-        try {
-          console.log('Attempting to send SMS...');
-          console.log('Customer phone:', quotation.customerInfo.phone);
-          if (quotation.customerInfo.phone) {
-            const smsResult = await sendSMS(
-              quotation.customerInfo.phone,
-              `Your quotation ${quotation.quotationNumber} has been sent. Total amount: ₹${quotation.totalAmount}. Please check your email for details.`
-            );
-            console.log('SMS result:', smsResult);
-          } else {
-            console.log('No customer phone number available for SMS');
-          }
-        } catch (smsError) {
-          console.error('SMS sending failed:', smsError);
-          // Don't fail the request if SMS fails
-        }
-
-        console.log('=== SEND QUOTATION BACKGROUND TASKS COMPLETE ===');
-      } catch (backgroundError) {
-        console.error('Background task error:', backgroundError);
-      }
-    });
-
   } catch (error) {
     console.error('Send quotation error:', error);
     console.error('Error stack:', error.stack);
@@ -1120,11 +1069,41 @@ router.get('/customer/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Find the quotation item a request line refers to (by itemIndex, falling back to partRef); -1 if none
+const resolveItemIndex = (quotation, line) => {
+  if (line.itemIndex !== undefined && line.itemIndex !== null && line.itemIndex !== '') {
+    const index = parseInt(line.itemIndex);
+    return index >= 0 && index < quotation.items.length ? index : -1;
+  }
+  return quotation.items.findIndex(item => item.partRef && item.partRef === line.partRef);
+};
+
+// Check the requesting user can see a quotation (back office, or the customer who owns the inquiry)
+const canAccessQuotation = async (req, quotation) => {
+  if (['admin', 'backoffice', 'subadmin'].includes(req.userRole)) {
+    return true;
+  }
+  const inquiry = await Inquiry.findById(quotation.inquiryId).select('customer').lean();
+  return !!inquiry && inquiry.customer.toString() === req.userId.toString();
+};
+
 // @route   POST /api/quotation/:id/response
 // @desc    Customer response to quotation (accept/reject)
 // @access  Private (Customer)
-router.post('/:id/response', authenticateToken, async (req, res) => {
+router.post('/:id/response', authenticateToken, [
+  body('response').isIn(['accepted', 'rejected']).withMessage('Invalid response. Must be "accepted" or "rejected"'),
+  body('revision').optional().isInt({ min: 1 }).withMessage('Revision must be a positive integer')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { id } = req.params;
     const { response, notes } = req.body;
     const userId = req.userId;
@@ -1152,6 +1131,71 @@ router.post('/:id/response', authenticateToken, async (req, res) => {
       });
     }
 
+    // Expired quotations can no longer be accepted - the customer has to request a re-quote
+    if (response === 'accepted' && quotation.isExpired()) {
+      if (quotation.status !== 'expired') {
+        quotation.status = 'expired';
+        quotation.expiredAt = new Date();
+        await quotation.save();
+      }
+      return res.status(409).json({
+        success: false,
+        message: `Quotation ${quotation.quotationNumber} expired on ${quotation.validUntil.toLocaleDateString()}. Please request a re-quote.`,
+        status: 'expired',
+        validUntil: quotation.validUntil
+      });
+    }
+
+    // Only a sent quotation awaits the customer - not a draft revision or one already decided
+    if (quotation.status !== 'sent') {
+      return res.status(409).json({
+        success: false,
+        message: `Quotation ${quotation.getRevisionLabel()} is ${quotation.status} and cannot be responded to`,
+        status: quotation.status
+      });
+    }
+
+    // Only the latest revision can be responded to; older clients don't send one
+    const revision = req.body.revision !== undefined ? parseInt(req.body.revision, 10) : quotation.currentRevision;
+    if (revision !== quotation.currentRevision) {
+      return res.status(409).json({
+        success: false,
+        message: `Revision R${revision} has been superseded. Only the latest revision (${quotation.getRevisionLabel()}) can be ${response}.`,
+        currentRevision: quotation.currentRevision
+      });
+    }
+
+    // Partial acceptance: items = [{ itemIndex | partRef, accepted, reason }]
+    const { items: lineDecisions } = req.body;
+    if (response === 'accepted' && Array.isArray(lineDecisions) && lineDecisions.length > 0) {
+      const decisions = [];
+      for (const decision of lineDecisions) {
+        const itemIndex = resolveItemIndex(quotation, decision);
+        if (itemIndex === -1) {
+          return res.status(400).json({
+            success: false,
+            message: `Line does not match any quotation item: ${decision.partRef || decision.itemIndex}`
+          });
+        }
+        decisions.push({
+          itemIndex,
+          accepted: decision.accepted !== false && decision.accepted !== 'false',
+          reason: decision.reason
+        });
+      }
+
+      if (decisions.filter(decision => !decision.accepted).length >= quotation.items.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one line must be accepted. Reject the quotation instead.'
+        });
+      }
+
+      quotation.applyLineDecisions(decisions);
+    } else if (response === 'accepted') {
+      quotation.applyLineDecisions([]);
+    }
+
     // Update quotation status based on response
     if (response === 'accepted') {
       quotation.status = 'accepted';
@@ -1181,7 +1225,9 @@ router.post('/:id/response', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      message: `Quotation ${response} successfully`,
+      message: quotation.partiallyAccepted && response === 'accepted'
+        ? `Quotation partially accepted (${quotation.items.filter(item => item.lineStatus === 'accepted').length} of ${quotation.items.length} lines)`
+        : `Quotation ${response} successfully`,
       quotation: quotation
     });
 
@@ -1195,6 +1241,585 @@ router.post('/:id/response', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/quotation/:id/requote
+// @desc    Customer requests a new quotation after expiry - reopens the inquiry for back office
+// @access  Private (Customer)
+router.post('/:id/requote', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid quotation ID format'
+      });
+    }
+
+    const quotation = await Quotation.findById(id);
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    const inquiry = await Inquiry.findById(quotation.inquiryId);
+    if (!inquiry || inquiry.customer.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. This quotation does not belong to you.'
+      });
+    }
+
+    if (!quotation.isExpired()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only expired quotations can be re-quoted',
+        status: quotation.status,
+        validUntil: quotation.validUntil
+      });
+    }
+
+    if (quotation.requoteRequestedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'A re-quote has already been requested for this quotation',
+        requoteRequestedAt: quotation.requoteRequestedAt
+      });
+    }
+
+    quotation.status = 'expired';
+    quotation.expiredAt = quotation.expiredAt || new Date();
+    quotation.requoteRequestedAt = new Date();
+    quotation.requoteReason = reason || '';
+    await quotation.save();
+
+    // Reopen the inquiry so it shows up in the back office queue again
+    inquiry.status = 'pending';
+    inquiry.customerNotes = reason
+      ? `${inquiry.customerNotes ? `${inquiry.customerNotes}\n` : ''}Re-quote requested: ${reason}`
+      : inquiry.customerNotes;
+    await inquiry.save();
+
+    res.json({
+      success: true,
+      message: 'Re-quote requested successfully. Our team will send you an updated quotation.',
+      quotation
+    });
+
+    // Notify back office asynchronously
+    setImmediate(async () => {
+      try {
+        const User = require('../models/User');
+        const backOfficeUsers = await User.find({ role: { $in: ['admin', 'backoffice'] } }).lean().select('_id');
+        await notify('requote_requested', {
+          email: ['sendRequoteRequestNotification', quotation, inquiry.inquiryNumber, reason],
+          inApp: backOfficeUsers.map(user => ({
+            title: 'Re-quote Requested',
+            message: `${quotation.customerInfo.name} requested a re-quote for ${quotation.quotationNumber} (inquiry ${inquiry.inquiryNumber}).`,
+            type: 'info',
+            userId: user._id,
+            relatedEntity: {
+              type: 'quotation',
+              entityId: quotation._id
+            },
+            metadata: {
+              quotationNumber: quotation.quotationNumber,
+              inquiryNumber: inquiry.inquiryNumber,
+              reason: reason || ''
+            }
+          })),
+          websocket: ['notifyRequoteRequested', quotation, inquiry.inquiryNumber]
+        });
+      } catch (notificationError) {
+        console.error('Failed to create re-quote notifications:', notificationError);
+      }
+    });
+
+  } catch (error) {
+    console.error('Request re-quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/quotation/:id/negotiation
+// @desc    Get the counter-offer / reply thread of a quotation
+// @access  Private
+router.get('/:id/negotiation', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid quotation ID format'
+      });
+    }
+
+    const quotation = await Quotation.findById(req.params.id)
+      .populate('negotiation.author', 'firstName lastName role');
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (!(await canAccessQuotation(req, quotation))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. This quotation does not belong to you.'
+      });
+    }
+
+    res.json({
+      success: true,
+      quotationNumber: quotation.quotationNumber,
+      negotiationStatus: quotation.negotiationStatus,
+      thread: quotation.negotiation
+    });
+
+  } catch (error) {
+    console.error('Get negotiation thread error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/quotation/:id/negotiation
+// @desc    Post a counter-offer (customer) or reply (back office) on a quotation
+// @access  Private
+router.post('/:id/negotiation', authenticateToken, [
+  body('message').optional().isString().isLength({ max: 2000 }),
+  body('counterOffer').optional().isArray(),
+  body('counterOffer.*.itemIndex').optional().isInt({ min: 0 }),
+  body('counterOffer.*.targetUnitPrice').optional().isFloat({ min: 0 }).withMessage('Target unit price must be a positive number'),
+  body('counterOffer.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { message, counterOffer = [] } = req.body;
+    if (!(message && message.trim()) && counterOffer.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A message or at least one counter-offer line is required'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid quotation ID format'
+      });
+    }
+
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    const isBackOffice = ['admin', 'backoffice', 'subadmin'].includes(req.userRole);
+    const inquiry = await Inquiry.findById(quotation.inquiryId).select('customer inquiryNumber').lean();
+    if (!isBackOffice && (!inquiry || inquiry.customer.toString() !== req.userId.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. This quotation does not belong to you.'
+      });
+    }
+
+    if (!Quotation.OPEN_STATUSES.includes(quotation.status) || quotation.isExpired()) {
+      return res.status(409).json({
+        success: false,
+        message: `Quotation ${quotation.quotationNumber} is ${quotation.isExpired() ? 'expired' : quotation.status} and can no longer be negotiated`
+      });
+    }
+
+    // Resolve each counter-offer line against the current quotation items
+    const lines = [];
+    for (const line of counterOffer) {
+      const itemIndex = resolveItemIndex(quotation, line);
+      const item = quotation.items[itemIndex];
+      if (!item) {
+        return res.status(400).json({
+          success: false,
+          message: `Counter-offer line does not match any quotation item: ${line.partRef || line.itemIndex}`
+        });
+      }
+      if (line.targetUnitPrice === undefined && line.quantity === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: `Counter-offer for ${item.partRef || `item ${itemIndex + 1}`} must include a target unit price or quantity`
+        });
+      }
+      lines.push({
+        partRef: item.partRef,
+        itemIndex,
+        quotedUnitPrice: item.unitPrice,
+        targetUnitPrice: line.targetUnitPrice !== undefined ? parseFloat(line.targetUnitPrice) : undefined,
+        quotedQuantity: item.quantity,
+        quantity: line.quantity !== undefined ? parseInt(line.quantity) : undefined
+      });
+    }
+
+    quotation.negotiation.push({
+      author: req.userId,
+      authorRole: isBackOffice ? 'backoffice' : 'customer',
+      message: message ? message.trim() : '',
+      revisionNumber: quotation.currentRevision,
+      counterOffer: lines
+    });
+    quotation.negotiationStatus = isBackOffice ? 'awaiting_customer' : 'awaiting_backoffice';
+    quotation.updatedAt = new Date();
+    await quotation.save();
+
+    const entry = quotation.negotiation[quotation.negotiation.length - 1];
+
+    res.status(201).json({
+      success: true,
+      message: isBackOffice ? 'Reply sent to customer' : 'Counter-offer sent successfully',
+      negotiationStatus: quotation.negotiationStatus,
+      entry
+    });
+
+    // Notify the other party asynchronously
+    setImmediate(async () => {
+      try {
+        const recipients = isBackOffice
+          ? (inquiry ? [inquiry.customer] : [])
+          : (await require('../models/User').find({ role: { $in: ['admin', 'backoffice'] } }).lean().select('_id')).map(user => user._id);
+
+        await notify('quotation_negotiation', {
+          // Replies are emailed to the customer, counter-offers to the back office
+          recipient: isBackOffice && inquiry ? inquiry.customer : null,
+          email: ['sendNegotiationMessageEmail', quotation, entry],
+          inApp: recipients.map(userId => ({
+            title: isBackOffice ? 'Reply on Your Quotation' : 'Counter-offer Received',
+            message: isBackOffice
+              ? `Our team replied on quotation ${quotation.quotationNumber}.`
+              : `${quotation.customerInfo.name} sent a counter-offer on quotation ${quotation.quotationNumber}${lines.length ? ` (${lines.length} line${lines.length === 1 ? '' : 's'})` : ''}.`,
+            type: 'info',
+            userId,
+            relatedEntity: {
+              type: 'quotation',
+              entityId: quotation._id
+            },
+            metadata: {
+              quotationNumber: quotation.quotationNumber,
+              inquiryNumber: inquiry ? inquiry.inquiryNumber : null,
+              entryId: entry._id
+            }
+          })),
+          websocket: ['notifyNegotiationMessage', quotation, entry, inquiry ? inquiry.customer : null]
+        });
+      } catch (notificationError) {
+        console.error('Failed to create negotiation notifications:', notificationError);
+      }
+    });
+
+  } catch (error) {
+    console.error('Post negotiation message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Compare two revision snapshots item by item (matched by partRef, falling back to position)
+const ITEM_DIFF_FIELDS = ['material', 'thickness', 'grade', 'quantity', 'unitPrice', 'totalPrice', 'remark'];
+
+const diffRevisions = (fromRevision, toRevision) => {
+  const keyOf = (item, index) => item.partRef || `#${index + 1}`;
+  const fromItems = new Map((fromRevision.items || []).map((item, index) => [keyOf(item, index), item]));
+  const toItems = new Map((toRevision.items || []).map((item, index) => [keyOf(item, index), item]));
+
+  const items = [];
+  toItems.forEach((item, key) => {
+    const previous = fromItems.get(key);
+    if (!previous) {
+      items.push({ partRef: key, change: 'added', to: item });
+      return;
+    }
+    const changes = {};
+    ITEM_DIFF_FIELDS.forEach(field => {
+      if ((previous[field] ?? null) !== (item[field] ?? null)) {
+        changes[field] = { from: previous[field], to: item[field] };
+      }
+    });
+    if (Object.keys(changes).length > 0) {
+      items.push({ partRef: key, change: 'modified', changes });
+    }
+  });
+  fromItems.forEach((item, key) => {
+    if (!toItems.has(key)) {
+      items.push({ partRef: key, change: 'removed', from: item });
+    }
+  });
+
+  const fields = {};
+  ['validUntil', 'terms', 'notes'].forEach(field => {
+    const before = fromRevision[field] instanceof Date ? fromRevision[field].toISOString() : fromRevision[field];
+    const after = toRevision[field] instanceof Date ? toRevision[field].toISOString() : toRevision[field];
+    if ((before ?? null) !== (after ?? null)) {
+      fields[field] = { from: fromRevision[field], to: toRevision[field] };
+    }
+  });
+
+  return {
+    totalAmount: {
+      from: fromRevision.totalAmount,
+      to: toRevision.totalAmount,
+      difference: (toRevision.totalAmount || 0) - (fromRevision.totalAmount || 0)
+    },
+    items,
+    fields
+  };
+};
+
+// @route   POST /api/quotation/:id/revisions
+// @desc    Create a new revision of a quotation (e.g. after negotiation)
+// @access  Private (Admin/Back Office)
+router.post('/:id/revisions', authenticateToken, requireBackOffice, [
+  body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+  body('items.*.unitPrice').optional().isNumeric().withMessage('Unit price must be a number'),
+  body('totalAmount').optional().isNumeric().withMessage('Total amount must be a number'),
+  body('validUntil').optional().isISO8601().withMessage('Valid until must be a date'),
+  body('changeSummary').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (['accepted', 'order_created'].includes(quotation.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `${quotation.getRevisionLabel()} has already been accepted and can no longer be revised`
+      });
+    }
+
+    const { items, totalAmount, validUntil, terms, notes, changeSummary } = req.body;
+
+    // Carry the current items forward when only terms/validity change
+    const revisionItems = (items || quotation.items.map(item => item.toObject())).map(item => {
+      const quantity = parseInt(item.quantity) || 1;
+      const unitPrice = parseFloat(item.unitPrice) || 0;
+      return {
+        partRef: item.partRef || '',
+        material: item.material || '',
+        thickness: item.thickness || '',
+        grade: item.grade || '',
+        quantity,
+        unitPrice,
+        totalPrice: item.totalPrice !== undefined ? parseFloat(item.totalPrice) || 0 : unitPrice * quantity,
+        remark: item.remark || item.remarks || ''
+      };
+    });
+    const revisionTotal = totalAmount !== undefined
+      ? parseFloat(totalAmount)
+      : revisionItems.reduce((total, item) => total + item.totalPrice, 0);
+
+    quotation.createRevision({
+      items: revisionItems,
+      totalAmount: revisionTotal,
+      validUntil: validUntil ? new Date(validUntil) : new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+      terms,
+      notes,
+      changeSummary,
+      createdBy: req.userId
+    });
+
+    // Generate a PDF for the new revision
+    const inquiry = await Inquiry.findById(quotation.inquiryId).populate('customer', 'firstName lastName email companyName phoneNumber');
+    if (inquiry) {
+      try {
+        const pdfResult = await pdfService.generateQuotationPDF(inquiry, {
+          parts: revisionItems.map(item => ({
+            partRef: item.partRef,
+            material: item.material,
+            thickness: item.thickness,
+            quantity: item.quantity,
+            price: item.unitPrice,
+            remarks: item.remark
+          })),
+          totalAmount: revisionTotal,
+          currency: 'INR',
+          validUntil: quotation.validUntil,
+          terms: quotation.terms,
+          quotationNumber: quotation.quotationNumber,
+          revisionNumber: quotation.currentRevision
+        });
+        quotation.quotationPdf = pdfResult.fileName;
+        quotation.quotationPdfFilename = pdfResult.fileName;
+      } catch (pdfError) {
+        console.error('Revision PDF generation failed:', pdfError);
+      }
+
+      if (inquiry.status !== 'quoted') {
+        inquiry.status = 'quoted';
+        await inquiry.save();
+      }
+    }
+
+    quotation.updatedAt = new Date();
+    await quotation.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Revision ${quotation.getRevisionLabel()} created successfully`,
+      quotation
+    });
+
+  } catch (error) {
+    console.error('Create quotation revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/quotation/:id/revisions
+// @desc    Get revision history of a quotation
+// @access  Private
+router.get('/:id/revisions', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid quotation ID format'
+      });
+    }
+
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (!(await canAccessQuotation(req, quotation))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. This quotation does not belong to you.'
+      });
+    }
+
+    const revisions = quotation.revisions
+      .map(revision => ({
+        ...revision.toObject(),
+        label: quotation.getRevisionLabel(revision.revisionNumber),
+        isLatest: revision.revisionNumber === quotation.currentRevision
+      }))
+      .sort((a, b) => b.revisionNumber - a.revisionNumber);
+
+    res.json({
+      success: true,
+      quotationNumber: quotation.quotationNumber,
+      currentRevision: quotation.currentRevision,
+      revisions
+    });
+
+  } catch (error) {
+    console.error('Get quotation revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/quotation/:id/revisions/compare?from=1&to=2
+// @desc    Diff two revisions of a quotation
+// @access  Private
+router.get('/:id/revisions/compare', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid quotation ID format'
+      });
+    }
+
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (!(await canAccessQuotation(req, quotation))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. This quotation does not belong to you.'
+      });
+    }
+
+    const to = parseInt(req.query.to) || quotation.currentRevision;
+    const from = parseInt(req.query.from) || to - 1;
+    const fromRevision = quotation.revisions.find(r => r.revisionNumber === from);
+    const toRevision = quotation.revisions.find(r => r.revisionNumber === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: `Revision not found. Available revisions: ${quotation.revisions.map(r => `R${r.revisionNumber}`).join(', ')}`
+      });
+    }
+
+    res.json({
+      success: true,
+      from: quotation.getRevisionLabel(from),
+      to: quotation.getRevisionLabel(to),
+      diff: diffRevisions(fromRevision.toObject(), toRevision.toObject())
+    });
+
+  } catch (error) {
+    console.error('Compare quotation revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/quotation/:id/pdf
 // @desc    Get quotation PDF
 // @access  Private
@@ -2053,6 +2678,15 @@ router.put('/:id/pricing', authenticateToken, [
         message: 'Quotation not found'
       });
     }
+
+    // Prices the customer has seen are changed by issuing a new revision
+    if (quotation.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: `Quotation ${quotation.getRevisionLabel()} is ${quotation.status}. Create a new revision with POST /api/quotation/${quotation._id}/revisions to change its prices.`,
+        status: quotation.status
+      });
+    }
     
     // Update items with pricing
     const updatedItems = quotation.items.map((item, index) => {
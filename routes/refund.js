@@ -0,0 +1,389 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const RefundRequest = require('../models/RefundRequest');
+const {
+  createRefundRequest,
+  approveRefundRequest,
+  settleRefundRequest,
+  generateCreditNote,
+  notifyRefundStatus
+} = require('../services/refundService');
+
+// Import middleware from auth.js
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+const isBackOffice = (req) => ['admin', 'backoffice', 'subadmin'].includes(req.userRole);
+
+const canAccessRefund = (req, refundRequest) =>
+  isBackOffice(req) || (refundRequest.customer?._id || refundRequest.customer).toString() === req.userId;
+
+// Request a refund (Customer owner or Back Office)
+router.post('/', authenticateToken, [
+  body('orderId').isMongoId().withMessage('Valid order ID is required'),
+  body('reason').trim().notEmpty().withMessage('Refund reason is required'),
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Valid refund amount is required'),
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.partId').optional().isMongoId().withMessage('Valid part ID is required'),
+  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { orderId, reason, amount, items } = req.body;
+
+    const order = await Order.findById(orderId)
+      .populate('customer', 'firstName lastName email');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!isBackOffice(req) && order.customer._id.toString() !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const result = await createRefundRequest(order, { reason, amount, items }, { userId: req.userId, userRole: req.userRole });
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund request submitted for approval',
+      refundRequest: result.refundRequest
+    });
+
+    setImmediate(() => {
+      notifyRefundStatus(result.refundRequest, order)
+        .catch(error => console.error('Refund notifications failed:', error));
+    });
+
+  } catch (error) {
+    console.error('Create refund request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// List refund requests (Back Office sees all, customers their own)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { status, orderId, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (!isBackOffice(req)) {
+      filter.customer = req.userId;
+    }
+    if (status) {
+      filter.status = status;
+    }
+    if (orderId) {
+      filter.order = orderId;
+    }
+
+    const refundRequests = await RefundRequest.find(filter)
+      .populate('order', 'orderNumber totalAmount')
+      .populate('customer', 'firstName lastName companyName email')
+      .populate('requestedBy', 'firstName lastName role')
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await RefundRequest.countDocuments(filter);
+
+    res.json({
+      success: true,
+      refundRequests,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get refund requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get a single refund request
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const refundRequest = await RefundRequest.findById(req.params.id)
+      .populate('order', 'orderNumber totalAmount amountPaid payment.refundedAmount')
+      .populate('requestedBy', 'firstName lastName role')
+      .populate('reviewedBy', 'firstName lastName');
+    if (!refundRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund request not found'
+      });
+    }
+
+    if (!canAccessRefund(req, refundRequest)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      refundRequest
+    });
+
+  } catch (error) {
+    console.error('Get refund request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Approve a refund request and run the refund (Admin only)
+router.put('/:id/approve', authenticateToken, [
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    if (req.userRole !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const existing = await RefundRequest.findById(req.params.id).select('status');
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund request not found'
+      });
+    }
+
+    // Claim the request atomically so a double click can't refund twice.
+    // Failed gateway refunds can be approved again to retry.
+    const refundRequest = await RefundRequest.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['requested', 'failed'] } },
+      { $set: { status: 'approved' } },
+      { new: true }
+    );
+    if (!refundRequest) {
+      return res.status(409).json({
+        success: false,
+        message: `Refund request is already ${existing.status}`
+      });
+    }
+
+    const processed = await approveRefundRequest(refundRequest, { reviewerId: req.userId, notes: req.body.notes });
+
+    if (processed.status === 'failed') {
+      return res.status(502).json({
+        success: false,
+        message: `Refund failed: ${processed.failureReason}`,
+        refundRequest: processed
+      });
+    }
+
+    res.json({
+      success: true,
+      message: processed.status === 'approved'
+        ? 'Refund approved and awaiting manual settlement'
+        : 'Refund processed successfully',
+      refundRequest: processed
+    });
+
+  } catch (error) {
+    console.error('Approve refund request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Record a refund paid out offline by back office (Admin only)
+router.put('/:id/settle', authenticateToken, [
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    if (req.userRole !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Claim the request atomically so it can only be settled once
+    const refundRequest = await RefundRequest.findOneAndUpdate(
+      { _id: req.params.id, status: 'approved', gateway: 'manual' },
+      { $set: { status: 'processing' } },
+      { new: true }
+    );
+    if (!refundRequest) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only approved refunds awaiting manual settlement can be settled'
+      });
+    }
+
+    const settled = await settleRefundRequest(refundRequest, { reviewerId: req.userId, notes: req.body.notes });
+
+    res.json({
+      success: true,
+      message: 'Refund settled successfully',
+      refundRequest: settled
+    });
+
+  } catch (error) {
+    console.error('Settle refund request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Reject a refund request (Admin only)
+router.put('/:id/reject', authenticateToken, [
+  body('reason').trim().notEmpty().withMessage('Rejection reason is required')
+], async (req, res) => {
+  try {
+    if (req.userRole !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const refundRequest = await RefundRequest.findById(req.params.id);
+    if (!refundRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund request not found'
+      });
+    }
+
+    if (!['requested', 'failed'].includes(refundRequest.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Refund request is already ${refundRequest.status}`
+      });
+    }
+
+    refundRequest.reviewedBy = req.userId;
+    refundRequest.reviewedAt = new Date();
+    refundRequest.reviewNotes = req.body.reason;
+    refundRequest.setStatus('rejected', req.userId, req.body.reason);
+    await refundRequest.save();
+
+    res.json({
+      success: true,
+      message: 'Refund request rejected',
+      refundRequest
+    });
+
+    setImmediate(async () => {
+      try {
+        const order = await Order.findById(refundRequest.order)
+          .populate('customer', 'firstName lastName email');
+        await notifyRefundStatus(refundRequest, order);
+      } catch (error) {
+        console.error('Refund notifications failed:', error);
+      }
+    });
+
+  } catch (error) {
+    console.error('Reject refund request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Download credit note for a completed refund (Customer owner or Back Office)
+router.get('/:id/credit-note', authenticateToken, async (req, res) => {
+  try {
+    const refundRequest = await RefundRequest.findById(req.params.id);
+    if (!refundRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund request not found'
+      });
+    }
+
+    if (!canAccessRefund(req, refundRequest)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (refundRequest.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Credit notes are issued once the refund is completed'
+      });
+    }
+
+    const order = await Order.findById(refundRequest.order)
+      .populate('customer', 'firstName lastName email companyName gstin');
+
+    const pdfResult = await generateCreditNote(refundRequest, order);
+
+    res.download(pdfResult.filePath, `${refundRequest.creditNote.creditNoteNumber}.pdf`);
+
+  } catch (error) {
+    console.error('Get credit note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+require('dotenv').config();
+
+// One-off migration: orders paid before the Payment ledger existed only have the
+// embedded Order.payment summary. Create the matching capture, refund and failure
+// entries so payment analytics and order payment history include them.
+// Orders that already have ledger entries are skipped, so the script can be re-run.
+// Usage: node scripts/backfillPaymentLedger.js [--dry-run]
+
+const PAID_STATUSES = ['partially_paid', 'completed', 'refunded'];
+
+const GATEWAY_BY_METHOD = {
+  bank_transfer: 'bank_transfer',
+  cash_on_delivery: 'cod',
+  razorpay: 'razorpay'
+};
+
+const buildEntries = (order) => {
+  const payment = order.payment || {};
+  const base = {
+    order: order._id,
+    customer: order.customer,
+    currency: order.currency,
+    method: payment.method,
+    gateway: payment.gateway || GATEWAY_BY_METHOD[payment.method] || 'manual',
+    source: 'backfill',
+    notes: 'Backfilled from the order payment record'
+  };
+  const entries = [];
+
+  const paid = order.amountPaid || (PAID_STATUSES.includes(payment.status) ? payment.amount : 0) || 0;
+  if (paid > 0) {
+    entries.push({
+      ...base,
+      type: 'capture',
+      status: 'succeeded',
+      amount: paid,
+      transactionId: payment.transactionId,
+      gatewayOrderId: payment.gatewayOrderId,
+      occurredAt: payment.paidAt || order.confirmedAt || order.updatedAt
+    });
+  }
+
+  const refunded = payment.refundedAmount || (payment.status === 'refunded' ? paid : 0);
+  if (refunded > 0) {
+    entries.push({
+      ...base,
+      type: 'refund',
+      status: 'succeeded',
+      amount: refunded,
+      transactionId: payment.transactionId,
+      refundId: payment.refundId,
+      occurredAt: payment.refundedAt || order.updatedAt
+    });
+  }
+
+  if (payment.status === 'failed') {
+    entries.push({
+      ...base,
+      type: 'failure',
+      status: 'failed',
+      amount: payment.amount || 0,
+      transactionId: payment.transactionId,
+      reason: payment.failureReason,
+      occurredAt: payment.failedAt || order.updatedAt
+    });
+  }
+
+  return entries;
+};
+
+async function backfillPaymentLedger() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/komacut');
+    console.log('Connected to MongoDB');
+
+    const withLedger = new Set((await Payment.distinct('order')).map(String));
+    const orders = await Order.find({}).select('orderNumber customer currency payment amountPaid confirmedAt updatedAt').lean();
+    let created = 0;
+    let skipped = 0;
+
+    for (const order of orders) {
+      if (withLedger.has(String(order._id))) {
+        skipped++;
+        continue;
+      }
+
+      const entries = buildEntries(order);
+      if (entries.length === 0) {
+        continue;
+      }
+
+      console.log(`${order.orderNumber}: ${entries.map(entry => `${entry.type} ₹${entry.amount}`).join(', ')}`);
+      if (!dryRun) {
+        try {
+          await Payment.insertMany(entries);
+        } catch (error) {
+          console.error(`Failed to backfill ${order.orderNumber}:`, error.message);
+          continue;
+        }
+      }
+      created += entries.length;
+    }
+
+    console.log(`\n${dryRun ? 'Would create' : 'Created'} ${created} ledger entries; ${skipped} orders already had entries`);
+  } catch (error) {
+    console.error('Error backfilling payment ledger:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+backfillPaymentLedger();
@@ -0,0 +1,150 @@
+const { registerHandler, enqueue } = require('./jobQueue');
+
+/**
+ * Job handlers for customer and back-office notifications plus PDF generation.
+ * Documents passed as arguments are stored as references (model, id and the paths
+ * that were populated) and loaded again when the job runs, so job payloads stay
+ * small however large the record is. Plain values are stored as they are.
+ */
+
+const toJobValue = (value) => {
+  if (!value || typeof value.toObject !== 'function') {
+    return value;
+  }
+  const model = value.constructor && value.constructor.modelName;
+  // Subdocuments have no model of their own to load from, and unsaved changes
+  // would be lost if the job ran before the caller saves
+  if (!model || !value._id || value.isNew || value.isModified()) {
+    return value.toObject();
+  }
+  return {
+    $jobRef: {
+      model,
+      id: value._id.toString(),
+      populate: Object.keys((value.$__ && value.$__.populated) || {})
+    }
+  };
+};
+
+// Load referenced documents; null when one no longer exists
+const fromJobValues = async (args) => {
+  const mongoose = require('mongoose');
+  const values = await Promise.all(args.map(async (arg) => {
+    if (!arg || !arg.$jobRef) {
+      return arg;
+    }
+    const { model, id, populate = [] } = arg.$jobRef;
+    const Model = mongoose.models[model] || require(`../models/${model}`);
+    const record = await Model.findById(id).populate(populate.join(' '));
+    return record || { $missing: `${model} ${id} no longer exists` };
+  }));
+  const missing = values.find(value => value && value.$missing);
+  return missing ? { missing: missing.$missing } : { values };
+};
+
+// emailService template functions, e.g. queueEmail('sendDispatchNotification', order)
+registerHandler('email', async ({ template, args = [] }) => {
+  const emailService = require('./emailService');
+  if (typeof emailService[template] !== 'function') {
+    throw new Error(`Unknown email template ${template}`);
+  }
+  if (!emailService.isEmailConfigured()) {
+    return { skipped: true, reason: 'SMTP not configured' };
+  }
+
+  const { values, missing } = await fromJobValues(args);
+  if (missing) {
+    return { skipped: true, reason: missing };
+  }
+  await emailService[template](...values);
+  return { sent: true };
+});
+
+// smsService functions resolve { success: false } instead of throwing; provider errors are retried
+registerHandler('sms', async ({ template, args = [] }) => {
+  const smsService = require('./smsService');
+  if (typeof smsService[template] !== 'function') {
+    throw new Error(`Unknown SMS template ${template}`);
+  }
+
+  const { values, missing } = await fromJobValues(args);
+  if (missing) {
+    return { skipped: true, reason: missing };
+  }
+  const result = await smsService[template](...values);
+  if (result && result.success === false) {
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    return { skipped: true, reason: result.message };
+  }
+  return { sent: true, messageId: result && result.messageId };
+});
+
+// Generate the quotation PDF when none was uploaded with the quotation
+registerHandler('quotation_pdf', async ({ quotationId }) => {
+  const Quotation = require('../models/Quotation');
+  const Inquiry = require('../models/Inquiry');
+  const pdfService = require('./pdfService');
+
+  const quotation = await Quotation.findById(quotationId);
+  if (!quotation) {
+    return { skipped: true, reason: 'Quotation no longer exists' };
+  }
+  if (quotation.quotationPdf) {
+    return { skipped: true, reason: 'PDF already attached' };
+  }
+
+  const inquiry = await Inquiry.findById(quotation.inquiryId).populate('customer', 'firstName lastName email companyName phoneNumber');
+  if (!inquiry) {
+    throw new Error(`Inquiry not found for quotation ${quotation.quotationNumber}`);
+  }
+
+  const pdfResult = await pdfService.generateQuotationPDF(inquiry, {
+    parts: (quotation.items || []).map(item => ({
+      partRef: item.partRef || '',
+      material: item.material || 'Zintec',
+      thickness: item.thickness || '1.5',
+      quantity: item.quantity || 1,
+      price: item.unitPrice || 0,
+      remarks: item.remark || ''
+    })),
+    totalAmount: quotation.totalAmount || 0,
+    currency: 'INR',
+    validUntil: quotation.validUntil || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+    terms: quotation.terms || 'Standard manufacturing terms apply. Payment required before production begins.'
+  });
+
+  // The file stays on disk; only the filename is stored
+  quotation.quotationPdf = pdfResult.fileName;
+  quotation.quotationPdfFilename = pdfResult.fileName;
+  await quotation.save();
+
+  return { fileName: pdfResult.fileName };
+});
+
+// Queueing never fails the caller - a lost job is logged like a failed send used to be
+const queueJob = async (type, payload, options) => {
+  try {
+    return await enqueue(type, payload, options);
+  } catch (error) {
+    console.error(`Failed to queue ${type} job:`, error);
+    return null;
+  }
+};
+
+// `type` is 'email' or 'sms'; options.delayMs holds the message back, e.g. until quiet hours end
+const queueMessage = (type, template, args = [], options) => queueJob(type, { template, args: args.map(toJobValue) }, options);
+
+const queueEmail = (template, ...args) => queueMessage('email', template, args);
+
+const queueSms = (template, ...args) => queueMessage('sms', template, args);
+
+const queueQuotationPdf = (quotationId) => queueJob('quotation_pdf', { quotationId }, { maxAttempts: 3 });
+
+module.exports = {
+  queueMessage,
+  queueEmail,
+  queueSms,
+  queueQuotationPdf
+};
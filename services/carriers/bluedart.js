@@ -0,0 +1,55 @@
+const axios = require('axios');
+const { normalizeStatus, summarizeEvents } = require('./normalize');
+
+// Blue Dart tracking API (BLUEDART_LOGIN_ID, BLUEDART_LICENSE_KEY, BLUEDART_API_URL)
+const getApiUrl = () => process.env.BLUEDART_API_URL || 'https://api.bluedart.com/servlet/RoutingServlet';
+
+const isConfigured = () => !!(process.env.BLUEDART_LOGIN_ID && process.env.BLUEDART_LICENSE_KEY);
+
+// Blue Dart sends dates as "15-Mar-2025" and times as "14:35"
+const parseScanDate = (date, time) => new Date(`${date} ${time || '00:00'}`);
+
+const track = async (trackingNumber) => {
+  if (!isConfigured()) {
+    throw new Error('Blue Dart credentials not configured');
+  }
+
+  const response = await axios.get(getApiUrl(), {
+    params: {
+      handler: 'tnt',
+      action: 'custawbquery',
+      loginid: process.env.BLUEDART_LOGIN_ID,
+      lickey: process.env.BLUEDART_LICENSE_KEY,
+      awb: 'awb',
+      numbers: trackingNumber,
+      format: 'json',
+      scan: 1,
+      verno: 1
+    },
+    timeout: 15000
+  });
+
+  const shipment = [].concat(response.data?.ShipmentData?.Shipment || [])[0];
+  if (!shipment || shipment.StatusType === 'NF') {
+    throw new Error(`Blue Dart has no record of AWB ${trackingNumber}`);
+  }
+
+  const scans = [].concat(shipment.Scans?.ScanDetail || []);
+  const events = scans.map(scan => ({
+    status: normalizeStatus(scan.Scan),
+    rawStatus: scan.ScanCode || scan.Scan,
+    description: scan.Scan,
+    location: scan.ScannedLocation,
+    occurredAt: parseScanDate(scan.ScanDate, scan.ScanTime)
+  }));
+
+  return summarizeEvents(events);
+};
+
+module.exports = {
+  name: 'bluedart',
+  label: 'Blue Dart',
+  aliases: ['blue dart', 'bluedart'],
+  isConfigured,
+  track
+};
@@ -0,0 +1,54 @@
+const axios = require('axios');
+const { normalizeStatus, summarizeEvents } = require('./normalize');
+
+// Delhivery package tracking API (DELHIVERY_API_TOKEN, DELHIVERY_API_URL)
+const getApiUrl = () => process.env.DELHIVERY_API_URL || 'https://track.delhivery.com/api/v1/packages/json/';
+
+const isConfigured = () => !!process.env.DELHIVERY_API_TOKEN;
+
+const track = async (trackingNumber) => {
+  if (!isConfigured()) {
+    throw new Error('Delhivery API token not configured');
+  }
+
+  const response = await axios.get(getApiUrl(), {
+    params: { waybill: trackingNumber },
+    headers: { Authorization: `Token ${process.env.DELHIVERY_API_TOKEN}` },
+    timeout: 15000
+  });
+
+  const shipment = response.data?.ShipmentData?.[0]?.Shipment;
+  if (!shipment) {
+    throw new Error(`Delhivery has no record of waybill ${trackingNumber}`);
+  }
+
+  const events = (shipment.Scans || []).map(({ ScanDetail: scan = {} }) => ({
+    status: normalizeStatus(`${scan.Scan} ${scan.Instructions || ''}`),
+    rawStatus: scan.Scan,
+    description: scan.Instructions || scan.Scan,
+    location: scan.ScannedLocation,
+    occurredAt: new Date(scan.ScanDateTime)
+  }));
+
+  // The status block can be newer than the last scan
+  const current = shipment.Status || {};
+  if (current.Status && current.StatusDateTime && !events.some(event => event.rawStatus === current.Status && event.occurredAt.getTime() === new Date(current.StatusDateTime).getTime())) {
+    events.push({
+      status: normalizeStatus(current.Status),
+      rawStatus: current.Status,
+      description: current.Instructions || current.Status,
+      location: current.StatusLocation,
+      occurredAt: new Date(current.StatusDateTime)
+    });
+  }
+
+  return summarizeEvents(events);
+};
+
+module.exports = {
+  name: 'delhivery',
+  label: 'Delhivery',
+  aliases: ['delhivery'],
+  isConfigured,
+  track
+};
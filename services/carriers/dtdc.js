@@ -0,0 +1,51 @@
+const axios = require('axios');
+const { normalizeStatus, summarizeEvents } = require('./normalize');
+
+// DTDC consignment tracking API (DTDC_ACCESS_TOKEN, DTDC_API_URL)
+const getApiUrl = () => process.env.DTDC_API_URL || 'https://blktracksvc.dtdc.com/dtdc-api/rest/JSONCnTrk/getTrackDetails';
+
+const isConfigured = () => !!process.env.DTDC_ACCESS_TOKEN;
+
+// DTDC sends dates as "ddMMyyyy" and times as "HHmm"
+const parseScanDate = (date = '', time = '') => {
+  const [day, month, year] = [date.slice(0, 2), date.slice(2, 4), date.slice(4, 8)];
+  const [hours, minutes] = [time.slice(0, 2) || '00', time.slice(2, 4) || '00'];
+  return new Date(`${year}-${month}-${day}T${hours}:${minutes}:00+05:30`);
+};
+
+const track = async (trackingNumber) => {
+  if (!isConfigured()) {
+    throw new Error('DTDC access token not configured');
+  }
+
+  const response = await axios.post(getApiUrl(), {
+    trkType: 'cnno',
+    strcnno: trackingNumber,
+    addtnlDtl: 'Y'
+  }, {
+    headers: { 'x-access-token': process.env.DTDC_ACCESS_TOKEN },
+    timeout: 15000
+  });
+
+  if (!response.data || response.data.statusFlag === false) {
+    throw new Error(`DTDC has no record of consignment ${trackingNumber}`);
+  }
+
+  const events = (response.data.trackDetails || []).map(detail => ({
+    status: normalizeStatus(detail.strAction),
+    rawStatus: detail.strCode || detail.strAction,
+    description: detail.strAction,
+    location: detail.strOrigin || detail.strDestination,
+    occurredAt: parseScanDate(detail.strActionDate, detail.strActionTime)
+  }));
+
+  return summarizeEvents(events);
+};
+
+module.exports = {
+  name: 'dtdc',
+  label: 'DTDC',
+  aliases: ['dtdc'],
+  isConfigured,
+  track
+};
@@ -0,0 +1,44 @@
+/**
+ * Carrier tracking adapters. Each adapter exports:
+ *   name          - key stored on the shipment
+ *   label         - display name
+ *   aliases       - courier names (lowercase) that map to this adapter
+ *   isConfigured() - whether credentials are present
+ *   track(trackingNumber, context) - resolves to { events, status, delivered, deliveredAt }
+ *     where events are [{ status, rawStatus, description, location, occurredAt }]
+ *     and status is the latest normalized status
+ */
+const delhivery = require('./delhivery');
+const bluedart = require('./bluedart');
+const dtdc = require('./dtdc');
+const mock = require('./mock');
+const { TRACKING_STATUSES, normalizeStatus } = require('./normalize');
+
+const CARRIER_ADAPTERS = [delhivery, bluedart, dtdc];
+
+// The mock carrier is only registered outside production, unless CARRIER_TRACKING_MODE=mock opts in
+const getAdapters = () => (process.env.NODE_ENV !== 'production' || process.env.CARRIER_TRACKING_MODE === 'mock'
+  ? [...CARRIER_ADAPTERS, mock]
+  : CARRIER_ADAPTERS);
+
+// Resolve the adapter for a courier name; CARRIER_TRACKING_MODE=mock routes everything to the mock
+const getCarrierAdapter = (courier) => {
+  if (process.env.CARRIER_TRACKING_MODE === 'mock') {
+    return mock;
+  }
+  const name = (courier || '').toString().trim().toLowerCase();
+  return getAdapters().find(adapter => adapter.name === name || adapter.aliases.some(alias => name.includes(alias))) || null;
+};
+
+const listCarriers = () => getAdapters().map(adapter => ({
+  name: adapter.name,
+  label: adapter.label,
+  configured: adapter.isConfigured()
+}));
+
+module.exports = {
+  TRACKING_STATUSES,
+  normalizeStatus,
+  getCarrierAdapter,
+  listCarriers
+};
@@ -0,0 +1,38 @@
+const { summarizeEvents } = require('./normalize');
+
+// Local carrier for development and tests. Scans advance one step every
+// MOCK_CARRIER_STEP_MS after dispatch; tracking numbers containing
+// "DELIVERED" are delivered straight away.
+const MOCK_SCANS = [
+  { status: 'booked', rawStatus: 'BKD', description: 'Shipment booked', location: 'Origin Hub' },
+  { status: 'picked_up', rawStatus: 'PKD', description: 'Picked up from shipper', location: 'Origin Hub' },
+  { status: 'in_transit', rawStatus: 'ITR', description: 'In transit', location: 'Sort Centre' },
+  { status: 'out_for_delivery', rawStatus: 'OFD', description: 'Out for delivery', location: 'Destination Hub' },
+  { status: 'delivered', rawStatus: 'DLV', description: 'Delivered', location: 'Destination' }
+];
+
+const getStepMs = () => parseInt(process.env.MOCK_CARRIER_STEP_MS, 10) || 60000;
+
+const track = async (trackingNumber, context = {}) => {
+  const dispatchedAt = context.dispatchedAt ? new Date(context.dispatchedAt) : new Date();
+  const stepMs = getStepMs();
+
+  const steps = String(trackingNumber).toUpperCase().includes('DELIVERED')
+    ? MOCK_SCANS.length
+    : Math.min(MOCK_SCANS.length, Math.floor((Date.now() - dispatchedAt.getTime()) / stepMs) + 1);
+
+  const events = MOCK_SCANS.slice(0, steps).map((scan, index) => ({
+    ...scan,
+    occurredAt: new Date(dispatchedAt.getTime() + index * stepMs)
+  }));
+
+  return summarizeEvents(events);
+};
+
+module.exports = {
+  name: 'mock',
+  label: 'Mock Carrier',
+  aliases: ['mock', 'test carrier'],
+  isConfigured: () => true,
+  track
+};
@@ -0,0 +1,38 @@
+// Normalized tracking statuses, in the order a parcel normally moves through them
+const TRACKING_STATUSES = ['booked', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'exception', 'returned'];
+
+// Map free-text carrier scan descriptions onto TRACKING_STATUSES
+const normalizeStatus = (text) => {
+  const value = (text || '').toString().toLowerCase();
+  if (/rto|return(ed)? to origin|returned/.test(value)) return 'returned';
+  if (/out for delivery|ofd/.test(value)) return 'out_for_delivery';
+  if (/undelivered|not delivered|failed|exception|lost|damaged|refused/.test(value)) return 'exception';
+  if (/delivered/.test(value)) return 'delivered';
+  // Negative scans ("Not Picked") before the positive patterns they contain
+  if (/not picked|pickup not done/.test(value)) return 'booked';
+  if (/picked|pickup done|collected/.test(value)) return 'picked_up';
+  if (/manifest|booked|softdata|pickup scheduled/.test(value)) return 'booked';
+  return 'in_transit';
+};
+
+// Sort scan events oldest first and derive the adapter result from them
+const summarizeEvents = (events) => {
+  const sorted = events
+    .filter(event => event.occurredAt && !isNaN(event.occurredAt.getTime()))
+    .sort((a, b) => a.occurredAt - b.occurredAt);
+  const latest = sorted[sorted.length - 1];
+  const deliveredEvent = sorted.find(event => event.status === 'delivered');
+
+  return {
+    events: sorted,
+    status: latest ? latest.status : null,
+    delivered: !!deliveredEvent,
+    deliveredAt: deliveredEvent ? deliveredEvent.occurredAt : null
+  };
+};
+
+module.exports = {
+  TRACKING_STATUSES,
+  normalizeStatus,
+  summarizeEvents
+};
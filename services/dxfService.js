@@ -0,0 +1,438 @@
+// DXF geometry analysis for sheet-metal flat patterns
+// Reads the ENTITIES section and derives cut length, pierce count, bounding box,
+// net area and bend lines. All results are returned in millimetres.
+
+// $INSUNITS header values -> millimetre scale factor
+const UNIT_SCALE = {
+  0: 1, // Unitless - assume mm
+  1: 25.4, // Inches
+  2: 304.8, // Feet
+  4: 1, // Millimetres
+  5: 10, // Centimetres
+  6: 1000 // Metres
+};
+
+// Layers whose entities are treated as bend lines rather than cut paths
+const BEND_LAYER_PATTERN = /bend|fold/i;
+
+// Endpoint matching tolerance (drawing units) when chaining loose segments into loops
+const JOIN_TOLERANCE = 0.01;
+
+// Maximum angle per tessellated arc segment (radians)
+const ARC_STEP = Math.PI / 32;
+
+// Split DXF text into [groupCode, value] pairs
+const readPairs = (content) => {
+  const lines = content.split(/\r?\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = parseInt(lines[i].trim(), 10);
+    if (isNaN(code)) {
+      continue;
+    }
+    pairs.push([code, lines[i + 1].trim()]);
+  }
+  return pairs;
+};
+
+// Read drawing units from the HEADER section
+const readUnitScale = (pairs) => {
+  for (let i = 0; i < pairs.length - 1; i++) {
+    if (pairs[i][0] === 9 && pairs[i][1] === '$INSUNITS') {
+      const units = parseInt(pairs[i + 1][1], 10);
+      return UNIT_SCALE[units] !== undefined ? UNIT_SCALE[units] : 1;
+    }
+  }
+  return 1;
+};
+
+// Group ENTITIES section pairs into entity objects ({ type, layer, codes })
+const readEntities = (pairs) => {
+  const entities = [];
+  let inEntities = false;
+  let current = null;
+
+  for (let i = 0; i < pairs.length; i++) {
+    const [code, value] = pairs[i];
+
+    if (code === 2 && value === 'ENTITIES' && i > 0 && pairs[i - 1][1] === 'SECTION') {
+      inEntities = true;
+      continue;
+    }
+    if (!inEntities) {
+      continue;
+    }
+    if (code === 0) {
+      if (current) {
+        entities.push(current);
+      }
+      if (value === 'ENDSEC') {
+        current = null;
+        break;
+      }
+      current = { type: value, layer: '0', codes: [] };
+      continue;
+    }
+    if (current) {
+      if (code === 8) {
+        current.layer = value;
+      }
+      current.codes.push([code, value]);
+    }
+  }
+
+  return entities;
+};
+
+const firstNumber = (entity, code, fallback = 0) => {
+  const pair = entity.codes.find(([c]) => c === code);
+  return pair ? parseFloat(pair[1]) : fallback;
+};
+
+const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+// Tessellate an arc given centre, radius and start/end angles in radians (counter-clockwise)
+const arcPoints = (cx, cy, r, start, end) => {
+  let sweep = end - start;
+  while (sweep <= 0) {
+    sweep += Math.PI * 2;
+  }
+  const steps = Math.max(Math.ceil(sweep / ARC_STEP), 1);
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const angle = start + (sweep * i) / steps;
+    points.push({ x: cx + r * Math.cos(angle), y: cy + r * Math.sin(angle) });
+  }
+  return points;
+};
+
+// Tessellate a polyline segment with a bulge (tan of 1/4 the included angle)
+const bulgePoints = (from, to, bulge) => {
+  if (!bulge) {
+    return [from, to];
+  }
+  const chord = distance(from, to);
+  const included = 4 * Math.atan(bulge);
+  const radius = chord / (2 * Math.sin(included / 2));
+  const direction = Math.atan2(to.y - from.y, to.x - from.x) + Math.PI / 2 - included / 2;
+  const cx = from.x + radius * Math.cos(direction);
+  const cy = from.y + radius * Math.sin(direction);
+  const start = Math.atan2(from.y - cy, from.x - cx);
+  const end = Math.atan2(to.y - cy, to.x - cx);
+  const points = bulge > 0
+    ? arcPoints(cx, cy, Math.abs(radius), start, end)
+    : arcPoints(cx, cy, Math.abs(radius), end, start).reverse();
+  points[0] = from;
+  points[points.length - 1] = to;
+  return points;
+};
+
+const pathLength = (points) => {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += distance(points[i - 1], points[i]);
+  }
+  return length;
+};
+
+// Shoelace area of a closed point list
+const polygonArea = (points) => {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(area) / 2;
+};
+
+// Convert polyline vertices (with bulges) into a tessellated point list
+const polylinePoints = (vertices, closed) => {
+  const points = [];
+  const count = closed ? vertices.length : vertices.length - 1;
+  for (let i = 0; i < count; i++) {
+    const from = vertices[i];
+    const to = vertices[(i + 1) % vertices.length];
+    const segment = bulgePoints(from, to, from.bulge || 0);
+    points.push(...(points.length ? segment.slice(1) : segment));
+  }
+  return points;
+};
+
+// Convert each supported entity into a path ({ points, closed, layer })
+const entitiesToPaths = (entities) => {
+  const paths = [];
+  const warnings = [];
+  const unsupported = new Set();
+
+  for (let i = 0; i < entities.length; i++) {
+    const entity = entities[i];
+
+    switch (entity.type) {
+      case 'LINE': {
+        const from = { x: firstNumber(entity, 10), y: firstNumber(entity, 20) };
+        const to = { x: firstNumber(entity, 11), y: firstNumber(entity, 21) };
+        paths.push({ points: [from, to], closed: false, layer: entity.layer });
+        break;
+      }
+      case 'CIRCLE': {
+        const r = firstNumber(entity, 40);
+        const points = arcPoints(firstNumber(entity, 10), firstNumber(entity, 20), r, 0, Math.PI * 2);
+        paths.push({ points: points.slice(0, -1), closed: true, layer: entity.layer, length: 2 * Math.PI * r, area: Math.PI * r * r });
+        break;
+      }
+      case 'ARC': {
+        const toRadians = (deg) => (deg * Math.PI) / 180;
+        const points = arcPoints(
+          firstNumber(entity, 10),
+          firstNumber(entity, 20),
+          firstNumber(entity, 40),
+          toRadians(firstNumber(entity, 50)),
+          toRadians(firstNumber(entity, 51))
+        );
+        paths.push({ points, closed: false, layer: entity.layer });
+        break;
+      }
+      case 'LWPOLYLINE': {
+        const vertices = [];
+        entity.codes.forEach(([code, value]) => {
+          if (code === 10) {
+            vertices.push({ x: parseFloat(value), y: 0, bulge: 0 });
+          } else if (code === 20 && vertices.length) {
+            vertices[vertices.length - 1].y = parseFloat(value);
+          } else if (code === 42 && vertices.length) {
+            vertices[vertices.length - 1].bulge = parseFloat(value);
+          }
+        });
+        const closed = (firstNumber(entity, 70) & 1) === 1;
+        if (vertices.length > 1) {
+          paths.push({ points: polylinePoints(vertices, closed), closed, layer: entity.layer });
+        }
+        break;
+      }
+      case 'POLYLINE': {
+        // Old-style polyline - vertices follow as separate VERTEX entities until SEQEND
+        const closed = (firstNumber(entity, 70) & 1) === 1;
+        const vertices = [];
+        while (i + 1 < entities.length && entities[i + 1].type === 'VERTEX') {
+          i++;
+          vertices.push({
+            x: firstNumber(entities[i], 10),
+            y: firstNumber(entities[i], 20),
+            bulge: firstNumber(entities[i], 42)
+          });
+        }
+        if (i + 1 < entities.length && entities[i + 1].type === 'SEQEND') {
+          i++;
+        }
+        if (vertices.length > 1) {
+          paths.push({ points: polylinePoints(vertices, closed), closed, layer: entity.layer });
+        }
+        break;
+      }
+      default:
+        unsupported.add(entity.type);
+    }
+  }
+
+  // Text, dimensions and hatches are expected in drawings - only warn about geometry we skip
+  ['SPLINE', 'ELLIPSE', 'INSERT'].forEach(type => {
+    if (unsupported.has(type)) {
+      warnings.push(`${type} entities are not analysed`);
+    }
+  });
+
+  return { paths, warnings };
+};
+
+// Chain open paths that share endpoints into contours. Endpoints are indexed by
+// tolerance-sized grid cell so each join is a lookup rather than a scan of every path.
+const buildContours = (paths) => {
+  const contours = paths.filter(p => p.closed).map(p => ({
+    points: p.points,
+    closed: true,
+    length: p.length !== undefined ? p.length : pathLength([...p.points, p.points[0]]),
+    area: p.area !== undefined ? p.area : polygonArea(p.points)
+  }));
+
+  const open = paths.filter(p => !p.closed && p.points.length).map(p => p.points);
+  const samePoint = (a, b) => distance(a, b) <= JOIN_TOLERANCE;
+  const cellOf = (point) => [Math.round(point.x / JOIN_TOLERANCE), Math.round(point.y / JOIN_TOLERANCE)];
+
+  // Grid cell -> indexes of open paths with an endpoint in it
+  const endpoints = new Map();
+  const indexEndpoint = (point, index) => {
+    const key = cellOf(point).join(',');
+    if (!endpoints.has(key)) {
+      endpoints.set(key, new Set());
+    }
+    endpoints.get(key).add(index);
+  };
+  open.forEach((points, index) => {
+    indexEndpoint(points[0], index);
+    indexEndpoint(points[points.length - 1], index);
+  });
+
+  const used = new Array(open.length).fill(false);
+
+  // Claim an unused path with an endpoint at `point`, oriented to start there.
+  // Points within tolerance are at most one cell apart.
+  const takePathAt = (point) => {
+    const [cellX, cellY] = cellOf(point);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const indexes = endpoints.get(`${cellX + dx},${cellY + dy}`) || [];
+        for (const index of indexes) {
+          const points = open[index];
+          if (used[index]) {
+            indexes.delete(index);
+          } else if (samePoint(point, points[0])) {
+            used[index] = true;
+            return points;
+          } else if (samePoint(point, points[points.length - 1])) {
+            used[index] = true;
+            return points.slice().reverse();
+          }
+        }
+      }
+    }
+    return null;
+  };
+
+  for (let i = 0; i < open.length; i++) {
+    if (used[i]) {
+      continue;
+    }
+    used[i] = true;
+
+    // Extend from the tail, then from the head (collected outwards and reversed)
+    const tail = open[i].slice();
+    let next;
+    while ((next = takePathAt(tail[tail.length - 1]))) {
+      for (let k = 1; k < next.length; k++) {
+        tail.push(next[k]);
+      }
+    }
+    const head = [];
+    let start = tail[0];
+    while ((next = takePathAt(start))) {
+      for (let k = 1; k < next.length; k++) {
+        head.push(next[k]);
+      }
+      start = next[next.length - 1];
+    }
+    const points = head.reverse().concat(tail);
+
+    const closed = points.length > 2 && samePoint(points[0], points[points.length - 1]);
+    contours.push({
+      points,
+      closed,
+      length: pathLength(points),
+      area: closed ? polygonArea(points.slice(0, -1)) : 0
+    });
+  }
+
+  return contours;
+};
+
+// Loop rather than Math.min(...xs), which overflows the stack on large drawings
+const boundingBoxOf = (points) => {
+  if (!points.length) {
+    return null;
+  }
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const { x, y } of points) {
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+  }
+  return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+};
+
+const round = (value, digits = 2) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+// Analyse DXF content (Buffer or string) and return geometry in millimetres
+const analyzeDxf = (content) => {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content || '');
+  const pairs = readPairs(text);
+  const entities = readEntities(pairs);
+
+  if (!entities.length) {
+    return {
+      success: false,
+      error: 'No ENTITIES section found in DXF file'
+    };
+  }
+
+  const scale = readUnitScale(pairs);
+  const { paths, warnings } = entitiesToPaths(entities);
+
+  const bendPaths = paths.filter(p => BEND_LAYER_PATTERN.test(p.layer));
+  const cutPaths = paths.filter(p => !BEND_LAYER_PATTERN.test(p.layer));
+  const contours = buildContours(cutPaths);
+
+  const openContours = contours.filter(c => !c.closed).length;
+  if (openContours) {
+    warnings.push(`${openContours} open contour(s) found - net area may be understated`);
+  }
+
+  // Largest closed contour is the outer profile, the rest are holes/cut-outs
+  const areas = contours.filter(c => c.closed).map(c => c.area).sort((a, b) => b - a);
+  const netArea = areas.length ? areas[0] - areas.slice(1).reduce((sum, a) => sum + a, 0) : 0;
+
+  const allPoints = [];
+  contours.forEach(c => c.points.forEach(point => allPoints.push(point)));
+  const bbox = boundingBoxOf(allPoints);
+  const cutLength = contours.reduce((sum, c) => sum + c.length, 0);
+
+  const bendLines = bendPaths.map(p => {
+    const start = p.points[0];
+    const end = p.points[p.points.length - 1];
+    return {
+      startX: round(start.x * scale),
+      startY: round(start.y * scale),
+      endX: round(end.x * scale),
+      endY: round(end.y * scale),
+      length: round(pathLength(p.points) * scale),
+      layer: p.layer
+    };
+  });
+
+  return {
+    success: true,
+    geometry: {
+      cutLength: round(cutLength * scale),
+      pierceCount: contours.length,
+      boundingBox: bbox ? {
+        minX: round(bbox.minX * scale),
+        minY: round(bbox.minY * scale),
+        maxX: round(bbox.maxX * scale),
+        maxY: round(bbox.maxY * scale),
+        width: round(bbox.width * scale),
+        height: round(bbox.height * scale)
+      } : null,
+      netArea: round(netArea * scale * scale),
+      bendLines,
+      bendCount: bendLines.length,
+      warnings
+    }
+  };
+};
+
+// Match an uploaded file name to a part by partRef (file name without extension, case-insensitive)
+const findPartForFile = (parts, fileName) => {
+  const baseName = (fileName || '').replace(/\.[^.]+$/, '').trim().toLowerCase();
+  return (parts || []).find(part => part.partRef && part.partRef.toString().trim().toLowerCase() === baseName) || null;
+};
+
+module.exports = {
+  analyzeDxf,
+  findPartForFile
+};
@@ -4,8 +4,17 @@ const path = require('path');
 const xlsx = require('xlsx');
 const axios = require('axios');
 const archiver = require('archiver');
+const { renderEmailTemplate, listContextVariables } = require('./emailTemplateService');
+const { DEFAULT_EMAIL_TEMPLATES } = require('./emailTemplates');
 
 // Create transporter
+// SMTP credentials are set and not the .env.example placeholders
+const isEmailConfigured = () => {
+  const hasUser = process.env.SMTP_USER && process.env.SMTP_USER !== 'your-email@gmail.com';
+  const hasPass = process.env.SMTP_PASS && process.env.SMTP_PASS !== 'your-app-password-here';
+  return !!(hasUser && hasPass);
+};
+
 const createTransporter = () => {
   console.log('=== EMAIL SERVICE CONFIGURATION ===');
   console.log('SMTP_HOST:', process.env.SMTP_HOST || 'smtp.gmail.com');
@@ -16,10 +25,7 @@ const createTransporter = () => {
   console.log('BACKOFFICE_EMAIL:', process.env.BACKOFFICE_EMAIL || 'backoffice@247cutbend.com');
   
   // Check if SMTP configuration is available and not placeholder values
-  const hasUser = process.env.SMTP_USER && process.env.SMTP_USER !== 'your-email@gmail.com';
-  const hasPass = process.env.SMTP_PASS && process.env.SMTP_PASS !== 'your-app-password-here';
-  
-  if (!hasUser || !hasPass) {
+  if (!isEmailConfigured()) {
     console.warn('⚠️ SMTP configuration missing. Email service will be disabled.');
     console.warn('Please configure SMTP_USER and SMTP_PASS in .env file');
     console.warn('For Gmail: Enable 2FA and generate App Password from: https://myaccount.google.com/apppasswords');
@@ -40,13 +46,7 @@ const createTransporter = () => {
 };
 
 // Import SMS service
-const { 
-  sendInquiryNotificationSMS,
-  sendQuotationNotificationSMS,
-  sendOrderConfirmationSMS,
-  sendDispatchNotificationSMS,
-  sendPaymentConfirmationSMS
-} = require('./smsService');
+const { sendInquiryNotificationSMS } = require('./smsService');
 
 // Legacy SMS function for backward compatibility
 const sendSMS = async (phoneNumber, message) => {
@@ -61,8 +61,390 @@ const sendSMS = async (phoneNumber, message) => {
   }
 };
 
+// Template variables are pre-formatted here so the templates stay logic-free
+const formatDate = (value, fallback = null) => (value ? new Date(value).toLocaleDateString() : fallback);
+
+const formatStatus = (status) => status.charAt(0).toUpperCase() + status.slice(1).replace('_', ' ');
+
+const fullName = (person, fallback) => `${person?.firstName || ''} ${person?.lastName || ''}`.trim() || fallback;
+
+const customerContext = (customer) => ({
+  firstName: customer?.firstName || 'Customer',
+  lastName: customer?.lastName || '',
+  name: fullName(customer, 'Valued Customer'),
+  email: customer?.email || ''
+});
+
+const addressContext = (address) => (address ? {
+  street: address.street || '',
+  city: address.city || '',
+  state: address.state || '',
+  postalCode: address.postalCode || '',
+  country: address.country || ''
+} : null);
+
+const orderContext = (order) => ({
+  orderNumber: order.orderNumber,
+  currency: order.currency || 'INR',
+  totalAmount: order.totalAmount,
+  orderDate: formatDate(order.createdAt),
+  statusLabel: order.status ? formatStatus(order.status) : 'Confirmed',
+  partCount: order.parts?.length || 0
+});
+
+const quotationContext = (quotation) => ({
+  quotationNumber: quotation.quotationNumber,
+  currency: quotation.currency || 'INR',
+  totalAmount: quotation.totalAmount,
+  validUntil: formatDate(quotation.validUntil),
+  terms: quotation.terms,
+  notes: quotation.notes
+});
+
+const deliveryProofContext = (order) => {
+  const proof = (order.deliveryProofs || [])[order.deliveryProofs?.length - 1];
+  if (!proof) {
+    return null;
+  }
+
+  const hasLocation = proof.location && proof.location.latitude !== undefined;
+  return {
+    receiverName: proof.receiverName,
+    receivedAt: new Date(proof.capturedAt).toLocaleString(),
+    location: hasLocation ? {
+      latitude: proof.location.latitude,
+      longitude: proof.location.longitude,
+      mapUrl: `https://www.google.com/maps?q=${proof.location.latitude},${proof.location.longitude}`
+    } : null,
+    signatureUrl: proof.signature?.url || null,
+    photos: (proof.photos || []).map((photo, index) => ({ url: photo.url, number: index + 1 }))
+  };
+};
+
+// Context for each email template, keyed like DEFAULT_EMAIL_TEMPLATES
+const templateContexts = {
+  // loggedInAt is passed in because the email is sent from a queued job, after the login
+  login_notification: (user, loggedInAt = new Date()) => ({
+    customer: {
+      name: fullName(user, 'Valued Customer'),
+      email: user.email,
+      companyName: user.companyName || 'N/A'
+    },
+    login: {
+      date: new Date(loggedInAt).toLocaleDateString(),
+      time: new Date(loggedInAt).toLocaleString()
+    }
+  }),
+
+  welcome: (firstName) => ({
+    customer: { firstName }
+  }),
+
+  inquiry_confirmation: (inquiry, customerInfo) => {
+    const parts = inquiry.parts || [];
+    return {
+      customer: customerContext(customerInfo),
+      inquiry: {
+        inquiryNumber: inquiry.inquiryNumber,
+        submittedDate: formatDate(inquiry.createdAt),
+        partCount: parts.length,
+        fileCount: inquiry.files?.length || 0,
+        specialInstructions: inquiry.specialInstructions,
+        parts: parts.slice(0, 10).map(part => ({
+          name: part.partRef || part.partName || 'N/A',
+          material: part.material || 'N/A',
+          thickness: part.thickness ? `${part.thickness}mm` : 'N/A',
+          quantity: part.quantity || 0
+        })),
+        morePartCount: Math.max(parts.length - 10, 0)
+      }
+    };
+  },
+
+  inquiry_notification: (inquiry, customerInfo) => ({
+    customer: {
+      firstName: customerInfo?.firstName || 'Unknown',
+      lastName: customerInfo?.lastName || '',
+      companyName: customerInfo?.companyName || 'N/A',
+      email: customerInfo?.email || 'N/A',
+      phoneNumber: customerInfo?.phoneNumber || 'N/A'
+    },
+    inquiry: {
+      inquiryNumber: inquiry.inquiryNumber,
+      fileCount: inquiry.files?.length || 0,
+      partCount: inquiry.parts?.length || 0,
+      totalAmount: inquiry.totalAmount || 0,
+      parts: (inquiry.parts || []).map(part => ({
+        name: part.partName || part.partRef || 'Part',
+        material: part.material,
+        thickness: `${part.thickness}mm`,
+        quantity: part.quantity,
+        remarks: part.remarks || '-'
+      }))
+    }
+  }),
+
+  quotation_sent: (quotation, inquiryNumber, hasAttachment) => {
+    const items = quotation.items || [];
+    return {
+      customer: { name: quotation.customerInfo?.name || 'Valued Customer' },
+      inquiryNumber,
+      hasAttachment,
+      quotation: {
+        ...quotationContext(quotation),
+        items: items.slice(0, 10).map(item => ({
+          partRef: item.partRef || 'N/A',
+          material: item.material || 'N/A',
+          quantity: item.quantity || 0,
+          totalPrice: item.totalPrice || 0
+        })),
+        moreItemCount: Math.max(items.length - 10, 0)
+      }
+    };
+  },
+
+  quotation: (quotation, customerInfo) => ({
+    customer: { firstName: customerInfo?.firstName || 'Valued Customer' },
+    inquiryNumber: quotation.inquiry?.inquiryNumber,
+    quotation: {
+      ...quotationContext(quotation),
+      parts: (quotation.parts || quotation.items || []).map(part => ({
+        name: part.partName || part.partRef || 'Part',
+        material: part.material,
+        thickness: part.thickness,
+        quantity: part.quantity,
+        unitPrice: part.unitPrice,
+        totalPrice: part.totalPrice
+      }))
+    }
+  }),
+
+  quotation_expiry_reminder: (quotation, daysLeft) => ({
+    customer: { name: quotation.customerInfo?.name || 'Valued Customer' },
+    daysLeft,
+    daysLabel: daysLeft === 1 ? 'day' : 'days',
+    quotation: quotationContext(quotation)
+  }),
+
+  requote_request: (quotation, inquiryNumber, reason) => ({
+    customer: {
+      name: quotation.customerInfo?.name,
+      company: quotation.customerInfo?.company,
+      email: quotation.customerInfo?.email,
+      phone: quotation.customerInfo?.phone
+    },
+    inquiryNumber,
+    reason,
+    quotation: quotationContext(quotation)
+  }),
+
+  negotiation_message: (quotation, entry) => ({
+    fromCustomer: entry.authorRole === 'customer',
+    customer: {
+      name: quotation.customerInfo?.name || 'Valued Customer',
+      company: quotation.customerInfo?.company
+    },
+    entry: {
+      message: entry.message,
+      counterOffer: (entry.counterOffer || []).map(line => ({
+        partRef: line.partRef || `Item ${line.itemIndex + 1}`,
+        quotedQuantity: line.quotedQuantity ?? '-',
+        quantity: line.quantity ?? line.quotedQuantity ?? '-',
+        quotedUnitPrice: `₹${line.quotedUnitPrice ?? '-'}`,
+        targetUnitPrice: line.targetUnitPrice !== undefined && line.targetUnitPrice !== null ? `₹${line.targetUnitPrice}` : '-'
+      }))
+    },
+    quotation: quotationContext(quotation)
+  }),
+
+  order_confirmation: (order) => ({
+    customer: customerContext(order.customer),
+    order: {
+      ...orderContext(order),
+      paymentStatus: order.payment ? (order.payment.status === 'completed' ? '✅ Completed' : order.payment.status) : 'Completed',
+      confirmedDate: formatDate(order.confirmedAt, new Date().toLocaleDateString())
+    },
+    production: {
+      startDate: formatDate(order.production?.startDate, 'TBD'),
+      estimatedCompletion: formatDate(order.production?.estimatedCompletion, 'TBD')
+    }
+  }),
+
+  dispatch_notification: (order) => {
+    const dispatch = order.dispatch || {};
+    const estimatedDelivery = dispatch.estimatedDelivery ? new Date(dispatch.estimatedDelivery) : null;
+    const dispatchedDate = dispatch.dispatchedAt ? new Date(dispatch.dispatchedAt) : new Date();
+    const longDate = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+    const shortTime = { hour: '2-digit', minute: '2-digit', hour12: true };
+
+    return {
+      customer: customerContext(order.customer),
+      order: orderContext(order),
+      deliveryAddress: addressContext(order.deliveryAddress),
+      dispatch: {
+        courier: dispatch.courier || 'N/A',
+        courierName: dispatch.courier || 'the courier',
+        trackingNumber: dispatch.trackingNumber || 'N/A',
+        hasTrackingNumber: !!dispatch.trackingNumber,
+        dispatchedDate: dispatchedDate.toLocaleDateString('en-US', longDate),
+        dispatchedTime: dispatchedDate.toLocaleTimeString('en-US', shortTime),
+        hasEstimatedDelivery: !!estimatedDelivery,
+        deliveryDate: estimatedDelivery ? estimatedDelivery.toLocaleDateString('en-US', longDate) : 'TBD',
+        deliveryTime: estimatedDelivery ? estimatedDelivery.toLocaleTimeString('en-US', shortTime) : 'TBD'
+      }
+    };
+  },
+
+  customer_payment_confirmation: (order) => {
+    const paymentDate = order.payment?.paidAt ? new Date(order.payment.paidAt) : new Date();
+    return {
+      customer: customerContext(order.customer),
+      order: orderContext(order),
+      deliveryAddress: addressContext(order.deliveryAddress),
+      payment: {
+        amount: order.totalAmount || order.payment?.amount || 0,
+        method: order.payment?.method || 'Online Payment',
+        transactionId: order.payment?.transactionId || 'N/A',
+        date: paymentDate.toLocaleDateString(),
+        time: paymentDate.toLocaleTimeString()
+      }
+    };
+  },
+
+  payment_confirmation: (order) => ({
+    customer: {
+      firstName: order.customer?.firstName || 'Unknown',
+      lastName: order.customer?.lastName || ''
+    },
+    order: orderContext(order),
+    payment: {
+      method: order.payment?.method || 'Online',
+      transactionId: order.payment?.transactionId || 'N/A',
+      paidAt: order.payment?.paidAt ? new Date(order.payment.paidAt).toLocaleString() : new Date().toLocaleString()
+    }
+  }),
+
+  delivery_confirmation: (order) => ({
+    customer: customerContext(order.customer),
+    order: {
+      ...orderContext(order),
+      deliveredDate: formatDate(order.dispatch?.actualDelivery, 'N/A')
+    },
+    deliveryAddress: addressContext(order.deliveryAddress),
+    proof: deliveryProofContext(order)
+  }),
+
+  production_started: (order) => {
+    const startDate = order.production?.startDate ? new Date(order.production.startDate) : new Date();
+    return {
+      customer: customerContext(order.customer),
+      order: orderContext(order),
+      production: {
+        startDate: startDate.toLocaleDateString(),
+        startTime: startDate.toLocaleTimeString(),
+        estimatedCompletion: formatDate(order.production?.estimatedCompletion)
+      }
+    };
+  },
+
+  order_ready: (order) => {
+    const completionDate = order.production?.actualCompletion ? new Date(order.production.actualCompletion) : new Date();
+    return {
+      customer: customerContext(order.customer),
+      order: orderContext(order),
+      deliveryAddress: addressContext(order.deliveryAddress),
+      production: {
+        completedDate: completionDate.toLocaleDateString(),
+        completedTime: completionDate.toLocaleTimeString()
+      }
+    };
+  },
+
+  refund_status: (refundRequest, order) => {
+    const headlines = {
+      requested: 'Refund Requested',
+      approved: 'Refund Approved',
+      rejected: 'Refund Request Declined',
+      completed: 'Refund Processed',
+      failed: 'Refund Could Not Be Processed'
+    };
+
+    return {
+      toBackOffice: refundRequest.status === 'requested',
+      headline: headlines[refundRequest.status] || 'Refund Update',
+      headerColor: refundRequest.status === 'rejected' || refundRequest.status === 'failed' ? '#f44336' : '#2196F3',
+      customer: customerContext(order.customer),
+      order: orderContext(order),
+      refund: {
+        status: refundRequest.status,
+        amount: refundRequest.amount,
+        reason: refundRequest.reason,
+        reviewNotes: refundRequest.reviewNotes,
+        failureReason: refundRequest.failureReason,
+        creditNoteNumber: refundRequest.creditNote?.creditNoteNumber,
+        items: (refundRequest.items || []).map(item => ({
+          part: item.partRef || item.partName || '-',
+          quantity: item.quantity,
+          amount: item.amount
+        }))
+      }
+    };
+  },
+
+  order_change_request: (changeRequest, order) => {
+    const label = changeRequest.type === 'cancellation' ? 'Cancellation' : 'Change';
+    const headlines = {
+      requested: `${label} Requested`,
+      approved: `${label} Request Approved`,
+      rejected: `${label} Request Declined`,
+      withdrawn: `${label} Request Withdrawn`
+    };
+    const changes = changeRequest.changes || {};
+    const fee = changeRequest.cancellationFee || {};
+    const approved = changeRequest.status === 'approved';
+
+    return {
+      toBackOffice: changeRequest.status === 'requested',
+      headline: headlines[changeRequest.status] || `${label} Request Update`,
+      headerColor: changeRequest.status === 'rejected' ? '#f44336' : '#2196F3',
+      customer: customerContext(order.customer),
+      order: orderContext(order),
+      request: {
+        type: changeRequest.type,
+        label: label.toLowerCase(),
+        status: changeRequest.status,
+        reason: changeRequest.reason,
+        reviewNotes: changeRequest.reviewNotes,
+        cancellationFee: changeRequest.type === 'cancellation' && fee.amount !== undefined
+          ? { amount: fee.amount, percent: fee.percent }
+          : null,
+        parts: (changes.parts || []).map(part => ({
+          partRef: part.partRef || '-',
+          previousQuantity: part.previousQuantity,
+          quantity: part.quantity
+        })),
+        expectedDeliveryDate: formatDate(changes.expectedDeliveryDate),
+        additionalPayment: approved && changeRequest.amountDelta > 0
+          ? { newTotal: changeRequest.newTotal, amountDelta: changeRequest.amountDelta }
+          : null,
+        refundRaised: approved && !!changeRequest.refundRequest
+      }
+    };
+  },
+
+  delivery_time_update: (order) => ({
+    customer: customerContext(order.customer),
+    order: orderContext(order),
+    production: {
+      startDate: formatDate(order.production?.startDate, 'TBD'),
+      estimatedCompletion: formatDate(order.production?.estimatedCompletion, 'TBD')
+    },
+    updatedOn: new Date().toLocaleDateString()
+  })
+};
+
 // Send login notification email to customer
-const sendLoginNotificationEmail = async (user) => {
+const sendLoginNotificationEmail = async (user, loggedInAt) => {
   try {
     console.log('=== SENDING LOGIN NOTIFICATION EMAIL ===');
     console.log('User:', user.email);
@@ -82,63 +464,13 @@ const sendLoginNotificationEmail = async (user) => {
       return;
     }
     
-    const customerName = `${user.firstName} ${user.lastName}`.trim() || 'Valued Customer';
-    const loginTime = new Date().toLocaleString();
-    const loginDate = new Date().toLocaleDateString();
-    
+    const { subject, html } = await renderEmailTemplate('login_notification', templateContexts.login_notification(user, loggedInAt));
+
     const mailOptions = {
       from: process.env.SMTP_FROM || 'noreply@247cutbend.com',
       to: user.email,
-      subject: 'Login Notification - 247 CutBend',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background-color: #4CAF50; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
-            <h1 style="margin: 0; font-size: 28px; font-weight: 700;">247 CUTBEND</h1>
-            <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">SHEET METAL PARTS ON DEMAND</p>
-            <h2 style="margin: 20px 0 10px 0; font-size: 24px; font-weight: 600;">Login Notification</h2>
-          </div>
-          
-          <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
-            <h3 style="color: #333; margin-top: 0;">Dear ${customerName},</h3>
-            <p style="color: #555; line-height: 1.6;">We wanted to inform you that someone has successfully logged into your 247 CutBend account.</p>
-            
-            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #4CAF50;">
-              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">🔐 Login Details</h3>
-              <p style="margin: 8px 0; color: #555;"><strong>Email:</strong> ${user.email}</p>
-              <p style="margin: 8px 0; color: #555;"><strong>Login Date:</strong> ${loginDate}</p>
-              <p style="margin: 8px 0; color: #555;"><strong>Login Time:</strong> ${loginTime}</p>
-              <p style="margin: 8px 0; color: #555;"><strong>Account:</strong> ${user.companyName || 'N/A'}</p>
-            </div>
-            
-            <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 25px 0; border-left: 4px solid #ffc107;">
-              <h3 style="margin-top: 0; color: #333;">⚠️ Security Notice</h3>
-              <p style="margin: 0; color: #555; line-height: 1.6;">If you did not perform this login, please:</p>
-              <ul style="margin: 10px 0; padding-left: 20px; color: #555;">
-                <li>Change your password immediately</li>
-                <li>Contact our support team</li>
-                <li>Review your account activity</li>
-              </ul>
-            </div>
-            
-            <div style="background-color: #e3f2fd; padding: 15px; border-radius: 5px; margin: 25px 0; border-left: 4px solid #2196F3;">
-              <h3 style="margin-top: 0; color: #333;">💡 Quick Actions</h3>
-              <ul style="margin: 10px 0; padding-left: 20px; color: #555;">
-                <li>View your recent inquiries and quotations</li>
-                <li>Track your orders</li>
-                <li>Update your profile information</li>
-                <li>Submit new inquiries</li>
-              </ul>
-            </div>
-            
-            <p style="margin-top: 30px; color: #555;">Thank you for choosing 247 CutBend for your sheet metal manufacturing needs. We're here to help!</p>
-          </div>
-          
-          <div style="background-color: #333; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 12px;">
-            <p style="margin: 0 0 5px 0;">© 2024 247 CutBend. All rights reserved.</p>
-            <p style="margin: 0; opacity: 0.8;">Delivering Factory Direct Quality Sheet Metal Parts Since 2005</p>
-          </div>
-        </div>
-      `
+      subject,
+      html
     };
 
     console.log('Sending login notification email with options:', {
@@ -153,7 +485,7 @@ const sendLoginNotificationEmail = async (user) => {
     
   } catch (error) {
     console.error('Login notification email failed:', error);
-    // Don't throw error, just log it to prevent login from failing
+    throw error;
   }
 };
 
@@ -168,48 +500,13 @@ const sendWelcomeEmail = async (email, firstName) => {
       return;
     }
     
+    const { subject, html } = await renderEmailTemplate('welcome', templateContexts.welcome(firstName));
+
     const mailOptions = {
       from: process.env.SMTP_FROM || 'noreply@247cutbend.com',
       to: email,
-      subject: 'Welcome to 247 CutBend - Your Sheet Metal Manufacturing Partner',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background-color: #4CAF50; color: white; padding: 20px; text-align: center;">
-            <h1 style="margin: 0;">247 CUTBEND</h1>
-            <p style="margin: 5px 0;">SHEET METAL PARTS ON DEMAND</p>
-          </div>
-          
-          <div style="padding: 20px;">
-            <h2>Welcome ${firstName}!</h2>
-            <p>Thank you for creating your account with 247 CutBend. We're excited to have you as part of our manufacturing community.</p>
-            
-            <h3>What's Next?</h3>
-            <ul>
-              <li>Upload your technical drawings (DWG, DXF, ZIP)</li>
-              <li>Specify material requirements and quantities</li>
-              <li>Receive competitive quotes</li>
-              <li>Place orders with confidence</li>
-            </ul>
-            
-            <h3>Our Expertise:</h3>
-            <ul>
-              <li>Laser Cutting</li>
-              <li>Surface Finishing</li>
-              <li>Threading & Chamfering</li>
-              <li>Sheet Metal Bending</li>
-              <li>Laser Engraving</li>
-              <li>CNC Turning</li>
-            </ul>
-            
-            <p>If you have any questions, feel free to reach out to our support team.</p>
-          </div>
-          
-          <div style="background-color: #f5f5f5; padding: 20px; text-align: center; font-size: 12px; color: #666;">
-            <p>© 2024 247 CutBend. All rights reserved.</p>
-            <p>Delivering Factory Direct Quality Sheet Metal Parts Since 2005</p>
-          </div>
-        </div>
-      `
+      subject,
+      html
     };
 
     await transporter.sendMail(mailOptions);
@@ -217,7 +514,7 @@ const sendWelcomeEmail = async (email, firstName) => {
     
   } catch (error) {
     console.error('Welcome email failed:', error);
-    // Don't throw error, just log it to prevent signup from failing
+    throw error;
   }
 };
 
@@ -276,94 +573,13 @@ const sendInquiryConfirmationEmail = async (inquiry) => {
       return;
     }
     
-    const customerName = `${customerInfo.firstName} ${customerInfo.lastName}`.trim() || 'Valued Customer';
-    
+    const { subject, html } = await renderEmailTemplate('inquiry_confirmation', templateContexts.inquiry_confirmation(inquiry, customerInfo));
+
     const mailOptions = {
       from: process.env.SMTP_FROM || 'noreply@247cutbend.com',
       to: customerInfo.email,
-      subject: `Inquiry ${inquiry.inquiryNumber} Submitted Successfully - 247 CutBend`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background-color: #FF9800; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
-            <h1 style="margin: 0; font-size: 28px; font-weight: 700;">247 CUTBEND</h1>
-            <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">SHEET METAL PARTS ON DEMAND</p>
-            <h2 style="margin: 20px 0 10px 0; font-size: 24px; font-weight: 600;">Inquiry Submitted Successfully!</h2>
-          </div>
-          
-          <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
-            <h3 style="color: #333; margin-top: 0;">Dear ${customerName},</h3>
-            <p style="color: #555; line-height: 1.6;">Thank you for submitting your inquiry. We have received your request and our team will review it shortly.</p>
-            
-            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #FF9800;">
-              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">📋 Inquiry Details</h3>
-              <p style="margin: 8px 0; color: #555;"><strong>Inquiry Number:</strong> ${inquiry.inquiryNumber}</p>
-              <p style="margin: 8px 0; color: #555;"><strong>Status:</strong> Under Review</p>
-              <p style="margin: 8px 0; color: #555;"><strong>Submitted Date:</strong> ${new Date(inquiry.createdAt).toLocaleDateString()}</p>
-              <p style="margin: 8px 0; color: #555;"><strong>Total Parts:</strong> ${inquiry.parts?.length || 0}</p>
-              <p style="margin: 8px 0; color: #555;"><strong>Files Attached:</strong> ${inquiry.files?.length || 0}</p>
-            </div>
-            
-            ${inquiry.parts && inquiry.parts.length > 0 ? `
-            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #4CAF50;">
-              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">🔧 Parts Summary</h3>
-              <div style="background-color: white; border-radius: 6px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
-                <table style="width: 100%; border-collapse: collapse;">
-                  <thead>
-                    <tr style="background-color: #f5f5f5;">
-                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Part</th>
-                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Material</th>
-                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Thickness</th>
-                      <th style="padding: 12px; text-align: right; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Qty</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    ${inquiry.parts.slice(0, 10).map(part => `
-                      <tr style="border-bottom: 1px solid #eee;">
-                        <td style="padding: 12px; color: #555;">${part.partRef || part.partName || 'N/A'}</td>
-                        <td style="padding: 12px; color: #555;">${part.material || 'N/A'}</td>
-                        <td style="padding: 12px; color: #555;">${part.thickness || 'N/A'}${part.thickness ? 'mm' : ''}</td>
-                        <td style="padding: 12px; text-align: right; color: #555;">${part.quantity || 0}</td>
-                      </tr>
-                    `).join('')}
-                    ${inquiry.parts.length > 10 ? `
-                      <tr>
-                        <td colspan="4" style="padding: 12px; text-align: center; color: #666; font-style: italic;">
-                          ... and ${inquiry.parts.length - 10} more parts
-                        </td>
-                      </tr>
-                    ` : ''}
-                  </tbody>
-                </table>
-              </div>
-            </div>
-            ` : ''}
-            
-            ${inquiry.specialInstructions ? `
-            <div style="background-color: #e3f2fd; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #2196F3;">
-              <h3 style="margin-top: 0; color: #333;">Special Instructions:</h3>
-              <p style="margin: 0; color: #555; line-height: 1.6;">${inquiry.specialInstructions}</p>
-            </div>
-            ` : ''}
-            
-            <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 25px 0;">
-              <h3 style="margin-top: 0; color: #333;">What's Next?</h3>
-              <ul style="margin: 10px 0; padding-left: 20px; color: #555;">
-                <li>Our team will review your inquiry and technical drawings</li>
-                <li>You will receive a quotation within 24-48 hours</li>
-                <li>You can track your inquiry status by logging into your account</li>
-                <li>If you have any questions, please don't hesitate to contact us</li>
-              </ul>
-            </div>
-            
-            <p style="margin-top: 30px; color: #555;">Thank you for choosing 247 CutBend for your sheet metal manufacturing needs. We look forward to serving you!</p>
-          </div>
-          
-          <div style="background-color: #333; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 12px;">
-            <p style="margin: 0 0 5px 0;">© 2024 247 CutBend. All rights reserved.</p>
-            <p style="margin: 0; opacity: 0.8;">Delivering Factory Direct Quality Sheet Metal Parts Since 2005</p>
-          </div>
-        </div>
-      `
+      subject,
+      html
     };
 
     console.log('Sending inquiry confirmation email with options:', {
@@ -378,7 +594,7 @@ const sendInquiryConfirmationEmail = async (inquiry) => {
     
   } catch (error) {
     console.error('Inquiry confirmation email failed:', error);
-    // Don't throw error, just log it to prevent inquiry creation from failing
+    throw error;
   }
 };
 
@@ -674,97 +890,13 @@ const sendInquiryNotification = async (inquiry) => {
       // Don't fail the email if Excel generation fails
     }
 
+    const { subject, html } = await renderEmailTemplate('inquiry_notification', templateContexts.inquiry_notification(inquiry, customerInfo));
+
     const mailOptions = {
       from: process.env.SMTP_FROM || 'noreply@247cutbend.com',
       to: process.env.BACKOFFICE_EMAIL || 'backoffice@247cutbend.com',
-      subject: `New Inquiry Received - ${inquiry.inquiryNumber}`,
-      html: `
-        <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 700px; margin: 0 auto; background-color: #f8f9fa;">
-          <!-- Header with Company Branding -->
-          <div style="background: linear-gradient(135deg, #FF9800 0%, #F57C00 100%); color: white; padding: 30px 20px; text-align: center; border-radius: 8px 8px 0 0;">
-            <div style="display: flex; align-items: center; justify-content: center; margin-bottom: 15px;">
-              <div style="width: 50px; height: 50px; background-color: white; border-radius: 50%; display: flex; align-items: center; justify-content: center; margin-right: 15px;">
-                <span style="color: #FF9800; font-size: 24px; font-weight: bold;">K</span>
-              </div>
-              <div>
-                <h1 style="margin: 0; font-size: 28px; font-weight: 700;">247 CUTBEND</h1>
-                <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">SHEET METAL PARTS ON DEMAND</p>
-              </div>
-            </div>
-            <h2 style="margin: 0; font-size: 24px; font-weight: 600;">New Inquiry Received</h2>
-            <p style="margin: 10px 0 0 0; font-size: 16px; opacity: 0.9;">Inquiry Number: <strong>${inquiry.inquiryNumber}</strong></p>
-          </div>
-          
-          <!-- Main Content -->
-          <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
-            
-            <!-- Customer Information Card -->
-            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin-bottom: 25px; border-left: 4px solid #FF9800;">
-              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">👤 Customer Information</h3>
-              <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
-                <p style="margin: 5px 0; color: #555;"><strong>Name:</strong> ${customerInfo.firstName} ${customerInfo.lastName}</p>
-                <p style="margin: 5px 0; color: #555;"><strong>Company:</strong> ${customerInfo.companyName}</p>
-                <p style="margin: 5px 0; color: #555;"><strong>Email:</strong> ${customerInfo.email}</p>
-                <p style="margin: 5px 0; color: #555;"><strong>Phone:</strong> ${customerInfo.phoneNumber}</p>
-              </div>
-            </div>
-            
-            <!-- Inquiry Details Card -->
-            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin-bottom: 25px; border-left: 4px solid #4CAF50;">
-              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">📋 Inquiry Details</h3>
-              <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 15px; text-align: center;">
-                <div style="background-color: white; padding: 15px; border-radius: 6px; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
-                  <div style="font-size: 24px; font-weight: bold; color: #FF9800;">${inquiry.files.length}</div>
-                  <div style="font-size: 12px; color: #666; text-transform: uppercase;">Files Attached</div>
-                </div>
-                <div style="background-color: white; padding: 15px; border-radius: 6px; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
-                  <div style="font-size: 24px; font-weight: bold; color: #4CAF50;">${inquiry.parts.length}</div>
-                  <div style="font-size: 12px; color: #666; text-transform: uppercase;">Parts</div>
-                </div>
-                <div style="background-color: white; padding: 15px; border-radius: 6px; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
-                  <div style="font-size: 24px; font-weight: bold; color: #2196F3;">INR ₹${inquiry.totalAmount || 0}</div>
-                  <div style="font-size: 12px; color: #666; text-transform: uppercase;">Total Amount</div>
-                </div>
-              </div>
-            </div>
-            
-            <!-- Parts Specifications -->
-            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin-bottom: 25px; border-left: 4px solid #2196F3;">
-              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">🔧 Parts Specifications</h3>
-              <div style="background-color: white; border-radius: 6px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
-                <table style="width: 100%; border-collapse: collapse;">
-                  <thead>
-                    <tr style="background-color: #f5f5f5;">
-                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Part Name</th>
-                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Material</th>
-                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Thickness</th>
-                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Qty</th>
-                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Remarks</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    ${inquiry.parts.map(part => `
-                      <tr style="border-bottom: 1px solid #eee;">
-                        <td style="padding: 12px; color: #555;">${part.partName || part.partRef || 'Part'}</td>
-                        <td style="padding: 12px; color: #555;">${part.material}</td>
-                        <td style="padding: 12px; color: #555;">${part.thickness}mm</td>
-                        <td style="padding: 12px; color: #555;">${part.quantity}</td>
-                        <td style="padding: 12px; color: #555;">${part.remarks || '-'}</td>
-                      </tr>
-                    `).join('')}
-                  </tbody>
-                </table>
-              </div>
-            </div>
-          </div>
-          
-          <!-- Footer -->
-          <div style="background-color: #333; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 12px;">
-            <p style="margin: 0 0 5px 0;">© 2024 247 CutBend. All rights reserved.</p>
-            <p style="margin: 0; opacity: 0.8;">Delivering Factory Direct Quality Sheet Metal Parts Since 2005</p>
-          </div>
-        </div>
-      `,
+      subject,
+      html,
       attachments: attachments
     };
 
@@ -777,22 +909,9 @@ const sendInquiryNotification = async (inquiry) => {
     console.log('Message ID:', result.messageId);
     console.log('Response:', result.response);
     
-    // Send SMS notification to back office
-    try {
-      const smsResult = await sendInquiryNotificationSMS(inquiry, customerInfo);
-      if (smsResult.success) {
-        console.log('Inquiry SMS notification sent successfully');
-      } else {
-        console.log('Inquiry SMS notification failed:', smsResult.message);
-      }
-    } catch (smsError) {
-      console.error('SMS notification failed:', smsError);
-      // Don't fail the email if SMS fails
-    }
-    
   } catch (error) {
     console.error('Inquiry notification failed:', error);
-    // Don't throw error, just log it to prevent inquiry creation from failing
+    throw error;
   }
 };
 
@@ -817,7 +936,6 @@ const sendQuotationSentEmail = async (quotation, inquiryNumber = null, pdfBuffer
       return;
     }
     
-    const customerName = quotation.customerInfo.name || 'Valued Customer';
     const customerEmail = quotation.customerInfo.email;
     
     // Prepare PDF attachment if available
@@ -860,106 +978,14 @@ const sendQuotationSentEmail = async (quotation, inquiryNumber = null, pdfBuffer
       }
     }
     
+    const { subject, html } = await renderEmailTemplate('quotation_sent', templateContexts.quotation_sent(quotation, inquiryNumber, attachments.length > 0));
+
     const mailOptions = {
       from: process.env.SMTP_FROM || 'noreply@247cutbend.com',
       to: customerEmail,
-      subject: `Quotation ${quotation.quotationNumber} - 247 CutBend`,
+      subject,
       attachments: attachments.length > 0 ? attachments : undefined,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background-color: #FF9800; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
-            <h1 style="margin: 0; font-size: 28px; font-weight: 700;">247 CUTBEND</h1>
-            <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">SHEET METAL PARTS ON DEMAND</p>
-            <h2 style="margin: 20px 0 10px 0; font-size: 24px; font-weight: 600;">Your Quotation is Ready!</h2>
-          </div>
-          
-          <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
-            <h3 style="color: #333; margin-top: 0;">Dear ${customerName},</h3>
-            <p style="color: #555; line-height: 1.6;">Thank you for your inquiry. We have prepared a competitive quotation for your sheet metal parts.</p>
-            
-            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #FF9800;">
-              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">📋 Quotation Summary</h3>
-              <p style="margin: 8px 0; color: #555;"><strong>Quotation Number:</strong> ${quotation.quotationNumber}</p>
-              ${inquiryNumber ? `<p style="margin: 8px 0; color: #555;"><strong>Inquiry Number:</strong> ${inquiryNumber}</p>` : ''}
-              <p style="margin: 8px 0; color: #555;"><strong>Total Amount:</strong> ${quotation.currency || 'INR'} ₹${quotation.totalAmount}</p>
-              ${quotation.validUntil ? `<p style="margin: 8px 0; color: #555;"><strong>Valid Until:</strong> ${new Date(quotation.validUntil).toLocaleDateString()}</p>` : ''}
-            </div>
-            
-            ${quotation.items && quotation.items.length > 0 ? `
-            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #4CAF50;">
-              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">🔧 Parts & Pricing</h3>
-              <div style="background-color: white; border-radius: 6px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
-                <table style="width: 100%; border-collapse: collapse;">
-                  <thead>
-                    <tr style="background-color: #f5f5f5;">
-                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Part</th>
-                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Material</th>
-                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Qty</th>
-                      <th style="padding: 12px; text-align: right; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Total</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    ${quotation.items.slice(0, 10).map(item => `
-                      <tr style="border-bottom: 1px solid #eee;">
-                        <td style="padding: 12px; color: #555;">${item.partRef || 'N/A'}</td>
-                        <td style="padding: 12px; color: #555;">${item.material || 'N/A'}</td>
-                        <td style="padding: 12px; color: #555;">${item.quantity || 0}</td>
-                        <td style="padding: 12px; text-align: right; color: #555;">$${item.totalPrice || 0}</td>
-                      </tr>
-                    `).join('')}
-                    ${quotation.items.length > 10 ? `
-                      <tr>
-                        <td colspan="4" style="padding: 12px; text-align: center; color: #666; font-style: italic;">
-                          ... and ${quotation.items.length - 10} more items
-                        </td>
-                      </tr>
-                    ` : ''}
-                  </tbody>
-                </table>
-              </div>
-            </div>
-            ` : ''}
-            
-            ${quotation.terms ? `
-            <div style="background-color: #e8f5e8; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #4CAF50;">
-              <h3 style="margin-top: 0; color: #333;">Terms & Conditions:</h3>
-              <p style="margin: 0; color: #555; line-height: 1.6;">${quotation.terms}</p>
-            </div>
-            ` : ''}
-            
-            ${quotation.notes ? `
-            <div style="background-color: #e3f2fd; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #2196F3;">
-              <h3 style="margin-top: 0; color: #333;">Additional Notes:</h3>
-              <p style="margin: 0; color: #555; line-height: 1.6;">${quotation.notes}</p>
-            </div>
-            ` : ''}
-            
-            ${attachments.length > 0 ? `
-            <div style="background-color: #e3f2fd; padding: 15px; border-radius: 5px; margin: 25px 0; border-left: 4px solid #2196F3;">
-              <h3 style="margin-top: 0; color: #333;">📎 Quotation PDF Attached</h3>
-              <p style="margin: 0; color: #555; line-height: 1.6;">The detailed quotation PDF is attached to this email for your reference. Please review the attached document for complete pricing and specifications.</p>
-            </div>
-            ` : ''}
-            
-            <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 25px 0;">
-              <h3 style="margin-top: 0; color: #333;">What's Next?</h3>
-              <ul style="margin: 10px 0; padding-left: 20px; color: #555;">
-                <li>Please review the attached quotation PDF</li>
-                <li>Log in to your account to view the full quotation details</li>
-                <li>Review the quotation and accept or request changes</li>
-                <li>If you have any questions, please don't hesitate to contact us</li>
-              </ul>
-            </div>
-            
-            <p style="margin-top: 30px; color: #555;">Thank you for choosing 247 CutBend for your sheet metal manufacturing needs.</p>
-          </div>
-          
-          <div style="background-color: #333; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 12px;">
-            <p style="margin: 0 0 5px 0;">© 2024 247 CutBend. All rights reserved.</p>
-            <p style="margin: 0; opacity: 0.8;">Delivering Factory Direct Quality Sheet Metal Parts Since 2005</p>
-          </div>
-        </div>
-      `
+      html
     };
 
     console.log('Sending quotation email with options:', {
@@ -977,28 +1003,9 @@ const sendQuotationSentEmail = async (quotation, inquiryNumber = null, pdfBuffer
       console.log('📎 PDF attachment included in email');
     }
     
-    // Send SMS notification to customer
-    try {
-      const { sendQuotationNotificationSMS } = require('./smsService');
-      const customerInfo = {
-        firstName: quotation.customerInfo.name?.split(' ')[0] || 'Customer',
-        lastName: quotation.customerInfo.name?.split(' ').slice(1).join(' ') || '',
-        phoneNumber: quotation.customerInfo.phone
-      };
-      const smsResult = await sendQuotationNotificationSMS(quotation, customerInfo);
-      if (smsResult.success) {
-        console.log('Quotation SMS notification sent successfully');
-      } else {
-        console.log('Quotation SMS notification failed:', smsResult.message);
-      }
-    } catch (smsError) {
-      console.error('SMS notification failed:', smsError);
-      // Don't fail the email if SMS fails
-    }
-    
   } catch (error) {
     console.error('Quotation sent email failed:', error);
-    // Don't throw error, just log it to prevent route from failing
+    throw error;
   }
 };
 
@@ -1031,207 +1038,156 @@ const sendQuotationEmail = async (quotation) => {
       return;
     }
     
+    const { subject, html } = await renderEmailTemplate('quotation', templateContexts.quotation(quotation, customerInfo));
+
     const mailOptions = {
       from: process.env.SMTP_FROM || 'noreply@247cutbend.com',
       to: customerInfo.email,
-      subject: `Quotation ${quotation.quotationNumber} - Inquiry ${quotation.inquiry.inquiryNumber} - 247 CutBend`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background-color: #4CAF50; color: white; padding: 20px; text-align: center;">
-            <h1 style="margin: 0;">Quotation Ready</h1>
-            <p style="margin: 5px 0;">Quotation Number: ${quotation.quotationNumber}</p>
-          </div>
-          
-          <div style="padding: 20px;">
-            <h3>Dear ${customerInfo.firstName || 'Valued Customer'},</h3>
-            <p>Thank you for your inquiry. We have prepared a competitive quotation for your sheet metal parts.</p>
-            
-            <h3>Quotation Summary:</h3>
-            <p><strong>Quotation Number:</strong> ${quotation.quotationNumber}</p>
-            <p><strong>Inquiry Number:</strong> ${quotation.inquiry.inquiryNumber}</p>
-            <p><strong>Total Amount:</strong> ${quotation.currency || 'INR'} ₹${quotation.totalAmount}</p>
-            <p><strong>Valid Until:</strong> ${new Date(quotation.validUntil).toLocaleDateString()}</p>
-            
-            <h3>Parts & Pricing:</h3>
-            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
-              <thead>
-                <tr style="background-color: #f5f5f5;">
-                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Part Name</th>
-                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Material</th>
-                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Thickness</th>
-                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Qty</th>
-                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Unit Price</th>
-                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Total</th>
-                </tr>
-              </thead>
-              <tbody>
-                ${quotation.parts.map(part => `
-                  <tr>
-                    <td style="border: 1px solid #ddd; padding: 8px;">${part.partName || part.partRef || 'Part'}</td>
-                    <td style="border: 1px solid #ddd; padding: 8px;">${part.material}</td>
-                    <td style="border: 1px solid #ddd; padding: 8px;">${part.thickness}mm</td>
-                    <td style="border: 1px solid #ddd; padding: 8px;">${part.quantity}</td>
-                    <td style="border: 1px solid #ddd; padding: 8px;">₹${part.unitPrice}</td>
-                    <td style="border: 1px solid #ddd; padding: 8px;">₹${part.totalPrice}</td>
-                  </tr>
-                `).join('')}
-              </tbody>
-            </table>
-            
-            <h3>Terms & Conditions:</h3>
-            <p style="background-color: #f9f9f9; padding: 15px; border-left: 4px solid #4CAF50;">
-              ${quotation.terms}
-            </p>
-            
-            ${quotation.notes ? `
-            <h3>Additional Notes:</h3>
-            <p style="background-color: #f0f8ff; padding: 15px; border-left: 4px solid #2196F3;">
-              ${quotation.notes}
-            </p>
-            ` : ''}
-            
-            <p style="margin-top: 30px;">Please log in to your account to view and respond to this quotation.</p>
-            
-            <p style="margin-top: 30px;">If you have any questions, please don't hesitate to contact us.</p>
-          </div>
-        </div>
-      `
+      subject,
+      html
     };
 
     await transporter.sendMail(mailOptions);
     console.log('Quotation email sent successfully to:', customerInfo.email);
     
-    // Send SMS notification to customer
-    try {
-      const smsResult = await sendQuotationNotificationSMS(quotation, customerInfo);
-      if (smsResult.success) {
-        console.log('Quotation SMS notification sent successfully');
-      } else {
-        console.log('Quotation SMS notification failed:', smsResult.message);
-      }
-    } catch (smsError) {
-      console.error('SMS notification failed:', smsError);
-      // Don't fail the email if SMS fails
-    }
-    
   } catch (error) {
     console.error('Quotation email failed:', error);
     throw error;
   }
 };
 
-// Send order confirmation
-const sendOrderConfirmation = async (order) => {
+// Send quotation expiry reminder to customer
+const sendQuotationExpiryReminderEmail = async (quotation, daysLeft) => {
   try {
-    console.log('=== SENDING ORDER CONFIRMATION EMAIL ===');
-    console.log('Order:', order.orderNumber);
-    console.log('Customer:', order.customer?.email);
-    
     const transporter = createTransporter();
-    
-    // If no transporter (SMTP not configured), just log and return
+
     if (!transporter) {
-      console.log('SMTP not configured. Order confirmation email skipped for:', order.customer?.email);
+      console.log('SMTP not configured. Quotation expiry reminder skipped for:', quotation.quotationNumber);
       return;
     }
-    
+
+    const { subject, html } = await renderEmailTemplate('quotation_expiry_reminder', templateContexts.quotation_expiry_reminder(quotation, daysLeft));
+
     const mailOptions = {
       from: process.env.SMTP_FROM || 'noreply@247cutbend.com',
-      to: order.customer.email,
-      subject: `Order Confirmed - ${order.orderNumber}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background-color: #4CAF50; color: white; padding: 20px; text-align: center;">
-            <h1 style="margin: 0;">247 CUTBEND</h1>
-            <h2 style="margin: 10px 0;">Order Confirmed</h2>
-            <p style="margin: 5px 0;">Order Number: ${order.orderNumber}</p>
-          </div>
-          
-          <div style="padding: 20px;">
-            <h3>Dear ${order.customer.firstName || 'Customer'},</h3>
-            <p style="color: #555; line-height: 1.6;">Great news! Your order has been confirmed by our team and is now ready for production!</p>
-            
-            <div style="background-color: #e8f5e8; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #4CAF50;">
-              <h3 style="margin-top: 0; color: #333;">✅ Order Confirmed</h3>
-              <p style="margin: 5px 0; color: #555;">Your order has been reviewed and confirmed by our team. We're now preparing to start production.</p>
-            </div>
-            
-            <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
-              <h3 style="margin-top: 0;">Order Details:</h3>
-              <p><strong>Order Number:</strong> ${order.orderNumber}</p>
-              <p><strong>Total Amount:</strong> ${order.currency || 'INR'} ₹${order.totalAmount}</p>
-              <p><strong>Payment Status:</strong> ${order.payment ? (order.payment.status === 'completed' ? '✅ Completed' : order.payment.status) : 'Completed'}</p>
-              <p><strong>Order Date:</strong> ${new Date(order.createdAt).toLocaleDateString()}</p>
-              <p><strong>Confirmed Date:</strong> ${order.confirmedAt ? new Date(order.confirmedAt).toLocaleDateString() : new Date().toLocaleDateString()}</p>
-            </div>
-            
-            <div style="background-color: #e8f5e8; padding: 15px; border-radius: 5px; margin: 20px 0;">
-              <h3 style="margin-top: 0;">Production Timeline:</h3>
-              <p><strong>Start Date:</strong> ${order.production && order.production.startDate ? new Date(order.production.startDate).toLocaleDateString() : 'TBD'}</p>
-              <p><strong>Estimated Completion:</strong> ${order.production && order.production.estimatedCompletion ? new Date(order.production.estimatedCompletion).toLocaleDateString() : 'TBD'}</p>
-            </div>
-            
-            <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0;">
-              <h3 style="margin-top: 0;">What's Next?</h3>
-              <ul>
-                <li>Your order is now in production</li>
-                <li>We will keep you updated on the progress</li>
-                <li>You will receive notifications for each milestone</li>
-                <li>Log in to your account to track order status</li>
-              </ul>
-            </div>
-            
-            <p style="margin-top: 30px;">Please log in to your account to track your order status.</p>
-            
-            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
-              <p style="font-size: 14px; color: #666;">
-                If you have any questions, please contact our support team.<br>
-                Thank you for choosing 247 CutBend for your sheet metal manufacturing needs.
-              </p>
-            </div>
-          </div>
-          
-          <div style="background-color: #f5f5f5; padding: 20px; text-align: center; font-size: 12px; color: #666;">
-            <p>© 2024 247 CutBend. All rights reserved.</p>
-            <p>Sheet Metal Parts on Demand</p>
-          </div>
-        </div>
-      `
+      to: quotation.customerInfo.email,
+      subject,
+      html
     };
 
-    console.log('Sending email with options:', {
-      from: mailOptions.from,
-      to: mailOptions.to,
-      subject: mailOptions.subject
-    });
+    await transporter.sendMail(mailOptions);
+    console.log('Quotation expiry reminder sent successfully to:', quotation.customerInfo.email);
 
-    const result = await transporter.sendMail(mailOptions);
-    console.log('Order confirmation email sent successfully:', result.messageId);
-    
-    // Send SMS notification
-    try {
-      const smsResult = await sendOrderConfirmationSMS(order, order.customer);
-      if (smsResult.success) {
-        console.log('Order confirmation SMS notification sent successfully');
-      } else {
-        console.log('Order confirmation SMS notification failed:', smsResult.message);
-      }
-    } catch (smsError) {
-      console.error('SMS notification failed:', smsError);
-      // Don't fail the email if SMS fails
-    }
-    
   } catch (error) {
-    console.error('Order confirmation email failed:', error);
+    console.error('Quotation expiry reminder email failed:', error);
     throw error;
   }
 };
 
-// Send dispatch notification
-const sendDispatchNotification = async (order) => {
+// Send re-quote request notification to back office
+const sendRequoteRequestNotification = async (quotation, inquiryNumber, reason) => {
   try {
-    console.log('=== SENDING DISPATCH NOTIFICATION EMAIL TO CUSTOMER ===');
-    console.log('Order ID:', order._id);
+    const transporter = createTransporter();
+
+    if (!transporter) {
+      console.log('SMTP not configured. Re-quote request notification skipped for:', quotation.quotationNumber);
+      return;
+    }
+
+    const { subject, html } = await renderEmailTemplate('requote_request', templateContexts.requote_request(quotation, inquiryNumber, reason));
+
+    const mailOptions = {
+      from: process.env.SMTP_FROM || 'noreply@247cutbend.com',
+      to: process.env.BACKOFFICE_EMAIL || 'backoffice@247cutbend.com',
+      subject,
+      html
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log('Re-quote request notification sent to back office');
+
+  } catch (error) {
+    console.error('Re-quote request notification failed:', error);
+    throw error;
+  }
+};
+
+// Send negotiation message (counter-offer or reply) to the other party
+const sendNegotiationMessageEmail = async (quotation, entry) => {
+  try {
+    const transporter = createTransporter();
+
+    if (!transporter) {
+      console.log('SMTP not configured. Negotiation email skipped for:', quotation.quotationNumber);
+      return;
+    }
+
+    const fromCustomer = entry.authorRole === 'customer';
+
+    const { subject, html } = await renderEmailTemplate('negotiation_message', templateContexts.negotiation_message(quotation, entry));
+
+    const mailOptions = {
+      from: process.env.SMTP_FROM || 'noreply@247cutbend.com',
+      to: fromCustomer
+        ? (process.env.BACKOFFICE_EMAIL || 'backoffice@247cutbend.com')
+        : quotation.customerInfo.email,
+      subject,
+      html
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log('Negotiation email sent for quotation:', quotation.quotationNumber);
+
+  } catch (error) {
+    console.error('Negotiation email failed:', error);
+    throw error;
+  }
+};
+
+// Send order confirmation
+const sendOrderConfirmation = async (order) => {
+  try {
+    console.log('=== SENDING ORDER CONFIRMATION EMAIL ===');
+    console.log('Order:', order.orderNumber);
+    console.log('Customer:', order.customer?.email);
+    
+    const transporter = createTransporter();
+    
+    // If no transporter (SMTP not configured), just log and return
+    if (!transporter) {
+      console.log('SMTP not configured. Order confirmation email skipped for:', order.customer?.email);
+      return;
+    }
+    
+    const { subject, html } = await renderEmailTemplate('order_confirmation', templateContexts.order_confirmation(order));
+
+    const mailOptions = {
+      from: process.env.SMTP_FROM || 'noreply@247cutbend.com',
+      to: order.customer.email,
+      subject,
+      html
+    };
+
+    console.log('Sending email with options:', {
+      from: mailOptions.from,
+      to: mailOptions.to,
+      subject: mailOptions.subject
+    });
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Order confirmation email sent successfully:', result.messageId);
+    
+  } catch (error) {
+    console.error('Order confirmation email failed:', error);
+    throw error;
+  }
+};
+
+// Send dispatch notification
+const sendDispatchNotification = async (order) => {
+  try {
+    console.log('=== SENDING DISPATCH NOTIFICATION EMAIL TO CUSTOMER ===');
+    console.log('Order ID:', order._id);
     console.log('Order Number:', order.orderNumber);
     console.log('Customer:', order.customer);
     console.log('Customer Email:', order.customer?.email);
@@ -1269,89 +1225,13 @@ const sendDispatchNotification = async (order) => {
       console.warn('⚠️ Courier name not found in dispatch object');
     }
     
-    const customerName = `${order.customer.firstName || ''} ${order.customer.lastName || ''}`.trim() || 'Valued Customer';
-    const estimatedDelivery = order.dispatch?.estimatedDelivery ? new Date(order.dispatch.estimatedDelivery) : null;
-    const deliveryDate = estimatedDelivery ? estimatedDelivery.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }) : 'TBD';
-    const deliveryTime = estimatedDelivery ? estimatedDelivery.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: true }) : 'TBD';
-    const dispatchedDate = order.dispatch?.dispatchedAt ? new Date(order.dispatch.dispatchedAt) : new Date();
-    
+    const { subject, html } = await renderEmailTemplate('dispatch_notification', templateContexts.dispatch_notification(order));
+
     const mailOptions = {
       from: process.env.SMTP_FROM || 'noreply@247cutbend.com',
       to: order.customer.email,
-      subject: `Order Dispatched - ${order.orderNumber} - 247 CutBend`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background-color: #2196F3; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
-            <h1 style="margin: 0; font-size: 28px; font-weight: 700;">247 CUTBEND</h1>
-            <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">SHEET METAL PARTS ON DEMAND</p>
-            <h2 style="margin: 20px 0 10px 0; font-size: 24px; font-weight: 600;">Order Dispatched! 🚚</h2>
-          </div>
-          
-          <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
-            <h3 style="color: #333; margin-top: 0;">Dear ${customerName},</h3>
-            <p style="color: #555; line-height: 1.6; font-size: 16px;">Great news! Your order <strong>${order.orderNumber}</strong> has been dispatched and is on its way to you!</p>
-            
-            <div style="background-color: #e3f2fd; padding: 25px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #2196F3; text-align: center;">
-              <h3 style="margin: 0 0 20px 0; color: #333; font-size: 20px; font-weight: 600;">🚚 Dispatch Information</h3>
-              <div style="background-color: white; padding: 20px; border-radius: 8px; margin-bottom: 15px;">
-                <p style="margin: 0 0 10px 0; color: #666; font-size: 14px; text-transform: uppercase;">Courier Name</p>
-                <p style="margin: 0; color: #1976D2; font-size: 28px; font-weight: 700;">${order.dispatch?.courier || 'N/A'}</p>
-              </div>
-              <div style="background-color: white; padding: 20px; border-radius: 8px;">
-                <p style="margin: 0 0 10px 0; color: #666; font-size: 14px; text-transform: uppercase;">Dispatched Date</p>
-                <p style="margin: 0; color: #1976D2; font-size: 24px; font-weight: 700;">${dispatchedDate.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</p>
-                <p style="margin: 10px 0 0 0; color: #555; font-size: 16px;">${dispatchedDate.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: true })}</p>
-              </div>
-            </div>
-            
-            ${estimatedDelivery ? `
-            <div style="background-color: #e8f5e8; padding: 25px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #4CAF50; text-align: center;">
-              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 20px; font-weight: 600;">📦 Expected Delivery Date & Time</h3>
-              <p style="margin: 0; color: #2e7d32; font-size: 24px; font-weight: 700;">${deliveryDate}</p>
-              <p style="margin: 10px 0 0 0; color: #2e7d32; font-size: 20px; font-weight: 600;">at ${deliveryTime}</p>
-              <p style="margin: 15px 0 0 0; color: #555; font-size: 14px;">You will receive your order on this date at this time</p>
-            </div>
-            ` : ''}
-            
-            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #2196F3;">
-              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">📋 Order Details</h3>
-              <p style="margin: 8px 0; color: #555;"><strong>Order Number:</strong> ${order.orderNumber}</p>
-              <p style="margin: 8px 0; color: #555;"><strong>Tracking Number:</strong> ${order.dispatch?.trackingNumber || 'N/A'}</p>
-              ${order.dispatch?.trackingNumber ? `
-              <p style="margin: 8px 0; color: #555;">You can use this tracking number to track your shipment with ${order.dispatch?.courier || 'the courier'}</p>
-              ` : ''}
-            </div>
-            
-            ${order.deliveryAddress ? `
-            <div style="background-color: #fff3cd; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #ffc107;">
-              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">📍 Delivery Address</h3>
-              <p style="margin: 8px 0; color: #555; padding-left: 20px;">
-                ${order.deliveryAddress.street || ''}<br>
-                ${order.deliveryAddress.city || ''}, ${order.deliveryAddress.state || ''} ${order.deliveryAddress.postalCode || ''}<br>
-                ${order.deliveryAddress.country || ''}
-              </p>
-            </div>
-            ` : ''}
-            
-            <div style="background-color: #e8f5e8; padding: 15px; border-radius: 5px; margin: 25px 0; border-left: 4px solid #4CAF50;">
-              <h3 style="margin-top: 0; color: #333;">💡 Important Information</h3>
-              <ul style="margin: 10px 0; padding-left: 20px; color: #555;">
-                <li>Please ensure someone is available at the delivery address on <strong>${deliveryDate}</strong> at <strong>${deliveryTime}</strong></li>
-                <li>You can track your order using the tracking number provided above</li>
-                <li>If you need to change the delivery date or address, please contact our support team immediately</li>
-                <li>Log in to your account to track your order status</li>
-              </ul>
-            </div>
-            
-            <p style="margin-top: 30px; color: #555;">Thank you for choosing 247 CutBend. We look forward to delivering your order on time!</p>
-          </div>
-          
-          <div style="background-color: #333; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 12px;">
-            <p style="margin: 0 0 5px 0;">© 2024 247 CutBend. All rights reserved.</p>
-            <p style="margin: 0; opacity: 0.8;">Delivering Factory Direct Quality Sheet Metal Parts Since 2005</p>
-          </div>
-        </div>
-      `
+      subject,
+      html
     };
 
     console.log('Sending dispatch notification email with options:', {
@@ -1364,19 +1244,6 @@ const sendDispatchNotification = async (order) => {
     console.log('✅ Dispatch notification email sent successfully!');
     console.log('Message ID:', result.messageId);
     
-    // Send SMS notification
-    try {
-      const smsResult = await sendDispatchNotificationSMS(order, order.customer);
-      if (smsResult.success) {
-        console.log('Dispatch SMS notification sent successfully');
-      } else {
-        console.log('Dispatch SMS notification failed:', smsResult.message);
-      }
-    } catch (smsError) {
-      console.error('SMS notification failed:', smsError);
-      // Don't fail the email if SMS fails
-    }
-    
   } catch (error) {
     console.error('Dispatch notification email failed:', error);
     throw error;
@@ -1404,78 +1271,13 @@ const sendCustomerPaymentConfirmation = async (order) => {
       return;
     }
     
-    const customerName = `${order.customer.firstName || ''} ${order.customer.lastName || ''}`.trim() || 'Valued Customer';
-    const paymentDate = order.payment?.paidAt ? new Date(order.payment.paidAt) : new Date();
-    const paymentMethod = order.payment?.method || 'Online Payment';
-    const transactionId = order.payment?.transactionId || 'N/A';
-    
+    const { subject, html } = await renderEmailTemplate('customer_payment_confirmation', templateContexts.customer_payment_confirmation(order));
+
     const mailOptions = {
       from: process.env.SMTP_FROM || 'noreply@247cutbend.com',
       to: order.customer.email,
-      subject: `Payment Successful - Order ${order.orderNumber} - 247 CutBend`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background-color: #4CAF50; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
-            <h1 style="margin: 0; font-size: 28px; font-weight: 700;">247 CUTBEND</h1>
-            <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">SHEET METAL PARTS ON DEMAND</p>
-            <h2 style="margin: 20px 0 10px 0; font-size: 24px; font-weight: 600;">Payment Successful! ✅</h2>
-          </div>
-          
-          <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
-            <h3 style="color: #333; margin-top: 0;">Dear ${customerName},</h3>
-            <p style="color: #555; line-height: 1.6;">Thank you for your payment! We have successfully received your payment for order <strong>${order.orderNumber}</strong>.</p>
-            
-            <div style="background-color: #e8f5e8; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #4CAF50;">
-              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">💳 Payment Details</h3>
-              <p style="margin: 8px 0; color: #555;"><strong>Order Number:</strong> ${order.orderNumber}</p>
-              <p style="margin: 8px 0; color: #555;"><strong>Payment Amount:</strong> ${order.currency || 'INR'} ₹${order.totalAmount || order.payment?.amount || 0}</p>
-              <p style="margin: 8px 0; color: #555;"><strong>Payment Method:</strong> ${paymentMethod}</p>
-              <p style="margin: 8px 0; color: #555;"><strong>Transaction ID:</strong> ${transactionId}</p>
-              <p style="margin: 8px 0; color: #555;"><strong>Payment Date:</strong> ${paymentDate.toLocaleDateString()} at ${paymentDate.toLocaleTimeString()}</p>
-              <p style="margin: 8px 0; color: #555;"><strong>Payment Status:</strong> <span style="color: #4CAF50; font-weight: 600;">Completed</span></p>
-            </div>
-            
-            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #2196F3;">
-              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">📦 Order Information</h3>
-              <p style="margin: 8px 0; color: #555;"><strong>Order Status:</strong> ${order.status ? order.status.charAt(0).toUpperCase() + order.status.slice(1).replace('_', ' ') : 'Confirmed'}</p>
-              <p style="margin: 8px 0; color: #555;"><strong>Order Date:</strong> ${new Date(order.createdAt).toLocaleDateString()}</p>
-              ${order.deliveryAddress ? `
-              <p style="margin: 8px 0; color: #555;"><strong>Delivery Address:</strong></p>
-              <p style="margin: 8px 0; color: #555; padding-left: 20px;">
-                ${order.deliveryAddress.street || ''}<br>
-                ${order.deliveryAddress.city || ''}, ${order.deliveryAddress.state || ''} ${order.deliveryAddress.postalCode || ''}<br>
-                ${order.deliveryAddress.country || ''}
-              </p>
-              ` : ''}
-            </div>
-            
-            <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 25px 0; border-left: 4px solid #ffc107;">
-              <h3 style="margin-top: 0; color: #333;">📋 What's Next?</h3>
-              <ul style="margin: 10px 0; padding-left: 20px; color: #555;">
-                <li>Your order has been confirmed and is now in production</li>
-                <li>We will keep you updated on the production progress</li>
-                <li>You will receive notifications for each milestone</li>
-                <li>Log in to your account to track your order status</li>
-              </ul>
-            </div>
-            
-            <div style="background-color: #e3f2fd; padding: 15px; border-radius: 5px; margin: 25px 0; border-left: 4px solid #2196F3;">
-              <h3 style="margin-top: 0; color: #333;">💡 Important Information</h3>
-              <p style="margin: 0; color: #555; line-height: 1.6;">
-                Please save this email for your records. Your transaction ID is <strong>${transactionId}</strong>. 
-                If you have any questions about your payment or order, please contact our support team with your order number.
-              </p>
-            </div>
-            
-            <p style="margin-top: 30px; color: #555;">Thank you for choosing 247 CutBend for your sheet metal manufacturing needs. We appreciate your business!</p>
-          </div>
-          
-          <div style="background-color: #333; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 12px;">
-            <p style="margin: 0 0 5px 0;">© 2024 247 CutBend. All rights reserved.</p>
-            <p style="margin: 0; opacity: 0.8;">Delivering Factory Direct Quality Sheet Metal Parts Since 2005</p>
-          </div>
-        </div>
-      `
+      subject,
+      html
     };
 
     console.log('Sending customer payment confirmation email with options:', {
@@ -1490,7 +1292,7 @@ const sendCustomerPaymentConfirmation = async (order) => {
     
   } catch (error) {
     console.error('Customer payment confirmation email failed:', error);
-    // Don't throw error, just log it to prevent payment from failing
+    throw error;
   }
 };
 
@@ -1499,53 +1301,18 @@ const sendPaymentConfirmation = async (order) => {
   try {
     const transporter = createTransporter();
     
+    const { subject, html } = await renderEmailTemplate('payment_confirmation', templateContexts.payment_confirmation(order));
+
     const mailOptions = {
       from: process.env.SMTP_FROM || 'noreply@247cutbend.com',
       to: process.env.BACKOFFICE_EMAIL || 'backoffice@247cutbend.com',
-      subject: `Payment Confirmed - Order ${order.orderNumber}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background-color: #4CAF50; color: white; padding: 20px; text-align: center;">
-            <h1 style="margin: 0;">Payment Confirmed</h1>
-            <p style="margin: 5px 0;">Order Number: ${order.orderNumber}</p>
-          </div>
-          
-          <div style="padding: 20px;">
-            <h3>Payment Details:</h3>
-            <p><strong>Order Number:</strong> ${order.orderNumber}</p>
-            <p><strong>Customer:</strong> ${order.customer?.firstName || 'Unknown'} ${order.customer?.lastName || ''}</p>
-            <p><strong>Amount:</strong> INR ₹${order.totalAmount}</p>
-            <p><strong>Payment Method:</strong> ${order.payment?.method || 'Online'}</p>
-            <p><strong>Transaction ID:</strong> ${order.payment?.transactionId || 'N/A'}</p>
-            <p><strong>Paid At:</strong> ${order.payment?.paidAt ? new Date(order.payment.paidAt).toLocaleString() : new Date().toLocaleString()}</p>
-            
-            <h3>Next Steps:</h3>
-            <p>1. Update order status to "confirmed"</p>
-            <p>2. Set production timeline</p>
-            <p>3. Begin manufacturing process</p>
-            
-            <p style="margin-top: 30px;">Please log in to the back office to manage this order.</p>
-          </div>
-        </div>
-      `
+      subject,
+      html
     };
 
     await transporter.sendMail(mailOptions);
     console.log('Payment confirmation email sent to back office');
     
-    // Send SMS notification to back office
-    try {
-      const smsResult = await sendPaymentConfirmationSMS(order, order.customer);
-      if (smsResult.success) {
-        console.log('Payment confirmation SMS notification sent successfully');
-      } else {
-        console.log('Payment confirmation SMS notification failed:', smsResult.message);
-      }
-    } catch (smsError) {
-      console.error('SMS notification failed:', smsError);
-      // Don't fail the email if SMS fails
-    }
-    
   } catch (error) {
     console.error('Payment confirmation email failed:', error);
     throw error;
@@ -1557,44 +1324,18 @@ const sendDeliveryConfirmation = async (order) => {
   try {
     const transporter = createTransporter();
     
+    const { subject, html } = await renderEmailTemplate('delivery_confirmation', templateContexts.delivery_confirmation(order));
+
     const mailOptions = {
       from: process.env.SMTP_FROM || 'noreply@247cutbend.com',
       to: order.customer.email,
-      subject: `Order Delivered - ${order.orderNumber}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background-color: #4CAF50; color: white; padding: 20px; text-align: center;">
-            <h1 style="margin: 0;">Order Delivered</h1>
-            <p style="margin: 5px 0;">Order Number: ${order.orderNumber}</p>
-          </div>
-          
-          <div style="padding: 20px;">
-            <h3>Dear ${order.customer.firstName},</h3>
-            <p>Your order has been successfully delivered!</p>
-            
-            <h3>Delivery Details:</h3>
-            <p><strong>Order Number:</strong> ${order.orderNumber}</p>
-            <p><strong>Delivered Date:</strong> ${new Date(order.dispatch.actualDelivery).toLocaleDateString()}</p>
-            <p><strong>Delivery Address:</strong> ${order.deliveryAddress.street}, ${order.deliveryAddress.city}</p>
-            
-            <h3>Thank You!</h3>
-            <p>We appreciate your business and hope you're satisfied with your order. If you have any questions or need assistance, please don't hesitate to contact us.</p>
-            
-            <p style="margin-top: 30px;">Thank you for choosing 247 CutBend. We look forward to serving you again.</p>
-          </div>
-        </div>
-      `
+      subject,
+      html
     };
 
     await transporter.sendMail(mailOptions);
     console.log('Delivery confirmation email sent successfully');
     
-    // Send SMS notification
-    if (order.customer.phoneNumber) {
-      const smsMessage = `Order ${order.orderNumber} delivered successfully! Thank you for choosing 247 CutBend.`;
-      await sendSMS(order.customer.phoneNumber, smsMessage);
-    }
-    
   } catch (error) {
     console.error('Delivery confirmation email failed:', error);
     throw error;
@@ -1622,73 +1363,13 @@ const sendProductionStartedEmail = async (order) => {
       return;
     }
     
-    const customerName = `${order.customer.firstName || ''} ${order.customer.lastName || ''}`.trim() || 'Valued Customer';
-    const productionStartDate = order.production?.startDate ? new Date(order.production.startDate) : new Date();
-    const estimatedCompletion = order.production?.estimatedCompletion ? new Date(order.production.estimatedCompletion) : null;
-    
+    const { subject, html } = await renderEmailTemplate('production_started', templateContexts.production_started(order));
+
     const mailOptions = {
       from: process.env.SMTP_FROM || 'noreply@247cutbend.com',
       to: order.customer.email,
-      subject: `Production Started - Order ${order.orderNumber} - 247 CutBend`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background-color: #2196F3; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
-            <h1 style="margin: 0; font-size: 28px; font-weight: 700;">247 CUTBEND</h1>
-            <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">SHEET METAL PARTS ON DEMAND</p>
-            <h2 style="margin: 20px 0 10px 0; font-size: 24px; font-weight: 600;">Production Started! 🏭</h2>
-          </div>
-          
-          <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
-            <h3 style="color: #333; margin-top: 0;">Dear ${customerName},</h3>
-            <p style="color: #555; line-height: 1.6;">Great news! Production has started for your order <strong>${order.orderNumber}</strong>. We're now manufacturing your sheet metal parts!</p>
-            
-            <div style="background-color: #e3f2fd; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #2196F3;">
-              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">🏭 Production Information</h3>
-              <p style="margin: 8px 0; color: #555;"><strong>Order Number:</strong> ${order.orderNumber}</p>
-              <p style="margin: 8px 0; color: #555;"><strong>Production Start Date:</strong> ${productionStartDate.toLocaleDateString()} at ${productionStartDate.toLocaleTimeString()}</p>
-              ${estimatedCompletion ? `
-              <p style="margin: 8px 0; color: #555;"><strong>Estimated Completion:</strong> ${estimatedCompletion.toLocaleDateString()}</p>
-              ` : ''}
-              <p style="margin: 8px 0; color: #555;"><strong>Status:</strong> <span style="color: #2196F3; font-weight: 600;">In Production</span></p>
-            </div>
-            
-            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #4CAF50;">
-              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">📦 Order Details</h3>
-              <p style="margin: 8px 0; color: #555;"><strong>Total Amount:</strong> ${order.currency || 'INR'} ₹${order.totalAmount}</p>
-              <p style="margin: 8px 0; color: #555;"><strong>Order Date:</strong> ${new Date(order.createdAt).toLocaleDateString()}</p>
-              ${order.parts && order.parts.length > 0 ? `
-              <p style="margin: 8px 0; color: #555;"><strong>Number of Parts:</strong> ${order.parts.length}</p>
-              ` : ''}
-            </div>
-            
-            <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 25px 0; border-left: 4px solid #ffc107;">
-              <h3 style="margin-top: 0; color: #333;">📋 What's Next?</h3>
-              <ul style="margin: 10px 0; padding-left: 20px; color: #555;">
-                <li>Your order is now being manufactured in our facility</li>
-                <li>We will keep you updated on the production progress</li>
-                <li>You will receive a notification when production is complete</li>
-                <li>Once ready, your order will be prepared for dispatch</li>
-                <li>Log in to your account to track your order status</li>
-              </ul>
-            </div>
-            
-            <div style="background-color: #e8f5e8; padding: 15px; border-radius: 5px; margin: 25px 0; border-left: 4px solid #4CAF50;">
-              <h3 style="margin-top: 0; color: #333;">💡 Quality Assurance</h3>
-              <p style="margin: 0; color: #555; line-height: 1.6;">
-                Our team is committed to delivering high-quality sheet metal parts. We follow strict quality control processes 
-                to ensure your order meets our standards. If you have any questions during production, please don't hesitate to contact us.
-              </p>
-            </div>
-            
-            <p style="margin-top: 30px; color: #555;">Thank you for choosing 247 CutBend. We're working hard to deliver your order on time!</p>
-          </div>
-          
-          <div style="background-color: #333; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 12px;">
-            <p style="margin: 0 0 5px 0;">© 2024 247 CutBend. All rights reserved.</p>
-            <p style="margin: 0; opacity: 0.8;">Delivering Factory Direct Quality Sheet Metal Parts Since 2005</p>
-          </div>
-        </div>
-      `
+      subject,
+      html
     };
 
     console.log('Sending production started email with options:', {
@@ -1703,7 +1384,7 @@ const sendProductionStartedEmail = async (order) => {
     
   } catch (error) {
     console.error('Production started email failed:', error);
-    // Don't throw error, just log it to prevent operation from failing
+    throw error;
   }
 };
 
@@ -1728,77 +1409,13 @@ const sendOrderReadyEmail = async (order) => {
       return;
     }
     
-    const customerName = `${order.customer.firstName || ''} ${order.customer.lastName || ''}`.trim() || 'Valued Customer';
-    const completionDate = order.production?.actualCompletion ? new Date(order.production.actualCompletion) : new Date();
-    
+    const { subject, html } = await renderEmailTemplate('order_ready', templateContexts.order_ready(order));
+
     const mailOptions = {
       from: process.env.SMTP_FROM || 'noreply@247cutbend.com',
       to: order.customer.email,
-      subject: `Order Ready for Dispatch - ${order.orderNumber} - 247 CutBend`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background-color: #FF9800; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
-            <h1 style="margin: 0; font-size: 28px; font-weight: 700;">247 CUTBEND</h1>
-            <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">SHEET METAL PARTS ON DEMAND</p>
-            <h2 style="margin: 20px 0 10px 0; font-size: 24px; font-weight: 600;">Order Ready! ✅</h2>
-          </div>
-          
-          <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
-            <h3 style="color: #333; margin-top: 0;">Dear ${customerName},</h3>
-            <p style="color: #555; line-height: 1.6;">Excellent news! Your order <strong>${order.orderNumber}</strong> has been completed and is now ready for dispatch!</p>
-            
-            <div style="background-color: #fff3cd; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #FF9800;">
-              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">📦 Order Status</h3>
-              <p style="margin: 8px 0; color: #555;"><strong>Order Number:</strong> ${order.orderNumber}</p>
-              <p style="margin: 8px 0; color: #555;"><strong>Status:</strong> <span style="color: #FF9800; font-weight: 600;">Ready for Dispatch</span></p>
-              <p style="margin: 8px 0; color: #555;"><strong>Production Completed:</strong> ${completionDate.toLocaleDateString()} at ${completionDate.toLocaleTimeString()}</p>
-            </div>
-            
-            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #4CAF50;">
-              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">📋 Order Summary</h3>
-              <p style="margin: 8px 0; color: #555;"><strong>Total Amount:</strong> ${order.currency || 'INR'} ₹${order.totalAmount}</p>
-              <p style="margin: 8px 0; color: #555;"><strong>Order Date:</strong> ${new Date(order.createdAt).toLocaleDateString()}</p>
-              ${order.parts && order.parts.length > 0 ? `
-              <p style="margin: 8px 0; color: #555;"><strong>Number of Parts:</strong> ${order.parts.length}</p>
-              ` : ''}
-              ${order.deliveryAddress ? `
-              <p style="margin: 8px 0; color: #555;"><strong>Delivery Address:</strong></p>
-              <p style="margin: 8px 0; color: #555; padding-left: 20px;">
-                ${order.deliveryAddress.street || ''}<br>
-                ${order.deliveryAddress.city || ''}, ${order.deliveryAddress.state || ''} ${order.deliveryAddress.postalCode || ''}<br>
-                ${order.deliveryAddress.country || ''}
-              </p>
-              ` : ''}
-            </div>
-            
-            <div style="background-color: #e3f2fd; padding: 15px; border-radius: 5px; margin: 25px 0; border-left: 4px solid #2196F3;">
-              <h3 style="margin-top: 0; color: #333;">📋 What's Next?</h3>
-              <ul style="margin: 10px 0; padding-left: 20px; color: #555;">
-                <li>Your order has been completed and quality checked</li>
-                <li>It's now ready to be dispatched to your delivery address</li>
-                <li>We will prepare it for shipping shortly</li>
-                <li>You will receive a dispatch notification with tracking details once it's shipped</li>
-                <li>Log in to your account to track your order status</li>
-              </ul>
-            </div>
-            
-            <div style="background-color: #e8f5e8; padding: 15px; border-radius: 5px; margin: 25px 0; border-left: 4px solid #4CAF50;">
-              <h3 style="margin-top: 0; color: #333;">💡 Quality Assurance</h3>
-              <p style="margin: 0; color: #555; line-height: 1.6;">
-                Your order has passed our quality control checks and is ready for dispatch. We ensure all parts meet our 
-                high standards before shipping. Thank you for your patience during the production process!
-              </p>
-            </div>
-            
-            <p style="margin-top: 30px; color: #555;">We're excited to deliver your order to you soon. Thank you for choosing 247 CutBend!</p>
-          </div>
-          
-          <div style="background-color: #333; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 12px;">
-            <p style="margin: 0 0 5px 0;">© 2024 247 CutBend. All rights reserved.</p>
-            <p style="margin: 0; opacity: 0.8;">Delivering Factory Direct Quality Sheet Metal Parts Since 2005</p>
-          </div>
-        </div>
-      `
+      subject,
+      html
     };
 
     console.log('Sending order ready email with options:', {
@@ -1813,7 +1430,71 @@ const sendOrderReadyEmail = async (order) => {
     
   } catch (error) {
     console.error('Order ready email failed:', error);
-    // Don't throw error, just log it to prevent operation from failing
+    throw error;
+  }
+};
+
+// Send refund request status update (new requests go to back office, the rest to the customer)
+const sendRefundStatusEmail = async (refundRequest, order) => {
+  try {
+    const transporter = createTransporter();
+
+    if (!transporter) {
+      console.log('SMTP not configured. Refund status email skipped for order:', order.orderNumber);
+      return;
+    }
+
+    const toBackOffice = refundRequest.status === 'requested';
+
+    const { subject, html } = await renderEmailTemplate('refund_status', templateContexts.refund_status(refundRequest, order));
+
+    const mailOptions = {
+      from: process.env.SMTP_FROM || 'noreply@247cutbend.com',
+      to: toBackOffice
+        ? (process.env.BACKOFFICE_EMAIL || 'backoffice@247cutbend.com')
+        : order.customer.email,
+      subject,
+      html
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log('Refund status email sent for order:', order.orderNumber, refundRequest.status);
+
+  } catch (error) {
+    console.error('Refund status email failed:', error);
+    throw error;
+  }
+};
+
+// Send cancellation/change request update (new requests go to back office, the rest to the customer)
+const sendOrderChangeRequestEmail = async (changeRequest, order) => {
+  try {
+    const transporter = createTransporter();
+
+    if (!transporter) {
+      console.log('SMTP not configured. Order change email skipped for order:', order.orderNumber);
+      return;
+    }
+
+    const toBackOffice = changeRequest.status === 'requested';
+
+    const { subject, html } = await renderEmailTemplate('order_change_request', templateContexts.order_change_request(changeRequest, order));
+
+    const mailOptions = {
+      from: process.env.SMTP_FROM || 'noreply@247cutbend.com',
+      to: toBackOffice
+        ? (process.env.BACKOFFICE_EMAIL || 'backoffice@247cutbend.com')
+        : order.customer.email,
+      subject,
+      html
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log('Order change email sent for order:', order.orderNumber, changeRequest.status);
+
+  } catch (error) {
+    console.error('Order change email failed:', error);
+    throw error;
   }
 };
 
@@ -1832,62 +1513,13 @@ const sendDeliveryTimeNotification = async (order) => {
       return;
     }
     
+    const { subject, html } = await renderEmailTemplate('delivery_time_update', templateContexts.delivery_time_update(order));
+
     const mailOptions = {
       from: process.env.SMTP_FROM || 'noreply@247cutbend.com',
       to: order.customer.email,
-      subject: `Delivery Time Updated - ${order.orderNumber}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background-color: #FF9800; color: white; padding: 20px; text-align: center;">
-            <h1 style="margin: 0;">247 CUTBEND</h1>
-            <h2 style="margin: 10px 0;">Delivery Time Updated</h2>
-            <p style="margin: 5px 0;">Order Number: ${order.orderNumber}</p>
-          </div>
-          
-          <div style="padding: 20px;">
-            <h3>Dear ${order.customer.firstName || 'Customer'},</h3>
-            <p>We have updated the delivery time for your order. Here are the latest details:</p>
-            
-            <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
-              <h3 style="margin-top: 0;">Order Details:</h3>
-              <p><strong>Order Number:</strong> ${order.orderNumber}</p>
-              <p><strong>Total Amount:</strong> ${order.currency || 'INR'} ₹${order.totalAmount}</p>
-              <p><strong>Current Status:</strong> ${order.status.charAt(0).toUpperCase() + order.status.slice(1).replace('_', ' ')}</p>
-            </div>
-            
-            <div style="background-color: #e8f5e8; padding: 15px; border-radius: 5px; margin: 20px 0;">
-              <h3 style="margin-top: 0;">Updated Delivery Information:</h3>
-              <p><strong>Estimated Delivery:</strong> ${order.production?.estimatedCompletion ? new Date(order.production.estimatedCompletion).toLocaleDateString() : 'TBD'}</p>
-              <p><strong>Production Start Date:</strong> ${order.production?.startDate ? new Date(order.production.startDate).toLocaleDateString() : 'TBD'}</p>
-              <p><strong>Updated On:</strong> ${new Date().toLocaleDateString()}</p>
-            </div>
-            
-            <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0;">
-              <h3 style="margin-top: 0;">What's Next?</h3>
-              <ul>
-                <li>Your order is currently in production</li>
-                <li>We will keep you updated on any changes</li>
-                <li>You will receive a notification when it's ready for dispatch</li>
-                <li>Log in to your account to track order status</li>
-              </ul>
-            </div>
-            
-            <p style="margin-top: 30px;">Please log in to your account to track your order.</p>
-            
-            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
-              <p style="font-size: 14px; color: #666;">
-                If you have any questions about the delivery time, please contact our support team.<br>
-                Thank you for choosing 247 CutBend for your sheet metal manufacturing needs.
-              </p>
-            </div>
-          </div>
-          
-          <div style="background-color: #f5f5f5; padding: 20px; text-align: center; font-size: 12px; color: #666;">
-            <p>© 2024 247 CutBend. All rights reserved.</p>
-            <p>Sheet Metal Parts on Demand</p>
-          </div>
-        </div>
-      `
+      subject,
+      html
     };
 
     console.log('Sending delivery time notification with options:', {
@@ -1899,26 +1531,157 @@ const sendDeliveryTimeNotification = async (order) => {
     const result = await transporter.sendMail(mailOptions);
     console.log('Delivery time notification sent successfully:', result.messageId);
     
-    // Send SMS notification
-    try {
-      const { sendDeliveryTimeNotificationSMS } = require('./smsService');
-      const smsResult = await sendDeliveryTimeNotificationSMS(order, order.customer);
-      if (smsResult.success) {
-        console.log('Delivery time SMS notification sent successfully');
-      } else {
-        console.log('Delivery time SMS notification failed:', smsResult.message);
-      }
-    } catch (smsError) {
-      console.error('SMS notification failed:', smsError);
-      // Don't fail the email if SMS fails
-    }
-    
   } catch (error) {
     console.error('Delivery time notification failed:', error);
     throw error;
   }
 };
 
+// Preview loaders: build a template's context arguments from a real record.
+// Each returns { args } or { error } when the record has nothing to preview.
+const CUSTOMER_FIELDS = 'firstName lastName email companyName phoneNumber';
+
+const loadPreviewOrder = (orderId) => {
+  const Order = require('../models/Order');
+  return Order.findById(orderId).populate('customer', CUSTOMER_FIELDS);
+};
+
+const loadPreviewQuotation = async (quotationId) => {
+  const Quotation = require('../models/Quotation');
+  const Inquiry = require('../models/Inquiry');
+  const quotation = await Quotation.findById(quotationId);
+  const inquiry = quotation && await Inquiry.findById(quotation.inquiryId).populate('customer', CUSTOMER_FIELDS);
+  return { quotation, inquiry };
+};
+
+const orderPreview = async (orderId) => {
+  const order = await loadPreviewOrder(orderId);
+  return order ? { args: [order] } : { error: 'Order not found' };
+};
+
+const previewLoaders = {
+  login_notification: async (userId) => {
+    const User = require('../models/User');
+    const user = await User.findById(userId);
+    return user ? { args: [user] } : { error: 'User not found' };
+  },
+
+  welcome: async (userId) => {
+    const User = require('../models/User');
+    const user = await User.findById(userId);
+    return user ? { args: [user.firstName] } : { error: 'User not found' };
+  },
+
+  inquiry_confirmation: async (inquiryId) => {
+    const Inquiry = require('../models/Inquiry');
+    const inquiry = await Inquiry.findById(inquiryId).populate('customer', CUSTOMER_FIELDS);
+    return inquiry ? { args: [inquiry, inquiry.customer] } : { error: 'Inquiry not found' };
+  },
+
+  inquiry_notification: (inquiryId) => previewLoaders.inquiry_confirmation(inquiryId),
+
+  quotation_sent: async (quotationId) => {
+    const { quotation, inquiry } = await loadPreviewQuotation(quotationId);
+    if (!quotation) {
+      return { error: 'Quotation not found' };
+    }
+    return { args: [quotation, inquiry?.inquiryNumber, !!(quotation.quotationPdf || quotation.quotationPdfCloudinaryUrl)] };
+  },
+
+  quotation: async (quotationId) => {
+    const { quotation, inquiry } = await loadPreviewQuotation(quotationId);
+    if (!quotation) {
+      return { error: 'Quotation not found' };
+    }
+    return { args: [{ ...quotation.toObject(), inquiry }, inquiry?.customer] };
+  },
+
+  quotation_expiry_reminder: async (quotationId) => {
+    const { quotation } = await loadPreviewQuotation(quotationId);
+    if (!quotation) {
+      return { error: 'Quotation not found' };
+    }
+    const daysLeft = Math.max(Math.ceil((new Date(quotation.validUntil) - Date.now()) / (24 * 60 * 60 * 1000)), 1);
+    return { args: [quotation, daysLeft] };
+  },
+
+  requote_request: async (quotationId) => {
+    const { quotation, inquiry } = await loadPreviewQuotation(quotationId);
+    if (!quotation) {
+      return { error: 'Quotation not found' };
+    }
+    return { args: [quotation, inquiry?.inquiryNumber, quotation.requoteReason] };
+  },
+
+  negotiation_message: async (quotationId) => {
+    const { quotation } = await loadPreviewQuotation(quotationId);
+    if (!quotation) {
+      return { error: 'Quotation not found' };
+    }
+    const entry = (quotation.negotiation || [])[quotation.negotiation?.length - 1];
+    return entry ? { args: [quotation, entry] } : { error: 'This quotation has no negotiation messages' };
+  },
+
+  order_confirmation: orderPreview,
+  dispatch_notification: orderPreview,
+  customer_payment_confirmation: orderPreview,
+  payment_confirmation: orderPreview,
+  delivery_confirmation: orderPreview,
+  production_started: orderPreview,
+  order_ready: orderPreview,
+  delivery_time_update: orderPreview,
+
+  refund_status: async (orderId) => {
+    const RefundRequest = require('../models/RefundRequest');
+    const order = await loadPreviewOrder(orderId);
+    if (!order) {
+      return { error: 'Order not found' };
+    }
+    const refundRequest = await RefundRequest.findOne({ order: order._id }).sort({ createdAt: -1 });
+    return refundRequest ? { args: [refundRequest, order] } : { error: 'This order has no refund requests' };
+  },
+
+  order_change_request: async (orderId) => {
+    const OrderChangeRequest = require('../models/OrderChangeRequest');
+    const order = await loadPreviewOrder(orderId);
+    if (!order) {
+      return { error: 'Order not found' };
+    }
+    const changeRequest = await OrderChangeRequest.findOne({ order: order._id }).sort({ createdAt: -1 });
+    return changeRequest ? { args: [changeRequest, order] } : { error: 'This order has no cancellation or change requests' };
+  }
+};
+
+/**
+ * Render a template against a real record without sending it.
+ * `recordIds` holds the id for the template's source (userId, inquiryId,
+ * quotationId or orderId); `override` ({ subject, html }) previews unsaved edits.
+ */
+const previewEmailTemplate = async (key, recordIds = {}, override = null) => {
+  const template = DEFAULT_EMAIL_TEMPLATES[key];
+  if (!template) {
+    return { success: false, statusCode: 404, message: 'Email template not found' };
+  }
+
+  const idField = `${template.source}Id`;
+  if (!recordIds[idField]) {
+    return { success: false, statusCode: 400, message: `${idField} is required to preview this template` };
+  }
+
+  const { args, error } = await previewLoaders[key](recordIds[idField]);
+  if (error) {
+    return { success: false, statusCode: 404, message: error };
+  }
+
+  const context = templateContexts[key](...args);
+  try {
+    const { subject, html } = await renderEmailTemplate(key, context, override);
+    return { success: true, subject, html, variables: listContextVariables(context) };
+  } catch (renderError) {
+    return { success: false, statusCode: 400, message: renderError.message };
+  }
+};
+
 // Test email service function
 const testEmailService = async (testEmail) => {
   try {
@@ -1982,6 +1745,9 @@ module.exports = {
   sendInquiryConfirmationEmail,
   sendQuotationEmail,
   sendQuotationSentEmail,
+  sendQuotationExpiryReminderEmail,
+  sendRequoteRequestNotification,
+  sendNegotiationMessageEmail,
   sendOrderConfirmation,
   sendDispatchNotification,
   sendPaymentConfirmation,
@@ -1990,6 +1756,10 @@ module.exports = {
   sendOrderReadyEmail,
   sendDeliveryConfirmation,
   sendDeliveryTimeNotification,
+  sendRefundStatusEmail,
+  sendOrderChangeRequestEmail,
   sendSMS,
-  testEmailService
+  previewEmailTemplate,
+  testEmailService,
+  isEmailConfigured
 };
@@ -0,0 +1,221 @@
+const EmailTemplate = require('../models/EmailTemplate');
+const { DEFAULT_EMAIL_TEMPLATES } = require('./emailTemplates');
+
+/**
+ * Template syntax (a small subset of Handlebars):
+ *   {{order.orderNumber}}            value, HTML-escaped
+ *   {{{order.notesHtml}}}            value, inserted as-is
+ *   {{#if quotation.notes}}..{{else}}..{{/if}}
+ *   {{#each order.parts}}{{partRef}} {{@index}}{{/each}}
+ * Inside #each, names are looked up on the current item first, then outwards.
+ */
+
+const TAG_PATTERN = /\{\{\{\s*([^}]*?)\s*\}\}\}|\{\{\s*([^}]*?)\s*\}\}/g;
+const PATH_PATTERN = /^(@index|this(\.[\w$]+)*|[\w$]+(\.[\w$]+)*)$/;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const checkPath = (path, tag) => {
+  if (!PATH_PATTERN.test(path)) {
+    throw new Error(`Invalid variable "${path}" in ${tag}`);
+  }
+  return path;
+};
+
+// Parse a template into a tree of text, variable, if and each nodes
+const parseTemplate = (source) => {
+  const root = { children: [] };
+  const stack = [root];
+  let current = root.children;
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    if (match[1] !== undefined) {
+      current.push({ type: 'var', path: checkPath(match[1], match[0]), raw: true });
+      continue;
+    }
+
+    const tag = match[2];
+    const block = stack[stack.length - 1];
+    const open = tag.match(/^#(if|each)\s+(\S+)$/);
+
+    if (open) {
+      const node = { type: open[1], path: checkPath(open[2], match[0]), children: [], inverse: [] };
+      current.push(node);
+      stack.push(node);
+      current = node.children;
+    } else if (tag === 'else') {
+      if (!block.type || current === block.inverse) {
+        throw new Error('{{else}} outside of an {{#if}} or {{#each}} block');
+      }
+      current = block.inverse;
+    } else if (/^\/(if|each)$/.test(tag)) {
+      if (block.type !== tag.slice(1)) {
+        throw new Error(block.type ? `Expected {{/${block.type}}} but found ${match[0]}` : `Unexpected ${match[0]}`);
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent.type && parent.inverse.includes(block) ? parent.inverse : parent.children;
+    } else {
+      current.push({ type: 'var', path: checkPath(tag, match[0]), raw: false });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].type}}} block`);
+  }
+  if (lastIndex < source.length) {
+    current.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+  return root.children;
+};
+
+const lookup = (path, scopes) => {
+  const top = scopes[scopes.length - 1];
+  if (path === '@index') {
+    return top.index;
+  }
+
+  let segments = path.split('.');
+  let value;
+  if (segments[0] === 'this') {
+    value = top.value;
+    segments = segments.slice(1);
+  } else {
+    const scope = [...scopes].reverse()
+      .find(({ value: scopeValue }) => scopeValue && typeof scopeValue === 'object' && segments[0] in scopeValue);
+    if (!scope) {
+      return undefined;
+    }
+    value = scope.value;
+  }
+
+  for (const segment of segments) {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+};
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : !!value);
+
+const renderNodes = (nodes, scopes, escape) => nodes.map(node => {
+  switch (node.type) {
+    case 'text':
+      return node.value;
+    case 'var': {
+      const value = lookup(node.path, scopes);
+      if (value === null || value === undefined) {
+        return '';
+      }
+      return node.raw ? String(value) : escape(value);
+    }
+    case 'if':
+      return renderNodes(isTruthy(lookup(node.path, scopes)) ? node.children : node.inverse, scopes, escape);
+    case 'each': {
+      const items = lookup(node.path, scopes);
+      if (!Array.isArray(items) || items.length === 0) {
+        return renderNodes(node.inverse, scopes, escape);
+      }
+      return items.map((item, index) => renderNodes(node.children, [...scopes, { value: item, index }], escape)).join('');
+    }
+    default:
+      return '';
+  }
+}).join('');
+
+// Render a template string against a context object; `html: false` skips escaping (subjects)
+const renderTemplate = (source, context, { html = true } = {}) =>
+  renderNodes(parseTemplate(source || ''), [{ value: context }], html ? escapeHtml : String);
+
+const renderParts = (template, context) => ({
+  subject: renderTemplate(template.subject, context, { html: false }).replace(/\s+/g, ' ').trim(),
+  html: renderTemplate(template.html, context)
+});
+
+// Syntax check for admin edits; returns an error message or null
+const validateTemplate = (source) => {
+  try {
+    parseTemplate(source || '');
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Active admin template for a key, falling back to the built-in default
+const getEmailTemplate = async (key) => {
+  const defaults = DEFAULT_EMAIL_TEMPLATES[key];
+  if (!defaults) {
+    throw new Error(`Unknown email template ${key}`);
+  }
+
+  try {
+    const custom = await EmailTemplate.findOne({ key, isActive: true }).lean();
+    if (custom) {
+      return { key, subject: custom.subject, html: custom.html, customized: true };
+    }
+  } catch (error) {
+    console.error(`Failed to load email template ${key}, using default:`, error.message);
+  }
+  return { key, subject: defaults.subject, html: defaults.html, customized: false };
+};
+
+/**
+ * Render { subject, html } for a template key. `override` ({ subject, html })
+ * renders unsaved edits for previews. A customised template that fails to
+ * render is logged and the default is sent instead.
+ */
+const renderEmailTemplate = async (key, context, override = null) => {
+  const template = override
+    ? { ...(await getEmailTemplate(key)), ...override, customized: true }
+    : await getEmailTemplate(key);
+
+  try {
+    return renderParts(template, context);
+  } catch (error) {
+    if (!template.customized || override) {
+      throw error;
+    }
+    console.error(`Email template ${key} failed to render, using default:`, error.message);
+    return renderParts(DEFAULT_EMAIL_TEMPLATES[key], context);
+  }
+};
+
+// Variable paths available in a context, for the template editor
+const listContextVariables = (context, prefix = '') => Object.entries(context || {}).flatMap(([name, value]) => {
+  const path = prefix ? `${prefix}.${name}` : name;
+  if (Array.isArray(value)) {
+    const sample = value.find(item => item && typeof item === 'object');
+    return [path, ...(sample ? listContextVariables(sample, `${path}[]`) : [])];
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return listContextVariables(value, path);
+  }
+  return [path];
+});
+
+module.exports = {
+  renderTemplate,
+  validateTemplate,
+  getEmailTemplate,
+  renderEmailTemplate,
+  listContextVariables
+};
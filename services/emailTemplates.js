@@ -0,0 +1,1177 @@
+/**
+ * Built-in email templates. Each can be overridden from the admin panel
+ * (models/EmailTemplate); the send functions in emailService build the
+ * context and `source` says which record a preview is rendered against.
+ * Syntax is described in emailTemplateService.
+ */
+const DEFAULT_EMAIL_TEMPLATES = {
+  login_notification: {
+    name: 'Login notification',
+    description: 'Sent to a customer each time they log in',
+    source: 'user',
+    subject: 'Login Notification - 247 CutBend',
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #4CAF50; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+            <h1 style="margin: 0; font-size: 28px; font-weight: 700;">247 CUTBEND</h1>
+            <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">SHEET METAL PARTS ON DEMAND</p>
+            <h2 style="margin: 20px 0 10px 0; font-size: 24px; font-weight: 600;">Login Notification</h2>
+          </div>
+
+          <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+            <h3 style="color: #333; margin-top: 0;">Dear {{customer.name}},</h3>
+            <p style="color: #555; line-height: 1.6;">We wanted to inform you that someone has successfully logged into your 247 CutBend account.</p>
+
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #4CAF50;">
+              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">🔐 Login Details</h3>
+              <p style="margin: 8px 0; color: #555;"><strong>Email:</strong> {{customer.email}}</p>
+              <p style="margin: 8px 0; color: #555;"><strong>Login Date:</strong> {{login.date}}</p>
+              <p style="margin: 8px 0; color: #555;"><strong>Login Time:</strong> {{login.time}}</p>
+              <p style="margin: 8px 0; color: #555;"><strong>Account:</strong> {{customer.companyName}}</p>
+            </div>
+
+            <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 25px 0; border-left: 4px solid #ffc107;">
+              <h3 style="margin-top: 0; color: #333;">⚠️ Security Notice</h3>
+              <p style="margin: 0; color: #555; line-height: 1.6;">If you did not perform this login, please:</p>
+              <ul style="margin: 10px 0; padding-left: 20px; color: #555;">
+                <li>Change your password immediately</li>
+                <li>Contact our support team</li>
+                <li>Review your account activity</li>
+              </ul>
+            </div>
+
+            <div style="background-color: #e3f2fd; padding: 15px; border-radius: 5px; margin: 25px 0; border-left: 4px solid #2196F3;">
+              <h3 style="margin-top: 0; color: #333;">💡 Quick Actions</h3>
+              <ul style="margin: 10px 0; padding-left: 20px; color: #555;">
+                <li>View your recent inquiries and quotations</li>
+                <li>Track your orders</li>
+                <li>Update your profile information</li>
+                <li>Submit new inquiries</li>
+              </ul>
+            </div>
+
+            <p style="margin-top: 30px; color: #555;">Thank you for choosing 247 CutBend for your sheet metal manufacturing needs. We're here to help!</p>
+          </div>
+
+          <div style="background-color: #333; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 12px;">
+            <p style="margin: 0 0 5px 0;">© 2024 247 CutBend. All rights reserved.</p>
+            <p style="margin: 0; opacity: 0.8;">Delivering Factory Direct Quality Sheet Metal Parts Since 2005</p>
+          </div>
+        </div>
+      `
+  },
+
+  welcome: {
+    name: 'Welcome',
+    description: 'Sent to a new customer after signup',
+    source: 'user',
+    subject: 'Welcome to 247 CutBend - Your Sheet Metal Manufacturing Partner',
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #4CAF50; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0;">247 CUTBEND</h1>
+            <p style="margin: 5px 0;">SHEET METAL PARTS ON DEMAND</p>
+          </div>
+
+          <div style="padding: 20px;">
+            <h2>Welcome {{customer.firstName}}!</h2>
+            <p>Thank you for creating your account with 247 CutBend. We're excited to have you as part of our manufacturing community.</p>
+
+            <h3>What's Next?</h3>
+            <ul>
+              <li>Upload your technical drawings (DWG, DXF, ZIP)</li>
+              <li>Specify material requirements and quantities</li>
+              <li>Receive competitive quotes</li>
+              <li>Place orders with confidence</li>
+            </ul>
+
+            <h3>Our Expertise:</h3>
+            <ul>
+              <li>Laser Cutting</li>
+              <li>Surface Finishing</li>
+              <li>Threading & Chamfering</li>
+              <li>Sheet Metal Bending</li>
+              <li>Laser Engraving</li>
+              <li>CNC Turning</li>
+            </ul>
+
+            <p>If you have any questions, feel free to reach out to our support team.</p>
+          </div>
+
+          <div style="background-color: #f5f5f5; padding: 20px; text-align: center; font-size: 12px; color: #666;">
+            <p>© 2024 247 CutBend. All rights reserved.</p>
+            <p>Delivering Factory Direct Quality Sheet Metal Parts Since 2005</p>
+          </div>
+        </div>
+      `
+  },
+
+  inquiry_confirmation: {
+    name: 'Inquiry confirmation',
+    description: 'Sent to the customer when an inquiry is submitted',
+    source: 'inquiry',
+    subject: 'Inquiry {{inquiry.inquiryNumber}} Submitted Successfully - 247 CutBend',
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #FF9800; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+            <h1 style="margin: 0; font-size: 28px; font-weight: 700;">247 CUTBEND</h1>
+            <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">SHEET METAL PARTS ON DEMAND</p>
+            <h2 style="margin: 20px 0 10px 0; font-size: 24px; font-weight: 600;">Inquiry Submitted Successfully!</h2>
+          </div>
+
+          <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+            <h3 style="color: #333; margin-top: 0;">Dear {{customer.name}},</h3>
+            <p style="color: #555; line-height: 1.6;">Thank you for submitting your inquiry. We have received your request and our team will review it shortly.</p>
+
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #FF9800;">
+              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">📋 Inquiry Details</h3>
+              <p style="margin: 8px 0; color: #555;"><strong>Inquiry Number:</strong> {{inquiry.inquiryNumber}}</p>
+              <p style="margin: 8px 0; color: #555;"><strong>Status:</strong> Under Review</p>
+              <p style="margin: 8px 0; color: #555;"><strong>Submitted Date:</strong> {{inquiry.submittedDate}}</p>
+              <p style="margin: 8px 0; color: #555;"><strong>Total Parts:</strong> {{inquiry.partCount}}</p>
+              <p style="margin: 8px 0; color: #555;"><strong>Files Attached:</strong> {{inquiry.fileCount}}</p>
+            </div>
+
+            {{#if inquiry.parts}}
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #4CAF50;">
+              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">🔧 Parts Summary</h3>
+              <div style="background-color: white; border-radius: 6px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+                <table style="width: 100%; border-collapse: collapse;">
+                  <thead>
+                    <tr style="background-color: #f5f5f5;">
+                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Part</th>
+                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Material</th>
+                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Thickness</th>
+                      <th style="padding: 12px; text-align: right; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Qty</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {{#each inquiry.parts}}
+                      <tr style="border-bottom: 1px solid #eee;">
+                        <td style="padding: 12px; color: #555;">{{name}}</td>
+                        <td style="padding: 12px; color: #555;">{{material}}</td>
+                        <td style="padding: 12px; color: #555;">{{thickness}}</td>
+                        <td style="padding: 12px; text-align: right; color: #555;">{{quantity}}</td>
+                      </tr>
+                    {{/each}}
+                    {{#if inquiry.morePartCount}}
+                      <tr>
+                        <td colspan="4" style="padding: 12px; text-align: center; color: #666; font-style: italic;">
+                          ... and {{inquiry.morePartCount}} more parts
+                        </td>
+                      </tr>
+                    {{/if}}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+            {{/if}}
+
+            {{#if inquiry.specialInstructions}}
+            <div style="background-color: #e3f2fd; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #2196F3;">
+              <h3 style="margin-top: 0; color: #333;">Special Instructions:</h3>
+              <p style="margin: 0; color: #555; line-height: 1.6;">{{inquiry.specialInstructions}}</p>
+            </div>
+            {{/if}}
+
+            <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 25px 0;">
+              <h3 style="margin-top: 0; color: #333;">What's Next?</h3>
+              <ul style="margin: 10px 0; padding-left: 20px; color: #555;">
+                <li>Our team will review your inquiry and technical drawings</li>
+                <li>You will receive a quotation within 24-48 hours</li>
+                <li>You can track your inquiry status by logging into your account</li>
+                <li>If you have any questions, please don't hesitate to contact us</li>
+              </ul>
+            </div>
+
+            <p style="margin-top: 30px; color: #555;">Thank you for choosing 247 CutBend for your sheet metal manufacturing needs. We look forward to serving you!</p>
+          </div>
+
+          <div style="background-color: #333; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 12px;">
+            <p style="margin: 0 0 5px 0;">© 2024 247 CutBend. All rights reserved.</p>
+            <p style="margin: 0; opacity: 0.8;">Delivering Factory Direct Quality Sheet Metal Parts Since 2005</p>
+          </div>
+        </div>
+      `
+  },
+
+  inquiry_notification: {
+    name: 'New inquiry (back office)',
+    description: 'Sent to the back office with the inquiry files and data attached',
+    source: 'inquiry',
+    subject: 'New Inquiry Received - {{inquiry.inquiryNumber}}',
+    html: `
+        <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 700px; margin: 0 auto; background-color: #f8f9fa;">
+          <!-- Header with Company Branding -->
+          <div style="background: linear-gradient(135deg, #FF9800 0%, #F57C00 100%); color: white; padding: 30px 20px; text-align: center; border-radius: 8px 8px 0 0;">
+            <div style="display: flex; align-items: center; justify-content: center; margin-bottom: 15px;">
+              <div style="width: 50px; height: 50px; background-color: white; border-radius: 50%; display: flex; align-items: center; justify-content: center; margin-right: 15px;">
+                <span style="color: #FF9800; font-size: 24px; font-weight: bold;">K</span>
+              </div>
+              <div>
+                <h1 style="margin: 0; font-size: 28px; font-weight: 700;">247 CUTBEND</h1>
+                <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">SHEET METAL PARTS ON DEMAND</p>
+              </div>
+            </div>
+            <h2 style="margin: 0; font-size: 24px; font-weight: 600;">New Inquiry Received</h2>
+            <p style="margin: 10px 0 0 0; font-size: 16px; opacity: 0.9;">Inquiry Number: <strong>{{inquiry.inquiryNumber}}</strong></p>
+          </div>
+
+          <!-- Main Content -->
+          <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+
+            <!-- Customer Information Card -->
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin-bottom: 25px; border-left: 4px solid #FF9800;">
+              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">👤 Customer Information</h3>
+              <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                <p style="margin: 5px 0; color: #555;"><strong>Name:</strong> {{customer.firstName}} {{customer.lastName}}</p>
+                <p style="margin: 5px 0; color: #555;"><strong>Company:</strong> {{customer.companyName}}</p>
+                <p style="margin: 5px 0; color: #555;"><strong>Email:</strong> {{customer.email}}</p>
+                <p style="margin: 5px 0; color: #555;"><strong>Phone:</strong> {{customer.phoneNumber}}</p>
+              </div>
+            </div>
+
+            <!-- Inquiry Details Card -->
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin-bottom: 25px; border-left: 4px solid #4CAF50;">
+              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">📋 Inquiry Details</h3>
+              <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 15px; text-align: center;">
+                <div style="background-color: white; padding: 15px; border-radius: 6px; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+                  <div style="font-size: 24px; font-weight: bold; color: #FF9800;">{{inquiry.fileCount}}</div>
+                  <div style="font-size: 12px; color: #666; text-transform: uppercase;">Files Attached</div>
+                </div>
+                <div style="background-color: white; padding: 15px; border-radius: 6px; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+                  <div style="font-size: 24px; font-weight: bold; color: #4CAF50;">{{inquiry.partCount}}</div>
+                  <div style="font-size: 12px; color: #666; text-transform: uppercase;">Parts</div>
+                </div>
+                <div style="background-color: white; padding: 15px; border-radius: 6px; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+                  <div style="font-size: 24px; font-weight: bold; color: #2196F3;">INR ₹{{inquiry.totalAmount}}</div>
+                  <div style="font-size: 12px; color: #666; text-transform: uppercase;">Total Amount</div>
+                </div>
+              </div>
+            </div>
+
+            <!-- Parts Specifications -->
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin-bottom: 25px; border-left: 4px solid #2196F3;">
+              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">🔧 Parts Specifications</h3>
+              <div style="background-color: white; border-radius: 6px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+                <table style="width: 100%; border-collapse: collapse;">
+                  <thead>
+                    <tr style="background-color: #f5f5f5;">
+                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Part Name</th>
+                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Material</th>
+                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Thickness</th>
+                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Qty</th>
+                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Remarks</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {{#each inquiry.parts}}
+                      <tr style="border-bottom: 1px solid #eee;">
+                        <td style="padding: 12px; color: #555;">{{name}}</td>
+                        <td style="padding: 12px; color: #555;">{{material}}</td>
+                        <td style="padding: 12px; color: #555;">{{thickness}}</td>
+                        <td style="padding: 12px; color: #555;">{{quantity}}</td>
+                        <td style="padding: 12px; color: #555;">{{remarks}}</td>
+                      </tr>
+                    {{/each}}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+
+          <!-- Footer -->
+          <div style="background-color: #333; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 12px;">
+            <p style="margin: 0 0 5px 0;">© 2024 247 CutBend. All rights reserved.</p>
+            <p style="margin: 0; opacity: 0.8;">Delivering Factory Direct Quality Sheet Metal Parts Since 2005</p>
+          </div>
+        </div>
+      `
+  },
+
+  quotation_sent: {
+    name: 'Quotation sent',
+    description: 'Sent to the customer when the back office sends or uploads a quotation',
+    source: 'quotation',
+    subject: 'Quotation {{quotation.quotationNumber}} - 247 CutBend',
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #FF9800; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+            <h1 style="margin: 0; font-size: 28px; font-weight: 700;">247 CUTBEND</h1>
+            <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">SHEET METAL PARTS ON DEMAND</p>
+            <h2 style="margin: 20px 0 10px 0; font-size: 24px; font-weight: 600;">Your Quotation is Ready!</h2>
+          </div>
+
+          <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+            <h3 style="color: #333; margin-top: 0;">Dear {{customer.name}},</h3>
+            <p style="color: #555; line-height: 1.6;">Thank you for your inquiry. We have prepared a competitive quotation for your sheet metal parts.</p>
+
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #FF9800;">
+              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">📋 Quotation Summary</h3>
+              <p style="margin: 8px 0; color: #555;"><strong>Quotation Number:</strong> {{quotation.quotationNumber}}</p>
+              {{#if inquiryNumber}}<p style="margin: 8px 0; color: #555;"><strong>Inquiry Number:</strong> {{inquiryNumber}}</p>{{/if}}
+              <p style="margin: 8px 0; color: #555;"><strong>Total Amount:</strong> {{quotation.currency}} ₹{{quotation.totalAmount}}</p>
+              {{#if quotation.validUntil}}<p style="margin: 8px 0; color: #555;"><strong>Valid Until:</strong> {{quotation.validUntil}}</p>{{/if}}
+            </div>
+
+            {{#if quotation.items}}
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #4CAF50;">
+              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">🔧 Parts & Pricing</h3>
+              <div style="background-color: white; border-radius: 6px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,0.1);">
+                <table style="width: 100%; border-collapse: collapse;">
+                  <thead>
+                    <tr style="background-color: #f5f5f5;">
+                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Part</th>
+                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Material</th>
+                      <th style="padding: 12px; text-align: left; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Qty</th>
+                      <th style="padding: 12px; text-align: right; font-weight: 600; color: #333; border-bottom: 2px solid #ddd;">Total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {{#each quotation.items}}
+                      <tr style="border-bottom: 1px solid #eee;">
+                        <td style="padding: 12px; color: #555;">{{partRef}}</td>
+                        <td style="padding: 12px; color: #555;">{{material}}</td>
+                        <td style="padding: 12px; color: #555;">{{quantity}}</td>
+                        <td style="padding: 12px; text-align: right; color: #555;">₹{{totalPrice}}</td>
+                      </tr>
+                    {{/each}}
+                    {{#if quotation.moreItemCount}}
+                      <tr>
+                        <td colspan="4" style="padding: 12px; text-align: center; color: #666; font-style: italic;">
+                          ... and {{quotation.moreItemCount}} more items
+                        </td>
+                      </tr>
+                    {{/if}}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+            {{/if}}
+
+            {{#if quotation.terms}}
+            <div style="background-color: #e8f5e8; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #4CAF50;">
+              <h3 style="margin-top: 0; color: #333;">Terms & Conditions:</h3>
+              <p style="margin: 0; color: #555; line-height: 1.6;">{{quotation.terms}}</p>
+            </div>
+            {{/if}}
+
+            {{#if quotation.notes}}
+            <div style="background-color: #e3f2fd; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #2196F3;">
+              <h3 style="margin-top: 0; color: #333;">Additional Notes:</h3>
+              <p style="margin: 0; color: #555; line-height: 1.6;">{{quotation.notes}}</p>
+            </div>
+            {{/if}}
+
+            {{#if hasAttachment}}
+            <div style="background-color: #e3f2fd; padding: 15px; border-radius: 5px; margin: 25px 0; border-left: 4px solid #2196F3;">
+              <h3 style="margin-top: 0; color: #333;">📎 Quotation PDF Attached</h3>
+              <p style="margin: 0; color: #555; line-height: 1.6;">The detailed quotation PDF is attached to this email for your reference. Please review the attached document for complete pricing and specifications.</p>
+            </div>
+            {{/if}}
+
+            <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 25px 0;">
+              <h3 style="margin-top: 0; color: #333;">What's Next?</h3>
+              <ul style="margin: 10px 0; padding-left: 20px; color: #555;">
+                <li>Please review the attached quotation PDF</li>
+                <li>Log in to your account to view the full quotation details</li>
+                <li>Review the quotation and accept or request changes</li>
+                <li>If you have any questions, please don't hesitate to contact us</li>
+              </ul>
+            </div>
+
+            <p style="margin-top: 30px; color: #555;">Thank you for choosing 247 CutBend for your sheet metal manufacturing needs.</p>
+          </div>
+
+          <div style="background-color: #333; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 12px;">
+            <p style="margin: 0 0 5px 0;">© 2024 247 CutBend. All rights reserved.</p>
+            <p style="margin: 0; opacity: 0.8;">Delivering Factory Direct Quality Sheet Metal Parts Since 2005</p>
+          </div>
+        </div>
+      `
+  },
+
+  quotation: {
+    name: 'Quotation created',
+    description: 'Sent to the customer when a quotation is created for their inquiry',
+    source: 'quotation',
+    subject: 'Quotation {{quotation.quotationNumber}} - Inquiry {{inquiryNumber}} - 247 CutBend',
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #4CAF50; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0;">Quotation Ready</h1>
+            <p style="margin: 5px 0;">Quotation Number: {{quotation.quotationNumber}}</p>
+          </div>
+
+          <div style="padding: 20px;">
+            <h3>Dear {{customer.firstName}},</h3>
+            <p>Thank you for your inquiry. We have prepared a competitive quotation for your sheet metal parts.</p>
+
+            <h3>Quotation Summary:</h3>
+            <p><strong>Quotation Number:</strong> {{quotation.quotationNumber}}</p>
+            <p><strong>Inquiry Number:</strong> {{inquiryNumber}}</p>
+            <p><strong>Total Amount:</strong> {{quotation.currency}} ₹{{quotation.totalAmount}}</p>
+            <p><strong>Valid Until:</strong> {{quotation.validUntil}}</p>
+
+            <h3>Parts & Pricing:</h3>
+            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+              <thead>
+                <tr style="background-color: #f5f5f5;">
+                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Part Name</th>
+                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Material</th>
+                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Thickness</th>
+                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Qty</th>
+                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Unit Price</th>
+                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {{#each quotation.parts}}
+                  <tr>
+                    <td style="border: 1px solid #ddd; padding: 8px;">{{name}}</td>
+                    <td style="border: 1px solid #ddd; padding: 8px;">{{material}}</td>
+                    <td style="border: 1px solid #ddd; padding: 8px;">{{thickness}}mm</td>
+                    <td style="border: 1px solid #ddd; padding: 8px;">{{quantity}}</td>
+                    <td style="border: 1px solid #ddd; padding: 8px;">₹{{unitPrice}}</td>
+                    <td style="border: 1px solid #ddd; padding: 8px;">₹{{totalPrice}}</td>
+                  </tr>
+                {{/each}}
+              </tbody>
+            </table>
+
+            <h3>Terms & Conditions:</h3>
+            <p style="background-color: #f9f9f9; padding: 15px; border-left: 4px solid #4CAF50;">
+              {{quotation.terms}}
+            </p>
+
+            {{#if quotation.notes}}
+            <h3>Additional Notes:</h3>
+            <p style="background-color: #f0f8ff; padding: 15px; border-left: 4px solid #2196F3;">
+              {{quotation.notes}}
+            </p>
+            {{/if}}
+
+            <p style="margin-top: 30px;">Please log in to your account to view and respond to this quotation.</p>
+
+            <p style="margin-top: 30px;">If you have any questions, please don't hesitate to contact us.</p>
+          </div>
+        </div>
+      `
+  },
+
+  quotation_expiry_reminder: {
+    name: 'Quotation expiry reminder',
+    description: 'Sent to the customer shortly before a sent quotation expires',
+    source: 'quotation',
+    subject: 'Quotation {{quotation.quotationNumber}} expires in {{daysLeft}} {{daysLabel}} - 247 CutBend',
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #FF9800; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0;">Quotation Expiring Soon</h1>
+            <p style="margin: 5px 0;">Quotation Number: {{quotation.quotationNumber}}</p>
+          </div>
+
+          <div style="padding: 20px;">
+            <h3>Dear {{customer.name}},</h3>
+            <p>This is a reminder that your quotation is valid for {{daysLeft}} more {{daysLabel}}.</p>
+
+            <h3>Quotation Summary:</h3>
+            <p><strong>Quotation Number:</strong> {{quotation.quotationNumber}}</p>
+            <p><strong>Total Amount:</strong> ₹{{quotation.totalAmount}}</p>
+            <p><strong>Valid Until:</strong> {{quotation.validUntil}}</p>
+
+            <p style="margin-top: 30px;">Please log in to your account to accept the quotation before it expires. After expiry you can request a re-quote from the quotation page.</p>
+
+            <p style="margin-top: 30px;">If you have any questions, please don't hesitate to contact us.</p>
+          </div>
+        </div>
+      `
+  },
+
+  requote_request: {
+    name: 'Re-quote requested (back office)',
+    description: 'Sent to the back office when a customer asks for a new quotation',
+    source: 'quotation',
+    subject: 'Re-quote Requested - {{quotation.quotationNumber}}{{#if inquiryNumber}} (Inquiry {{inquiryNumber}}){{/if}}',
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #2196F3; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0;">Re-quote Requested</h1>
+            <p style="margin: 5px 0;">Quotation Number: {{quotation.quotationNumber}}</p>
+          </div>
+
+          <div style="padding: 20px;">
+            <p>{{customer.name}} ({{customer.company}}) has requested a new quotation.</p>
+
+            <p><strong>Quotation Number:</strong> {{quotation.quotationNumber}}</p>
+            {{#if inquiryNumber}}<p><strong>Inquiry Number:</strong> {{inquiryNumber}}</p>{{/if}}
+            <p><strong>Previous Total:</strong> ₹{{quotation.totalAmount}}</p>
+            <p><strong>Expired On:</strong> {{quotation.validUntil}}</p>
+            <p><strong>Customer Email:</strong> {{customer.email}}</p>
+            <p><strong>Customer Phone:</strong> {{customer.phone}}</p>
+
+            {{#if reason}}
+            <h3>Customer Notes:</h3>
+            <p style="background-color: #f0f8ff; padding: 15px; border-left: 4px solid #2196F3;">
+              {{reason}}
+            </p>
+            {{/if}}
+
+            <p style="margin-top: 30px;">The inquiry has been reopened. Please create a new revision of the quotation.</p>
+          </div>
+        </div>
+      `
+  },
+
+  negotiation_message: {
+    name: 'Quotation negotiation message',
+    description: 'Counter-offers go to the back office, replies go to the customer',
+    source: 'quotation',
+    subject: '{{#if fromCustomer}}Counter-offer Received - {{quotation.quotationNumber}} - {{customer.company}}{{else}}Reply to your counter-offer - Quotation {{quotation.quotationNumber}} - 247 CutBend{{/if}}',
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #2196F3; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0;">{{#if fromCustomer}}Counter-offer Received{{else}}Quotation Negotiation Update{{/if}}</h1>
+            <p style="margin: 5px 0;">Quotation Number: {{quotation.quotationNumber}}</p>
+          </div>
+
+          <div style="padding: 20px;">
+            <h3>Dear {{#if fromCustomer}}Team{{else}}{{customer.name}}{{/if}},</h3>
+            <p>{{#if fromCustomer}}{{customer.name}} ({{customer.company}}) has responded to quotation {{quotation.quotationNumber}}.{{else}}Our team has replied to your message on quotation {{quotation.quotationNumber}}.{{/if}}</p>
+
+            {{#if entry.message}}
+            <p style="background-color: #f0f8ff; padding: 15px; border-left: 4px solid #2196F3;">
+              {{entry.message}}
+            </p>
+            {{/if}}
+
+            {{#if entry.counterOffer}}
+            <h3>Proposed Changes:</h3>
+            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+              <thead>
+                <tr style="background-color: #f5f5f5;">
+                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Part</th>
+                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Quoted Qty</th>
+                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Proposed Qty</th>
+                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Quoted Unit Price</th>
+                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Target Unit Price</th>
+                </tr>
+              </thead>
+              <tbody>
+                {{#each entry.counterOffer}}
+                  <tr>
+                    <td style="border: 1px solid #ddd; padding: 8px;">{{partRef}}</td>
+                    <td style="border: 1px solid #ddd; padding: 8px;">{{quotedQuantity}}</td>
+                    <td style="border: 1px solid #ddd; padding: 8px;">{{quantity}}</td>
+                    <td style="border: 1px solid #ddd; padding: 8px;">{{quotedUnitPrice}}</td>
+                    <td style="border: 1px solid #ddd; padding: 8px;">{{targetUnitPrice}}</td>
+                  </tr>
+                {{/each}}
+              </tbody>
+            </table>
+            {{/if}}
+
+            <p style="margin-top: 30px;">Please log in to your account to view the full conversation and reply.</p>
+          </div>
+        </div>
+      `
+  },
+
+  order_confirmation: {
+    name: 'Order confirmed',
+    description: 'Sent to the customer when the back office confirms an order',
+    source: 'order',
+    subject: 'Order Confirmed - {{order.orderNumber}}',
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #4CAF50; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0;">247 CUTBEND</h1>
+            <h2 style="margin: 10px 0;">Order Confirmed</h2>
+            <p style="margin: 5px 0;">Order Number: {{order.orderNumber}}</p>
+          </div>
+
+          <div style="padding: 20px;">
+            <h3>Dear {{customer.firstName}},</h3>
+            <p style="color: #555; line-height: 1.6;">Great news! Your order has been confirmed by our team and is now ready for production!</p>
+
+            <div style="background-color: #e8f5e8; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #4CAF50;">
+              <h3 style="margin-top: 0; color: #333;">✅ Order Confirmed</h3>
+              <p style="margin: 5px 0; color: #555;">Your order has been reviewed and confirmed by our team. We're now preparing to start production.</p>
+            </div>
+
+            <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <h3 style="margin-top: 0;">Order Details:</h3>
+              <p><strong>Order Number:</strong> {{order.orderNumber}}</p>
+              <p><strong>Total Amount:</strong> {{order.currency}} ₹{{order.totalAmount}}</p>
+              <p><strong>Payment Status:</strong> {{order.paymentStatus}}</p>
+              <p><strong>Order Date:</strong> {{order.orderDate}}</p>
+              <p><strong>Confirmed Date:</strong> {{order.confirmedDate}}</p>
+            </div>
+
+            <div style="background-color: #e8f5e8; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <h3 style="margin-top: 0;">Production Timeline:</h3>
+              <p><strong>Start Date:</strong> {{production.startDate}}</p>
+              <p><strong>Estimated Completion:</strong> {{production.estimatedCompletion}}</p>
+            </div>
+
+            <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <h3 style="margin-top: 0;">What's Next?</h3>
+              <ul>
+                <li>Your order is now in production</li>
+                <li>We will keep you updated on the progress</li>
+                <li>You will receive notifications for each milestone</li>
+                <li>Log in to your account to track order status</li>
+              </ul>
+            </div>
+
+            <p style="margin-top: 30px;">Please log in to your account to track your order status.</p>
+
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+              <p style="font-size: 14px; color: #666;">
+                If you have any questions, please contact our support team.<br>
+                Thank you for choosing 247 CutBend for your sheet metal manufacturing needs.
+              </p>
+            </div>
+          </div>
+
+          <div style="background-color: #f5f5f5; padding: 20px; text-align: center; font-size: 12px; color: #666;">
+            <p>© 2024 247 CutBend. All rights reserved.</p>
+            <p>Sheet Metal Parts on Demand</p>
+          </div>
+        </div>
+      `
+  },
+
+  dispatch_notification: {
+    name: 'Order dispatched',
+    description: 'Sent to the customer when an order or shipment is dispatched',
+    source: 'order',
+    subject: 'Order Dispatched - {{order.orderNumber}} - 247 CutBend',
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #2196F3; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+            <h1 style="margin: 0; font-size: 28px; font-weight: 700;">247 CUTBEND</h1>
+            <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">SHEET METAL PARTS ON DEMAND</p>
+            <h2 style="margin: 20px 0 10px 0; font-size: 24px; font-weight: 600;">Order Dispatched! 🚚</h2>
+          </div>
+
+          <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+            <h3 style="color: #333; margin-top: 0;">Dear {{customer.name}},</h3>
+            <p style="color: #555; line-height: 1.6; font-size: 16px;">Great news! Your order <strong>{{order.orderNumber}}</strong> has been dispatched and is on its way to you!</p>
+
+            <div style="background-color: #e3f2fd; padding: 25px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #2196F3; text-align: center;">
+              <h3 style="margin: 0 0 20px 0; color: #333; font-size: 20px; font-weight: 600;">🚚 Dispatch Information</h3>
+              <div style="background-color: white; padding: 20px; border-radius: 8px; margin-bottom: 15px;">
+                <p style="margin: 0 0 10px 0; color: #666; font-size: 14px; text-transform: uppercase;">Courier Name</p>
+                <p style="margin: 0; color: #1976D2; font-size: 28px; font-weight: 700;">{{dispatch.courier}}</p>
+              </div>
+              <div style="background-color: white; padding: 20px; border-radius: 8px;">
+                <p style="margin: 0 0 10px 0; color: #666; font-size: 14px; text-transform: uppercase;">Dispatched Date</p>
+                <p style="margin: 0; color: #1976D2; font-size: 24px; font-weight: 700;">{{dispatch.dispatchedDate}}</p>
+                <p style="margin: 10px 0 0 0; color: #555; font-size: 16px;">{{dispatch.dispatchedTime}}</p>
+              </div>
+            </div>
+
+            {{#if dispatch.hasEstimatedDelivery}}
+            <div style="background-color: #e8f5e8; padding: 25px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #4CAF50; text-align: center;">
+              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 20px; font-weight: 600;">📦 Expected Delivery Date & Time</h3>
+              <p style="margin: 0; color: #2e7d32; font-size: 24px; font-weight: 700;">{{dispatch.deliveryDate}}</p>
+              <p style="margin: 10px 0 0 0; color: #2e7d32; font-size: 20px; font-weight: 600;">at {{dispatch.deliveryTime}}</p>
+              <p style="margin: 15px 0 0 0; color: #555; font-size: 14px;">You will receive your order on this date at this time</p>
+            </div>
+            {{/if}}
+
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #2196F3;">
+              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">📋 Order Details</h3>
+              <p style="margin: 8px 0; color: #555;"><strong>Order Number:</strong> {{order.orderNumber}}</p>
+              <p style="margin: 8px 0; color: #555;"><strong>Tracking Number:</strong> {{dispatch.trackingNumber}}</p>
+              {{#if dispatch.hasTrackingNumber}}
+              <p style="margin: 8px 0; color: #555;">You can use this tracking number to track your shipment with {{dispatch.courierName}}</p>
+              {{/if}}
+            </div>
+
+            {{#if deliveryAddress}}
+            <div style="background-color: #fff3cd; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #ffc107;">
+              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">📍 Delivery Address</h3>
+              <p style="margin: 8px 0; color: #555; padding-left: 20px;">
+                {{deliveryAddress.street}}<br>
+                {{deliveryAddress.city}}, {{deliveryAddress.state}} {{deliveryAddress.postalCode}}<br>
+                {{deliveryAddress.country}}
+              </p>
+            </div>
+            {{/if}}
+
+            <div style="background-color: #e8f5e8; padding: 15px; border-radius: 5px; margin: 25px 0; border-left: 4px solid #4CAF50;">
+              <h3 style="margin-top: 0; color: #333;">💡 Important Information</h3>
+              <ul style="margin: 10px 0; padding-left: 20px; color: #555;">
+                <li>Please ensure someone is available at the delivery address on <strong>{{dispatch.deliveryDate}}</strong> at <strong>{{dispatch.deliveryTime}}</strong></li>
+                <li>You can track your order using the tracking number provided above</li>
+                <li>If you need to change the delivery date or address, please contact our support team immediately</li>
+                <li>Log in to your account to track your order status</li>
+              </ul>
+            </div>
+
+            <p style="margin-top: 30px; color: #555;">Thank you for choosing 247 CutBend. We look forward to delivering your order on time!</p>
+          </div>
+
+          <div style="background-color: #333; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 12px;">
+            <p style="margin: 0 0 5px 0;">© 2024 247 CutBend. All rights reserved.</p>
+            <p style="margin: 0; opacity: 0.8;">Delivering Factory Direct Quality Sheet Metal Parts Since 2005</p>
+          </div>
+        </div>
+      `
+  },
+
+  customer_payment_confirmation: {
+    name: 'Payment received',
+    description: 'Sent to the customer when their payment is confirmed',
+    source: 'order',
+    subject: 'Payment Successful - Order {{order.orderNumber}} - 247 CutBend',
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #4CAF50; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+            <h1 style="margin: 0; font-size: 28px; font-weight: 700;">247 CUTBEND</h1>
+            <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">SHEET METAL PARTS ON DEMAND</p>
+            <h2 style="margin: 20px 0 10px 0; font-size: 24px; font-weight: 600;">Payment Successful! ✅</h2>
+          </div>
+
+          <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+            <h3 style="color: #333; margin-top: 0;">Dear {{customer.name}},</h3>
+            <p style="color: #555; line-height: 1.6;">Thank you for your payment! We have successfully received your payment for order <strong>{{order.orderNumber}}</strong>.</p>
+
+            <div style="background-color: #e8f5e8; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #4CAF50;">
+              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">💳 Payment Details</h3>
+              <p style="margin: 8px 0; color: #555;"><strong>Order Number:</strong> {{order.orderNumber}}</p>
+              <p style="margin: 8px 0; color: #555;"><strong>Payment Amount:</strong> {{order.currency}} ₹{{payment.amount}}</p>
+              <p style="margin: 8px 0; color: #555;"><strong>Payment Method:</strong> {{payment.method}}</p>
+              <p style="margin: 8px 0; color: #555;"><strong>Transaction ID:</strong> {{payment.transactionId}}</p>
+              <p style="margin: 8px 0; color: #555;"><strong>Payment Date:</strong> {{payment.date}} at {{payment.time}}</p>
+              <p style="margin: 8px 0; color: #555;"><strong>Payment Status:</strong> <span style="color: #4CAF50; font-weight: 600;">Completed</span></p>
+            </div>
+
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #2196F3;">
+              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">📦 Order Information</h3>
+              <p style="margin: 8px 0; color: #555;"><strong>Order Status:</strong> {{order.statusLabel}}</p>
+              <p style="margin: 8px 0; color: #555;"><strong>Order Date:</strong> {{order.orderDate}}</p>
+              {{#if deliveryAddress}}
+              <p style="margin: 8px 0; color: #555;"><strong>Delivery Address:</strong></p>
+              <p style="margin: 8px 0; color: #555; padding-left: 20px;">
+                {{deliveryAddress.street}}<br>
+                {{deliveryAddress.city}}, {{deliveryAddress.state}} {{deliveryAddress.postalCode}}<br>
+                {{deliveryAddress.country}}
+              </p>
+              {{/if}}
+            </div>
+
+            <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 25px 0; border-left: 4px solid #ffc107;">
+              <h3 style="margin-top: 0; color: #333;">📋 What's Next?</h3>
+              <ul style="margin: 10px 0; padding-left: 20px; color: #555;">
+                <li>Your order has been confirmed and is now in production</li>
+                <li>We will keep you updated on the production progress</li>
+                <li>You will receive notifications for each milestone</li>
+                <li>Log in to your account to track your order status</li>
+              </ul>
+            </div>
+
+            <div style="background-color: #e3f2fd; padding: 15px; border-radius: 5px; margin: 25px 0; border-left: 4px solid #2196F3;">
+              <h3 style="margin-top: 0; color: #333;">💡 Important Information</h3>
+              <p style="margin: 0; color: #555; line-height: 1.6;">
+                Please save this email for your records. Your transaction ID is <strong>{{payment.transactionId}}</strong>.
+                If you have any questions about your payment or order, please contact our support team with your order number.
+              </p>
+            </div>
+
+            <p style="margin-top: 30px; color: #555;">Thank you for choosing 247 CutBend for your sheet metal manufacturing needs. We appreciate your business!</p>
+          </div>
+
+          <div style="background-color: #333; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 12px;">
+            <p style="margin: 0 0 5px 0;">© 2024 247 CutBend. All rights reserved.</p>
+            <p style="margin: 0; opacity: 0.8;">Delivering Factory Direct Quality Sheet Metal Parts Since 2005</p>
+          </div>
+        </div>
+      `
+  },
+
+  payment_confirmation: {
+    name: 'Payment received (back office)',
+    description: 'Sent to the back office when an order payment is confirmed',
+    source: 'order',
+    subject: 'Payment Confirmed - Order {{order.orderNumber}}',
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #4CAF50; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0;">Payment Confirmed</h1>
+            <p style="margin: 5px 0;">Order Number: {{order.orderNumber}}</p>
+          </div>
+
+          <div style="padding: 20px;">
+            <h3>Payment Details:</h3>
+            <p><strong>Order Number:</strong> {{order.orderNumber}}</p>
+            <p><strong>Customer:</strong> {{customer.firstName}} {{customer.lastName}}</p>
+            <p><strong>Amount:</strong> INR ₹{{order.totalAmount}}</p>
+            <p><strong>Payment Method:</strong> {{payment.method}}</p>
+            <p><strong>Transaction ID:</strong> {{payment.transactionId}}</p>
+            <p><strong>Paid At:</strong> {{payment.paidAt}}</p>
+
+            <h3>Next Steps:</h3>
+            <p>1. Update order status to "confirmed"</p>
+            <p>2. Set production timeline</p>
+            <p>3. Begin manufacturing process</p>
+
+            <p style="margin-top: 30px;">Please log in to the back office to manage this order.</p>
+          </div>
+        </div>
+      `
+  },
+
+  delivery_confirmation: {
+    name: 'Order delivered',
+    description: 'Sent to the customer when an order is delivered, with the proof of delivery',
+    source: 'order',
+    subject: 'Order Delivered - {{order.orderNumber}}',
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #4CAF50; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0;">Order Delivered</h1>
+            <p style="margin: 5px 0;">Order Number: {{order.orderNumber}}</p>
+          </div>
+
+          <div style="padding: 20px;">
+            <h3>Dear {{customer.firstName}},</h3>
+            <p>Your order has been successfully delivered!</p>
+
+            <h3>Delivery Details:</h3>
+            <p><strong>Order Number:</strong> {{order.orderNumber}}</p>
+            <p><strong>Delivered Date:</strong> {{order.deliveredDate}}</p>
+            <p><strong>Delivery Address:</strong> {{deliveryAddress.street}}, {{deliveryAddress.city}}</p>
+            {{#if proof}}
+            <h3>Proof of Delivery:</h3>
+            <p><strong>Received By:</strong> {{proof.receiverName}}</p>
+            <p><strong>Received At:</strong> {{proof.receivedAt}}</p>
+            {{#if proof.location}}<p><strong>Location:</strong> <a href="{{proof.location.mapUrl}}">{{proof.location.latitude}}, {{proof.location.longitude}}</a></p>{{/if}}
+            {{#if proof.signatureUrl}}<p><strong>Signature:</strong><br><img src="{{proof.signatureUrl}}" alt="Receiver signature" style="max-width: 240px; max-height: 80px; border: 1px solid #ddd;"></p>{{/if}}
+            {{#if proof.photos}}<p><strong>Delivery Photos:</strong> {{#each proof.photos}}<a href="{{url}}" style="margin-right: 10px;">Photo {{number}}</a>{{/each}}</p>{{/if}}
+            {{/if}}
+            <h3>Thank You!</h3>
+            <p>We appreciate your business and hope you're satisfied with your order. If you have any questions or need assistance, please don't hesitate to contact us.</p>
+
+            <p style="margin-top: 30px;">Thank you for choosing 247 CutBend. We look forward to serving you again.</p>
+          </div>
+        </div>
+      `
+  },
+
+  production_started: {
+    name: 'Production started',
+    description: 'Sent to the customer when production starts on their order',
+    source: 'order',
+    subject: 'Production Started - Order {{order.orderNumber}} - 247 CutBend',
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #2196F3; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+            <h1 style="margin: 0; font-size: 28px; font-weight: 700;">247 CUTBEND</h1>
+            <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">SHEET METAL PARTS ON DEMAND</p>
+            <h2 style="margin: 20px 0 10px 0; font-size: 24px; font-weight: 600;">Production Started! 🏭</h2>
+          </div>
+
+          <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+            <h3 style="color: #333; margin-top: 0;">Dear {{customer.name}},</h3>
+            <p style="color: #555; line-height: 1.6;">Great news! Production has started for your order <strong>{{order.orderNumber}}</strong>. We're now manufacturing your sheet metal parts!</p>
+
+            <div style="background-color: #e3f2fd; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #2196F3;">
+              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">🏭 Production Information</h3>
+              <p style="margin: 8px 0; color: #555;"><strong>Order Number:</strong> {{order.orderNumber}}</p>
+              <p style="margin: 8px 0; color: #555;"><strong>Production Start Date:</strong> {{production.startDate}} at {{production.startTime}}</p>
+              {{#if production.estimatedCompletion}}
+              <p style="margin: 8px 0; color: #555;"><strong>Estimated Completion:</strong> {{production.estimatedCompletion}}</p>
+              {{/if}}
+              <p style="margin: 8px 0; color: #555;"><strong>Status:</strong> <span style="color: #2196F3; font-weight: 600;">In Production</span></p>
+            </div>
+
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #4CAF50;">
+              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">📦 Order Details</h3>
+              <p style="margin: 8px 0; color: #555;"><strong>Total Amount:</strong> {{order.currency}} ₹{{order.totalAmount}}</p>
+              <p style="margin: 8px 0; color: #555;"><strong>Order Date:</strong> {{order.orderDate}}</p>
+              {{#if order.partCount}}
+              <p style="margin: 8px 0; color: #555;"><strong>Number of Parts:</strong> {{order.partCount}}</p>
+              {{/if}}
+            </div>
+
+            <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 25px 0; border-left: 4px solid #ffc107;">
+              <h3 style="margin-top: 0; color: #333;">📋 What's Next?</h3>
+              <ul style="margin: 10px 0; padding-left: 20px; color: #555;">
+                <li>Your order is now being manufactured in our facility</li>
+                <li>We will keep you updated on the production progress</li>
+                <li>You will receive a notification when production is complete</li>
+                <li>Once ready, your order will be prepared for dispatch</li>
+                <li>Log in to your account to track your order status</li>
+              </ul>
+            </div>
+
+            <div style="background-color: #e8f5e8; padding: 15px; border-radius: 5px; margin: 25px 0; border-left: 4px solid #4CAF50;">
+              <h3 style="margin-top: 0; color: #333;">💡 Quality Assurance</h3>
+              <p style="margin: 0; color: #555; line-height: 1.6;">
+                Our team is committed to delivering high-quality sheet metal parts. We follow strict quality control processes
+                to ensure your order meets our standards. If you have any questions during production, please don't hesitate to contact us.
+              </p>
+            </div>
+
+            <p style="margin-top: 30px; color: #555;">Thank you for choosing 247 CutBend. We're working hard to deliver your order on time!</p>
+          </div>
+
+          <div style="background-color: #333; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 12px;">
+            <p style="margin: 0 0 5px 0;">© 2024 247 CutBend. All rights reserved.</p>
+            <p style="margin: 0; opacity: 0.8;">Delivering Factory Direct Quality Sheet Metal Parts Since 2005</p>
+          </div>
+        </div>
+      `
+  },
+
+  order_ready: {
+    name: 'Order ready for dispatch',
+    description: 'Sent to the customer when production is complete',
+    source: 'order',
+    subject: 'Order Ready for Dispatch - {{order.orderNumber}} - 247 CutBend',
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #FF9800; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+            <h1 style="margin: 0; font-size: 28px; font-weight: 700;">247 CUTBEND</h1>
+            <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">SHEET METAL PARTS ON DEMAND</p>
+            <h2 style="margin: 20px 0 10px 0; font-size: 24px; font-weight: 600;">Order Ready! ✅</h2>
+          </div>
+
+          <div style="background-color: white; padding: 30px; border-radius: 0 0 8px 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+            <h3 style="color: #333; margin-top: 0;">Dear {{customer.name}},</h3>
+            <p style="color: #555; line-height: 1.6;">Excellent news! Your order <strong>{{order.orderNumber}}</strong> has been completed and is now ready for dispatch!</p>
+
+            <div style="background-color: #fff3cd; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #FF9800;">
+              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">📦 Order Status</h3>
+              <p style="margin: 8px 0; color: #555;"><strong>Order Number:</strong> {{order.orderNumber}}</p>
+              <p style="margin: 8px 0; color: #555;"><strong>Status:</strong> <span style="color: #FF9800; font-weight: 600;">Ready for Dispatch</span></p>
+              <p style="margin: 8px 0; color: #555;"><strong>Production Completed:</strong> {{production.completedDate}} at {{production.completedTime}}</p>
+            </div>
+
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #4CAF50;">
+              <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px; font-weight: 600;">📋 Order Summary</h3>
+              <p style="margin: 8px 0; color: #555;"><strong>Total Amount:</strong> {{order.currency}} ₹{{order.totalAmount}}</p>
+              <p style="margin: 8px 0; color: #555;"><strong>Order Date:</strong> {{order.orderDate}}</p>
+              {{#if order.partCount}}
+              <p style="margin: 8px 0; color: #555;"><strong>Number of Parts:</strong> {{order.partCount}}</p>
+              {{/if}}
+              {{#if deliveryAddress}}
+              <p style="margin: 8px 0; color: #555;"><strong>Delivery Address:</strong></p>
+              <p style="margin: 8px 0; color: #555; padding-left: 20px;">
+                {{deliveryAddress.street}}<br>
+                {{deliveryAddress.city}}, {{deliveryAddress.state}} {{deliveryAddress.postalCode}}<br>
+                {{deliveryAddress.country}}
+              </p>
+              {{/if}}
+            </div>
+
+            <div style="background-color: #e3f2fd; padding: 15px; border-radius: 5px; margin: 25px 0; border-left: 4px solid #2196F3;">
+              <h3 style="margin-top: 0; color: #333;">📋 What's Next?</h3>
+              <ul style="margin: 10px 0; padding-left: 20px; color: #555;">
+                <li>Your order has been completed and quality checked</li>
+                <li>It's now ready to be dispatched to your delivery address</li>
+                <li>We will prepare it for shipping shortly</li>
+                <li>You will receive a dispatch notification with tracking details once it's shipped</li>
+                <li>Log in to your account to track your order status</li>
+              </ul>
+            </div>
+
+            <div style="background-color: #e8f5e8; padding: 15px; border-radius: 5px; margin: 25px 0; border-left: 4px solid #4CAF50;">
+              <h3 style="margin-top: 0; color: #333;">💡 Quality Assurance</h3>
+              <p style="margin: 0; color: #555; line-height: 1.6;">
+                Your order has passed our quality control checks and is ready for dispatch. We ensure all parts meet our
+                high standards before shipping. Thank you for your patience during the production process!
+              </p>
+            </div>
+
+            <p style="margin-top: 30px; color: #555;">We're excited to deliver your order to you soon. Thank you for choosing 247 CutBend!</p>
+          </div>
+
+          <div style="background-color: #333; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 12px;">
+            <p style="margin: 0 0 5px 0;">© 2024 247 CutBend. All rights reserved.</p>
+            <p style="margin: 0; opacity: 0.8;">Delivering Factory Direct Quality Sheet Metal Parts Since 2005</p>
+          </div>
+        </div>
+      `
+  },
+
+  refund_status: {
+    name: 'Refund status',
+    description: 'New refund requests go to the back office, later updates to the customer',
+    source: 'order',
+    subject: '{{headline}} - {{order.orderNumber}}',
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: {{headerColor}}; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0;">{{headline}}</h1>
+            <p style="margin: 5px 0;">Order Number: {{order.orderNumber}}</p>
+          </div>
+
+          <div style="padding: 20px;">
+            <h3>Dear {{#if toBackOffice}}Team{{else}}{{customer.firstName}}{{/if}},</h3>
+            <p>{{#if toBackOffice}}A refund of ₹{{refund.amount}} has been requested for order {{order.orderNumber}} and is awaiting approval.{{else}}Your refund request of ₹{{refund.amount}} for order {{order.orderNumber}} is now <strong>{{refund.status}}</strong>.{{/if}}</p>
+
+            <p style="background-color: #f0f8ff; padding: 15px; border-left: 4px solid #2196F3;">
+              <strong>Reason:</strong> {{refund.reason}}
+              {{#if refund.reviewNotes}}<br><strong>Review notes:</strong> {{refund.reviewNotes}}{{/if}}
+              {{#if refund.failureReason}}<br><strong>Error:</strong> {{refund.failureReason}}{{/if}}
+            </p>
+
+            {{#if refund.items}}
+            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+              <thead>
+                <tr style="background-color: #f5f5f5;">
+                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Part</th>
+                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Quantity</th>
+                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {{#each refund.items}}
+                  <tr>
+                    <td style="border: 1px solid #ddd; padding: 8px;">{{part}}</td>
+                    <td style="border: 1px solid #ddd; padding: 8px;">{{quantity}}</td>
+                    <td style="border: 1px solid #ddd; padding: 8px;">₹{{amount}}</td>
+                  </tr>
+                {{/each}}
+              </tbody>
+            </table>
+            {{/if}}
+
+            {{#if refund.creditNoteNumber}}
+            <p>Credit note <strong>{{refund.creditNoteNumber}}</strong> has been issued. It may take 5-7 working days for the refund to reflect in your account.</p>
+            {{/if}}
+
+            <p style="margin-top: 30px;">Please log in to your account to view the refund details.</p>
+          </div>
+        </div>
+      `
+  },
+
+  order_change_request: {
+    name: 'Cancellation / change request',
+    description: 'New requests go to the back office, decisions to the customer',
+    source: 'order',
+    subject: '{{headline}} - {{order.orderNumber}}',
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: {{headerColor}}; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0;">{{headline}}</h1>
+            <p style="margin: 5px 0;">Order Number: {{order.orderNumber}}</p>
+          </div>
+
+          <div style="padding: 20px;">
+            <h3>Dear {{#if toBackOffice}}Team{{else}}{{customer.firstName}}{{/if}},</h3>
+            <p>{{#if toBackOffice}}A {{request.label}} request has been raised for order {{order.orderNumber}} and is awaiting review.{{else}}Your {{request.label}} request for order {{order.orderNumber}} is now <strong>{{request.status}}</strong>.{{/if}}</p>
+
+            <p style="background-color: #f0f8ff; padding: 15px; border-left: 4px solid #2196F3;">
+              <strong>Reason:</strong> {{request.reason}}
+              {{#if request.reviewNotes}}<br><strong>Review notes:</strong> {{request.reviewNotes}}{{/if}}
+            </p>
+
+            {{#if request.cancellationFee}}
+            <p><strong>Cancellation fee:</strong> ₹{{request.cancellationFee.amount}} ({{request.cancellationFee.percent}}% of the order total)</p>
+            {{/if}}
+
+            {{#if request.parts}}
+            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+              <thead>
+                <tr style="background-color: #f5f5f5;">
+                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Part</th>
+                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">Current Quantity</th>
+                  <th style="border: 1px solid #ddd; padding: 8px; text-align: left;">New Quantity</th>
+                </tr>
+              </thead>
+              <tbody>
+                {{#each request.parts}}
+                  <tr>
+                    <td style="border: 1px solid #ddd; padding: 8px;">{{partRef}}</td>
+                    <td style="border: 1px solid #ddd; padding: 8px;">{{previousQuantity}}</td>
+                    <td style="border: 1px solid #ddd; padding: 8px;">{{quantity}}</td>
+                  </tr>
+                {{/each}}
+              </tbody>
+            </table>
+            {{/if}}
+
+            {{#if request.expectedDeliveryDate}}<p><strong>Expected delivery:</strong> {{request.expectedDeliveryDate}}</p>{{/if}}
+
+            {{#if request.additionalPayment}}
+            <p>The order total is now ₹{{request.additionalPayment.newTotal}}. An additional ₹{{request.additionalPayment.amountDelta}} is payable.</p>
+            {{/if}}
+            {{#if request.refundRaised}}
+            <p>A refund has been raised for the amount paid in excess and will be processed shortly.</p>
+            {{/if}}
+
+            <p style="margin-top: 30px;">Please log in to your account to view the order details.</p>
+          </div>
+        </div>
+      `
+  },
+
+  delivery_time_update: {
+    name: 'Delivery time updated',
+    description: 'Sent to the customer when the estimated delivery changes',
+    source: 'order',
+    subject: 'Delivery Time Updated - {{order.orderNumber}}',
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #FF9800; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0;">247 CUTBEND</h1>
+            <h2 style="margin: 10px 0;">Delivery Time Updated</h2>
+            <p style="margin: 5px 0;">Order Number: {{order.orderNumber}}</p>
+          </div>
+
+          <div style="padding: 20px;">
+            <h3>Dear {{customer.firstName}},</h3>
+            <p>We have updated the delivery time for your order. Here are the latest details:</p>
+
+            <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <h3 style="margin-top: 0;">Order Details:</h3>
+              <p><strong>Order Number:</strong> {{order.orderNumber}}</p>
+              <p><strong>Total Amount:</strong> {{order.currency}} ₹{{order.totalAmount}}</p>
+              <p><strong>Current Status:</strong> {{order.statusLabel}}</p>
+            </div>
+
+            <div style="background-color: #e8f5e8; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <h3 style="margin-top: 0;">Updated Delivery Information:</h3>
+              <p><strong>Estimated Delivery:</strong> {{production.estimatedCompletion}}</p>
+              <p><strong>Production Start Date:</strong> {{production.startDate}}</p>
+              <p><strong>Updated On:</strong> {{updatedOn}}</p>
+            </div>
+
+            <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <h3 style="margin-top: 0;">What's Next?</h3>
+              <ul>
+                <li>Your order is currently in production</li>
+                <li>We will keep you updated on any changes</li>
+                <li>You will receive a notification when it's ready for dispatch</li>
+                <li>Log in to your account to track order status</li>
+              </ul>
+            </div>
+
+            <p style="margin-top: 30px;">Please log in to your account to track your order.</p>
+
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+              <p style="font-size: 14px; color: #666;">
+                If you have any questions about the delivery time, please contact our support team.<br>
+                Thank you for choosing 247 CutBend for your sheet metal manufacturing needs.
+              </p>
+            </div>
+          </div>
+
+          <div style="background-color: #f5f5f5; padding: 20px; text-align: center; font-size: 12px; color: #666;">
+            <p>© 2024 247 CutBend. All rights reserved.</p>
+            <p>Sheet Metal Parts on Demand</p>
+          </div>
+        </div>
+      `
+  }
+};
+
+module.exports = {
+  DEFAULT_EMAIL_TEMPLATES
+};
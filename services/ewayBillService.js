@@ -0,0 +1,226 @@
+const { getStateCode, getTaxSettings } = require('./taxService');
+
+const roundCurrency = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Version of the NIC e-way bill bulk-upload JSON schema we produce
+const EWAY_BILL_JSON_VERSION = '1.0.0621';
+
+// Bulk-upload codes for transport mode
+const TRANSPORT_MODE_CODES = {
+  road: 1,
+  rail: 2,
+  air: 3,
+  ship: 4
+};
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+// Transporter IDs are a GSTIN or a 15-character TRANSIN
+const TRANSPORTER_ID_PATTERN = /^[0-9A-Z]{15}$/;
+// e.g. MH12AB1234, KA01A1234, DL1CAB1234 (spaces and dashes are stripped first)
+const VEHICLE_NUMBER_PATTERN = /^[A-Z]{2}\d{1,2}[A-Z]{0,3}\d{4}$/;
+
+const normalizeVehicleNumber = (value) => (value || '').toString().replace(/[\s-]/g, '').toUpperCase();
+
+const formatDocDate = (date) => {
+  const value = new Date(date);
+  const pad = (n) => n.toString().padStart(2, '0');
+  return `${pad(value.getDate())}/${pad(value.getMonth() + 1)}/${value.getFullYear()}`;
+};
+
+/**
+ * Value and GST of `quantity` units of an order part, pro-rated from the
+ * order's tax lines (which follow the order of order.parts).
+ */
+const getItemTax = (order, partId, quantity) => {
+  const index = order.parts.findIndex(part => part._id.toString() === partId.toString());
+  const part = order.parts[index] || {};
+  const taxLine = index >= 0 && order.tax && order.tax.lines ? order.tax.lines[index] : null;
+
+  if (!taxLine || !taxLine.quantity) {
+    const total = roundCurrency((part.unitPrice || 0) * quantity);
+    return { hsnCode: '', gstRate: 0, taxableValue: total, cgstAmount: 0, sgstAmount: 0, igstAmount: 0, totalAmount: total };
+  }
+
+  const ratio = quantity / taxLine.quantity;
+  return {
+    hsnCode: taxLine.hsnCode,
+    gstRate: taxLine.gstRate,
+    taxableValue: roundCurrency(taxLine.taxableValue * ratio),
+    cgstAmount: roundCurrency(taxLine.cgstAmount * ratio),
+    sgstAmount: roundCurrency(taxLine.sgstAmount * ratio),
+    igstAmount: roundCurrency(taxLine.igstAmount * ratio),
+    totalAmount: roundCurrency(taxLine.totalAmount * ratio)
+  };
+};
+
+// Consignment value incl. GST for shipment items ({ part, quantity })
+const getConsignmentValue = (order, items) =>
+  roundCurrency(items.reduce((sum, item) => sum + getItemTax(order, item.part, item.quantity).totalAmount, 0));
+
+// Fields the e-way bill needs; returns a list of problems (empty when complete)
+const getEwayBillErrors = (order, items, transport = {}, taxSettings = {}) => {
+  const errors = [];
+  const address = order.deliveryAddress || {};
+
+  if (!GSTIN_PATTERN.test(taxSettings.companyGstin || '')) {
+    errors.push('Company GSTIN is not set in tax settings');
+  }
+  if (!/^\d{6}$/.test(taxSettings.companyPincode || '')) {
+    errors.push('Company pincode is not set in tax settings');
+  }
+  if (!getStateCode(taxSettings.companyStateCode || taxSettings.companyState)) {
+    errors.push('Company state is not set in tax settings');
+  }
+  if (!/^\d{6}$/.test(address.zipCode || '')) {
+    errors.push('Delivery address needs a six-digit pincode');
+  }
+  if (!getStateCode(address.state) && !(order.tax && order.tax.placeOfSupplyCode)) {
+    errors.push('Delivery address state is not a recognised GST state');
+  }
+  items.forEach(item => {
+    if (!getItemTax(order, item.part, item.quantity).hsnCode) {
+      errors.push(`HSN code missing for ${item.partRef || item.partName || item.part}`);
+    }
+  });
+
+  const mode = transport.mode || 'road';
+  const vehicleNumber = normalizeVehicleNumber(transport.vehicleNumber);
+  if (transport.transporterId && !TRANSPORTER_ID_PATTERN.test(transport.transporterId.toUpperCase())) {
+    errors.push('Transporter ID must be a 15-character GSTIN or TRANSIN');
+  }
+  if (mode === 'road') {
+    if (!vehicleNumber && !transport.transporterId) {
+      errors.push('Vehicle number or transporter ID is required');
+    }
+    if (vehicleNumber && !VEHICLE_NUMBER_PATTERN.test(vehicleNumber)) {
+      errors.push(`Invalid vehicle number ${transport.vehicleNumber}`);
+    }
+  } else if (!transport.transportDocNumber || !transport.transportDocDate) {
+    errors.push(`Transport document number and date are required for ${mode} transport`);
+  }
+
+  return errors;
+};
+
+/**
+ * Work out whether a consignment needs an e-way bill and, if so, whether the
+ * details are complete. Returns { value, required, errors }.
+ */
+const checkShipmentEwayBill = async (order, items, transport) => {
+  const taxSettings = await getTaxSettings();
+  const threshold = taxSettings.ewayBillThreshold !== undefined ? taxSettings.ewayBillThreshold : 50000;
+  const value = getConsignmentValue(order, items);
+  const required = value > threshold;
+
+  return {
+    value,
+    required,
+    errors: required ? getEwayBillErrors(order, items, transport, taxSettings) : []
+  };
+};
+
+// One bill in the bulk-upload format for a shipment
+const buildBill = (order, shipment, taxSettings, { singleConsignment }) => {
+  const customer = order.customer || {};
+  const address = order.deliveryAddress || {};
+  const transport = shipment.transport || {};
+  const fromStateCode = parseInt(getStateCode(taxSettings.companyStateCode || taxSettings.companyState), 10) || 0;
+  const toStateCode = parseInt(getStateCode(address.state) || (order.tax && order.tax.placeOfSupplyCode), 10) || 0;
+  const useInvoice = singleConsignment && order.invoice && order.invoice.invoiceNumber;
+
+  const lines = shipment.items.map(item => ({ item, tax: getItemTax(order, item.part, item.quantity) }));
+  const sum = (field) => roundCurrency(lines.reduce((total, line) => total + line.tax[field], 0));
+  const mainLine = lines.reduce((max, line) => (!max || line.tax.taxableValue > max.tax.taxableValue ? line : max), null);
+
+  return {
+    userGstin: taxSettings.companyGstin,
+    supplyType: 'O',
+    subSupplyType: useInvoice ? 1 : 8,
+    subSupplyDesc: useInvoice ? '' : 'Supply in multiple consignments',
+    docType: useInvoice ? 'INV' : 'CHL',
+    docNo: useInvoice ? order.invoice.invoiceNumber : `DC-${shipment.shipmentNumber}`,
+    docDate: formatDocDate(useInvoice ? order.invoice.invoiceDate : shipment.dispatchedAt),
+    transType: 1,
+    fromGstin: taxSettings.companyGstin,
+    fromTrdName: taxSettings.companyLegalName,
+    fromAddr1: taxSettings.companyAddress,
+    fromAddr2: '',
+    fromPlace: taxSettings.companyCity,
+    fromPincode: parseInt(taxSettings.companyPincode, 10) || 0,
+    fromStateCode,
+    actualFromStateCode: fromStateCode,
+    toGstin: (order.tax && order.tax.customerGstin) || 'URP',
+    toTrdName: customer.companyName || `${customer.firstName || ''} ${customer.lastName || ''}`.trim(),
+    toAddr1: address.street || '',
+    toAddr2: '',
+    toPlace: address.city || '',
+    toPincode: parseInt(address.zipCode, 10) || 0,
+    toStateCode,
+    actualToStateCode: toStateCode,
+    totalValue: sum('taxableValue'),
+    cgstValue: sum('cgstAmount'),
+    sgstValue: sum('sgstAmount'),
+    igstValue: sum('igstAmount'),
+    cessValue: 0,
+    TotNonAdvolVal: 0,
+    OthValue: 0,
+    totInvValue: sum('totalAmount'),
+    transMode: TRANSPORT_MODE_CODES[transport.mode] || TRANSPORT_MODE_CODES.road,
+    transDistance: Math.round(transport.distanceKm || 0),
+    transporterName: transport.transporterName || shipment.courier || '',
+    transporterId: transport.transporterId || '',
+    transDocNo: transport.transportDocNumber || '',
+    transDocDate: transport.transportDocDate ? formatDocDate(transport.transportDocDate) : '',
+    vehicleNo: normalizeVehicleNumber(transport.vehicleNumber),
+    vehicleType: transport.vehicleType === 'odc' ? 'O' : 'R',
+    mainHsnCode: mainLine ? parseInt(mainLine.tax.hsnCode, 10) || 0 : 0,
+    itemList: lines.map(({ item, tax }, index) => ({
+      itemNo: index + 1,
+      productName: item.partName || item.partRef || 'Sheet metal part',
+      productDesc: [item.material, item.thickness ? `${item.thickness}mm` : ''].filter(Boolean).join(' '),
+      hsnCode: parseInt(tax.hsnCode, 10) || 0,
+      quantity: item.quantity,
+      qtyUnit: 'NOS',
+      taxableAmount: tax.taxableValue,
+      sgstRate: tax.sgstAmount ? tax.gstRate / 2 : 0,
+      cgstRate: tax.cgstAmount ? tax.gstRate / 2 : 0,
+      igstRate: tax.igstAmount ? tax.gstRate : 0,
+      cessRate: 0,
+      cessNonAdvol: 0
+    }))
+  };
+};
+
+/**
+ * E-way bill bulk-upload JSON for the given shipments of an order.
+ * Returns { success, data } or { success: false, message, errors }.
+ */
+const buildEwayBillJson = async (order, shipments, totalShipments = shipments.length) => {
+  const taxSettings = await getTaxSettings();
+
+  const errors = [];
+  shipments.forEach(shipment => {
+    getEwayBillErrors(order, shipment.items, shipment.transport, taxSettings)
+      .forEach(error => errors.push(`${shipment.shipmentNumber}: ${error}`));
+  });
+  if (errors.length > 0) {
+    return { success: false, message: 'E-way bill details are incomplete', errors };
+  }
+
+  const singleConsignment = totalShipments === 1 && order.getUndispatchedParts().length === 0;
+  return {
+    success: true,
+    data: {
+      version: EWAY_BILL_JSON_VERSION,
+      billLists: shipments.map(shipment => buildBill(order, shipment, taxSettings, { singleConsignment }))
+    }
+  };
+};
+
+module.exports = {
+  TRANSPORT_MODE_CODES,
+  normalizeVehicleNumber,
+  getConsignmentValue,
+  checkShipmentEwayBill,
+  buildEwayBillJson
+};
@@ -0,0 +1,176 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+// How often the worker looks for due jobs (JOB_QUEUE_POLL_INTERVAL_MS, default 5 seconds)
+const getPollInterval = () => parseInt(process.env.JOB_QUEUE_POLL_INTERVAL_MS) || 5000;
+
+// First retry delay, doubled on every further attempt (JOB_RETRY_BASE_MS, default 30 seconds)
+const getRetryBase = () => parseInt(process.env.JOB_RETRY_BASE_MS) || 30 * 1000;
+
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Jobs stuck in processing longer than this (e.g. the server restarted mid-job) are picked up again
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Jobs handled per pass so one busy pass can't hold the worker forever
+const BATCH_SIZE = 50;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+
+let timer = null;
+let isRunning = false;
+
+const registerHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+const getRetryDelay = (attempts) => Math.min(getRetryBase() * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_MS);
+
+/**
+ * Add a job to the queue. Options: maxAttempts, delayMs.
+ * The worker is nudged so jobs added while it is idle don't wait a full interval.
+ */
+const enqueue = async (type, payload = {}, { maxAttempts = 5, delayMs = 0 } = {}) => {
+  const job = await Job.create({
+    type,
+    payload,
+    maxAttempts,
+    runAt: new Date(Date.now() + delayMs)
+  });
+
+  if (timer && !delayMs) {
+    setImmediate(processJobs);
+  }
+  return job;
+};
+
+// Atomically take the next due job
+const claimNextJob = () => Job.findOneAndUpdate(
+  { status: 'queued', runAt: { $lte: new Date() } },
+  { $set: { status: 'processing', lockedAt: new Date(), lockedBy: WORKER_ID }, $inc: { attempts: 1 } },
+  { sort: { runAt: 1, _id: 1 }, new: true }
+);
+
+// Jobs left locked by a worker that died are retried, unless they have used up their attempts
+const releaseStaleJobs = async () => {
+  const stale = { status: 'processing', lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } };
+  const unlock = { lockedAt: '', lockedBy: '' };
+
+  const { modifiedCount } = await Job.updateMany(
+    { ...stale, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+    { $set: { status: 'dead', deadAt: new Date(), lastError: 'Worker lock expired' }, $unset: unlock }
+  );
+  if (modifiedCount > 0) {
+    console.error(`💀 ${modifiedCount} stale job(s) failed permanently after their last attempt`);
+  }
+
+  await Job.updateMany(
+    { ...stale, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+    { $set: { status: 'queued', runAt: new Date() }, $unset: unlock }
+  );
+};
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type ${job.type}`);
+    }
+    const result = await handler(job.payload, job);
+
+    job.status = 'completed';
+    job.result = result;
+    job.completedAt = new Date();
+  } catch (error) {
+    const dead = !handler || job.attempts >= job.maxAttempts;
+    job.lastError = error.message;
+    job.failures.push({ attempt: job.attempts, error: error.message, failedAt: new Date() });
+
+    if (dead) {
+      job.status = 'dead';
+      job.deadAt = new Date();
+      console.error(`💀 Job ${job.type} ${job._id} failed permanently after ${job.attempts} attempt(s):`, error.message);
+    } else {
+      job.status = 'queued';
+      job.runAt = new Date(Date.now() + getRetryDelay(job.attempts));
+      console.warn(`Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying at ${job.runAt.toISOString()}:`, error.message);
+    }
+  }
+
+  job.lockedAt = undefined;
+  job.lockedBy = undefined;
+  await job.save();
+};
+
+// Run one pass of the worker
+const processJobs = async () => {
+  if (isRunning) {
+    return { skipped: true };
+  }
+
+  isRunning = true;
+  try {
+    await releaseStaleJobs();
+
+    let processed = 0;
+    while (processed < BATCH_SIZE) {
+      const job = await claimNextJob();
+      if (!job) {
+        break;
+      }
+      await runJob(job);
+      processed++;
+    }
+    return { processed };
+  } catch (error) {
+    console.error('Job queue pass failed:', error);
+    return { error: error.message };
+  } finally {
+    isRunning = false;
+  }
+};
+
+// Put a dead job back on the queue with a fresh set of attempts
+const retryJob = async (jobId) => {
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: 'dead' },
+    { $set: { status: 'queued', attempts: 0, runAt: new Date() }, $unset: { deadAt: '' } },
+    { new: true }
+  );
+
+  if (job && timer) {
+    setImmediate(processJobs);
+  }
+  return job;
+};
+
+// Start the worker (runs once immediately, then on an interval)
+const start = () => {
+  if (timer) {
+    return;
+  }
+  const interval = getPollInterval();
+  timer = setInterval(processJobs, interval);
+  timer.unref();
+  setImmediate(processJobs);
+  console.log(`📬 Job queue worker ${WORKER_ID} polling every ${Math.round(interval / 1000)} second(s)`);
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  processJobs,
+  retryJob,
+  start,
+  stop
+};
@@ -0,0 +1,301 @@
+const NotificationPreference = require('../models/NotificationPreference');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { queueMessage } = require('./backgroundJobs');
+const websocketService = require('./websocketService');
+
+const NOTIFICATION_CHANNELS = ['email', 'sms', 'inApp', 'websocket'];
+
+const ALL_CHANNELS = { email: true, sms: true, inApp: true, websocket: true };
+const LIVE_CHANNELS = { inApp: true, websocket: true };
+
+// Events a user can switch on/off, with the channels that reach a user for each and their defaults.
+// `type` is the Notification type stored for the event's WebSocket messages (default 'info').
+// `ignoresQuietHours` events are security alerts that must not wait until morning.
+const NOTIFICATION_EVENTS = {
+  account_login: { label: 'Login alerts', ignoresQuietHours: true, defaults: { email: true } },
+  account_created: { label: 'Welcome email', defaults: { email: true } },
+  inquiry_submitted: { label: 'Inquiry submitted', defaults: { email: true, ...LIVE_CHANNELS } },
+  quotation_ready: { label: 'Quotation ready', defaults: ALL_CHANNELS },
+  quotation_expiring: { label: 'Quotation expiry reminders', type: 'warning', defaults: ALL_CHANNELS },
+  quotation_expired: { label: 'Quotation expired', type: 'warning', defaults: LIVE_CHANNELS },
+  requote_requested: { label: 'Re-quote requested', defaults: LIVE_CHANNELS },
+  quotation_negotiation: { label: 'Quotation negotiation messages', defaults: { email: true, ...LIVE_CHANNELS } },
+  order_created: { label: 'Order placed', type: 'success', defaults: LIVE_CHANNELS },
+  order_status: { label: 'Order status changes', defaults: ALL_CHANNELS },
+  production_progress: { label: 'Production progress', defaults: LIVE_CHANNELS },
+  order_dispatched: { label: 'Order dispatched', type: 'success', defaults: ALL_CHANNELS },
+  tracking_update: { label: 'Shipment tracking updates', defaults: LIVE_CHANNELS },
+  order_delivered: { label: 'Order delivered', type: 'success', defaults: ALL_CHANNELS },
+  payment_received: { label: 'Payment received', type: 'success', defaults: { email: true, ...LIVE_CHANNELS } },
+  payment_failed: { label: 'Payment failed', type: 'error', defaults: LIVE_CHANNELS },
+  refund_update: { label: 'Refund updates', defaults: { email: true, ...LIVE_CHANNELS } },
+  order_change_request: { label: 'Order change requests', defaults: { email: true, ...LIVE_CHANNELS } },
+  cod_collection_pending: { label: 'Cash on delivery collection pending', type: 'warning', defaults: LIVE_CHANNELS }
+};
+
+const DEFAULT_QUIET_HOURS = { enabled: false, start: '22:00', end: '07:00', timezone: 'Asia/Kolkata' };
+
+const toId = (user) => (user ? String(user._id || user) : null);
+
+const loadPreferences = async (userIds) => {
+  const ids = [...new Set(userIds.filter(Boolean).map(String))];
+  if (ids.length === 0) {
+    return new Map();
+  }
+  const preferences = await NotificationPreference.find({ userId: { $in: ids } }).lean();
+  return new Map(preferences.map(preference => [String(preference.userId), preference]));
+};
+
+const getUserPreference = async (userId) => (await loadPreferences([userId])).get(String(userId)) || null;
+
+// `preference` is null for users who never saved any. Channels an event doesn't list stay off
+const isChannelEnabled = (preference, event, channel) => {
+  if (preference && preference.channels && preference.channels[channel] === false) {
+    return false;
+  }
+  const override = preference && preference.events && preference.events[event] && preference.events[event][channel];
+  if (typeof override === 'boolean') {
+    return override;
+  }
+  const definition = NOTIFICATION_EVENTS[event];
+  return !definition || definition.defaults[channel] === true;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Milliseconds until the user's quiet hours end, or 0 outside them; windows may cross midnight
+const getQuietHoursDelay = (quietHours, now = new Date()) => {
+  if (!quietHours || !quietHours.enabled) {
+    return 0;
+  }
+
+  let current;
+  try {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: quietHours.timezone || DEFAULT_QUIET_HOURS.timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+    const part = (type) => Number(parts.find(p => p.type === type).value);
+    current = part('hour') * 60 + part('minute');
+  } catch (error) {
+    console.error('Invalid quiet hours timezone:', quietHours.timezone);
+    return 0;
+  }
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const inside = start < end
+    ? current >= start && current < end
+    : start > end && (current >= start || current < end);
+  if (!inside) {
+    return 0;
+  }
+
+  const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+  return Math.max(minutesLeft * 60 * 1000 - now.getSeconds() * 1000 - now.getMilliseconds(), 0);
+};
+
+// WebSocket messages fan out by role, so each connected user's own preferences decide.
+// Returns the audience the message was addressed to.
+const sendWebSocket = async (event, [method, ...args]) => {
+  const connectedIds = websocketService.getConnectedUserIds();
+  const preferences = await loadPreferences(connectedIds);
+  const allowed = connectedIds.filter(id => isChannelEnabled(preferences.get(id) || null, event, 'websocket'));
+  return websocketService.runNotification(() => websocketService[method](...args), allowed, event);
+};
+
+const RELATED_ENTITY_KEYS = [['quotationId', 'quotation'], ['orderId', 'order'], ['inquiryId', 'inquiry']];
+
+// Stored copy of a WebSocket message, linked to the record it is about
+const toNotification = (event, message) => {
+  const data = message.data || {};
+  const related = RELATED_ENTITY_KEYS.find(([key]) => data[key]);
+  return {
+    title: message.title,
+    message: message.message,
+    type: (NOTIFICATION_EVENTS[event] && NOTIFICATION_EVENTS[event].type) || 'info',
+    relatedEntity: related ? { type: related[1], entityId: data[related[0]] } : undefined,
+    metadata: { ...data, category: message.category }
+  };
+};
+
+// userId -> message for everyone a WebSocket message was addressed to, including users offline
+const resolveAudience = async (audience) => {
+  const roles = [...new Set(audience.filter(target => target.role).map(target => target.role))];
+  const roleUsers = roles.length > 0
+    ? await User.find({ role: { $in: roles }, isActive: true }).select('_id role').lean()
+    : [];
+
+  const recipients = new Map();
+  for (const target of audience) {
+    const userIds = target.role
+      ? roleUsers.filter(user => user.role === target.role).map(user => String(user._id))
+      : [toId(target.userId)];
+    userIds.filter(userId => userId && !recipients.has(userId))
+      .forEach(userId => recipients.set(userId, target.message));
+  }
+  return recipients;
+};
+
+// Explicit in-app notifications, plus a stored copy of the WebSocket message for everyone
+// else it was addressed to, so the event is still in their list after they reconnect
+const storeNotifications = async (event, inApp, audience, recipientId) => {
+  const notifications = [].concat(inApp || [])
+    .map(notification => ({ ...notification, event, userId: toId(notification.userId) || recipientId }))
+    .filter(notification => notification.userId);
+
+  const notified = new Set(notifications.map(notification => notification.userId));
+  const addressed = await resolveAudience(audience);
+  addressed.forEach((message, userId) => {
+    if (!notified.has(userId)) {
+      notifications.push({ ...toNotification(event, message), event, userId });
+    }
+  });
+  if (notifications.length === 0) {
+    return;
+  }
+
+  const preferences = await loadPreferences(notifications.map(notification => notification.userId));
+  const allowed = notifications.filter(notification =>
+    isChannelEnabled(preferences.get(notification.userId) || null, event, 'inApp'));
+  if (allowed.length > 0) {
+    await Notification.insertMany(allowed);
+  }
+};
+
+// One failing channel must not stop the others
+const deliver = async (event, channel, send) => {
+  try {
+    await send();
+  } catch (error) {
+    console.error(`Failed to send ${event} ${channel} notification:`, error);
+  }
+};
+
+/**
+ * Send one lifecycle event on every channel given, subject to the recipient's preferences:
+ *
+ *   notify('order_dispatched', {
+ *     recipient: order.customer,                          // user (id or document) the email/SMS is for
+ *     email: ['sendDispatchNotification', order],         // emailService function and arguments
+ *     sms: ['sendDispatchNotificationSMS', order, user],  // smsService function and arguments
+ *     inApp: { title, message, type, relatedEntity },     // Notification fields (or an array of them);
+ *                                                         // userId defaults to the recipient
+ *     websocket: ['notifyDispatchUpdate', order]          // websocketService method and arguments
+ *   });
+ *
+ * Without a recipient, email and SMS go out unconditionally (back-office mailbox/phone).
+ * Email and SMS are queued, and held until quiet hours end unless the event ignores them.
+ * Users a WebSocket message is addressed to without an `inApp` entry get the message
+ * stored as their notification.
+ * Never throws.
+ */
+const notify = async (event, { recipient = null, email, sms, inApp, websocket } = {}) => {
+  const recipientId = toId(recipient);
+
+  let preference = null;
+  if (recipientId) {
+    try {
+      preference = await getUserPreference(recipientId);
+    } catch (error) {
+      console.error('Failed to load notification preferences:', error);
+    }
+  }
+  const recipientAllows = (channel) => !recipientId || isChannelEnabled(preference, event, channel);
+  const definition = NOTIFICATION_EVENTS[event];
+  const delayMs = preference && !(definition && definition.ignoresQuietHours) ? getQuietHoursDelay(preference.quietHours) : 0;
+
+  if (email && recipientAllows('email')) {
+    await deliver(event, 'email', () => queueMessage('email', email[0], email.slice(1), { delayMs }));
+  }
+  if (sms && recipientAllows('sms')) {
+    await deliver(event, 'sms', () => queueMessage('sms', sms[0], sms.slice(1), { delayMs }));
+  }
+
+  let audience = [];
+  if (websocket) {
+    await deliver(event, 'websocket', async () => {
+      audience = await sendWebSocket(event, websocket);
+    });
+  }
+  await deliver(event, 'inApp', () => storeNotifications(event, inApp, audience, recipientId));
+};
+
+const formatPreferences = (preference) => {
+  const channels = (preference && preference.channels) || {};
+  const events = (preference && preference.events) || {};
+
+  return {
+    channels: Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [channel, channels[channel] !== false])),
+    quietHours: { ...DEFAULT_QUIET_HOURS, ...((preference && preference.quietHours) || {}) },
+    events: Object.entries(NOTIFICATION_EVENTS).map(([key, { label, defaults }]) => ({
+      key,
+      label,
+      channels: Object.fromEntries(Object.keys(defaults).map(channel => {
+        const override = events[key] && events[key][channel];
+        return [channel, typeof override === 'boolean' ? override : defaults[channel]];
+      }))
+    }))
+  };
+};
+
+const getPreferences = async (userId) => {
+  const preference = await NotificationPreference.findOne({ userId }).lean();
+  return formatPreferences(preference);
+};
+
+// Partial update: only the channels, events and quiet hours fields given are changed
+const updatePreferences = async (userId, { channels = {}, events = {}, quietHours = {} } = {}) => {
+  const update = {};
+
+  for (const [channel, enabled] of Object.entries(channels)) {
+    if (!NOTIFICATION_CHANNELS.includes(channel)) {
+      return { success: false, message: `Unknown notification channel ${channel}` };
+    }
+    update[`channels.${channel}`] = enabled;
+  }
+
+  for (const [event, toggles] of Object.entries(events)) {
+    const definition = NOTIFICATION_EVENTS[event];
+    if (!definition) {
+      return { success: false, message: `Unknown notification event ${event}` };
+    }
+    for (const [channel, enabled] of Object.entries(toggles || {})) {
+      if (!(channel in definition.defaults)) {
+        return { success: false, message: `${definition.label} notifications are not sent by ${channel}` };
+      }
+      update[`events.${event}.${channel}`] = enabled;
+    }
+  }
+
+  for (const field of Object.keys(DEFAULT_QUIET_HOURS)) {
+    if (quietHours[field] !== undefined) {
+      update[`quietHours.${field}`] = quietHours[field];
+    }
+  }
+
+  const preference = await NotificationPreference.findOneAndUpdate(
+    { userId },
+    { $set: update },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  return { success: true, preferences: formatPreferences(preference) };
+};
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_EVENTS,
+  notify,
+  getUserPreference,
+  isChannelEnabled,
+  getPreferences,
+  updatePreferences,
+  getQuietHoursDelay
+};
@@ -0,0 +1,287 @@
+const OrderChangeRequest = require('../models/OrderChangeRequest');
+const Settings = require('../models/Settings');
+const { calculateOrderTax, getTaxSettings } = require('./taxService');
+const { getRefundableAmount, createRefundRequest } = require('./refundService');
+const { checkStatusTransition } = require('./orderStatusService');
+
+const roundCurrency = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Orders that have not left the factory can still be cancelled
+const CANCELLABLE_STATUSES = ['pending', 'confirmed', 'in_production', 'ready_for_dispatch'];
+// Quantities are locked once production starts; address and date until dispatch
+const QUANTITY_CHANGE_STATUSES = ['pending', 'confirmed'];
+const CHANGEABLE_STATUSES = ['pending', 'confirmed', 'in_production', 'ready_for_dispatch'];
+
+// Cancellation fee for the order's current status, from Settings.cancellationFees
+const getCancellationFee = async (order) => {
+  const settings = await Settings.getSettings();
+  const fee = (settings.cancellationFees || []).find(entry => entry.status === order.status);
+  const percent = fee ? fee.percent : 0;
+
+  return {
+    percent,
+    amount: roundCurrency((order.totalAmount || 0) * percent / 100)
+  };
+};
+
+// Customer, back office and admin notifications for a request status change
+const notifyOrderChangeRequest = async (changeRequest, order) => {
+  const label = changeRequest.type === 'cancellation' ? 'Cancellation' : 'Change';
+  const titles = {
+    requested: `${label} Request Received`,
+    approved: `${label} Request Approved`,
+    rejected: `${label} Request Declined`,
+    withdrawn: `${label} Request Withdrawn`
+  };
+
+  const { notify } = require('./notificationDispatcher');
+  await notify('order_change_request', {
+    // New requests are emailed to the back office, decisions to the customer
+    recipient: changeRequest.status === 'requested' ? null : order.customer,
+    email: ['sendOrderChangeRequestEmail', changeRequest, order],
+    inApp: {
+      title: titles[changeRequest.status] || `${label} Request Update`,
+      message: `Your ${label.toLowerCase()} request for order ${order.orderNumber} is ${changeRequest.status}.`,
+      type: changeRequest.status === 'rejected' ? 'warning' : changeRequest.status === 'approved' ? 'success' : 'info',
+      userId: order.customer?._id || order.customer,
+      relatedEntity: {
+        type: 'order',
+        entityId: order._id
+      },
+      metadata: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        changeRequestId: changeRequest._id,
+        requestType: changeRequest.type,
+        status: changeRequest.status,
+        amountDelta: changeRequest.amountDelta
+      }
+    },
+    websocket: ['notifyOrderChangeRequest', order, changeRequest]
+  });
+};
+
+/**
+ * Raise a cancellation or change request against an order. Returns
+ * { success, changeRequest } or { success: false, statusCode, message }.
+ */
+const createOrderChangeRequest = async (order, { type, reason, parts, deliveryAddress, expectedDeliveryDate }, { userId }) => {
+  const open = await OrderChangeRequest.exists({ order: order._id, status: 'requested' });
+  if (open) {
+    return { success: false, statusCode: 409, message: 'This order already has a request awaiting review' };
+  }
+
+  const changeRequest = new OrderChangeRequest({
+    order: order._id,
+    customer: order.customer?._id || order.customer,
+    requestedBy: userId,
+    type,
+    reason,
+    orderStatus: order.status,
+    previousTotal: order.totalAmount
+  });
+
+  if (type === 'cancellation') {
+    if (!CANCELLABLE_STATUSES.includes(order.status)) {
+      return { success: false, statusCode: 409, message: `Order ${order.orderNumber} is ${order.status} and can no longer be cancelled` };
+    }
+    changeRequest.cancellationFee = await getCancellationFee(order);
+  } else {
+    if (!CHANGEABLE_STATUSES.includes(order.status)) {
+      return { success: false, statusCode: 409, message: `Order ${order.orderNumber} is ${order.status} and can no longer be changed` };
+    }
+
+    const partChanges = [];
+    for (const requested of parts || []) {
+      const part = order.parts.id(requested.partId);
+      if (!part) {
+        return { success: false, statusCode: 400, message: `Part ${requested.partId} is not on this order` };
+      }
+      if (parseInt(requested.quantity, 10) !== part.quantity) {
+        partChanges.push({
+          part: part._id,
+          partRef: part.partRef || part.partName,
+          previousQuantity: part.quantity,
+          quantity: parseInt(requested.quantity, 10)
+        });
+      }
+    }
+    if (partChanges.length > 0 && !QUANTITY_CHANGE_STATUSES.includes(order.status)) {
+      return { success: false, statusCode: 409, message: 'Quantities cannot be changed once production has started' };
+    }
+    if (partChanges.length === 0 && !deliveryAddress && !expectedDeliveryDate) {
+      return { success: false, statusCode: 400, message: 'No changes requested' };
+    }
+
+    changeRequest.changes = {
+      parts: partChanges,
+      deliveryAddress: deliveryAddress || undefined,
+      expectedDeliveryDate: expectedDeliveryDate ? new Date(expectedDeliveryDate) : undefined
+    };
+  }
+
+  changeRequest.setStatus('requested', userId, reason);
+  await changeRequest.save();
+
+  return { success: true, changeRequest };
+};
+
+// Refund whatever the customer has paid beyond what they now owe
+const raiseRefund = async (changeRequest, order, owed, reason, { reviewerId, reviewerRole }) => {
+  const refundable = await getRefundableAmount(order);
+  const paid = roundCurrency((order.amountPaid || 0) - (order.payment.refundedAmount || 0));
+  const amount = Math.min(refundable, roundCurrency(paid - owed));
+  if (amount <= 0) {
+    return null;
+  }
+
+  const result = await createRefundRequest(order, { reason, amount }, { userId: reviewerId, userRole: reviewerRole });
+  if (!result.success) {
+    console.error(`Refund for ${changeRequest.type} request ${changeRequest._id} not raised:`, result.message);
+    return null;
+  }
+  changeRequest.refundRequest = result.refundRequest._id;
+  return result.refundRequest;
+};
+
+const approveCancellation = async (changeRequest, order, reviewer) => {
+  if (!CANCELLABLE_STATUSES.includes(order.status)) {
+    return { success: false, statusCode: 409, message: `Order ${order.orderNumber} is ${order.status} and can no longer be cancelled` };
+  }
+
+  const rejection = checkStatusTransition(order, 'cancelled', reviewer.reviewerRole);
+  if (rejection) {
+    return { success: false, ...rejection };
+  }
+
+  // Fee follows the stage the order has reached by the time it is approved
+  const fee = await getCancellationFee(order);
+  changeRequest.cancellationFee = fee;
+
+  order.status = 'cancelled';
+  order.cancellation = {
+    reason: changeRequest.reason,
+    feePercent: fee.percent,
+    feeAmount: fee.amount,
+    changeRequest: changeRequest._id,
+    cancelledBy: reviewer.reviewerId,
+    cancelledAt: new Date()
+  };
+  // Only an unpaid cancellation fee is still owed
+  order.balanceDue = Math.max(roundCurrency(fee.amount - (order.amountPaid || 0)), 0);
+  order.updatedAt = new Date();
+  await order.save();
+
+  const refundRequest = await raiseRefund(changeRequest, order, fee.amount, `Order cancelled: ${changeRequest.reason}`, reviewer);
+  return { success: true, refundRequest };
+};
+
+const approveChange = async (changeRequest, order, reviewer) => {
+  if (!CHANGEABLE_STATUSES.includes(order.status)) {
+    return { success: false, statusCode: 409, message: `Order ${order.orderNumber} is ${order.status} and can no longer be changed` };
+  }
+
+  const { parts, deliveryAddress, expectedDeliveryDate } = changeRequest.changes || {};
+  const summary = [];
+  let partsDelta = 0;
+
+  if (parts && parts.length > 0) {
+    if (!QUANTITY_CHANGE_STATUSES.includes(order.status)) {
+      return { success: false, statusCode: 409, message: 'Quantities cannot be changed once production has started' };
+    }
+    parts.forEach(change => {
+      const part = order.parts.id(change.part);
+      if (!part) return;
+      const totalPrice = roundCurrency((part.unitPrice || 0) * change.quantity);
+      partsDelta += totalPrice - (part.totalPrice || 0);
+      summary.push(`${change.partRef} quantity ${part.quantity} -> ${change.quantity}`);
+      part.quantity = change.quantity;
+      part.totalPrice = totalPrice;
+      part.modified = new Date();
+    });
+  }
+
+  if (deliveryAddress && Object.values(deliveryAddress).some(Boolean)) {
+    order.deliveryAddress = { ...(order.deliveryAddress || {}), ...deliveryAddress };
+    summary.push('delivery address updated');
+  }
+
+  if (expectedDeliveryDate) {
+    if (!order.production) {
+      order.production = {};
+    }
+    order.production.estimatedCompletion = expectedDeliveryDate;
+    summary.push(`expected delivery ${new Date(expectedDeliveryDate).toLocaleDateString()}`);
+  }
+
+  // Quantities and place of supply both feed the GST breakup
+  const previousTotal = order.totalAmount;
+  if (partsDelta !== 0 || deliveryAddress) {
+    const taxSettings = await getTaxSettings();
+    order.tax = await calculateOrderTax(order, order.customer, taxSettings);
+    order.totalAmount = order.tax.lines.length > 0 && !order.tax.pricesIncludeTax
+      ? order.tax.grandTotal
+      : roundCurrency(previousTotal + partsDelta);
+  }
+
+  if (order.totalAmount !== previousTotal) {
+    if (order.paymentSchedule && order.paymentSchedule.length > 0) {
+      order.rescalePaymentSchedule();
+    } else {
+      order.refreshBalance();
+    }
+    summary.push(`total ₹${previousTotal} -> ₹${order.totalAmount}`);
+  }
+
+  order.timeline.push({
+    status: order.status,
+    description: `Change request approved: ${summary.join(', ')}`,
+    timestamp: new Date(),
+    updatedBy: reviewer.reviewerId
+  });
+  order.updatedAt = new Date();
+  await order.save();
+
+  changeRequest.newTotal = order.totalAmount;
+  changeRequest.amountDelta = roundCurrency(order.totalAmount - previousTotal);
+
+  // A smaller order can leave the customer in credit; a bigger one raises balanceDue
+  let refundRequest = null;
+  if (changeRequest.amountDelta < 0) {
+    refundRequest = await raiseRefund(changeRequest, order, order.totalAmount, `Order changed: ${changeRequest.reason}`, reviewer);
+  }
+  return { success: true, refundRequest };
+};
+
+/**
+ * Approve a pending request and apply it to the order. Cancellations go
+ * through the status state machine and charge the configured fee; approved
+ * changes recalculate totals. Any amount owed back is raised as a refund
+ * request, extra amounts show up in the order's balanceDue.
+ */
+const approveOrderChangeRequest = async (changeRequest, order, { reviewerId, reviewerRole, notes }) => {
+  const reviewer = { reviewerId, reviewerRole };
+  const result = changeRequest.type === 'cancellation'
+    ? await approveCancellation(changeRequest, order, reviewer)
+    : await approveChange(changeRequest, order, reviewer);
+  if (!result.success) {
+    return result;
+  }
+
+  changeRequest.newTotal = changeRequest.newTotal !== undefined ? changeRequest.newTotal : order.totalAmount;
+  changeRequest.reviewedBy = reviewerId;
+  changeRequest.reviewedAt = new Date();
+  changeRequest.reviewNotes = notes;
+  changeRequest.setStatus('approved', reviewerId, notes);
+  await changeRequest.save();
+
+  return { success: true, changeRequest, refundRequest: result.refundRequest };
+};
+
+module.exports = {
+  CANCELLABLE_STATUSES,
+  getCancellationFee,
+  createOrderChangeRequest,
+  approveOrderChangeRequest,
+  notifyOrderChangeRequest
+};
@@ -0,0 +1,167 @@
+const BACK_OFFICE = ['admin', 'backoffice', 'subadmin'];
+
+/**
+ * Allowed order status transitions. Each entry maps a target status to the
+ * roles that may make the move; anything not listed is rejected.
+ */
+const ORDER_STATUS_TRANSITIONS = {
+  pending: {
+    confirmed: BACK_OFFICE,
+    cancelled: BACK_OFFICE
+  },
+  confirmed: {
+    in_production: BACK_OFFICE,
+    cancelled: BACK_OFFICE
+  },
+  in_production: {
+    ready_for_dispatch: BACK_OFFICE,
+    cancelled: ['admin']
+  },
+  ready_for_dispatch: {
+    partially_dispatched: BACK_OFFICE,
+    dispatched: BACK_OFFICE,
+    cancelled: ['admin']
+  },
+  partially_dispatched: {
+    dispatched: BACK_OFFICE
+  },
+  dispatched: {
+    delivered: BACK_OFFICE
+  },
+  delivered: {},
+  cancelled: {}
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+const formatList = (values) => values.length > 0 ? values.join(', ') : 'none';
+
+// Anything still owed before work starts - COD orders are collected at delivery
+const isPaymentSettled = (order) => {
+  if (order.paymentSchedule && order.paymentSchedule.length > 0) {
+    return true; // milestones are checked separately
+  }
+  const payment = order.payment || {};
+  return payment.method === 'cash_on_delivery' ||
+    payment.status === 'completed' ||
+    (order.amountPaid || 0) >= order.totalAmount;
+};
+
+// Status specific guards, each returning a rejection or null
+const guards = {
+  in_production: (order) => {
+    if (!isPaymentSettled(order)) {
+      return {
+        statusCode: 409,
+        message: `Payment must be received before order ${order.orderNumber} can go into production`
+      };
+    }
+    return null;
+  },
+  ready_for_dispatch: (order) => {
+    const incompleteParts = order.getIncompleteProductionParts();
+    if (incompleteParts.length > 0) {
+      return {
+        statusCode: 409,
+        message: `Production stages are incomplete for ${incompleteParts.map(part => part.partRef || part.partName).join(', ')}`,
+        incompleteParts: incompleteParts.map(part => ({
+          id: part._id,
+          partRef: part.partRef,
+          partName: part.partName
+        }))
+      };
+    }
+    return null;
+  },
+  partially_dispatched: (order) => {
+    if (!(order.parts || []).some(part => part.dispatchedQuantity > 0)) {
+      return {
+        statusCode: 409,
+        message: `Order ${order.orderNumber} has no shipments yet`
+      };
+    }
+    return null;
+  },
+  dispatched: (order) => {
+    // Once shipments are in use every part has to go out before the order counts as dispatched
+    if (order.status === 'partially_dispatched') {
+      const undispatched = order.getUndispatchedParts();
+      if (undispatched.length > 0) {
+        return {
+          statusCode: 409,
+          message: `Still to ship: ${undispatched.map(({ part, remaining }) => `${remaining} x ${part.partRef || part.partName}`).join(', ')}`
+        };
+      }
+    }
+
+    const missing = ['courier', 'trackingNumber'].filter(field => !order.dispatch || !order.dispatch[field]);
+    if (missing.length > 0) {
+      return {
+        statusCode: 409,
+        message: `Dispatch details are required before order ${order.orderNumber} can be dispatched (missing ${missing.join(', ')})`
+      };
+    }
+    return null;
+  }
+};
+
+/**
+ * Check whether `order` may move to `status` for a user with `userRole`.
+ * Returns null when allowed, otherwise { statusCode, message, ...details }.
+ * Moving to the current status is always allowed.
+ */
+const checkStatusTransition = (order, status, userRole) => {
+  const fromStatus = order.status;
+  if (fromStatus === status) {
+    return null;
+  }
+
+  const allowed = ORDER_STATUS_TRANSITIONS[fromStatus] || {};
+  const roles = allowed[status];
+  if (!roles) {
+    return {
+      statusCode: 409,
+      message: `Order ${order.orderNumber} cannot move from ${fromStatus} to ${status}. Allowed next statuses: ${formatList(Object.keys(allowed))}`,
+      currentStatus: fromStatus,
+      allowedStatuses: Object.keys(allowed)
+    };
+  }
+
+  if (!roles.includes(userRole)) {
+    return {
+      statusCode: 403,
+      message: `Only ${roles.join(' or ')} users can move an order from ${fromStatus} to ${status}`,
+      currentStatus: fromStatus
+    };
+  }
+
+  // Required payment milestones must be settled first
+  const unpaidMilestones = order.getBlockingMilestones(status);
+  if (unpaidMilestones.length > 0) {
+    return {
+      statusCode: 409,
+      message: `Payment pending for ${unpaidMilestones.map(milestone => milestone.name).join(', ')}. Outstanding balance: ₹${order.balanceDue}`,
+      unpaidMilestones: unpaidMilestones.map(milestone => ({
+        id: milestone._id,
+        name: milestone.name,
+        amount: milestone.amount,
+        paidAmount: milestone.paidAmount
+      }))
+    };
+  }
+
+  return guards[status] ? guards[status](order) : null;
+};
+
+// Statuses the given role can move this order to next
+const getAllowedTransitions = (order, userRole) =>
+  Object.entries(ORDER_STATUS_TRANSITIONS[order.status] || {})
+    .filter(([, roles]) => roles.includes(userRole))
+    .map(([status]) => status);
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
+  checkStatusTransition,
+  getAllowedTransitions
+};
@@ -1,5 +1,6 @@
 const Razorpay = require('razorpay');
 const crypto = require('crypto');
+const Payment = require('../models/Payment');
 
 // Initialize Razorpay
 let razorpayInstance = null;
@@ -26,7 +27,7 @@ const initializeRazorpay = () => {
 };
 
 // Create payment order
-const createPaymentOrder = async (amount, currency = 'INR', receipt = null) => {
+const createPaymentOrder = async (amount, currency = 'INR', receipt = null, notes = {}) => {
   try {
     if (!isRazorpayConfigured || !razorpayInstance) {
       return { 
@@ -40,7 +41,8 @@ const createPaymentOrder = async (amount, currency = 'INR', receipt = null) => {
       amount: amount * 100, // Razorpay expects amount in paise
       currency: currency,
       receipt: receipt || `receipt_${Date.now()}`,
-      payment_capture: 1 // Auto capture payment
+      payment_capture: 1, // Auto capture payment
+      notes // Echoed back on payment webhooks
     };
 
     const order = await razorpayInstance.orders.create(options);
@@ -107,6 +109,30 @@ const verifyPayment = (razorpayOrderId, razorpayPaymentId, razorpaySignature) =>
   }
 };
 
+// Verify webhook signature (HMAC-SHA256 of the raw request body with the webhook secret)
+const verifyWebhookSignature = (rawBody, signature) => {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret) {
+    return { success: false, message: 'Webhook secret not configured' };
+  }
+  if (!rawBody || !signature) {
+    return { success: false, message: 'Missing webhook body or signature' };
+  }
+
+  const expectedSignature = crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest('hex');
+
+  const expected = Buffer.from(expectedSignature);
+  const received = Buffer.from(signature.toString());
+  const isAuthentic = expected.length === received.length && crypto.timingSafeEqual(expected, received);
+
+  return isAuthentic
+    ? { success: true, verified: true }
+    : { success: false, message: 'Invalid webhook signature', verified: false };
+};
+
 // Get payment details
 const getPaymentDetails = async (paymentId) => {
   try {
@@ -150,7 +176,7 @@ const refundPayment = async (paymentId, amount = null, reason = 'Customer reques
 
     const refundOptions = {
       payment_id: paymentId,
-      amount: amount ? amount * 100 : null, // Convert to paise if amount specified
+      amount: amount ? Math.round(amount * 100) : null, // Convert to paise if amount specified
       notes: {
         reason: reason,
         refunded_at: new Date().toISOString()
@@ -177,31 +203,177 @@ const refundPayment = async (paymentId, amount = null, reason = 'Customer reques
   }
 };
 
-// Get payment analytics
-const getPaymentAnalytics = async (fromDate, toDate) => {
+// Record a ledger entry (attempt, failure, refund) - ledger errors are logged, never thrown
+const recordTransaction = async (data) => {
   try {
-    if (!isRazorpayConfigured || !razorpayInstance) {
-      return { success: false, message: 'Payment gateway not configured' };
+    return await Payment.create(data);
+  } catch (error) {
+    console.error(`Failed to record ${data.type} in payment ledger:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Capture a payment against an order: claims the transaction in the ledger
+ * (returns null when it was already captured), allocates it to the order's
+ * milestones, confirms pending orders and saves the order.
+ */
+const captureOrderPayment = async (order, { amount, method, gateway, source, transactionId, gatewayOrderId, milestoneId, notes, recordedBy, gatewayPayload, paidAt }) => {
+  const occurredAt = paidAt || new Date();
+  let entry;
+
+  try {
+    entry = await Payment.create({
+      order: order._id,
+      customer: order.customer?._id || order.customer,
+      type: 'capture',
+      status: 'succeeded',
+      amount,
+      currency: order.currency,
+      method,
+      gateway,
+      source,
+      transactionId,
+      gatewayOrderId,
+      notes,
+      recordedBy,
+      gatewayPayload,
+      occurredAt
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+
+  try {
+    const allocations = order.applyPayment({ amount, method, gateway, transactionId, milestoneId, paidAt: occurredAt });
+    if (gatewayOrderId) {
+      order.payment.gatewayOrderId = gatewayOrderId;
+    }
+    if (order.status === 'pending') {
+      order.status = 'confirmed';
+      order.confirmedAt = new Date();
     }
+    await order.save();
 
-    const payments = await razorpayInstance.payments.all({
-      from: Math.floor(new Date(fromDate).getTime() / 1000),
-      to: Math.floor(new Date(toDate).getTime() / 1000),
-      count: 100
+    entry.allocations = allocations;
+    await Payment.updateOne({ _id: entry._id }, { $set: { allocations } });
+    return entry;
+  } catch (error) {
+    // Release the transaction so a retry can capture it
+    await Payment.deleteOne({ _id: entry._id }).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Refund against an order: records the refund in the ledger (returns null when
+ * the gateway refund id was already recorded), accumulates the refunded amount
+ * and marks the order refunded once everything paid has been returned.
+ */
+const refundOrderPayment = async (order, { amount, method, gateway, source, transactionId, refundId, reason, recordedBy, refundRequest, gatewayPayload }) => {
+  let entry;
+
+  try {
+    entry = await Payment.create({
+      order: order._id,
+      customer: order.customer?._id || order.customer,
+      type: 'refund',
+      status: 'succeeded',
+      amount,
+      currency: order.currency,
+      method: method || order.payment.method,
+      gateway,
+      source,
+      transactionId: transactionId || order.payment.transactionId,
+      refundId,
+      reason,
+      recordedBy,
+      refundRequest,
+      gatewayPayload
     });
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+
+  try {
+    const paid = order.amountPaid || order.payment.amount || 0;
+    order.payment.refundedAmount = Math.round(((order.payment.refundedAmount || 0) + amount) * 100) / 100;
+    order.payment.refundedAt = entry.occurredAt;
+    if (refundId) {
+      order.payment.refundId = refundId;
+    }
+    if (order.payment.refundedAmount >= paid - 0.01) {
+      order.payment.status = 'refunded';
+    }
+    await order.save();
+    return entry;
+  } catch (error) {
+    await Payment.deleteOne({ _id: entry._id }).catch(() => {});
+    throw error;
+  }
+};
+
+// Get payment analytics from the payment ledger
+const getPaymentAnalytics = async (fromDate, toDate) => {
+  try {
+    const match = {};
+    if (fromDate || toDate) {
+      match.occurredAt = {};
+      if (fromDate) match.occurredAt.$gte = new Date(fromDate);
+      if (toDate) match.occurredAt.$lte = new Date(toDate);
+    }
+
+    const [totals, methods] = await Promise.all([
+      Payment.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$type',
+            count: { $sum: 1 },
+            totalAmount: { $sum: '$amount' },
+            averageAmount: { $avg: '$amount' }
+          }
+        }
+      ]),
+      Payment.aggregate([
+        { $match: { ...match, type: 'capture' } },
+        {
+          $group: {
+            _id: '$method',
+            count: { $sum: 1 },
+            totalAmount: { $sum: '$amount' }
+          }
+        },
+        { $sort: { totalAmount: -1 } }
+      ])
+    ]);
+
+    const byType = totals.reduce((result, row) => ({ ...result, [row._id]: row }), {});
+    const captures = byType.capture || { count: 0, totalAmount: 0, averageAmount: 0 };
+    const refunds = byType.refund || { count: 0, totalAmount: 0 };
 
     const analytics = {
-      totalPayments: payments.items.length,
-      totalAmount: payments.items.reduce((sum, payment) => sum + (payment.amount / 100), 0),
-      successfulPayments: payments.items.filter(p => p.status === 'captured').length,
-      failedPayments: payments.items.filter(p => p.status === 'failed').length,
-      pendingPayments: payments.items.filter(p => p.status === 'authorized').length
+      totalPayments: captures.count,
+      totalAmount: captures.totalAmount,
+      averagePayment: captures.averageAmount || 0,
+      successfulPayments: captures.count,
+      failedPayments: byType.failure ? byType.failure.count : 0,
+      paymentAttempts: byType.attempt ? byType.attempt.count : 0,
+      refundCount: refunds.count,
+      refundedAmount: refunds.totalAmount,
+      netAmount: Math.round((captures.totalAmount - refunds.totalAmount) * 100) / 100
     };
 
     return {
       success: true,
       analytics,
-      payments: payments.items
+      methods
     };
 
   } catch (error) {
@@ -219,8 +391,12 @@ initializeRazorpay();
 module.exports = {
   createPaymentOrder,
   verifyPayment,
+  verifyWebhookSignature,
   getPaymentDetails,
   refundPayment,
+  recordTransaction,
+  captureOrderPayment,
+  refundOrderPayment,
   getPaymentAnalytics,
   isRazorpayConfigured,
   razorpayInstance
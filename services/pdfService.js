@@ -119,11 +119,13 @@ class PDFService {
       .fillColor('#000000')
       .text('QUOTATION', 400, 50);
 
-    // Quotation Number
+    // Quotation Number (with revision suffix once a quotation has been revised)
+    const quotationRef = quotationData.quotationNumber || inquiry.inquiryNumber;
+    const revisionSuffix = quotationData.revisionNumber > 1 ? ` R${quotationData.revisionNumber}` : '';
     this.doc
       .fontSize(12)
       .font('Helvetica')
-      .text(`Quotation #: ${inquiry.inquiryNumber}`, 400, 75);
+      .text(`Quotation #: ${quotationRef}${revisionSuffix}`, 400, 75);
 
     // Date
     this.doc
@@ -325,8 +327,8 @@ class PDFService {
     }
   }
 
-  // Generate invoice PDF
-  async generateInvoicePDF(order) {
+  // Generate GST tax invoice PDF
+  async generateInvoicePDF(order, taxSettings = {}) {
     return new Promise((resolve, reject) => {
       try {
         this.doc = new PDFDocument({
@@ -339,7 +341,8 @@ class PDFService {
           }
         });
 
-        const fileName = `invoice_${order.orderNumber}_${Date.now()}.pdf`;
+        const invoiceRef = (order.invoice && order.invoice.invoiceNumber) || order.orderNumber;
+        const fileName = `invoice_${invoiceRef}_${Date.now()}.pdf`;
         const filePath = path.join(__dirname, '../uploads/invoices', fileName);
         
         const dir = path.dirname(filePath);
@@ -350,7 +353,7 @@ class PDFService {
         const stream = fs.createWriteStream(filePath);
         this.doc.pipe(stream);
 
-        this.generateInvoiceContent(order);
+        this.generateInvoiceContent(order, taxSettings);
         this.doc.end();
 
         stream.on('finish', () => {
@@ -372,93 +375,1072 @@ class PDFService {
   }
 
   // Generate invoice content
-  generateInvoiceContent(order) {
-    this.generateHeader(order);
-    this.generateCustomerSection(order);
-    this.generateInvoiceDetails(order);
-    this.generateItemsTable(order.items);
+  generateInvoiceContent(order, taxSettings) {
+    this.generateInvoiceHeader(order, taxSettings);
+    this.generateInvoiceParties(order, taxSettings);
+    this.generateTaxItemsTable(order);
+    this.generateTaxSummary(order.tax);
     this.generatePaymentSection(order.payment);
     this.generateFooter();
   }
 
-  // Generate invoice details
-  generateInvoiceDetails(order) {
-    this.doc.moveDown(2);
-    
+  // Generate tax invoice header with supplier GST details
+  generateInvoiceHeader(order, taxSettings) {
     this.doc
-      .fontSize(14)
+      .fontSize(24)
       .font('Helvetica-Bold')
-      .text('Invoice Details', 50, this.doc.y);
+      .fillColor('#4CAF50')
+      .text(taxSettings.companyLegalName || 'KOMACUT', 50, 50);
 
-    this.doc.moveDown(0.5);
+    this.doc
+      .fontSize(9)
+      .font('Helvetica')
+      .fillColor('#666666');
+
+    if (taxSettings.companyAddress) {
+      this.doc.text(taxSettings.companyAddress, 50, 80, { width: 300 });
+    }
+    if (taxSettings.companyGstin) {
+      this.doc.text(`GSTIN: ${taxSettings.companyGstin}`, 50, this.doc.y + 2);
+    }
+    if (taxSettings.companyState) {
+      this.doc.text(`State: ${taxSettings.companyState}${taxSettings.companyStateCode ? ` (${taxSettings.companyStateCode})` : ''}`, 50, this.doc.y + 2);
+    }
+
+    this.doc
+      .fontSize(18)
+      .font('Helvetica-Bold')
+      .fillColor('#000000')
+      .text('TAX INVOICE', 400, 50);
 
     this.doc
       .fontSize(10)
       .font('Helvetica')
-      .text(`Invoice Number: ${order.orderNumber}`, 50, this.doc.y)
-      .text(`Order Date: ${new Date(order.createdAt).toLocaleDateString()}`, 50, this.doc.y + 15)
-      .text(`Due Date: ${new Date(order.createdAt).toLocaleDateString()}`, 50, this.doc.y + 15);
+      .text(`Invoice #: ${order.invoice.invoiceNumber}`, 400, 75)
+      .text(`Invoice Date: ${new Date(order.invoice.invoiceDate).toLocaleDateString()}`, 400, 90)
+      .text(`Order #: ${order.orderNumber}`, 400, 105)
+      .text(`Order Date: ${new Date(order.createdAt).toLocaleDateString()}`, 400, 120);
+
+    this.doc.y = Math.max(this.doc.y, 140);
   }
 
-  // Generate items table for invoice
-  generateItemsTable(items) {
+  // Generate bill-to / place of supply section
+  generateInvoiceParties(order) {
     this.doc.moveDown(2);
-    
+
+    const customer = order.customer || {};
+    const tax = order.tax || {};
+    const sectionY = this.doc.y;
+
     this.doc
-      .fontSize(14)
+      .fontSize(12)
       .font('Helvetica-Bold')
-      .text('Items', 50, this.doc.y);
+      .fillColor('#000000')
+      .text('Bill To:', 50, sectionY);
 
-    this.doc.moveDown(0.5);
+    this.doc
+      .fontSize(10)
+      .font('Helvetica')
+      .text(customer.companyName || `${customer.firstName || ''} ${customer.lastName || ''}`.trim(), 50, sectionY + 18)
+      .text(`${customer.firstName || ''} ${customer.lastName || ''}`.trim(), 50, this.doc.y + 2)
+      .text(`GSTIN: ${tax.customerGstin || customer.gstin || 'Unregistered'}`, 50, this.doc.y + 2);
 
-    const headers = ['Part Ref', 'Material', 'Thickness', 'Quantity', 'Unit Price', 'Total'];
-    const columnWidths = [80, 80, 60, 50, 70, 70];
-    const startX = 50;
-    let currentY = this.doc.y + 10;
+    if (order.deliveryAddress) {
+      const addr = order.deliveryAddress;
+      this.doc
+        .fontSize(12)
+        .font('Helvetica-Bold')
+        .text('Ship To:', 300, sectionY);
+
+      this.doc
+        .fontSize(10)
+        .font('Helvetica')
+        .text(`${addr.street || ''}`, 300, sectionY + 18, { width: 250 })
+        .text(`${addr.city || ''}, ${addr.state || ''} ${addr.zipCode || ''}`, 300, this.doc.y + 2)
+        .text(`${addr.country || ''}`, 300, this.doc.y + 2);
+    }
 
-    // Table headers
     this.doc
       .fontSize(10)
+      .font('Helvetica')
+      .text(`Place of Supply: ${tax.placeOfSupply || '-'}${tax.placeOfSupplyCode ? ` (${tax.placeOfSupplyCode})` : ''}`, 50, this.doc.y + 12)
+      .text(`Supply Type: ${tax.isInterState ? 'Inter-state (IGST)' : 'Intra-state (CGST + SGST)'}`, 50, this.doc.y + 2);
+  }
+
+  // Generate invoice items table with HSN codes and GST per line
+  generateTaxItemsTable(order) {
+    this.doc.moveDown(2);
+
+    const tax = order.tax || {};
+    const taxLines = tax.lines || [];
+    const headers = ['Part Ref', 'HSN', 'Material', 'Qty', 'Rate', 'Taxable', 'GST %', 'GST', 'Total'];
+    const columnWidths = [70, 45, 70, 35, 55, 60, 40, 55, 65];
+    const startX = 50;
+    const columnX = (index) => startX + columnWidths.slice(0, index).reduce((a, b) => a + b, 0);
+    let currentY = this.doc.y;
+
+    this.doc
+      .fontSize(9)
       .font('Helvetica-Bold')
       .fillColor('#4CAF50');
 
     headers.forEach((header, index) => {
-      this.doc.text(header, startX + columnWidths.slice(0, index).reduce((a, b) => a + b, 0), currentY);
+      this.doc.text(header, columnX(index), currentY, { width: columnWidths[index] });
     });
 
-    currentY += 20;
+    currentY += 18;
+
+    this.doc
+      .fontSize(8)
+      .font('Helvetica')
+      .fillColor('#000000');
+
+    (order.parts || []).forEach((part, rowIndex) => {
+      const line = taxLines[rowIndex] || {};
+      const lineTax = (line.cgstAmount || 0) + (line.sgstAmount || 0) + (line.igstAmount || 0);
+      const rowData = [
+        part.partRef || `Part ${rowIndex + 1}`,
+        line.hsnCode || '-',
+        `${part.material || ''} ${part.thickness ? `${part.thickness}mm` : ''}`.trim(),
+        (part.quantity || 0).toString(),
+        (part.unitPrice || 0).toFixed(2),
+        (line.taxableValue || 0).toFixed(2),
+        `${line.gstRate || 0}%`,
+        lineTax.toFixed(2),
+        (line.totalAmount || 0).toFixed(2)
+      ];
+
+      rowData.forEach((cell, index) => {
+        this.doc.text(cell, columnX(index), currentY, { width: columnWidths[index] });
+      });
+
+      currentY += 15;
+    });
+
+    this.doc.y = currentY;
+  }
+
+  // Generate GST summary (CGST/SGST or IGST) and grand total
+  generateTaxSummary(tax = {}) {
+    this.doc.moveDown(1);
+
+    const labelX = 330;
+    const valueX = 470;
+    const rows = [['Taxable Amount', tax.taxableAmount]];
+
+    if (tax.isInterState) {
+      rows.push(['IGST', tax.igstAmount]);
+    } else {
+      rows.push(['CGST', tax.cgstAmount], ['SGST', tax.sgstAmount]);
+    }
+    rows.push(['Total Tax', tax.totalTax]);
+
+    this.doc
+      .fontSize(10)
+      .font('Helvetica')
+      .fillColor('#000000');
+
+    rows.forEach(([label, value]) => {
+      const rowY = this.doc.y;
+      this.doc
+        .text(`${label}:`, labelX, rowY)
+        .text(`INR ${(value || 0).toFixed(2)}`, valueX, rowY);
+      this.doc.moveDown(0.3);
+    });
+
+    const totalY = this.doc.y + 5;
+    this.doc
+      .fontSize(11)
+      .font('Helvetica-Bold')
+      .text('Grand Total:', labelX, totalY)
+      .text(`INR ${(tax.grandTotal || 0).toFixed(2)}`, valueX, totalY);
+
+    if (tax.pricesIncludeTax) {
+      this.doc
+        .fontSize(8)
+        .font('Helvetica')
+        .fillColor('#666666')
+        .text('Prices are inclusive of GST.', labelX, this.doc.y + 5)
+        .fillColor('#000000');
+    }
+  }
+
+  // Generate GST credit note PDF for a completed refund
+  async generateCreditNotePDF(refundRequest, order, taxSettings = {}) {
+    return new Promise((resolve, reject) => {
+      try {
+        this.doc = new PDFDocument({
+          size: 'A4',
+          margins: {
+            top: 50,
+            bottom: 50,
+            left: 50,
+            right: 50
+          }
+        });
+
+        const fileName = `credit_note_${refundRequest.creditNote.creditNoteNumber}_${Date.now()}.pdf`;
+        const filePath = path.join(__dirname, '../uploads/credit-notes', fileName);
+
+        const dir = path.dirname(filePath);
+        if (!fs.existsSync(dir)) {
+          fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const stream = fs.createWriteStream(filePath);
+        this.doc.pipe(stream);
+
+        this.generateCreditNoteHeader(refundRequest, order, taxSettings);
+        this.generateInvoiceParties(order);
+        this.generateCreditNoteItemsTable(refundRequest.items);
+        this.generateCreditNoteSummary(refundRequest, order.tax);
+        this.generateFooter();
+        this.doc.end();
+
+        stream.on('finish', () => {
+          resolve({
+            fileName,
+            filePath,
+            fileSize: fs.statSync(filePath).size
+          });
+        });
+
+        stream.on('error', (error) => {
+          reject(error);
+        });
+
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  // Generate credit note header referencing the original invoice
+  generateCreditNoteHeader(refundRequest, order, taxSettings) {
+    this.doc
+      .fontSize(24)
+      .font('Helvetica-Bold')
+      .fillColor('#4CAF50')
+      .text(taxSettings.companyLegalName || 'KOMACUT', 50, 50);
+
+    this.doc
+      .fontSize(9)
+      .font('Helvetica')
+      .fillColor('#666666');
+
+    if (taxSettings.companyAddress) {
+      this.doc.text(taxSettings.companyAddress, 50, 80, { width: 300 });
+    }
+    if (taxSettings.companyGstin) {
+      this.doc.text(`GSTIN: ${taxSettings.companyGstin}`, 50, this.doc.y + 2);
+    }
+
+    this.doc
+      .fontSize(18)
+      .font('Helvetica-Bold')
+      .fillColor('#000000')
+      .text('CREDIT NOTE', 400, 50);
+
+    this.doc
+      .fontSize(10)
+      .font('Helvetica')
+      .text(`Credit Note #: ${refundRequest.creditNote.creditNoteNumber}`, 400, 75)
+      .text(`Date: ${new Date(refundRequest.creditNote.creditNoteDate).toLocaleDateString()}`, 400, 90)
+      .text(`Against Invoice #: ${(order.invoice && order.invoice.invoiceNumber) || '-'}`, 400, 105)
+      .text(`Order #: ${order.orderNumber}`, 400, 120);
+
+    this.doc.y = Math.max(this.doc.y, 140);
+  }
+
+  // Generate credited line items with the reversed GST per line
+  generateCreditNoteItemsTable(items = []) {
+    this.doc.moveDown(2);
+
+    const headers = ['Part Ref', 'HSN', 'Qty', 'Taxable', 'GST %', 'CGST', 'SGST', 'IGST', 'Total'];
+    const columnWidths = [85, 45, 35, 65, 40, 55, 55, 55, 60];
+    const startX = 50;
+    const columnX = (index) => startX + columnWidths.slice(0, index).reduce((a, b) => a + b, 0);
+    let currentY = this.doc.y;
 
-    // Table rows
     this.doc
       .fontSize(9)
+      .font('Helvetica-Bold')
+      .fillColor('#4CAF50');
+
+    headers.forEach((header, index) => {
+      this.doc.text(header, columnX(index), currentY, { width: columnWidths[index] });
+    });
+
+    currentY += 18;
+
+    this.doc
+      .fontSize(8)
       .font('Helvetica')
       .fillColor('#000000');
 
-    items.forEach((item, rowIndex) => {
+    items.forEach((item) => {
       const rowData = [
-        item.partRef || `Part ${rowIndex + 1}`,
-        item.material,
-        `${item.thickness}mm`,
-        item.quantity.toString(),
-        `$${item.unitPrice.toFixed(2)}`,
-        `$${item.totalPrice.toFixed(2)}`
+        item.partRef || item.partName || '-',
+        item.hsnCode || '-',
+        item.quantity ? item.quantity.toString() : '-',
+        (item.taxableValue || 0).toFixed(2),
+        `${item.gstRate || 0}%`,
+        (item.cgstAmount || 0).toFixed(2),
+        (item.sgstAmount || 0).toFixed(2),
+        (item.igstAmount || 0).toFixed(2),
+        (item.amount || 0).toFixed(2)
       ];
 
       rowData.forEach((cell, index) => {
-        this.doc.text(cell, startX + columnWidths.slice(0, index).reduce((a, b) => a + b, 0), currentY);
+        this.doc.text(cell, columnX(index), currentY, { width: columnWidths[index] });
       });
 
       currentY += 15;
     });
 
-    // Total
-    currentY += 5;
+    this.doc.y = currentY;
+  }
+
+  // Generate credit note totals and refund reason
+  generateCreditNoteSummary(refundRequest, tax = {}) {
+    this.doc.moveDown(1);
+
+    const sum = (field) => refundRequest.items.reduce((total, item) => total + (item[field] || 0), 0);
+    const labelX = 330;
+    const valueX = 470;
+    const rows = [['Taxable Amount', sum('taxableValue')]];
+
+    if (tax.isInterState) {
+      rows.push(['IGST', sum('igstAmount')]);
+    } else {
+      rows.push(['CGST', sum('cgstAmount')], ['SGST', sum('sgstAmount')]);
+    }
+
+    this.doc
+      .fontSize(10)
+      .font('Helvetica')
+      .fillColor('#000000');
+
+    rows.forEach(([label, value]) => {
+      const rowY = this.doc.y;
+      this.doc
+        .text(`${label}:`, labelX, rowY)
+        .text(`INR ${value.toFixed(2)}`, valueX, rowY);
+      this.doc.moveDown(0.3);
+    });
+
+    const totalY = this.doc.y + 5;
     this.doc
       .fontSize(11)
       .font('Helvetica-Bold')
+      .text('Total Credit:', labelX, totalY)
+      .text(`INR ${refundRequest.amount.toFixed(2)}`, valueX, totalY);
+
+    this.doc.moveDown(2);
+    this.doc
+      .fontSize(10)
+      .font('Helvetica')
+      .text(`Reason: ${refundRequest.reason}`, 50, this.doc.y, { width: 500 });
+
+    if (refundRequest.gatewayRefundId) {
+      this.doc.text(`Refund Reference: ${refundRequest.gatewayRefundId}`, 50, this.doc.y + 5);
+    }
+  }
+
+  // Generate shop-floor job card PDF for an order
+  async generateJobCardPDF(order) {
+    return new Promise((resolve, reject) => {
+      try {
+        // The stage grid can run over several pages - keep them buffered for the footer
+        this.doc = new PDFDocument({
+          size: 'A4',
+          bufferPages: true,
+          margins: {
+            top: 50,
+            bottom: 50,
+            left: 50,
+            right: 50
+          }
+        });
+
+        const fileName = `job_card_${order.orderNumber}_${Date.now()}.pdf`;
+        const filePath = path.join(__dirname, '../uploads/job-cards', fileName);
+
+        const dir = path.dirname(filePath);
+        if (!fs.existsSync(dir)) {
+          fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const stream = fs.createWriteStream(filePath);
+        this.doc.pipe(stream);
+
+        this.generateJobCardHeader(order);
+        this.generateJobCardPartsTable(order.parts || []);
+        this.generateJobCardStageGrid(order.parts || []);
+        this.generateJobCardSignOff();
+        this.generateFooter();
+        this.doc.end();
+
+        stream.on('finish', () => {
+          resolve({
+            fileName,
+            filePath,
+            fileSize: fs.statSync(filePath).size
+          });
+        });
+
+        stream.on('error', (error) => {
+          reject(error);
+        });
+
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  // Generate job card header with order and schedule details
+  generateJobCardHeader(order) {
+    const customer = order.customer || {};
+    const production = order.production || {};
+
+    this.doc
+      .fontSize(24)
+      .font('Helvetica-Bold')
+      .fillColor('#4CAF50')
+      .text('KOMACUT', 50, 50);
+
+    this.doc
+      .fontSize(18)
+      .font('Helvetica-Bold')
       .fillColor('#000000')
-      .text('Total:', startX + columnWidths.slice(0, 4).reduce((a, b) => a + b, 0), currentY)
-      .text(`₹${order.totalAmount.toFixed(2)}`, startX + columnWidths.slice(0, 5).reduce((a, b) => a + b, 0), currentY);
+      .text('JOB CARD', 400, 50);
+
+    this.doc
+      .fontSize(10)
+      .font('Helvetica')
+      .text(`Job Card #: JC-${order.orderNumber}`, 400, 75)
+      .text(`Order #: ${order.orderNumber}`, 400, 90)
+      .text(`Order Date: ${new Date(order.createdAt).toLocaleDateString()}`, 400, 105)
+      .text(`Printed: ${new Date().toLocaleDateString()}`, 400, 120);
+
+    this.doc
+      .fontSize(10)
+      .font('Helvetica')
+      .text(`Customer: ${customer.companyName || `${customer.firstName || ''} ${customer.lastName || ''}`.trim() || '-'}`, 50, 85)
+      .text(`Production Start: ${production.startDate ? new Date(production.startDate).toLocaleDateString() : '-'}`, 50, 100)
+      .text(`Target Completion: ${production.estimatedCompletion ? new Date(production.estimatedCompletion).toLocaleDateString() : '-'}`, 50, 115)
+      .text(`Progress: ${production.progress || 0}%`, 50, 130);
+
+    this.doc.y = 150;
+
+    const instructions = [order.specialInstructions, production.notes].filter(Boolean);
+    if (instructions.length > 0) {
+      this.doc
+        .fontSize(10)
+        .font('Helvetica-Bold')
+        .text('Instructions:', 50, this.doc.y)
+        .font('Helvetica')
+        .text(instructions.join('\n'), 50, this.doc.y + 2, { width: 495 });
+    }
+  }
+
+  // Generate parts list with material and quantities
+  generateJobCardPartsTable(parts) {
+    this.doc.moveDown(1.5);
+
+    const headers = ['#', 'Part Ref', 'Part Name', 'Material', 'Thickness', 'Qty', 'Remarks'];
+    const columnWidths = [20, 75, 95, 75, 55, 35, 140];
+    const startX = 50;
+    const columnX = (index) => startX + columnWidths.slice(0, index).reduce((a, b) => a + b, 0);
+    let currentY = this.doc.y;
+
+    this.doc
+      .fontSize(9)
+      .font('Helvetica-Bold')
+      .fillColor('#4CAF50');
+
+    headers.forEach((header, index) => {
+      this.doc.text(header, columnX(index), currentY, { width: columnWidths[index] });
+    });
+
+    currentY += 18;
+
+    this.doc
+      .fontSize(8)
+      .font('Helvetica')
+      .fillColor('#000000');
+
+    parts.forEach((part, rowIndex) => {
+      const rowData = [
+        (rowIndex + 1).toString(),
+        part.partRef || '-',
+        part.partName || '-',
+        part.material || '-',
+        part.thickness ? `${part.thickness}mm` : '-',
+        (part.quantity || 0).toString(),
+        part.remarks || ''
+      ];
+
+      rowData.forEach((cell, index) => {
+        this.doc.text(cell, columnX(index), currentY, { width: columnWidths[index] });
+      });
+
+      currentY += 15;
+    });
+
+    this.doc.y = currentY;
+  }
+
+  // Generate stage grid: completed / ordered quantity per part and stage, with room to sign off
+  generateJobCardStageGrid(parts) {
+    this.doc.moveDown(1.5);
+
+    this.doc
+      .fontSize(12)
+      .font('Helvetica-Bold')
+      .fillColor('#000000')
+      .text('Stage Tracking', 50, this.doc.y);
+
+    const stageLabels = {
+      laser_cutting: 'Laser',
+      bending: 'Bending',
+      welding: 'Welding',
+      finishing: 'Finishing',
+      qc: 'QC',
+      packing: 'Packing'
+    };
+    const stageNames = Object.keys(stageLabels);
+    const rowHeight = 30;
+    const columnWidths = [80, 35, ...stageNames.map(() => 63)];
+    const startX = 50;
+    const columnX = (index) => startX + columnWidths.slice(0, index).reduce((a, b) => a + b, 0);
+    let currentY = this.doc.y + 8;
+
+    const drawRow = (cells, bold) => {
+      if (currentY + rowHeight > this.doc.page.height - 70) {
+        this.doc.addPage();
+        currentY = 50;
+      }
+
+      this.doc
+        .fontSize(8)
+        .font(bold ? 'Helvetica-Bold' : 'Helvetica');
+
+      cells.forEach((cell, index) => {
+        this.doc.rect(columnX(index), currentY, columnWidths[index], rowHeight).stroke('#999999');
+        this.doc.fillColor('#000000').text(cell, columnX(index) + 3, currentY + 4, { width: columnWidths[index] - 6 });
+      });
+
+      currentY += rowHeight;
+    };
+
+    drawRow(['Part Ref', 'Qty', ...stageNames.map(stage => stageLabels[stage])], true);
+
+    parts.forEach(part => {
+      const cells = stageNames.map(stageName => {
+        const stage = (part.stages || []).find(entry => entry.stage === stageName);
+        if (!stage) return '';
+        if (stage.status === 'skipped') return 'N/A';
+        const operator = stage.operatorName ? `\n${stage.operatorName}` : '';
+        return stage.completedQuantity > 0 ? `${stage.completedQuantity}/${part.quantity}${operator}` : '';
+      });
+      drawRow([part.partRef || part.partName || '-', (part.quantity || 0).toString(), ...cells], false);
+    });
+
+    this.doc.y = currentY;
+  }
+
+  // Generate sign-off lines for QC and dispatch
+  generateJobCardSignOff() {
+    this.doc.moveDown(2);
+
+    const signOffY = this.doc.y;
+    this.doc
+      .fontSize(10)
+      .font('Helvetica')
+      .fillColor('#000000')
+      .text('QC Inspected by: ____________________', 50, signOffY)
+      .text('Date: ____________', 320, signOffY)
+      .text('Packed by: ____________________', 50, signOffY + 25)
+      .text('Date: ____________', 320, signOffY + 25);
+  }
+
+  async generatePackingListPDF(shipment, order) {
+    return new Promise((resolve, reject) => {
+      try {
+        this.doc = new PDFDocument({
+          size: 'A4',
+          margins: {
+            top: 50,
+            bottom: 50,
+            left: 50,
+            right: 50
+          }
+        });
+
+        const fileName = `packing_list_${shipment.shipmentNumber}_${Date.now()}.pdf`;
+        const filePath = path.join(__dirname, '../uploads/packing-lists', fileName);
+
+        const dir = path.dirname(filePath);
+        if (!fs.existsSync(dir)) {
+          fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const stream = fs.createWriteStream(filePath);
+        this.doc.pipe(stream);
+
+        this.generatePackingListHeader(shipment, order);
+        this.generatePackingListItems(shipment.items || []);
+        this.generatePackingListSignOff();
+        this.generateFooter();
+        this.doc.end();
+
+        stream.on('finish', () => {
+          resolve({
+            fileName,
+            filePath,
+            fileSize: fs.statSync(filePath).size
+          });
+        });
+
+        stream.on('error', (error) => {
+          reject(error);
+        });
+
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  // Generate packing list header with consignee and carrier details
+  generatePackingListHeader(shipment, order) {
+    const customer = order.customer || {};
+    const address = order.deliveryAddress || {};
+
+    this.doc
+      .fontSize(24)
+      .font('Helvetica-Bold')
+      .fillColor('#4CAF50')
+      .text('KOMACUT', 50, 50);
+
+    this.doc
+      .fontSize(18)
+      .font('Helvetica-Bold')
+      .fillColor('#000000')
+      .text('PACKING LIST', 400, 50);
+
+    this.doc
+      .fontSize(10)
+      .font('Helvetica')
+      .text(`Shipment #: ${shipment.shipmentNumber}`, 400, 75)
+      .text(`Order #: ${order.orderNumber}`, 400, 90)
+      .text(`Dispatched: ${new Date(shipment.dispatchedAt).toLocaleDateString()}`, 400, 105)
+      .text(`Courier: ${shipment.courier}`, 400, 120)
+      .text(`Tracking #: ${shipment.trackingNumber}`, 400, 135);
+
+    this.doc
+      .fontSize(10)
+      .font('Helvetica-Bold')
+      .text('Ship To:', 50, 85)
+      .font('Helvetica')
+      .text(customer.companyName || `${customer.firstName || ''} ${customer.lastName || ''}`.trim() || '-', 50, 100)
+      .text([address.street, address.city, address.state, address.zipCode, address.country].filter(Boolean).join(', ') || '-', 50, 115, { width: 300 });
+
+    this.doc.y = 165;
+  }
+
+  // Generate shipped parts with quantities
+  generatePackingListItems(items) {
+    const headers = ['#', 'Part Ref', 'Part Name', 'Material', 'Thickness', 'Qty Shipped'];
+    const columnWidths = [25, 100, 130, 90, 70, 80];
+    const startX = 50;
+    const columnX = (index) => startX + columnWidths.slice(0, index).reduce((a, b) => a + b, 0);
+    let currentY = this.doc.y;
+
+    this.doc
+      .fontSize(9)
+      .font('Helvetica-Bold')
+      .fillColor('#4CAF50');
+
+    headers.forEach((header, index) => {
+      this.doc.text(header, columnX(index), currentY, { width: columnWidths[index] });
+    });
+
+    currentY += 18;
+
+    this.doc
+      .fontSize(9)
+      .font('Helvetica')
+      .fillColor('#000000');
+
+    items.forEach((item, rowIndex) => {
+      const rowData = [
+        (rowIndex + 1).toString(),
+        item.partRef || '-',
+        item.partName || '-',
+        item.material || '-',
+        item.thickness ? `${item.thickness}mm` : '-',
+        (item.quantity || 0).toString()
+      ];
+
+      rowData.forEach((cell, index) => {
+        this.doc.text(cell, columnX(index), currentY, { width: columnWidths[index] });
+      });
+
+      currentY += 16;
+    });
+
+    const totalQuantity = items.reduce((sum, item) => sum + (item.quantity || 0), 0);
+    this.doc
+      .font('Helvetica-Bold')
+      .text('Total Pieces', columnX(4), currentY + 6, { width: columnWidths[4] })
+      .text(totalQuantity.toString(), columnX(5), currentY + 6, { width: columnWidths[5] });
+
+    this.doc.y = currentY + 24;
+  }
+
+  // Generate sign-off lines for packing and receipt
+  generatePackingListSignOff() {
+    this.doc.moveDown(2);
+
+    const signOffY = this.doc.y;
+    this.doc
+      .fontSize(10)
+      .font('Helvetica')
+      .fillColor('#000000')
+      .text('Packed by: ____________________', 50, signOffY)
+      .text('Date: ____________', 320, signOffY)
+      .text('Received by: ____________________', 50, signOffY + 25)
+      .text('Date: ____________', 320, signOffY + 25);
+  }
+
+  // Order-wide challan, or a single consignment's challan when `shipment` is given
+  async generateDeliveryChallanPDF(order, shipments = [], signatureImages = {}, { shipment = null } = {}) {
+    return new Promise((resolve, reject) => {
+      try {
+        this.doc = new PDFDocument({
+          size: 'A4',
+          margins: {
+            top: 50,
+            bottom: 50,
+            left: 50,
+            right: 50
+          }
+        });
+
+        const fileName = `delivery_challan_${shipment ? shipment.shipmentNumber : order.orderNumber}_${Date.now()}.pdf`;
+        const filePath = path.join(__dirname, '../uploads/delivery-challans', fileName);
+
+        const dir = path.dirname(filePath);
+        if (!fs.existsSync(dir)) {
+          fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const stream = fs.createWriteStream(filePath);
+        this.doc.pipe(stream);
+
+        const proofs = (order.deliveryProofs || []).filter(proof =>
+          !shipment || (proof.shipment && proof.shipment.toString() === shipment._id.toString()));
+
+        this.generateDeliveryChallanHeader(order, shipment);
+        if (shipment) {
+          this.generateDeliveryChallanItems(shipment.items || []);
+          this.generateDeliveryChallanTransport(shipment);
+        } else {
+          this.generateDeliveryChallanParts(order.parts || []);
+          this.generateDeliveryChallanShipments(order, shipments);
+        }
+        this.generateDeliveryProofSection(proofs, shipments, signatureImages);
+        this.generateFooter();
+        this.doc.end();
+
+        stream.on('finish', () => {
+          resolve({
+            fileName,
+            filePath,
+            fileSize: fs.statSync(filePath).size
+          });
+        });
+
+        stream.on('error', (error) => {
+          reject(error);
+        });
+
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  // Generate delivery challan header with consignee details
+  generateDeliveryChallanHeader(order, shipment = null) {
+    const customer = order.customer || {};
+    const address = order.deliveryAddress || {};
+
+    this.doc
+      .fontSize(24)
+      .font('Helvetica-Bold')
+      .fillColor('#4CAF50')
+      .text('KOMACUT', 50, 50);
+
+    this.doc
+      .fontSize(18)
+      .font('Helvetica-Bold')
+      .fillColor('#000000')
+      .text('DELIVERY CHALLAN', 360, 50);
+
+    this.doc
+      .fontSize(10)
+      .font('Helvetica')
+      .text(`Challan #: DC-${shipment ? shipment.shipmentNumber : order.orderNumber}`, 360, 75)
+      .text(`Order #: ${order.orderNumber}`, 360, 90)
+      .text(`Date: ${new Date(shipment ? shipment.dispatchedAt : Date.now()).toLocaleDateString()}`, 360, 105)
+      .text(shipment ? `Value: Rs. ${(shipment.value || 0).toFixed(2)}` : `Status: ${order.status}`, 360, 120);
+
+    if (shipment && shipment.ewayBill && shipment.ewayBill.number) {
+      this.doc.text(`E-way Bill #: ${shipment.ewayBill.number}`, 360, 135);
+    }
+
+    this.doc
+      .fontSize(10)
+      .font('Helvetica-Bold')
+      .text('Consignee:', 50, 85)
+      .font('Helvetica')
+      .text(customer.companyName || `${customer.firstName || ''} ${customer.lastName || ''}`.trim() || '-', 50, 100)
+      .text([address.street, address.city, address.state, address.zipCode, address.country].filter(Boolean).join(', ') || '-', 50, 115, { width: 290 });
+
+    this.doc.y = 160;
+  }
+
+  // Generate ordered vs dispatched quantities per part
+  generateDeliveryChallanParts(parts) {
+    const headers = ['#', 'Part Ref', 'Part Name', 'Material', 'Thickness', 'Ordered', 'Dispatched'];
+    const columnWidths = [25, 90, 120, 85, 65, 55, 60];
+    const startX = 50;
+    const columnX = (index) => startX + columnWidths.slice(0, index).reduce((a, b) => a + b, 0);
+    let currentY = this.doc.y;
+
+    this.doc
+      .fontSize(9)
+      .font('Helvetica-Bold')
+      .fillColor('#4CAF50');
+
+    headers.forEach((header, index) => {
+      this.doc.text(header, columnX(index), currentY, { width: columnWidths[index] });
+    });
+
+    currentY += 18;
+
+    this.doc
+      .fontSize(9)
+      .font('Helvetica')
+      .fillColor('#000000');
+
+    parts.forEach((part, rowIndex) => {
+      const rowData = [
+        (rowIndex + 1).toString(),
+        part.partRef || '-',
+        part.partName || '-',
+        part.material || '-',
+        part.thickness ? `${part.thickness}mm` : '-',
+        (part.quantity || 0).toString(),
+        (part.dispatchedQuantity || 0).toString()
+      ];
+
+      rowData.forEach((cell, index) => {
+        this.doc.text(cell, columnX(index), currentY, { width: columnWidths[index] });
+      });
+
+      currentY += 16;
+    });
+
+    this.doc.y = currentY + 12;
+  }
+
+  // Generate shipped parts with weights for a single consignment
+  generateDeliveryChallanItems(items) {
+    const headers = ['#', 'Part Ref', 'Part Name', 'Material', 'Thickness', 'Qty', 'Weight (kg)'];
+    const columnWidths = [25, 90, 130, 85, 65, 45, 60];
+    const startX = 50;
+    const columnX = (index) => startX + columnWidths.slice(0, index).reduce((a, b) => a + b, 0);
+    let currentY = this.doc.y;
+
+    this.doc
+      .fontSize(9)
+      .font('Helvetica-Bold')
+      .fillColor('#4CAF50');
+
+    headers.forEach((header, index) => {
+      this.doc.text(header, columnX(index), currentY, { width: columnWidths[index] });
+    });
+
+    currentY += 18;
+
+    this.doc
+      .fontSize(9)
+      .font('Helvetica')
+      .fillColor('#000000');
+
+    items.forEach((item, rowIndex) => {
+      const rowData = [
+        (rowIndex + 1).toString(),
+        item.partRef || '-',
+        item.partName || '-',
+        item.material || '-',
+        item.thickness ? `${item.thickness}mm` : '-',
+        (item.quantity || 0).toString(),
+        item.weightKg !== undefined && item.weightKg !== null ? item.weightKg.toString() : '-'
+      ];
+
+      rowData.forEach((cell, index) => {
+        this.doc.text(cell, columnX(index), currentY, { width: columnWidths[index] });
+      });
+
+      currentY += 16;
+    });
+
+    const totalQuantity = items.reduce((sum, item) => sum + (item.quantity || 0), 0);
+    const hasWeights = items.some(item => item.weightKg !== undefined && item.weightKg !== null);
+    const totalWeight = items.reduce((sum, item) => sum + (item.weightKg || 0), 0);
+    this.doc
+      .font('Helvetica-Bold')
+      .text('Total', columnX(4), currentY + 6, { width: columnWidths[4] })
+      .text(totalQuantity.toString(), columnX(5), currentY + 6, { width: columnWidths[5] })
+      .text(hasWeights ? (Math.round(totalWeight * 1000) / 1000).toString() : '-', columnX(6), currentY + 6, { width: columnWidths[6] });
+
+    this.doc.y = currentY + 28;
+  }
+
+  // Generate carrier, vehicle and transporter details for a consignment
+  generateDeliveryChallanTransport(shipment) {
+    const transport = shipment.transport || {};
+
+    this.doc
+      .fontSize(12)
+      .font('Helvetica-Bold')
+      .fillColor('#000000')
+      .text('Transport Details', 50, this.doc.y);
+
+    this.doc.moveDown(0.5);
+
+    const rows = [
+      ['Mode', transport.mode || 'road'],
+      ['Courier / Transporter', transport.transporterName || shipment.courier || '-'],
+      ['Transporter ID', transport.transporterId || '-'],
+      ['Vehicle Number', transport.vehicleNumber || '-'],
+      ['Tracking / LR #', transport.transportDocNumber || shipment.trackingNumber || '-'],
+      ['Distance', transport.distanceKm !== undefined ? `${transport.distanceKm} km` : '-'],
+      ['Gross Weight', transport.grossWeightKg !== undefined ? `${transport.grossWeightKg} kg` : '-']
+    ];
+
+    this.doc.fontSize(9);
+    rows.forEach(([label, value]) => {
+      const rowY = this.doc.y;
+      this.doc
+        .font('Helvetica-Bold')
+        .text(`${label}:`, 50, rowY, { width: 140 })
+        .font('Helvetica')
+        .text(value, 190, rowY, { width: 300 });
+    });
+
+    this.doc.moveDown(1);
+  }
+
+  // Generate consignment list; orders shipped in one go fall back to order.dispatch
+  generateDeliveryChallanShipments(order, shipments) {
+    const consignments = shipments.length > 0
+      ? shipments.map(shipment => ({
+        label: shipment.shipmentNumber,
+        courier: shipment.courier,
+        vehicleNumber: shipment.transport?.vehicleNumber,
+        trackingNumber: shipment.trackingNumber,
+        dispatchedAt: shipment.dispatchedAt,
+        deliveredAt: shipment.delivery?.deliveredAt
+      }))
+      : [{
+        label: order.orderNumber,
+        courier: order.dispatch?.courier,
+        trackingNumber: order.dispatch?.trackingNumber,
+        dispatchedAt: order.dispatch?.dispatchedAt,
+        deliveredAt: order.dispatch?.actualDelivery
+      }];
+
+    this.doc
+      .fontSize(12)
+      .font('Helvetica-Bold')
+      .fillColor('#000000')
+      .text('Consignments', 50, this.doc.y);
+
+    this.doc.moveDown(0.5);
+    this.doc.fontSize(9).font('Helvetica');
+
+    consignments.forEach(consignment => {
+      this.doc.text(
+        `${consignment.label} - ${consignment.courier || '-'} (${consignment.trackingNumber || '-'})` +
+        `${consignment.vehicleNumber ? `, vehicle ${consignment.vehicleNumber}` : ''} - ` +
+        `dispatched ${consignment.dispatchedAt ? new Date(consignment.dispatchedAt).toLocaleDateString() : '-'}, ` +
+        `delivered ${consignment.deliveredAt ? new Date(consignment.deliveredAt).toLocaleDateString() : 'pending'}`,
+        50, this.doc.y, { width: 495 }
+      );
+    });
+
+    this.doc.moveDown(1);
+  }
+
+  // Generate proof of delivery: receiver, time, GPS and signature for each handover
+  generateDeliveryProofSection(proofs, shipments, signatureImages) {
+    this.doc
+      .fontSize(12)
+      .font('Helvetica-Bold')
+      .fillColor('#000000')
+      .text('Proof of Delivery', 50, this.doc.y);
+
+    this.doc.moveDown(0.5);
+
+    if (proofs.length === 0) {
+      const signOffY = this.doc.y;
+      this.doc
+        .fontSize(10)
+        .font('Helvetica')
+        .text('Received by: ____________________', 50, signOffY)
+        .text('Date: ____________', 320, signOffY)
+        .text('Signature: ____________________', 50, signOffY + 25);
+      return;
+    }
+
+    proofs.forEach(proof => {
+      if (this.doc.y > 650) {
+        this.doc.addPage();
+      }
+
+      const shipment = proof.shipment && shipments.find(s => s._id.toString() === proof.shipment.toString());
+      const location = proof.location && proof.location.latitude !== undefined
+        ? `${proof.location.latitude}, ${proof.location.longitude}${proof.location.accuracy ? ` (±${proof.location.accuracy}m)` : ''}`
+        : '-';
+      const blockY = this.doc.y;
+
+      this.doc
+        .fontSize(9)
+        .font('Helvetica')
+        .text(`${shipment ? `Shipment: ${shipment.shipmentNumber}\n` : ''}Received by: ${proof.receiverName}${proof.receiverPhone ? ` (${proof.receiverPhone})` : ''}`, 50, blockY, { width: 280 })
+        .text(`Received at: ${new Date(proof.capturedAt).toLocaleString()}`, { width: 280 })
+        .text(`GPS: ${location}`, { width: 280 })
+        .text(`Photos: ${(proof.photos || []).length}`, { width: 280 });
+
+      const textBottom = this.doc.y;
+      const signature = signatureImages[proof._id.toString()];
+      if (signature) {
+        try {
+          this.doc.image(signature, 350, blockY, { fit: [180, 60] });
+        } catch (imageError) {
+          console.error('Could not render delivery signature:', imageError.message);
+        }
+      }
+
+      this.doc.y = Math.max(textBottom, blockY + 65) + 10;
+    });
   }
 
   // Generate payment section
@@ -0,0 +1,119 @@
+const Settings = require('../models/Settings');
+
+const roundCurrency = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+// Load pricing rates from settings (falls back to schema defaults)
+const getPricingRates = async () => {
+  const settings = await Settings.getSettings();
+  const rates = settings.pricingRates && typeof settings.pricingRates.toObject === 'function'
+    ? settings.pricingRates.toObject()
+    : settings.pricingRates;
+  return rates || {};
+};
+
+// Find the material rate for a part - exact grade match first, then material-only rate
+const findMaterialRate = (rates, material, grade) => {
+  const materials = Array.isArray(rates.materials) ? rates.materials : [];
+  const sameMaterial = materials.filter(rate => normalize(rate.material) === normalize(material));
+  return sameMaterial.find(rate => normalize(rate.grade) === normalize(grade))
+    || sameMaterial.find(rate => !normalize(rate.grade))
+    || null;
+};
+
+// Pick the largest quantity break the part qualifies for
+const findQuantityBreak = (rates, quantity) => {
+  const breaks = Array.isArray(rates.quantityBreaks) ? rates.quantityBreaks : [];
+  return breaks
+    .filter(qb => quantity >= qb.minQuantity)
+    .sort((a, b) => b.minQuantity - a.minQuantity)[0] || null;
+};
+
+// Calculate suggested unit price and cost breakdown for a single part
+const calculatePartPrice = (part, rates = {}) => {
+  const warnings = [];
+  const quantity = Math.max(parseInt(part.quantity) || 1, 1);
+  const thickness = parseFloat(part.thickness) || 0;
+
+  if (!thickness) {
+    warnings.push(`Could not read thickness "${part.thickness}"`);
+  }
+
+  // Prefer measured DXF geometry (mm / mm²) over the configured fallbacks (m / m²)
+  const geometry = part.geometry && part.geometry.analyzedAt ? part.geometry : null;
+  const area = geometry && geometry.netArea ? geometry.netArea / 1e6 : (rates.defaultPartArea || 0);
+  const cutLength = geometry && geometry.cutLength ? geometry.cutLength / 1000 : (rates.defaultCutLength || 0);
+  const bendCount = geometry ? (geometry.bendCount || 0) : (rates.defaultBendCount || 0);
+  const pierceCount = geometry && geometry.pierceCount ? geometry.pierceCount : 1;
+
+  const materialRate = findMaterialRate(rates, part.material, part.grade);
+  if (!materialRate) {
+    warnings.push(`No material rate configured for ${part.material}${part.grade ? ` (${part.grade})` : ''}`);
+  }
+
+  const density = materialRate ? materialRate.density : 0;
+  const weight = area * (thickness / 1000) * density;
+  const materialCost = weight * (materialRate ? materialRate.costPerKg : 0);
+  const cuttingCost = cutLength * (rates.cuttingCostPerMeter || 0) * thickness;
+  const pierceCost = pierceCount * (rates.pierceCost || 0);
+  const bendingCost = bendCount * (rates.bendingCostPerBend || 0);
+  const setupCost = (rates.setupFee || 0) / quantity;
+
+  const baseUnitCost = materialCost + cuttingCost + pierceCost + bendingCost + setupCost;
+
+  const quantityBreak = findQuantityBreak(rates, quantity);
+  const discountPercent = quantityBreak ? quantityBreak.discountPercent : 0;
+  const discount = baseUnitCost * (discountPercent / 100);
+
+  const marginPercent = rates.marginPercent || 0;
+  const margin = (baseUnitCost - discount) * (marginPercent / 100);
+
+  const unitPrice = roundCurrency(baseUnitCost - discount + margin);
+
+  return {
+    partRef: part.partRef || '',
+    material: part.material,
+    thickness: part.thickness,
+    grade: part.grade || '',
+    quantity,
+    unitPrice,
+    totalPrice: roundCurrency(unitPrice * quantity),
+    breakdown: {
+      geometrySource: geometry ? 'dxf' : 'defaults',
+      weight: Math.round(weight * 1000) / 1000,
+      area,
+      cutLength,
+      pierceCount,
+      bendCount,
+      materialCost: roundCurrency(materialCost),
+      cuttingCost: roundCurrency(cuttingCost),
+      pierceCost: roundCurrency(pierceCost),
+      bendingCost: roundCurrency(bendingCost),
+      setupCost: roundCurrency(setupCost),
+      baseUnitCost: roundCurrency(baseUnitCost),
+      discountPercent,
+      discount: roundCurrency(discount),
+      marginPercent,
+      margin: roundCurrency(margin)
+    },
+    warnings
+  };
+};
+
+// Price a list of parts, loading rates from settings when not supplied
+const calculatePartsPricing = async (parts, rates = null) => {
+  const pricingRates = rates || await getPricingRates();
+  const items = (parts || []).map(part => calculatePartPrice(part, pricingRates));
+
+  return {
+    items,
+    totalAmount: roundCurrency(items.reduce((total, item) => total + item.totalPrice, 0))
+  };
+};
+
+module.exports = {
+  getPricingRates,
+  calculatePartPrice,
+  calculatePartsPricing
+};
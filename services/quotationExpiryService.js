@@ -0,0 +1,158 @@
+const Quotation = require('../models/Quotation');
+const Inquiry = require('../models/Inquiry');
+const { notify } = require('./notificationDispatcher');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before validUntil to remind the customer (QUOTATION_EXPIRY_REMINDER_DAYS, default 3)
+const getReminderDays = () => parseInt(process.env.QUOTATION_EXPIRY_REMINDER_DAYS) || 3;
+
+// How often the job runs (QUOTATION_EXPIRY_CHECK_INTERVAL_MS, default 1 hour)
+const getCheckInterval = () => parseInt(process.env.QUOTATION_EXPIRY_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+
+let timer = null;
+let isRunning = false;
+
+const getInquiryCustomer = async (quotation) => {
+  const inquiry = await Inquiry.findById(quotation.inquiryId).select('customer inquiryNumber').lean();
+  return inquiry ? inquiry.customer : null;
+};
+
+// Move sent quotations past validUntil to 'expired'. Drafts the customer never
+// received are left for back office to send or revise.
+const expireQuotations = async (now) => {
+  const quotations = await Quotation.find({
+    status: 'sent',
+    validUntil: { $lt: now }
+  });
+
+  for (const quotation of quotations) {
+    try {
+      quotation.status = 'expired';
+      quotation.expiredAt = now;
+      await quotation.save();
+
+      const customerId = await getInquiryCustomer(quotation);
+      if (customerId) {
+        await notify('quotation_expired', {
+          inApp: {
+            title: 'Quotation Expired',
+            message: `Quotation ${quotation.quotationNumber} expired on ${quotation.validUntil.toLocaleDateString()}. You can request a re-quote.`,
+            type: 'warning',
+            userId: customerId,
+            relatedEntity: {
+              type: 'quotation',
+              entityId: quotation._id
+            },
+            metadata: {
+              quotationNumber: quotation.quotationNumber,
+              validUntil: quotation.validUntil
+            }
+          },
+          websocket: ['notifyQuotationExpired', quotation, customerId]
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to expire quotation ${quotation.quotationNumber}:`, error);
+    }
+  }
+
+  return quotations.length;
+};
+
+// Remind customers about sent quotations expiring within the reminder window (once per revision)
+const sendExpiryReminders = async (now) => {
+  const reminderDays = getReminderDays();
+  const quotations = await Quotation.find({
+    status: 'sent',
+    validUntil: { $gte: now, $lte: new Date(now.getTime() + reminderDays * DAY_MS) },
+    expiryReminderSentAt: { $exists: false }
+  });
+
+  for (const quotation of quotations) {
+    const daysLeft = Math.max(Math.ceil((quotation.validUntil - now) / DAY_MS), 1);
+
+    try {
+      const customerId = await getInquiryCustomer(quotation);
+      await notify('quotation_expiring', {
+        recipient: customerId,
+        email: ['sendQuotationExpiryReminderEmail', quotation, daysLeft],
+        sms: quotation.customerInfo.phone && [
+          'sendSMS',
+          quotation.customerInfo.phone,
+          `Your quotation ${quotation.quotationNumber} (₹${quotation.totalAmount}) expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}. Please log in to accept it before ${quotation.validUntil.toLocaleDateString()}.`
+        ],
+        inApp: {
+          title: 'Quotation Expiring Soon',
+          message: `Quotation ${quotation.quotationNumber} expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}. Please review and accept it before it expires.`,
+          type: 'warning',
+          relatedEntity: {
+            type: 'quotation',
+            entityId: quotation._id
+          },
+          metadata: {
+            quotationNumber: quotation.quotationNumber,
+            validUntil: quotation.validUntil,
+            daysLeft
+          }
+        }
+      });
+
+      quotation.expiryReminderSentAt = now;
+      await quotation.save();
+    } catch (error) {
+      console.error(`Failed to record expiry reminder for ${quotation.quotationNumber}:`, error);
+    }
+  }
+
+  return quotations.length;
+};
+
+// Run one pass of the expiry job
+const runExpiryCheck = async () => {
+  if (isRunning) {
+    return { skipped: true };
+  }
+
+  isRunning = true;
+  try {
+    const now = new Date();
+    const expired = await expireQuotations(now);
+    const reminded = await sendExpiryReminders(now);
+
+    if (expired || reminded) {
+      console.log(`⏰ Quotation expiry check: ${expired} expired, ${reminded} reminder(s) sent`);
+    }
+    return { expired, reminded };
+  } catch (error) {
+    console.error('Quotation expiry check failed:', error);
+    return { error: error.message };
+  } finally {
+    isRunning = false;
+  }
+};
+
+// Start the scheduled job (runs once immediately, then on an interval)
+const start = () => {
+  if (timer) {
+    return;
+  }
+  const interval = getCheckInterval();
+  timer = setInterval(runExpiryCheck, interval);
+  timer.unref();
+  setImmediate(runExpiryCheck);
+  console.log(`⏰ Quotation expiry job scheduled every ${Math.round(interval / 60000)} minute(s)`);
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  runExpiryCheck,
+  start,
+  stop
+};
@@ -0,0 +1,365 @@
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const RefundRequest = require('../models/RefundRequest');
+const NomenclatureConfig = require('../models/NomenclatureConfig');
+const { refundPayment, refundOrderPayment, isRazorpayConfigured } = require('./paymentService');
+const { getTaxSettings } = require('./taxService');
+const pdfService = require('./pdfService');
+
+const roundCurrency = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Split a tax-inclusive amount into taxable value and GST using the order's supply type
+const splitTax = (amount, taxableValue, isInterState) => {
+  const tax = roundCurrency(amount - taxableValue);
+  const cgstAmount = isInterState ? 0 : roundCurrency(tax / 2);
+  return {
+    taxableValue,
+    cgstAmount,
+    sgstAmount: isInterState ? 0 : roundCurrency(tax - cgstAmount),
+    igstAmount: isInterState ? tax : 0
+  };
+};
+
+// Amount already refunded per refund request, from the payment ledger
+const getSettledAmounts = async (requestIds) => {
+  const refunds = await Payment.find({ type: 'refund', refundRequest: { $in: requestIds } }).select('refundRequest amount');
+  return refunds.reduce((settled, refund) => {
+    const id = refund.refundRequest.toString();
+    settled[id] = roundCurrency((settled[id] || 0) + refund.amount);
+    return settled;
+  }, {});
+};
+
+// Amount still available for refund: paid, minus refunded, minus requests awaiting a decision
+const getRefundableAmount = async (order) => {
+  const paid = order.amountPaid || (order.payment.status === 'completed' ? order.payment.amount : 0) || 0;
+  const open = await RefundRequest.find({
+    order: order._id,
+    status: { $in: RefundRequest.OPEN_STATUSES }
+  }).select('amount');
+  // Parts of a request already refunded are in refundedAmount
+  const settled = await getSettledAmounts(open.map(request => request._id));
+  const reserved = open.reduce((sum, request) => sum + request.amount - (settled[request._id.toString()] || 0), 0);
+
+  return Math.max(roundCurrency(paid - (order.payment.refundedAmount || 0) - reserved), 0);
+};
+
+/**
+ * Build credit note lines for a refund. `items` ([{ partId, quantity }]) refunds
+ * part quantities at their tax-inclusive price; otherwise a single adjustment
+ * line carries `amount` with GST in the order's overall proportion.
+ */
+const buildRefundItems = async (order, { items, amount }) => {
+  const tax = order.tax || {};
+  const taxLines = tax.lines || [];
+
+  if (!items || items.length === 0) {
+    const taxShare = tax.grandTotal ? (tax.taxableAmount || 0) / tax.grandTotal : 1;
+    const taxableValue = roundCurrency(amount * taxShare);
+    return {
+      items: [{
+        partRef: 'Order adjustment',
+        gstRate: tax.taxableAmount ? roundCurrency((tax.totalTax || 0) / tax.taxableAmount * 100) : 0,
+        amount: roundCurrency(amount),
+        ...splitTax(roundCurrency(amount), taxableValue, tax.isInterState)
+      }],
+      amount: roundCurrency(amount)
+    };
+  }
+
+  // Quantities already refunded or awaiting approval per part
+  const previous = await RefundRequest.find({
+    order: order._id,
+    status: { $in: [...RefundRequest.OPEN_STATUSES, 'completed'] }
+  }).select('items');
+  const claimed = {};
+  previous.forEach(request => request.items.forEach(item => {
+    if (item.part) {
+      claimed[item.part.toString()] = (claimed[item.part.toString()] || 0) + (item.quantity || 0);
+    }
+  }));
+
+  const refundItems = [];
+  for (const requested of items) {
+    const part = order.parts.id(requested.partId);
+    if (!part) {
+      return { error: `Part ${requested.partId} is not on this order` };
+    }
+
+    const quantity = parseInt(requested.quantity, 10);
+    const available = (part.quantity || 0) - (claimed[part._id.toString()] || 0);
+    if (!quantity || quantity < 1 || quantity > available) {
+      return { error: `Only ${available} of ${part.partRef || part.partName} can be refunded` };
+    }
+    claimed[part._id.toString()] = (claimed[part._id.toString()] || 0) + quantity;
+
+    // Tax lines are stored in the same order as the parts
+    const line = taxLines[order.parts.indexOf(part)] || {};
+    const ratio = quantity / part.quantity;
+    const lineAmount = roundCurrency((line.totalAmount !== undefined ? line.totalAmount : part.totalPrice || 0) * ratio);
+    const taxableValue = line.taxableValue !== undefined ? roundCurrency(line.taxableValue * ratio) : lineAmount;
+
+    refundItems.push({
+      part: part._id,
+      partRef: part.partRef,
+      partName: part.partName,
+      hsnCode: line.hsnCode,
+      quantity,
+      unitAmount: roundCurrency(lineAmount / quantity),
+      gstRate: line.gstRate || 0,
+      amount: lineAmount,
+      ...splitTax(lineAmount, taxableValue, tax.isInterState)
+    });
+  }
+
+  return {
+    items: refundItems,
+    amount: roundCurrency(refundItems.reduce((sum, item) => sum + item.amount, 0))
+  };
+};
+
+// Customer, back office and admin notifications for a refund status change
+const notifyRefundStatus = async (refundRequest, order) => {
+  const titles = {
+    requested: 'Refund Requested',
+    approved: 'Refund Approved',
+    rejected: 'Refund Request Declined',
+    completed: 'Refund Processed',
+    failed: 'Refund Failed'
+  };
+
+  const { notify } = require('./notificationDispatcher');
+  await notify('refund_update', {
+    recipient: refundRequest.status === 'requested' ? null : order.customer,
+    email: ['sendRefundStatusEmail', refundRequest, order],
+    inApp: {
+      title: titles[refundRequest.status] || 'Refund Update',
+      message: `Your refund request of ₹${refundRequest.amount} for order ${order.orderNumber} is ${refundRequest.status}.`,
+      type: ['rejected', 'failed'].includes(refundRequest.status) ? 'warning' : refundRequest.status === 'completed' ? 'success' : 'info',
+      userId: order.customer?._id || order.customer,
+      relatedEntity: {
+        type: 'payment',
+        entityId: refundRequest._id
+      },
+      metadata: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        amount: refundRequest.amount,
+        status: refundRequest.status,
+        creditNoteNumber: refundRequest.creditNote?.creditNoteNumber
+      }
+    },
+    websocket: ['notifyRefundStatus', order, refundRequest]
+  });
+};
+
+/**
+ * Open a refund request against an order. Returns { success, refundRequest }
+ * or { success: false, statusCode, message } when the refund is not allowed.
+ */
+const createRefundRequest = async (order, { reason, amount, items }, { userId, userRole }) => {
+  if (items && items.length > 0 && amount) {
+    return { success: false, statusCode: 400, message: 'Provide either line items or an amount, not both' };
+  }
+
+  const refundable = await getRefundableAmount(order);
+  if (refundable <= 0) {
+    return { success: false, statusCode: 400, message: 'Nothing left to refund on this order' };
+  }
+
+  const built = await buildRefundItems(order, { items, amount: amount ? parseFloat(amount) : refundable });
+  if (built.error) {
+    return { success: false, statusCode: 400, message: built.error };
+  }
+  if (built.amount > refundable) {
+    return { success: false, statusCode: 400, message: `Refund amount exceeds the refundable balance of ${refundable}` };
+  }
+
+  const refundRequest = new RefundRequest({
+    order: order._id,
+    customer: order.customer?._id || order.customer,
+    requestedBy: userId,
+    requestedByRole: userRole,
+    reason,
+    items: built.items,
+    amount: built.amount,
+    currency: order.currency
+  });
+  refundRequest.setStatus('requested', userId, reason);
+  await refundRequest.save();
+
+  return { success: true, refundRequest };
+};
+
+// Assign the credit note number once and (re)generate its PDF
+const generateCreditNote = async (refundRequest, order) => {
+  if (!refundRequest.creditNote || !refundRequest.creditNote.creditNoteNumber) {
+    refundRequest.creditNote = {
+      creditNoteNumber: await NomenclatureConfig.generateId('creditNote'),
+      creditNoteDate: new Date()
+    };
+    await refundRequest.save();
+  }
+
+  const taxSettings = await getTaxSettings();
+  const pdfResult = await pdfService.generateCreditNotePDF(refundRequest, order, taxSettings);
+  refundRequest.creditNote.fileName = pdfResult.fileName;
+  await refundRequest.save();
+
+  return pdfResult;
+};
+
+// Razorpay captures on the order with their unrefunded balance, most recent first
+const getCaptureBalances = async (order) => {
+  const [captures, refunds] = await Promise.all([
+    Payment.find({ order: order._id, type: 'capture', gateway: 'razorpay' }).sort({ occurredAt: -1 }),
+    Payment.find({ order: order._id, type: 'refund' }).select('transactionId amount')
+  ]);
+
+  return captures.map(capture => {
+    const refunded = refunds
+      .filter(refund => refund.transactionId === capture.transactionId)
+      .reduce((sum, refund) => sum + refund.amount, 0);
+    return { capture, balance: roundCurrency(capture.amount - refunded) };
+  }).filter(({ balance }) => balance >= 0.01);
+};
+
+const completeRefundRequest = async (refundRequest, order, changedBy, note) => {
+  refundRequest.processedAt = new Date();
+  refundRequest.setStatus('completed', changedBy, note);
+  await refundRequest.save();
+
+  try {
+    await generateCreditNote(refundRequest, order);
+  } catch (pdfError) {
+    // The credit note is regenerated on download
+    console.error('Credit note generation failed:', pdfError);
+  }
+
+  await notifyRefundStatus(refundRequest, order);
+  return refundRequest;
+};
+
+const failRefundRequest = async (refundRequest, order, changedBy, reason) => {
+  refundRequest.failureReason = reason;
+  refundRequest.setStatus('failed', changedBy, reason);
+  await refundRequest.save();
+  await notifyRefundStatus(refundRequest, order);
+  return refundRequest;
+};
+
+const getOutstandingAmount = async (refundRequest) => {
+  const settled = await getSettledAmounts([refundRequest._id]);
+  return roundCurrency(refundRequest.amount - (settled[refundRequest._id.toString()] || 0));
+};
+
+/**
+ * Approve a refund request and run it: Razorpay payments are refunded through
+ * the gateway, split across the order's captures when no single one covers the
+ * amount. Whatever the gateway can't refund (offline payments) stays approved
+ * until back office pays it out and settles the request. Every refund is written
+ * to the payment ledger; completed requests get a credit note.
+ */
+const approveRefundRequest = async (refundRequest, { reviewerId, notes }) => {
+  const order = await Order.findById(refundRequest.order)
+    .populate('customer', 'firstName lastName email companyName phoneNumber gstin');
+
+  refundRequest.reviewedBy = reviewerId;
+  refundRequest.reviewedAt = new Date();
+  refundRequest.reviewNotes = notes;
+  refundRequest.setStatus('approved', reviewerId, notes);
+  refundRequest.setStatus('processing', reviewerId);
+  await refundRequest.save();
+
+  // Any error past this point marks the request failed so it can be approved again;
+  // a retry only refunds what earlier attempts did not
+  let outstanding;
+  try {
+    outstanding = await getOutstandingAmount(refundRequest);
+
+    for (const { capture, balance } of await getCaptureBalances(order)) {
+      if (outstanding < 0.01) {
+        break;
+      }
+
+      const amount = Math.min(balance, outstanding);
+      const gatewayRefund = isRazorpayConfigured
+        ? await refundPayment(capture.transactionId, amount, refundRequest.reason)
+        : { success: false, message: 'Payment gateway not configured' };
+
+      if (!gatewayRefund.success) {
+        return failRefundRequest(refundRequest, order, reviewerId, gatewayRefund.error || gatewayRefund.message || 'Gateway refund failed');
+      }
+
+      refundRequest.gateway = 'razorpay';
+      refundRequest.transactionId = refundRequest.transactionId || capture.transactionId;
+      refundRequest.gatewayRefundId = refundRequest.gatewayRefundId || gatewayRefund.refundId;
+      refundRequest.gatewayRefunds.push({ transactionId: capture.transactionId, refundId: gatewayRefund.refundId, amount });
+      await refundRequest.save();
+
+      const recorded = await refundOrderPayment(order, {
+        amount,
+        method: capture.method,
+        gateway: 'razorpay',
+        source: 'manual',
+        transactionId: capture.transactionId,
+        refundId: gatewayRefund.refundId,
+        reason: refundRequest.reason,
+        recordedBy: reviewerId,
+        refundRequest: refundRequest._id
+      });
+      if (!recorded) {
+        // The refund.processed webhook recorded it first - count it against this request
+        await Payment.updateOne({ refundId: gatewayRefund.refundId }, { $set: { refundRequest: refundRequest._id } });
+      }
+      outstanding = roundCurrency(outstanding - amount);
+    }
+  } catch (error) {
+    console.error(`Refund request ${refundRequest._id} failed:`, error);
+    return failRefundRequest(refundRequest, order, reviewerId, error.message || 'Refund processing failed');
+  }
+
+  if (outstanding >= 0.01) {
+    refundRequest.gateway = 'manual';
+    refundRequest.failureReason = undefined;
+    refundRequest.setStatus('approved', reviewerId, `₹${outstanding} awaiting manual settlement`);
+    await refundRequest.save();
+    await notifyRefundStatus(refundRequest, order);
+    return refundRequest;
+  }
+
+  return completeRefundRequest(refundRequest, order, reviewerId);
+};
+
+// Record the part of an approved refund that back office paid out offline and complete it
+const settleRefundRequest = async (refundRequest, { reviewerId, notes }) => {
+  const order = await Order.findById(refundRequest.order)
+    .populate('customer', 'firstName lastName email companyName phoneNumber gstin');
+
+  const outstanding = await getOutstandingAmount(refundRequest);
+  if (outstanding >= 0.01) {
+    refundRequest.transactionId = refundRequest.transactionId || order.payment.transactionId;
+    await refundOrderPayment(order, {
+      amount: outstanding,
+      method: order.payment.method,
+      gateway: 'manual',
+      source: 'manual',
+      transactionId: order.payment.transactionId,
+      reason: refundRequest.reason,
+      recordedBy: reviewerId,
+      refundRequest: refundRequest._id
+    });
+  }
+
+  return completeRefundRequest(refundRequest, order, reviewerId, notes);
+};
+
+module.exports = {
+  getRefundableAmount,
+  buildRefundItems,
+  createRefundRequest,
+  approveRefundRequest,
+  settleRefundRequest,
+  generateCreditNote,
+  notifyRefundStatus
+};
@@ -0,0 +1,203 @@
+const Shipment = require('../models/Shipment');
+const { notify } = require('./notificationDispatcher');
+const { checkStatusTransition } = require('./orderStatusService');
+const { checkShipmentEwayBill, normalizeVehicleNumber } = require('./ewayBillService');
+
+// Orders that can still send out goods
+const SHIPPABLE_STATUSES = ['ready_for_dispatch', 'partially_dispatched'];
+
+/**
+ * Create a shipment for part of an order (or everything still to ship when
+ * `items` is empty) and move the order to partially_dispatched or dispatched.
+ * Consignments above the e-way bill threshold need complete transport details.
+ * Returns { success, shipment } or { success: false, statusCode, message }.
+ */
+const createShipment = async (order, { items, courier, trackingNumber, estimatedDelivery, notes, transport = {}, ewayBillNumber }, { userId, userRole }) => {
+  if (!SHIPPABLE_STATUSES.includes(order.status)) {
+    return { success: false, statusCode: 409, message: `Order ${order.orderNumber} is ${order.status} and cannot be shipped` };
+  }
+
+  const undispatched = order.getUndispatchedParts();
+  const requested = items && items.length > 0
+    ? items
+    : undispatched.map(({ part, remaining }) => ({ partId: part._id, quantity: remaining }));
+
+  const shipmentItems = [];
+  for (const item of requested) {
+    const part = order.parts.id(item.partId);
+    if (!part) {
+      return { success: false, statusCode: 400, message: `Part ${item.partId} is not on this order` };
+    }
+    // Each line is checked against what is left, so a part may only appear once
+    if (shipmentItems.some(shipped => shipped.part.equals(part._id))) {
+      return { success: false, statusCode: 400, message: `${part.partRef || part.partName} is listed more than once` };
+    }
+
+    const quantity = parseInt(item.quantity, 10);
+    const remaining = (part.quantity || 0) - (part.dispatchedQuantity || 0);
+    if (!quantity || quantity < 1 || quantity > remaining) {
+      return { success: false, statusCode: 400, message: `Only ${remaining} of ${part.partRef || part.partName} left to ship` };
+    }
+
+    shipmentItems.push({
+      part: part._id,
+      partRef: part.partRef,
+      partName: part.partName,
+      material: part.material,
+      thickness: part.thickness,
+      quantity,
+      weightKg: item.weightKg !== undefined ? parseFloat(item.weightKg) : undefined
+    });
+  }
+
+  if (shipmentItems.length === 0) {
+    return { success: false, statusCode: 400, message: 'Nothing left to ship on this order' };
+  }
+
+  const ewayBill = await checkShipmentEwayBill(order, shipmentItems, transport);
+  if (ewayBill.errors.length > 0) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `Consignment value ₹${ewayBill.value} needs an e-way bill: ${ewayBill.errors.join('; ')}`,
+      errors: ewayBill.errors
+    };
+  }
+
+  // Apply the quantities so the status check sees what will be left after this shipment
+  shipmentItems.forEach(item => {
+    const part = order.parts.id(item.part);
+    part.dispatchedQuantity = (part.dispatchedQuantity || 0) + item.quantity;
+  });
+
+  if (!order.dispatch) {
+    order.dispatch = {};
+  }
+  const firstDispatchedAt = order.dispatch.dispatchedAt;
+  order.dispatch.courier = courier;
+  order.dispatch.trackingNumber = trackingNumber;
+
+  const nextStatus = order.getUndispatchedParts().length > 0 ? 'partially_dispatched' : 'dispatched';
+  const rejection = checkStatusTransition(order, nextStatus, userRole);
+  if (rejection) {
+    return { success: false, ...rejection };
+  }
+
+  const sequence = await Shipment.countDocuments({ order: order._id }) + 1;
+  const dispatchedAt = new Date();
+  const shipment = new Shipment({
+    order: order._id,
+    customer: order.customer?._id || order.customer,
+    shipmentNumber: `${order.orderNumber}-S${sequence}`,
+    sequence,
+    items: shipmentItems,
+    value: ewayBill.value,
+    transport: {
+      ...transport,
+      vehicleNumber: transport.vehicleNumber ? normalizeVehicleNumber(transport.vehicleNumber) : undefined
+    },
+    ewayBill: {
+      required: ewayBill.required,
+      number: ewayBillNumber
+    },
+    courier,
+    trackingNumber,
+    dispatchedAt,
+    estimatedDelivery: estimatedDelivery ? new Date(estimatedDelivery) : undefined,
+    notes,
+    dispatchedBy: userId
+  });
+  await shipment.save();
+
+  // Order.dispatch mirrors the latest shipment for emails, SMS and older clients
+  order.status = nextStatus;
+  order.dispatch.dispatchedAt = firstDispatchedAt || dispatchedAt;
+  order.dispatch.estimatedDelivery = shipment.estimatedDelivery || order.dispatch.estimatedDelivery;
+  if (notes) {
+    order.dispatch.notes = notes;
+  }
+  order.timeline.push({
+    status: order.status,
+    description: `Shipment ${shipment.shipmentNumber} dispatched via ${courier} (${trackingNumber})`,
+    timestamp: dispatchedAt,
+    updatedBy: userId
+  });
+  order.updatedAt = new Date();
+  await order.save();
+
+  return { success: true, shipment };
+};
+
+// True when every part has shipped and every shipment has been delivered
+const isOrderFullyDelivered = async (order) => {
+  if (order.getUndispatchedParts().length > 0) {
+    return false;
+  }
+  const open = await Shipment.exists({ order: order._id, status: { $ne: 'delivered' } });
+  return !open;
+};
+
+/**
+ * Confirm delivery of a shipment. The order itself is marked delivered once
+ * its last shipment arrives; returns { shipment, orderDelivered }.
+ * The order is modified but not saved so the caller can record COD first.
+ */
+const confirmShipmentDelivery = async (order, shipment, { deliveredAt, receivedBy, notes, userId }) => {
+  shipment.status = 'delivered';
+  shipment.delivery = {
+    deliveredAt: deliveredAt ? new Date(deliveredAt) : new Date(),
+    receivedBy,
+    notes,
+    confirmedBy: userId
+  };
+  await shipment.save();
+
+  order.timeline.push({
+    status: order.status,
+    description: `Shipment ${shipment.shipmentNumber} delivered${receivedBy ? ` to ${receivedBy}` : ''}`,
+    timestamp: shipment.delivery.deliveredAt,
+    updatedBy: userId
+  });
+
+  const orderDelivered = order.status === 'dispatched' && await isOrderFullyDelivered(order);
+  if (orderDelivered) {
+    order.status = 'delivered';
+    order.dispatch.actualDelivery = shipment.delivery.deliveredAt;
+  }
+  order.updatedAt = new Date();
+
+  return { shipment, orderDelivered };
+};
+
+// Customer notifications once the whole order is delivered (WebSocket, email, SMS and in-app)
+const notifyOrderDelivered = async (order) => {
+  await notify('order_delivered', {
+    recipient: order.customer,
+    email: ['sendDeliveryConfirmation', order],
+    sms: ['sendDeliveryConfirmationSMS', order, order.customer],
+    inApp: {
+      title: 'Order Delivered',
+      message: `Your order ${order.orderNumber} has been delivered successfully! Thank you for choosing Komacut. We hope you're satisfied with your sheet metal parts.`,
+      type: 'success',
+      relatedEntity: {
+        type: 'order',
+        entityId: order._id
+      },
+      metadata: {
+        orderNumber: order.orderNumber,
+        actualDelivery: order.dispatch.actualDelivery,
+        status: order.status,
+        deliveredAt: new Date()
+      }
+    },
+    websocket: ['notifyOrderStatusUpdate', order, 'dispatched', 'delivered']
+  });
+};
+
+module.exports = {
+  SHIPPABLE_STATUSES,
+  createShipment,
+  confirmShipmentDelivery,
+  isOrderFullyDelivered,
+  notifyOrderDelivered
+};
@@ -0,0 +1,174 @@
+const Settings = require('../models/Settings');
+
+const roundCurrency = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+// GST state codes (first two digits of a GSTIN)
+const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+// Resolve a state name or two-digit GST code to its GST state code
+const getStateCode = (state) => {
+  const value = normalize(state);
+  if (!value) {
+    return null;
+  }
+  if (/^\d{1,2}$/.test(value)) {
+    const code = value.padStart(2, '0');
+    return GST_STATE_CODES[code] ? code : null;
+  }
+  const match = Object.entries(GST_STATE_CODES).find(([, name]) => normalize(name) === value);
+  return match ? match[0] : null;
+};
+
+// Load tax settings from settings (falls back to schema defaults)
+const getTaxSettings = async () => {
+  const settings = await Settings.getSettings();
+  const taxSettings = settings.taxSettings && typeof settings.taxSettings.toObject === 'function'
+    ? settings.taxSettings.toObject()
+    : settings.taxSettings;
+  return taxSettings || {};
+};
+
+// Find HSN code and GST rate for a material, falling back to the configured defaults
+const findHsnRate = (taxSettings, material) => {
+  const hsnCodes = Array.isArray(taxSettings.hsnCodes) ? taxSettings.hsnCodes : [];
+  const match = hsnCodes.find(entry => normalize(entry.material) === normalize(material));
+  return {
+    hsnCode: (match && match.hsnCode) || taxSettings.defaultHsnCode || '',
+    gstRate: match && match.gstRate !== undefined && match.gstRate !== null
+      ? match.gstRate
+      : (taxSettings.defaultGstRate || 0)
+  };
+};
+
+/**
+ * Calculate GST for order lines.
+ * Intra-state supply (delivery state == company state) is split into CGST + SGST,
+ * inter-state supply is charged IGST. When prices include tax the taxable value is
+ * back-calculated so the grand total stays equal to the line totals.
+ */
+const calculateTax = (lines, { deliveryState, customerGstin } = {}, taxSettings = {}) => {
+  const warnings = [];
+  const supplierStateCode = getStateCode(taxSettings.companyStateCode || taxSettings.companyState);
+  // A registered customer's GSTIN identifies their state when the address is missing
+  const placeOfSupplyCode = getStateCode(deliveryState)
+    || (customerGstin ? getStateCode(customerGstin.slice(0, 2)) : null);
+
+  if (!supplierStateCode) {
+    warnings.push('Company state is not configured in tax settings');
+  }
+  if (!placeOfSupplyCode) {
+    warnings.push(`Could not determine GST state for delivery state "${deliveryState || ''}"`);
+  }
+
+  // Default to IGST unless both states are known and match
+  const isInterState = !(supplierStateCode && placeOfSupplyCode && supplierStateCode === placeOfSupplyCode);
+  const pricesIncludeTax = !!taxSettings.pricesIncludeTax;
+
+  const taxLines = (lines || []).map(line => {
+    const { hsnCode, gstRate } = findHsnRate(taxSettings, line.material);
+    const lineTotal = line.totalPrice || (line.unitPrice || 0) * (line.quantity || 0);
+    const taxableValue = roundCurrency(pricesIncludeTax ? lineTotal / (1 + gstRate / 100) : lineTotal);
+    const tax = roundCurrency(pricesIncludeTax ? lineTotal - taxableValue : taxableValue * gstRate / 100);
+    const cgst = isInterState ? 0 : roundCurrency(tax / 2);
+    const sgst = isInterState ? 0 : roundCurrency(tax - cgst);
+    const igst = isInterState ? tax : 0;
+
+    return {
+      partRef: line.partRef || '',
+      material: line.material,
+      hsnCode,
+      quantity: line.quantity,
+      gstRate,
+      taxableValue,
+      cgstAmount: cgst,
+      sgstAmount: sgst,
+      igstAmount: igst,
+      totalAmount: roundCurrency(taxableValue + tax)
+    };
+  });
+
+  const sum = (field) => roundCurrency(taxLines.reduce((total, line) => total + line[field], 0));
+  const taxableAmount = sum('taxableValue');
+  const cgstAmount = sum('cgstAmount');
+  const sgstAmount = sum('sgstAmount');
+  const igstAmount = sum('igstAmount');
+  const totalTax = roundCurrency(cgstAmount + sgstAmount + igstAmount);
+
+  return {
+    pricesIncludeTax,
+    isInterState,
+    supplierStateCode,
+    placeOfSupply: placeOfSupplyCode ? GST_STATE_CODES[placeOfSupplyCode] : (deliveryState || ''),
+    placeOfSupplyCode,
+    customerGstin: customerGstin || '',
+    lines: taxLines,
+    taxableAmount,
+    cgstAmount,
+    sgstAmount,
+    igstAmount,
+    totalTax,
+    grandTotal: roundCurrency(taxableAmount + totalTax),
+    calculatedAt: new Date(),
+    warnings
+  };
+};
+
+// Calculate GST for an order's parts, loading tax settings when not supplied
+const calculateOrderTax = async (order, customer, taxSettings = null) => {
+  const settings = taxSettings || await getTaxSettings();
+  const deliveryState = (order.deliveryAddress && order.deliveryAddress.state)
+    || (customer && customer.address && customer.address.state)
+    || '';
+
+  return calculateTax(order.parts, {
+    deliveryState,
+    customerGstin: customer ? customer.gstin : ''
+  }, settings);
+};
+
+module.exports = {
+  GST_STATE_CODES,
+  getStateCode,
+  getTaxSettings,
+  calculateTax,
+  calculateOrderTax
+};
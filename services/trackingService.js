@@ -0,0 +1,265 @@
+const Order = require('../models/Order');
+const Shipment = require('../models/Shipment');
+const { getCarrierAdapter } = require('./carriers');
+const { confirmShipmentDelivery, notifyOrderDelivered } = require('./shipmentService');
+const { notify } = require('./notificationDispatcher');
+const { checkStatusTransition } = require('./orderStatusService');
+
+// How often the poller runs (CARRIER_TRACKING_INTERVAL_MS, default 30 minutes)
+const getPollInterval = () => parseInt(process.env.CARRIER_TRACKING_INTERVAL_MS) || 30 * 60 * 1000;
+
+// Minimum gap between carrier calls for the same consignment (CARRIER_TRACKING_MIN_GAP_MS, default 5 minutes)
+const getMinGap = () => parseInt(process.env.CARRIER_TRACKING_MIN_GAP_MS) || 5 * 60 * 1000;
+
+let timer = null;
+let isRunning = false;
+
+const CUSTOMER_FIELDS = 'firstName lastName email phoneNumber';
+
+const eventKey = (event) => `${new Date(event.occurredAt).getTime()}|${event.rawStatus}`;
+
+// Add carrier events not already on the timeline; returns the new ones
+const mergeTrackingEvents = (tracking, events) => {
+  const known = new Set(tracking.events.map(eventKey));
+  const added = events.filter(event => !known.has(eventKey(event)));
+  if (added.length > 0) {
+    tracking.events = [...tracking.events, ...added]
+      .sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+  }
+  return added;
+};
+
+const isRecentlyTracked = (tracking) =>
+  !!(tracking && tracking.lastTrackedAt && Date.now() - tracking.lastTrackedAt.getTime() < getMinGap());
+
+// COD orders are only closed when the delivery crew records the collection
+const awaitsCodCollection = (order) => {
+  const balanceDue = order.balanceDue !== undefined ? order.balanceDue : order.totalAmount - (order.amountPaid || 0);
+  return order.payment.method === 'cash_on_delivery' && balanceDue > 0;
+};
+
+const notifyCodDeliveryPending = (order, label) =>
+  notify('cod_collection_pending', { websocket: ['notifyCodDeliveryPending', order, label] });
+
+// Call the carrier and store the result on a tracking subdocument.
+// Returns { success, adapter, result, added } or { success: false, message }.
+const fetchTracking = async (tracking, { courier, trackingNumber, dispatchedAt }) => {
+  const adapter = getCarrierAdapter(courier);
+  if (!adapter) {
+    return { success: false, message: `No tracking integration for courier ${courier}` };
+  }
+  if (!adapter.isConfigured()) {
+    return { success: false, message: `${adapter.label} tracking is not configured` };
+  }
+
+  tracking.carrier = adapter.name;
+  tracking.lastTrackedAt = new Date();
+
+  let result;
+  try {
+    result = await adapter.track(trackingNumber, { dispatchedAt });
+  } catch (error) {
+    tracking.lastError = error.message;
+    return { success: false, message: `${adapter.label} tracking failed: ${error.message}` };
+  }
+
+  tracking.lastError = undefined;
+  if (result.status) {
+    tracking.status = result.status;
+  }
+  const added = mergeTrackingEvents(tracking, result.events);
+  return { success: true, adapter, result, added };
+};
+
+const notifyNewEvents = async (order, shipment, added) => {
+  if (added.length === 0) {
+    return;
+  }
+  await notify('tracking_update', { websocket: ['notifyTrackingUpdate', order, shipment, added[added.length - 1]] });
+};
+
+/**
+ * Poll the carrier for one shipment. When the carrier reports delivery the
+ * shipment is confirmed (and the order delivered with its last shipment).
+ */
+const trackShipment = async (shipment, order) => {
+  if (!shipment.tracking) {
+    shipment.tracking = {};
+  }
+
+  const fetched = await fetchTracking(shipment.tracking, shipment);
+  if (!fetched.success) {
+    if (shipment.isModified()) {
+      await shipment.save();
+    }
+    return fetched;
+  }
+  await shipment.save();
+
+  const { adapter, result, added } = fetched;
+  await notifyNewEvents(order, shipment, added);
+
+  let orderDelivered = false;
+  if (result.delivered && shipment.status !== 'delivered') {
+    const completesOrder = order.status === 'dispatched' &&
+      !(await Shipment.exists({ order: order._id, status: { $ne: 'delivered' }, _id: { $ne: shipment._id } }));
+
+    if (completesOrder && awaitsCodCollection(order)) {
+      if (added.some(event => event.status === 'delivered')) {
+        await notifyCodDeliveryPending(order, adapter.label);
+      }
+    } else {
+      ({ orderDelivered } = await confirmShipmentDelivery(order, shipment, {
+        deliveredAt: result.deliveredAt,
+        notes: `Delivery reported by ${adapter.label}`
+      }));
+      await order.save();
+
+      if (orderDelivered) {
+        await notifyOrderDelivered(order);
+      }
+    }
+  }
+
+  return { success: true, added: added.length, delivered: shipment.status === 'delivered', orderDelivered };
+};
+
+// Poll the carrier for an order dispatched without shipment records
+const trackOrderDispatch = async (order) => {
+  if (!order.dispatch.tracking) {
+    order.dispatch.tracking = {};
+  }
+
+  const fetched = await fetchTracking(order.dispatch.tracking, order.dispatch);
+  if (!fetched.success) {
+    if (order.isModified()) {
+      await order.save();
+    }
+    return fetched;
+  }
+
+  const { adapter, result, added } = fetched;
+  let orderDelivered = false;
+  if (result.delivered && order.status === 'dispatched') {
+    if (awaitsCodCollection(order)) {
+      if (added.some(event => event.status === 'delivered')) {
+        await notifyCodDeliveryPending(order, adapter.label);
+      }
+    } else {
+      // Carrier-reported delivery still respects the transition rules (e.g. unpaid milestones)
+      const rejection = checkStatusTransition(order, 'delivered', 'backoffice');
+      if (rejection) {
+        console.warn(`Order ${order.orderNumber} not marked delivered from tracking: ${rejection.message}`);
+      } else {
+        order.status = 'delivered';
+        order.dispatch.actualDelivery = result.deliveredAt;
+        order.timeline.push({
+          status: 'delivered',
+          description: `Delivery reported by ${adapter.label}`,
+          timestamp: result.deliveredAt
+        });
+        order.updatedAt = new Date();
+        orderDelivered = true;
+      }
+    }
+  }
+  await order.save();
+
+  await notifyNewEvents(order, null, added);
+  if (orderDelivered) {
+    await notifyOrderDelivered(order);
+  }
+
+  return { success: true, added: added.length, delivered: orderDelivered, orderDelivered };
+};
+
+/**
+ * Refresh tracking for every open consignment of an order. Consignments
+ * polled within the minimum gap are skipped unless `force` is set.
+ */
+const refreshOrderTracking = async (order, { force = false } = {}) => {
+  const shipments = await Shipment.find({ order: order._id }).sort({ sequence: 1 });
+  const results = [];
+
+  if (shipments.length === 0) {
+    if (order.status === 'dispatched' && order.dispatch?.trackingNumber && (force || !isRecentlyTracked(order.dispatch.tracking))) {
+      results.push({ trackingNumber: order.dispatch.trackingNumber, ...(await trackOrderDispatch(order)) });
+    }
+    return results;
+  }
+
+  for (const shipment of shipments.filter(shipment => shipment.status === 'dispatched')) {
+    if (!force && isRecentlyTracked(shipment.tracking)) {
+      continue;
+    }
+    try {
+      results.push({ shipmentNumber: shipment.shipmentNumber, ...(await trackShipment(shipment, order)) });
+    } catch (error) {
+      console.error(`Tracking shipment ${shipment.shipmentNumber} failed:`, error);
+      results.push({ shipmentNumber: shipment.shipmentNumber, success: false, message: error.message });
+    }
+  }
+  return results;
+};
+
+// Run one pass of the tracking poller over all undelivered orders
+const runTrackingPoll = async () => {
+  if (isRunning) {
+    return { skipped: true };
+  }
+
+  isRunning = true;
+  try {
+    const orders = await Order.find({ status: { $in: ['partially_dispatched', 'dispatched'] } })
+      .populate('customer', CUSTOMER_FIELDS);
+
+    let updated = 0;
+    let delivered = 0;
+    for (const order of orders) {
+      try {
+        const results = await refreshOrderTracking(order);
+        updated += results.filter(result => result.added > 0).length;
+        delivered += results.some(result => result.orderDelivered) ? 1 : 0;
+      } catch (error) {
+        console.error(`Tracking poll failed for order ${order.orderNumber}:`, error);
+      }
+    }
+
+    if (updated || delivered) {
+      console.log(`🚚 Carrier tracking poll: ${updated} consignment(s) updated, ${delivered} order(s) delivered`);
+    }
+    return { orders: orders.length, updated, delivered };
+  } catch (error) {
+    console.error('Carrier tracking poll failed:', error);
+    return { error: error.message };
+  } finally {
+    isRunning = false;
+  }
+};
+
+// Start the scheduled poller (runs once immediately, then on an interval)
+const start = () => {
+  if (timer) {
+    return;
+  }
+  const interval = getPollInterval();
+  timer = setInterval(runTrackingPoll, interval);
+  timer.unref();
+  setImmediate(runTrackingPoll);
+  console.log(`🚚 Carrier tracking poll scheduled every ${Math.round(interval / 60000)} minute(s)`);
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  CUSTOMER_FIELDS,
+  refreshOrderTracking,
+  runTrackingPoll,
+  start,
+  stop
+};
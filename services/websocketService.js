@@ -1,12 +1,67 @@
 const WebSocket = require('ws');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-
+const Order = require('../models/Order');
+const Inquiry = require('../models/Inquiry');
+
+// How often sockets are pinged; one that misses a ping is terminated (WS_HEARTBEAT_INTERVAL_MS, default 30 seconds)
+const getHeartbeatInterval = () => parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS) || 30 * 1000;
+
+// How long sent events are kept for replay (WS_REPLAY_WINDOW_MS, default 5 minutes)
+const getReplayWindow = () => parseInt(process.env.WS_REPLAY_WINDOW_MS) || 5 * 60 * 1000;
+
+// Upper bound on events kept for replay (WS_REPLAY_MAX_EVENTS, default 1000)
+const getReplayMaxEvents = () => parseInt(process.env.WS_REPLAY_MAX_EVENTS) || 1000;
+
+const BACK_OFFICE_ROLES = ['admin', 'backoffice', 'subadmin'];
+
+// Roles allowed in each role:<name> room (same groups as requireBackOffice/requireAdmin)
+const ROLE_ROOMS = {
+  backoffice: BACK_OFFICE_ROLES,
+  admin: ['admin', 'backoffice']
+};
+
+// Record rooms: customers may only join their own orders and inquiries
+const RECORD_ROOMS = {
+  order: { model: Order, label: 'Order' },
+  inquiry: { model: Inquiry, label: 'Inquiry' }
+};
+
+// Accepts a user id, ObjectId or populated user document
+const toUserKey = (userId) => String(userId && userId._id ? userId._id : userId);
+
+/**
+ * Messages sent through sendToUser/sendToRole/sendToRoom/broadcast carry a `seq`
+ * number and are kept for a short window. The connection message reports the
+ * server's `stream` id and current `lastSeq`; a reconnecting client sends
+ *   { type: 'resume', stream, lastSeq }
+ * (after re-subscribing to its rooms) to receive what it missed, followed by
+ *   { type: 'replay', complete, replayed, stream, lastSeq }.
+ * `complete: false` means events were dropped (window passed or the server
+ * restarted) and the client should reload its data over REST.
+ *
+ * Rooms are named order:<id>, inquiry:<id> or role:<name> (backoffice, admin).
+ * { type: 'subscribe', room } is answered with { type: 'subscribed', room } or
+ * { type: 'subscribe_error', room, message }. Subscriptions belong to the socket
+ * (tab) that made them, and access is checked again on every room send and
+ * replay; a socket that lost access is sent { type: 'unsubscribed', room, reason }.
+ * Room sends and broadcasts are live updates for whoever is watching, so unlike
+ * sendToUser/sendToRole they are not stored as notifications.
+ */
 class WebSocketService {
   constructor() {
     this.wss = null;
-    this.clients = new Map(); // Store connected clients by userId
-    this.rooms = new Map(); // Store room subscriptions
+    this.clients = new Map(); // userId -> { userId, userRole, sockets: Set, connectedAt }
+    this.rooms = new Map(); // room -> Set of subscribed sockets
+    this.recipientFilter = null; // Set of userIds allowed during runNotification
+    this.audience = null; // Targets recorded during runNotification
+    this.currentEvent = null; // Dispatcher event key during runNotification
+    this.heartbeatTimer = null;
+    this.streamId = crypto.randomBytes(8).toString('hex'); // Changes on restart, when seq starts over
+    this.sequence = 0;
+    this.recentEvents = []; // { seq, target, event, message, sentAt } for replay, oldest first
   }
 
   initialize(server) {
@@ -17,6 +72,8 @@ class WebSocketService {
     });
 
     this.wss.on('connection', this.handleConnection.bind(this));
+    this.wss.on('close', () => clearInterval(this.heartbeatTimer));
+    this.startHeartbeat();
     console.log('WebSocket server initialized');
   }
 
@@ -39,24 +96,52 @@ class WebSocketService {
     }
   }
 
+  // Ping every socket each interval; one that has not answered the previous ping is dead
+  startHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = setInterval(() => {
+      this.wss.clients.forEach(ws => {
+        if (!ws.isAlive) {
+          console.log(`Terminating unresponsive WebSocket for user ${ws.userId}`);
+          ws.terminate(); // emits 'close', which removes the connection
+          return;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, getHeartbeatInterval());
+  }
+
   handleConnection(ws, req) {
-    const userId = req.userId;
+    const userId = String(req.userId);
     const userRole = req.userRole;
     
     console.log(`WebSocket client connected: ${userId} (${userRole})`);
     
-    // Store client connection
-    this.clients.set(userId, {
-      ws,
-      userId,
-      userRole,
-      connectedAt: new Date()
+    // A user may have several connections (tabs, devices)
+    if (!this.clients.has(userId)) {
+      this.clients.set(userId, {
+        userId,
+        userRole,
+        sockets: new Set(),
+        connectedAt: new Date()
+      });
+    }
+    this.clients.get(userId).sockets.add(ws);
+
+    ws.userId = userId;
+    ws.rooms = new Set();
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
     });
 
     // Send welcome message
-    this.sendToUser(userId, {
+    this.sendToSocket(ws, {
       type: 'connection',
       message: 'Connected to real-time notifications',
+      stream: this.streamId,
+      lastSeq: this.sequence,
       timestamp: new Date().toISOString()
     });
 
@@ -64,10 +149,10 @@ class WebSocketService {
     ws.on('message', (data) => {
       try {
         const message = JSON.parse(data);
-        this.handleMessage(userId, message);
+        this.handleMessage(ws, userId, message);
       } catch (error) {
         console.error('Invalid WebSocket message:', error);
-        this.sendToUser(userId, {
+        this.sendToSocket(ws, {
           type: 'error',
           message: 'Invalid message format'
         });
@@ -77,87 +162,283 @@ class WebSocketService {
     // Handle disconnection
     ws.on('close', () => {
       console.log(`WebSocket client disconnected: ${userId}`);
-      this.clients.delete(userId);
+      this.removeConnection(userId, ws);
     });
 
     // Handle errors
     ws.on('error', (error) => {
       console.error(`WebSocket error for user ${userId}:`, error);
-      this.clients.delete(userId);
+      this.removeConnection(userId, ws);
     });
   }
 
-  handleMessage(userId, message) {
+  // Forget a socket and its room subscriptions
+  removeConnection(userId, ws) {
+    (ws.rooms || new Set()).forEach(room => this.leaveRoom(ws, room));
+    const client = this.clients.get(userId);
+    if (!client) {
+      return;
+    }
+    client.sockets.delete(ws);
+    if (client.sockets.size === 0) {
+      this.clients.delete(userId);
+    }
+  }
+
+  handleMessage(ws, userId, message) {
     switch (message.type) {
       case 'subscribe':
-        this.subscribeToRoom(userId, message.room);
+        this.subscribeToRoom(ws, userId, message.room)
+          .catch(error => {
+            console.error(`WebSocket subscribe failed for user ${userId}:`, error);
+            this.sendToSocket(ws, { type: 'subscribe_error', room: message.room, message: 'Subscription failed' });
+          });
         break;
       case 'unsubscribe':
-        this.unsubscribeFromRoom(userId, message.room);
+        this.unsubscribeFromRoom(ws, userId, message.room);
         break;
       case 'ping':
-        this.sendToUser(userId, { type: 'pong', timestamp: new Date().toISOString() });
+        this.sendToSocket(ws, { type: 'pong', timestamp: new Date().toISOString() });
+        break;
+      case 'resume':
+        this.replayMissedEvents(ws, userId, message)
+          .catch(error => console.error(`WebSocket replay failed for user ${userId}:`, error));
         break;
       default:
         console.log(`Unknown message type from ${userId}:`, message.type);
     }
   }
 
-  subscribeToRoom(userId, room) {
+  // Resolve a room name to its access check: (userId, userRole) => error message or null.
+  // Record rooms load the record once, however many users are checked.
+  async getRoomAccess(room) {
+    const match = typeof room === 'string' && room.match(/^(order|inquiry|role):([\w-]+)$/);
+    if (!match) {
+      return () => 'Unknown room. Rooms are order:<id>, inquiry:<id> or role:<name>';
+    }
+    const [, kind, id] = match;
+
+    if (kind === 'role') {
+      return (userId, userRole) => (ROLE_ROOMS[id] && ROLE_ROOMS[id].includes(userRole) ? null : 'Access denied');
+    }
+
+    const { model, label } = RECORD_ROOMS[kind];
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return () => `Invalid ${kind} ID`;
+    }
+    const record = await model.findById(id).select('customer').lean();
+    if (!record) {
+      return () => `${label} not found`;
+    }
+    return (userId, userRole) =>
+      (!BACK_OFFICE_ROLES.includes(userRole) && String(record.customer) !== userId ? 'Access denied' : null);
+  }
+
+  async authorizeRoom(room, userId, userRole) {
+    return (await this.getRoomAccess(room))(userId, userRole);
+  }
+
+  // Rooms only ever hold sockets whose user passed authorizeRoom
+  async subscribeToRoom(ws, userId, room) {
+    const client = this.clients.get(userId);
+    const error = client ? await this.authorizeRoom(room, userId, client.userRole) : 'Not connected';
+    if (error) {
+      this.sendToSocket(ws, { type: 'subscribe_error', room, message: error });
+      return false;
+    }
+    // The socket may have closed while access was checked
+    if (ws.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+
     if (!this.rooms.has(room)) {
       this.rooms.set(room, new Set());
     }
-    this.rooms.get(room).add(userId);
+    this.rooms.get(room).add(ws);
+    ws.rooms.add(room);
     console.log(`User ${userId} subscribed to room: ${room}`);
+    this.sendToSocket(ws, { type: 'subscribed', room, timestamp: new Date().toISOString() });
+    return true;
   }
 
-  unsubscribeFromRoom(userId, room) {
-    if (this.rooms.has(room)) {
-      this.rooms.get(room).delete(userId);
+  // Only the socket that asked leaves; the user's other tabs keep their subscriptions
+  unsubscribeFromRoom(ws, userId, room) {
+    if (this.leaveRoom(ws, room)) {
       console.log(`User ${userId} unsubscribed from room: ${room}`);
     }
+    this.sendToSocket(ws, { type: 'unsubscribed', room, timestamp: new Date().toISOString() });
+  }
+
+  leaveRoom(ws, room) {
+    ws.rooms.delete(room);
+    const sockets = this.rooms.get(room);
+    if (!sockets || !sockets.delete(ws)) {
+      return false;
+    }
+    if (sockets.size === 0) {
+      this.rooms.delete(room);
+    }
+    return true;
+  }
+
+  // Check the room's sockets again; those whose user lost access are unsubscribed.
+  // Returns the sockets still allowed.
+  async revalidateRoom(room, sockets) {
+    const access = await this.getRoomAccess(room);
+    return sockets.filter(ws => {
+      const client = this.clients.get(ws.userId);
+      const error = client ? access(ws.userId, client.userRole) : 'Not connected';
+      if (error) {
+        this.leaveRoom(ws, room);
+        this.sendToSocket(ws, { type: 'unsubscribed', room, reason: error, timestamp: new Date().toISOString() });
+        return false;
+      }
+      return true;
+    });
+  }
+
+  // Write to a single connection (connection status, pong, replay)
+  sendToSocket(ws, message) {
+    if (ws.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+    try {
+      ws.send(JSON.stringify(message));
+      return true;
+    } catch (error) {
+      console.error(`Failed to send message to user ${ws.userId}:`, error);
+      ws.terminate();
+      return false;
+    }
+  }
+
+  // Number a message and keep it for replay; returns the numbered copy
+  recordEvent(target, message) {
+    const entry = {
+      seq: ++this.sequence,
+      target,
+      event: this.currentEvent,
+      message: { ...message, seq: this.sequence },
+      sentAt: Date.now()
+    };
+    this.recentEvents.push(entry);
+    this.pruneRecentEvents();
+    return entry.message;
+  }
+
+  pruneRecentEvents() {
+    const cutoff = Date.now() - getReplayWindow();
+    const maxEvents = getReplayMaxEvents();
+    let drop = 0;
+    while (drop < this.recentEvents.length &&
+      (this.recentEvents[drop].sentAt < cutoff || this.recentEvents.length - drop > maxEvents)) {
+      drop++;
+    }
+    if (drop > 0) {
+      this.recentEvents.splice(0, drop);
+    }
+  }
+
+  isAddressedTo(target, ws, userRole) {
+    return target.all ||
+      target.userId === ws.userId ||
+      (target.role && target.role === userRole) ||
+      (target.room && ws.rooms.has(target.room));
+  }
+
+  // Send a resuming connection the events addressed to its user after `lastSeq`
+  async replayMissedEvents(ws, userId, { stream, lastSeq }) {
+    const client = this.clients.get(userId);
+    if (!client) {
+      return;
+    }
+    this.pruneRecentEvents();
+
+    const since = parseInt(lastSeq);
+    const sameStream = stream === this.streamId && !Number.isNaN(since);
+    const oldestSeq = this.recentEvents.length > 0 ? this.recentEvents[0].seq : this.sequence + 1;
+    let missed = sameStream
+      ? this.recentEvents.filter(entry => entry.seq > since && this.isAddressedTo(entry.target, ws, client.userRole))
+      : [];
+
+    // Room events only replay while the socket still has access to the room
+    const rooms = [...new Set(missed.filter(entry => entry.target.room).map(entry => entry.target.room))];
+    for (const room of rooms) {
+      const [allowed] = await this.revalidateRoom(room, [ws]);
+      if (!allowed) {
+        missed = missed.filter(entry => entry.target.room !== room);
+      }
+    }
+
+    // Events the user switched off for WebSocket delivery stay skipped on replay
+    if (missed.some(entry => entry.event)) {
+      const { getUserPreference, isChannelEnabled } = require('./notificationDispatcher');
+      const preference = await getUserPreference(userId);
+      missed = missed.filter(entry => !entry.event || isChannelEnabled(preference, entry.event, 'websocket'));
+    }
+
+    missed.forEach(entry => this.sendToSocket(ws, entry.message));
+    this.sendToSocket(ws, {
+      type: 'replay',
+      complete: sameStream && since >= oldestSeq - 1,
+      replayed: missed.length,
+      stream: this.streamId,
+      lastSeq: this.sequence,
+      timestamp: new Date().toISOString()
+    });
   }
 
   // Send message to specific user
   sendToUser(userId, message) {
+    const key = toUserKey(userId);
+    this.recordAudience({ userId }, message);
+    return this.deliver(key, this.recordEvent({ userId: key }, message));
+  }
+
+  // Write a message to every connection of one user
+  deliver(userId, message) {
+    if (this.recipientFilter && !this.recipientFilter.has(userId)) {
+      return false;
+    }
     const client = this.clients.get(userId);
-    if (client && client.ws.readyState === WebSocket.OPEN) {
-      try {
-        client.ws.send(JSON.stringify(message));
-        return true;
-      } catch (error) {
-        console.error(`Failed to send message to user ${userId}:`, error);
-        this.clients.delete(userId);
-        return false;
-      }
+    if (!client) {
+      return false;
     }
-    return false;
+    let sent = false;
+    client.sockets.forEach(ws => {
+      sent = this.sendToSocket(ws, message) || sent;
+    });
+    return sent;
   }
 
-  // Send message to all users in a room
-  sendToRoom(room, message) {
+  // Send message to the sockets subscribed to a room, checking their access again first.
+  // The recipient filter is taken before access is checked, as runNotification clears it.
+  async sendToRoom(room, message) {
     if (!this.rooms.has(room)) {
       return 0;
     }
 
+    const recipientFilter = this.recipientFilter;
+    const numbered = this.recordEvent({ room }, message);
+    const sockets = await this.revalidateRoom(room, Array.from(this.rooms.get(room)));
+
     let sentCount = 0;
-    const userIds = Array.from(this.rooms.get(room));
-    
-    userIds.forEach(userId => {
-      if (this.sendToUser(userId, message)) {
+    sockets.forEach(ws => {
+      if ((!recipientFilter || recipientFilter.has(ws.userId)) && this.sendToSocket(ws, numbered)) {
         sentCount++;
       }
     });
 
-    console.log(`Message sent to ${sentCount} users in room: ${room}`);
+    console.log(`Message sent to ${sentCount} sockets in room: ${room}`);
     return sentCount;
   }
 
   // Send message to all connected clients
   broadcast(message) {
     let sentCount = 0;
+    const numbered = this.recordEvent({ all: true }, message);
     this.clients.forEach((client, userId) => {
-      if (this.sendToUser(userId, message)) {
+      if (this.deliver(userId, numbered)) {
         sentCount++;
       }
     });
@@ -167,9 +448,11 @@ class WebSocketService {
 
   // Send message to users by role
   sendToRole(role, message) {
+    this.recordAudience({ role }, message);
     let sentCount = 0;
+    const numbered = this.recordEvent({ role }, message);
     this.clients.forEach((client, userId) => {
-      if (client.userRole === role && this.sendToUser(userId, message)) {
+      if (client.userRole === role && this.deliver(userId, numbered)) {
         sentCount++;
       }
     });
@@ -177,6 +460,33 @@ class WebSocketService {
     return sentCount;
   }
 
+  // Ids of users with an open connection
+  getConnectedUserIds() {
+    return Array.from(this.clients.keys());
+  }
+
+  recordAudience(target, message) {
+    if (this.audience) {
+      this.audience.push({ ...target, message });
+    }
+  }
+
+  // Run a notify* call for dispatcher `event` that only reaches `allowedUserIds` (notification
+  // preferences) and return who it was addressed to: [{ userId | role, message }], connected or not
+  runNotification(send, allowedUserIds, event = null) {
+    this.audience = [];
+    this.recipientFilter = new Set(allowedUserIds.map(String));
+    this.currentEvent = event;
+    try {
+      send();
+      return this.audience;
+    } finally {
+      this.audience = null;
+      this.recipientFilter = null;
+      this.currentEvent = null;
+    }
+  }
+
   // Notification methods
   notifyNewInquiry(inquiry) {
     const message = {
@@ -199,23 +509,92 @@ class WebSocketService {
     this.sendToRole('backoffice', message);
   }
 
-  notifyQuotationCreated(quotation) {
+  notifyQuotationCreated(quotation, inquiry) {
     const message = {
       type: 'notification',
       category: 'quotation',
       title: 'Quotation Created',
-      message: `Quotation ${quotation.quotationNumber} created for inquiry ${quotation.inquiry.inquiryNumber}`,
+      message: `Quotation ${quotation.quotationNumber} created for inquiry ${inquiry.inquiryNumber}`,
       data: {
         quotationId: quotation._id,
         quotationNumber: quotation.quotationNumber,
-        inquiryNumber: quotation.inquiry.inquiryNumber,
+        inquiryNumber: inquiry.inquiryNumber,
         totalAmount: quotation.totalAmount
       },
       timestamp: new Date().toISOString()
     };
 
     // Send to customer
-    this.sendToUser(quotation.customer, message);
+    this.sendToUser((inquiry.customer?._id || inquiry.customer).toString(), message);
+  }
+
+  notifyQuotationExpired(quotation, customerId) {
+    const message = {
+      type: 'notification',
+      category: 'quotation',
+      title: 'Quotation Expired',
+      message: `Quotation ${quotation.quotationNumber} has expired. You can request a re-quote.`,
+      data: {
+        quotationId: quotation._id,
+        quotationNumber: quotation.quotationNumber,
+        validUntil: quotation.validUntil,
+        status: quotation.status
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    // Send to customer
+    this.sendToUser(customerId.toString(), message);
+  }
+
+  notifyRequoteRequested(quotation, inquiryNumber) {
+    const message = {
+      type: 'notification',
+      category: 'quotation',
+      title: 'Re-quote Requested',
+      message: `${quotation.customerInfo.name} requested a re-quote for ${quotation.quotationNumber}`,
+      data: {
+        quotationId: quotation._id,
+        quotationNumber: quotation.quotationNumber,
+        inquiryId: quotation.inquiryId,
+        inquiryNumber
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    // Send to back office
+    this.sendToRole('admin', message);
+    this.sendToRole('backoffice', message);
+  }
+
+  notifyNegotiationMessage(quotation, entry, customerId) {
+    const fromCustomer = entry.authorRole === 'customer';
+    const message = {
+      type: 'notification',
+      category: 'quotation_negotiation',
+      title: fromCustomer ? 'Counter-offer Received' : 'Reply on Quotation',
+      message: fromCustomer
+        ? `${quotation.customerInfo.name} sent a counter-offer on ${quotation.quotationNumber}`
+        : `Back office replied on quotation ${quotation.quotationNumber}`,
+      data: {
+        quotationId: quotation._id,
+        quotationNumber: quotation.quotationNumber,
+        entryId: entry._id,
+        authorRole: entry.authorRole,
+        counterOfferLines: (entry.counterOffer || []).length,
+        negotiationStatus: quotation.negotiationStatus
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    if (fromCustomer) {
+      // Send to back office
+      this.sendToRole('admin', message);
+      this.sendToRole('backoffice', message);
+    } else if (customerId) {
+      // Send to customer
+      this.sendToUser(customerId.toString(), message);
+    }
   }
 
   notifyOrderCreated(order) {
@@ -308,15 +687,21 @@ class WebSocketService {
     this.sendToRole('backoffice', message);
   }
 
-  notifyDispatchUpdate(order) {
+  notifyDispatchUpdate(order, shipment = null) {
+    const partial = order.status === 'partially_dispatched';
     const message = {
       type: 'notification',
       category: 'dispatch',
-      title: 'Order Dispatched',
-      message: `Order ${order.orderNumber} has been dispatched`,
+      title: partial ? 'Shipment Dispatched' : 'Order Dispatched',
+      message: partial
+        ? `Shipment ${shipment ? shipment.shipmentNumber : ''} of order ${order.orderNumber} has been dispatched`
+        : `Order ${order.orderNumber} has been dispatched`,
       data: {
         orderId: order._id,
         orderNumber: order.orderNumber,
+        status: order.status,
+        shipmentId: shipment ? shipment._id : undefined,
+        shipmentNumber: shipment ? shipment.shipmentNumber : undefined,
         trackingNumber: order.dispatch.trackingNumber,
         courier: order.dispatch.courier,
         estimatedDelivery: order.dispatch.estimatedDelivery
@@ -325,27 +710,202 @@ class WebSocketService {
     };
 
     // Send to customer
-    this.sendToUser(order.customer, message);
+    this.sendToUser((order.customer?._id || order.customer).toString(), message);
+  }
+
+  notifyTrackingUpdate(order, shipment, event) {
+    const message = {
+      type: 'notification',
+      category: 'dispatch',
+      title: 'Tracking Update',
+      message: `${shipment ? `Shipment ${shipment.shipmentNumber}` : `Order ${order.orderNumber}`}: ${event.description}${event.location ? ` (${event.location})` : ''}`,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        shipmentId: shipment ? shipment._id : undefined,
+        shipmentNumber: shipment ? shipment.shipmentNumber : undefined,
+        trackingStatus: event.status,
+        location: event.location,
+        occurredAt: event.occurredAt
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    this.sendToUser((order.customer?._id || order.customer).toString(), message);
+  }
+
+  notifyCodDeliveryPending(order, carrierLabel) {
+    const message = {
+      type: 'notification',
+      category: 'payment',
+      title: 'COD Collection Pending',
+      message: `${carrierLabel} reports order ${order.orderNumber} as delivered. Record the cash on delivery collection to close it.`,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        balanceDue: order.balanceDue
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    this.sendToRole('admin', message);
+    this.sendToRole('backoffice', message);
+  }
+
+  notifyProductionProgress(order, part, stage) {
+    const message = {
+      type: 'notification',
+      category: 'order_update',
+      title: 'Production Progress',
+      message: `Order ${order.orderNumber} is ${order.production.progress}% through production`,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        progress: order.production.progress,
+        partRef: part.partRef,
+        stage: stage.stage,
+        stageStatus: stage.status,
+        completedQuantity: stage.completedQuantity,
+        quantity: part.quantity
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    // Send to customer
+    this.sendToUser((order.customer?._id || order.customer).toString(), message);
+
+    // Send to back office
+    this.sendToRole('admin', message);
+    this.sendToRole('backoffice', message);
+  }
+
+  notifyPaymentFailed(order, reason) {
+    const message = {
+      type: 'notification',
+      category: 'payment',
+      title: 'Payment Failed',
+      message: `Payment for order ${order.orderNumber} failed${reason ? `: ${reason}` : ''}`,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        amount: order.payment.amount,
+        reason
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    // Send to customer
+    this.sendToUser((order.customer?._id || order.customer).toString(), message);
+
+    // Send to back office
+    this.sendToRole('admin', message);
+    this.sendToRole('backoffice', message);
+  }
+
+  notifyRefundProcessed(order, amount, refundId) {
+    const message = {
+      type: 'notification',
+      category: 'payment',
+      title: 'Refund Processed',
+      message: `Refund of ₹${amount} processed for order ${order.orderNumber}`,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        refundId,
+        amount,
+        refundedAmount: order.payment.refundedAmount,
+        paymentStatus: order.payment.status
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    // Send to customer
+    this.sendToUser((order.customer?._id || order.customer).toString(), message);
+
+    // Send to back office
+    this.sendToRole('admin', message);
+    this.sendToRole('backoffice', message);
+  }
+
+  notifyRefundStatus(order, refundRequest) {
+    const message = {
+      type: 'notification',
+      category: 'payment',
+      title: 'Refund Update',
+      message: `Refund of ₹${refundRequest.amount} for order ${order.orderNumber} is ${refundRequest.status}`,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        refundRequestId: refundRequest._id,
+        amount: refundRequest.amount,
+        status: refundRequest.status,
+        creditNoteNumber: refundRequest.creditNote?.creditNoteNumber
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    // Send to customer
+    this.sendToUser((order.customer?._id || order.customer).toString(), message);
+
+    // Send to back office
+    this.sendToRole('admin', message);
+    this.sendToRole('backoffice', message);
+  }
+
+  notifyOrderChangeRequest(order, changeRequest) {
+    const label = changeRequest.type === 'cancellation' ? 'Cancellation' : 'Change';
+    const message = {
+      type: 'notification',
+      category: 'order_update',
+      title: `${label} Request Update`,
+      message: `${label} request for order ${order.orderNumber} is ${changeRequest.status}`,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        orderStatus: order.status,
+        changeRequestId: changeRequest._id,
+        requestType: changeRequest.type,
+        status: changeRequest.status,
+        totalAmount: order.totalAmount,
+        balanceDue: order.balanceDue
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    // Send to customer
+    this.sendToUser((order.customer?._id || order.customer).toString(), message);
+
+    // Send to back office
+    this.sendToRole('admin', message);
+    this.sendToRole('backoffice', message);
   }
 
   // Get connection statistics
   getStats() {
+    let totalConnections = 0;
+    this.clients.forEach(client => {
+      totalConnections += client.sockets.size;
+    });
     return {
-      totalConnections: this.clients.size,
+      totalConnections,
+      connectedUsers: this.clients.size,
       rooms: Array.from(this.rooms.keys()),
-      connections: Array.from(this.clients.keys())
+      connections: Array.from(this.clients.keys()),
+      lastSeq: this.sequence,
+      bufferedEvents: this.recentEvents.length
     };
   }
 
-  // Cleanup inactive connections
+  // Cleanup closed connections (the heartbeat terminates unresponsive ones)
   cleanup() {
-    const now = new Date();
     this.clients.forEach((client, userId) => {
-      if (client.ws.readyState === WebSocket.CLOSED || 
-          (now - client.connectedAt) > 24 * 60 * 60 * 1000) { // 24 hours
-        this.clients.delete(userId);
-      }
+      client.sockets.forEach(ws => {
+        if (ws.readyState === WebSocket.CLOSED) {
+          this.removeConnection(userId, ws);
+        }
+      });
     });
+    this.pruneRecentEvents();
   }
 }
 